@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+const { LunarCrushAdapter } = require('@intue/lunarcrush-adapter');
+const SentimentAnalyzer = require('../src');
+const { DataProvider } = require('../src/adapters');
+const { FileStore } = require('../src/cache');
+const { createSentimentServer, StdioTransport } = require('../src/mcp');
+
+/**
+ * Run the sentiment analysis MCP server over stdio
+ * Reads the LunarCrush API key from LUNARCRUSH_API_KEY, an optional
+ * requests-per-second limit from SENTIMENT_RATE_LIMIT and an optional fixture
+ * file from SENTIMENT_FIXTURE, served as a fallback provider (or the only one
+ * when no API key is set). Setting SENTIMENT_CACHE_DIR keeps cached results in
+ * that directory, shared across restarts and server processes.
+ */
+const lunarcrush = process.env.LUNARCRUSH_API_KEY
+  ? new LunarCrushAdapter({ apiKey: process.env.LUNARCRUSH_API_KEY })
+  : null;
+const providers = [
+  lunarcrush && new DataProvider({ name: 'lunarcrush', adapter: lunarcrush }),
+  process.env.SENTIMENT_FIXTURE && DataProvider.fromFixtureFile(process.env.SENTIMENT_FIXTURE)
+].filter(Boolean);
+
+const analyzer = new SentimentAnalyzer({
+  adapters: {
+    lunarcrush
+  },
+  providers,
+  cache: process.env.SENTIMENT_CACHE_DIR ? new FileStore({ directory: process.env.SENTIMENT_CACHE_DIR }) : undefined,
+  ttl: process.env.SENTIMENT_CACHE_TTL ? parseInt(process.env.SENTIMENT_CACHE_TTL, 10) : undefined,
+  rateLimit: process.env.SENTIMENT_RATE_LIMIT ? { rate: parseFloat(process.env.SENTIMENT_RATE_LIMIT) } : undefined
+});
+
+const transport = new StdioTransport();
+const server = createSentimentServer(analyzer).connect(transport);
+
+// Answer requests still in flight when the client closes stdin before exiting
+transport.on('close', async () => {
+  await server.drain();
+  process.exit(0);
+});
\ No newline at end of file
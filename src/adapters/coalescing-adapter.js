@@ -0,0 +1,77 @@
+const { PROVIDER_METHODS } = require('./data-provider');
+
+/**
+ * Wrap an adapter so identical concurrent calls share one request
+ *
+ * Calls are identified by method name and arguments. While a call is in flight, identical
+ * calls receive the same promise; once it settles the next call goes to the adapter again.
+ * With a cache, results of the listed methods are also kept for the cache's 'provider' TTL,
+ * tagged with the asset they were fetched for, so sequential callers (e.g. the social, news
+ * and market analyzers for one asset) share one fetch. Shared results are returned by reference
+ * and must not be mutated. Results restored from a persistent store are attributed again to the
+ * provider that originally served them.
+ * @param {Object} adapter - Data adapter
+ * @param {Object} [options] - Wrapper options
+ * @param {Object} [options.cache] - SentimentCache for completed results
+ * @param {Array<string>} [options.cachedMethods=['getTimeSeries']] - Methods whose results are cached
+ * @param {string} [options.namespace='adapter'] - Cache key prefix (e.g. the adapter name)
+ * @param {Array<string>} [options.methods] - Methods to wrap (defaults to the provider contract and getNews)
+ * @returns {Object} - Coalescing adapter
+ */
+function createCoalescingAdapter(adapter, options = {}) {
+  const { cache } = options;
+  const methods = new Set(options.methods || [...PROVIDER_METHODS, 'getNews']);
+  const cachedMethods = new Set(options.cachedMethods || ['getTimeSeries']);
+  const namespace = options.namespace || 'adapter';
+  const inFlight = new Map();
+  const wrapped = new Map();
+  
+  return new Proxy(adapter, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      
+      // Only data methods are wrapped; everything else passes straight through
+      if (typeof value !== 'function' || !methods.has(property)) {
+        return value;
+      }
+      
+      if (!wrapped.has(property)) {
+        wrapped.set(property, (...args) => {
+          const key = `${namespace}_${property}_${JSON.stringify(args)}`;
+          
+          // The cache shares concurrent misses itself
+          if (cache && cachedMethods.has(property)) {
+            return cache.wrap(key, async () => {
+              const result = await target[property](...args);
+              return result === undefined || result === null
+                ? result
+                : { result, provider: typeof target.providerOf === 'function' ? target.providerOf(result) : null };
+            }, {
+              method: 'provider',
+              assets: typeof args[0] === 'string' ? [args[0]] : []
+            }).then(entry => {
+              if (!entry) return entry;
+              if (entry.provider && typeof target.attribute === 'function') {
+                target.attribute(entry.result, entry.provider);
+              }
+              return entry.result;
+            });
+          }
+          
+          if (inFlight.has(key)) return inFlight.get(key);
+          
+          const request = Promise.resolve()
+            .then(() => target[property](...args))
+            .finally(() => inFlight.delete(key));
+          
+          inFlight.set(key, request);
+          return request;
+        });
+      }
+      
+      return wrapped.get(property);
+    }
+  });
+}
+
+module.exports = { createCoalescingAdapter };
\ No newline at end of file
@@ -0,0 +1,168 @@
+const { createCoalescingAdapter } = require('./coalescing-adapter');
+const { SentimentCache } = require('../cache');
+
+/**
+ * Promise with its resolve and reject functions exposed
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((done, fail) => {
+    resolve = done;
+    reject = fail;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Adapter whose data methods answer with the next queued deferred
+ */
+function createAdapter() {
+  const requests = [];
+  const method = () => jest.fn(() => {
+    const request = deferred();
+    requests.push(request);
+    return request.promise;
+  });
+  return { requests, adapter: { name: 'stub', getTimeSeries: method(), getSocialMetrics: method() } };
+}
+
+describe('createCoalescingAdapter', () => {
+  describe('without a cache', () => {
+    it('shares one upstream request between concurrent identical calls', async () => {
+      const { requests, adapter } = createAdapter();
+      const coalescing = createCoalescingAdapter(adapter);
+      
+      const calls = [
+        coalescing.getTimeSeries('BTC', '1d', 7),
+        coalescing.getTimeSeries('BTC', '1d', 7),
+        coalescing.getTimeSeries('BTC', '1d', 7)
+      ];
+      const other = coalescing.getTimeSeries('BTC', '1d', 30);
+      await Promise.resolve();
+      
+      expect(adapter.getTimeSeries).toHaveBeenCalledTimes(2);
+      const series = [{ time: 1 }];
+      requests[0].resolve(series);
+      requests[1].resolve([]);
+      
+      const results = await Promise.all(calls);
+      expect(results.every(result => result === series)).toBe(true);
+      expect(await other).toEqual([]);
+    });
+    
+    it('sends the next call upstream once the shared request has settled', async () => {
+      const { requests, adapter } = createAdapter();
+      const coalescing = createCoalescingAdapter(adapter);
+      
+      const first = coalescing.getTimeSeries('BTC');
+      await Promise.resolve();
+      requests[0].resolve([{ time: 1 }]);
+      await first;
+      
+      const second = coalescing.getTimeSeries('BTC');
+      await Promise.resolve();
+      expect(adapter.getTimeSeries).toHaveBeenCalledTimes(2);
+      requests[1].resolve([{ time: 2 }]);
+      expect(await second).toEqual([{ time: 2 }]);
+    });
+    
+    it('rejects every waiter with the upstream error and does not keep it', async () => {
+      const { requests, adapter } = createAdapter();
+      const coalescing = createCoalescingAdapter(adapter);
+      const error = new Error('upstream down');
+      
+      const calls = [coalescing.getTimeSeries('BTC'), coalescing.getTimeSeries('BTC')];
+      await Promise.resolve();
+      requests[0].reject(error);
+      
+      const outcomes = await Promise.allSettled(calls);
+      expect(outcomes).toEqual([{ status: 'rejected', reason: error }, { status: 'rejected', reason: error }]);
+      
+      const retry = coalescing.getTimeSeries('BTC');
+      await Promise.resolve();
+      expect(adapter.getTimeSeries).toHaveBeenCalledTimes(2);
+      requests[1].resolve([{ time: 1 }]);
+      expect(await retry).toEqual([{ time: 1 }]);
+    });
+    
+    it('passes other properties straight through', () => {
+      const { adapter } = createAdapter();
+      const coalescing = createCoalescingAdapter(adapter);
+      
+      expect(coalescing.name).toBe('stub');
+      expect(coalescing.getTimeSeries).toBe(coalescing.getTimeSeries);
+    });
+  });
+  
+  describe('with a cache', () => {
+    /**
+     * Let the cache read its store and start the computation
+     */
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+    
+    it('shares concurrent calls and serves later ones from the cache', async () => {
+      const { requests, adapter } = createAdapter();
+      const coalescing = createCoalescingAdapter(adapter, { cache: new SentimentCache() });
+      
+      const calls = [coalescing.getTimeSeries('BTC', '1d', 7), coalescing.getTimeSeries('BTC', '1d', 7)];
+      await settle();
+      expect(adapter.getTimeSeries).toHaveBeenCalledTimes(1);
+      requests[0].resolve([{ time: 1 }]);
+      
+      expect(await Promise.all(calls)).toEqual([[{ time: 1 }], [{ time: 1 }]]);
+      expect(await coalescing.getTimeSeries('BTC', '1d', 7)).toEqual([{ time: 1 }]);
+      expect(adapter.getTimeSeries).toHaveBeenCalledTimes(1);
+    });
+    
+    it('rejects every waiter and does not cache the failure', async () => {
+      const { requests, adapter } = createAdapter();
+      const coalescing = createCoalescingAdapter(adapter, { cache: new SentimentCache() });
+      const error = new Error('upstream down');
+      
+      const calls = [coalescing.getTimeSeries('BTC'), coalescing.getTimeSeries('BTC')];
+      await settle();
+      requests[0].reject(error);
+      
+      const outcomes = await Promise.allSettled(calls);
+      expect(outcomes.map(outcome => outcome.reason)).toEqual([error, error]);
+      
+      const retry = coalescing.getTimeSeries('BTC');
+      await settle();
+      expect(adapter.getTimeSeries).toHaveBeenCalledTimes(2);
+      requests[1].resolve([{ time: 1 }]);
+      expect(await retry).toEqual([{ time: 1 }]);
+    });
+    
+    it('coalesces methods it does not cache without keeping their results', async () => {
+      const { requests, adapter } = createAdapter();
+      const coalescing = createCoalescingAdapter(adapter, { cache: new SentimentCache() });
+      
+      const calls = [coalescing.getSocialMetrics('BTC'), coalescing.getSocialMetrics('BTC')];
+      await Promise.resolve();
+      requests[0].resolve({ sentiment: 60 });
+      expect(await Promise.all(calls)).toEqual([{ sentiment: 60 }, { sentiment: 60 }]);
+      
+      const later = coalescing.getSocialMetrics('BTC');
+      await Promise.resolve();
+      expect(adapter.getSocialMetrics).toHaveBeenCalledTimes(2);
+      requests[1].resolve({ sentiment: 61 });
+      expect(await later).toEqual({ sentiment: 61 });
+    });
+    
+    it('attributes cached results to the provider that served them', async () => {
+      const { requests, adapter } = createAdapter();
+      adapter.providerOf = jest.fn(() => 'primary');
+      adapter.attribute = jest.fn();
+      const coalescing = createCoalescingAdapter(adapter, { cache: new SentimentCache() });
+      
+      const call = coalescing.getTimeSeries('BTC');
+      await settle();
+      const series = [{ time: 1 }];
+      requests[0].resolve(series);
+      
+      expect(await call).toBe(series);
+      expect(adapter.attribute).toHaveBeenCalledWith(series, 'primary');
+    });
+  });
+});
\ No newline at end of file
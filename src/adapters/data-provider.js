@@ -0,0 +1,104 @@
+const { FixtureAdapter } = require('./fixture-adapter');
+const { LUNARCRUSH_TIME_SERIES_FIELDS, LUNARCRUSH_COIN_FIELDS, mapFields } = require('./fields');
+
+/**
+ * Methods making up the normalized data provider contract
+ */
+const PROVIDER_METHODS = ['getSocialMetrics', 'getTimeSeries', 'getEcosystemCoins'];
+
+/**
+ * A named data source that serves the normalized contract from a raw adapter
+ * Field maps default to LunarCrush keys, so LunarCrush-compatible adapters and recordings
+ * need no configuration; other providers pass their own maps.
+ */
+class DataProvider {
+  /**
+   * Create a new data provider
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name, recorded on the data it serves
+   * @param {Object} options.adapter - Raw adapter implementing any of getSocialMetrics,
+   *   getTimeSeries(asset, interval, days) and getEcosystemCoins(ecosystem, limit)
+   * @param {Object} [options.fields] - Field maps ({ timeSeries, coins, metrics })
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('Data provider must have a name');
+    }
+    if (!options.adapter) {
+      throw new Error(`Data provider "${options.name}" requires an adapter`);
+    }
+    
+    const fields = options.fields || {};
+    this.name = options.name;
+    this.adapter = options.adapter;
+    this.fields = {
+      timeSeries: fields.timeSeries || LUNARCRUSH_TIME_SERIES_FIELDS,
+      coins: fields.coins || LUNARCRUSH_COIN_FIELDS,
+      metrics: fields.metrics || {}
+    };
+  }
+  
+  /**
+   * Create a provider serving recorded data from a fixture file, for offline use
+   * @param {string} filePath - Path to a FixtureAdapter JSON file
+   * @param {Object} [options] - Provider options (name defaults to 'fixture')
+   * @returns {DataProvider} - Fixture provider
+   */
+  static fromFixtureFile(filePath, options = {}) {
+    return new DataProvider({
+      name: 'fixture',
+      ...options,
+      adapter: FixtureAdapter.fromFile(filePath)
+    });
+  }
+  
+  /**
+   * Check whether the underlying adapter implements a contract method
+   * @param {string} method - Method name
+   * @returns {boolean} - True if supported
+   */
+  supports(method) {
+    return typeof this.adapter[method] === 'function';
+  }
+  
+  /**
+   * Get current social metrics for an asset
+   * @param {string} asset - Asset symbol
+   * @param {number} days - Lookback in days
+   * @returns {Promise<Object>} - Normalized social metrics
+   */
+  async getSocialMetrics(asset, days) {
+    const metrics = await this.adapter.getSocialMetrics(asset, days);
+    return mapFields(metrics, this.fields.metrics);
+  }
+  
+  /**
+   * Get a time series for an asset
+   * @param {string} asset - Asset symbol
+   * @param {string} interval - Data interval ('5m', '1h', '1d', ...)
+   * @param {number} days - Lookback in days (fractional for intraday timeframes)
+   * @returns {Promise<Array<Object>>} - Normalized time series points (oldest first)
+   */
+  async getTimeSeries(asset, interval, days) {
+    const series = await this.adapter.getTimeSeries(asset, interval, days);
+    return (series || []).map(point => mapFields(point, this.fields.timeSeries));
+  }
+  
+  /**
+   * Get the top assets of an ecosystem
+   * @param {string} ecosystem - Ecosystem name
+   * @param {number} [limit] - Maximum number of assets
+   * @returns {Promise<Array<Object>>} - Normalized ecosystem coins
+   */
+  async getEcosystemCoins(ecosystem, limit) {
+    const coins = await this.adapter.getEcosystemCoins(ecosystem, limit);
+    return (coins || []).map(coin => (typeof coin === 'string'
+      ? { symbol: coin }
+      : mapFields(coin, this.fields.coins)));
+  }
+}
+
+module.exports = {
+  DataProvider,
+  PROVIDER_METHODS
+};
\ No newline at end of file
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataProvider } = require('./data-provider');
+const { FixtureAdapter } = require('./fixture-adapter');
+const { DataUnavailableError } = require('../errors');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+describe('DataProvider', () => {
+  it('maps LunarCrush time series keys to normalized names', async () => {
+    const adapter = {
+      getTimeSeries: jest.fn(async () => [
+        { time: 1, gs: 61, ss: 72, sc: 300, sv: 1200, p: 101.5, v: 5e6, mc: 2e9, ns: 0.4, an: 12, extra: 'kept' }
+      ])
+    };
+    const series = await new DataProvider({ name: 'lunarcrush', adapter }).getTimeSeries('BTC', '1h', 0.5);
+    
+    expect(adapter.getTimeSeries).toHaveBeenCalledWith('BTC', '1h', 0.5);
+    expect(series).toEqual([{
+      time: 1,
+      galaxyScore: 61,
+      socialScore: 72,
+      socialContributors: 300,
+      socialVolume: 1200,
+      price: 101.5,
+      volume: 5e6,
+      marketCap: 2e9,
+      newsSentiment: 0.4,
+      articleCount: 12,
+      extra: 'kept'
+    }]);
+  });
+  
+  it('prefers normalized names over native aliases', async () => {
+    const adapter = { getTimeSeries: async () => [{ time: 1, p: 1, price: 2 }] };
+    
+    expect(await new DataProvider({ name: 'mixed', adapter }).getTimeSeries('BTC')).toEqual([{ time: 1, price: 2 }]);
+  });
+  
+  it('maps ecosystem coins from v2 short keys, v4 names and bare symbols', async () => {
+    const adapter = {
+      getEcosystemCoins: async () => [
+        { s: 'SOL', n: 'Solana', mc: 300, v: 50, sv: 900 },
+        { symbol: 'JUP', market_cap: 100, volume_24h: 20, social_volume_24h: 300 },
+        'BONK'
+      ]
+    };
+    
+    expect(await new DataProvider({ name: 'lunarcrush', adapter }).getEcosystemCoins('solana')).toEqual([
+      { symbol: 'SOL', name: 'Solana', marketCap: 300, volume: 50, socialVolume: 900 },
+      { symbol: 'JUP', marketCap: 100, volume: 20, socialVolume: 300 },
+      { symbol: 'BONK' }
+    ]);
+  });
+  
+  it('applies custom field maps and reports the methods its adapter supports', async () => {
+    const adapter = {
+      getSocialMetrics: async () => ({ mood: 64, posts: 10 }),
+      getTimeSeries: async () => [{ t: 1, close: 3 }]
+    };
+    const provider = new DataProvider({
+      name: 'custom',
+      adapter,
+      fields: { metrics: { mood: 'sentiment', posts: 'socialVolume' }, timeSeries: { t: 'time', close: 'price' } }
+    });
+    
+    expect(await provider.getSocialMetrics('BTC', 7)).toEqual({ sentiment: 64, socialVolume: 10 });
+    expect(await provider.getTimeSeries('BTC', '1d', 7)).toEqual([{ time: 1, price: 3 }]);
+    expect(provider.supports('getTimeSeries')).toBe(true);
+    expect(provider.supports('getEcosystemCoins')).toBe(false);
+  });
+  
+  it('requires a name and an adapter', () => {
+    expect(() => new DataProvider({ adapter: {} })).toThrow('must have a name');
+    expect(() => new DataProvider({ name: 'bare' })).toThrow('"bare" requires an adapter');
+  });
+});
+
+describe('FixtureAdapter', () => {
+  const fixture = {
+    assets: {
+      BTC: {
+        timeSeries: Array.from({ length: 10 }, (_, i) => ({
+          time: i * DAY_SECONDS,
+          p: 100 + i,
+          ss: 50 + i,
+          sv: 10 * i
+        }))
+      },
+      ETH: { timeSeries: [], metrics: { sentiment: 70, socialVolume: 5, engagement: 1 }, news: [{ title: 'up' }] }
+    },
+    ecosystems: { solana: [{ s: 'SOL' }, { s: 'JUP' }, { s: 'BONK' }] }
+  };
+  
+  it('replays the recorded lookback and derives metrics from the latest point', async () => {
+    const adapter = new FixtureAdapter(fixture);
+    const recent = await adapter.getTimeSeries('BTC', '1d', 3);
+    
+    expect(recent.map(point => point.p)).toEqual([107, 108, 109]);
+    expect(await adapter.getTimeSeries('BTC', '1d', 0)).toHaveLength(10);
+    expect(await adapter.getSocialMetrics('BTC')).toEqual({ sentiment: 59, socialVolume: 90, engagement: 0 });
+    expect(await adapter.getSocialMetrics('ETH')).toEqual({ sentiment: 70, socialVolume: 5, engagement: 1 });
+    expect(await adapter.getNews('ETH')).toEqual([{ title: 'up' }]);
+    expect(await adapter.getEcosystemCoins('solana', 2)).toEqual([{ s: 'SOL' }, { s: 'JUP' }]);
+    expect(await adapter.getEcosystemCoins('cosmos')).toEqual([]);
+  });
+  
+  it('returns copies so callers cannot change the recording', async () => {
+    const adapter = new FixtureAdapter(fixture);
+    (await adapter.getTimeSeries('BTC', '1d', 1))[0].p = 0;
+    
+    expect((await adapter.getTimeSeries('BTC', '1d', 1))[0].p).toBe(109);
+  });
+  
+  it('reports unrecorded assets as unavailable data', async () => {
+    await expect(new FixtureAdapter(fixture).getTimeSeries('DOGE', '1d', 7))
+      .rejects.toBeInstanceOf(DataUnavailableError);
+  });
+  
+  it('serves a fixture file through a normalized provider', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-')), 'fixture.json');
+    fs.writeFileSync(file, JSON.stringify(fixture));
+    
+    try {
+      const provider = DataProvider.fromFixtureFile(file);
+      expect(provider.name).toBe('fixture');
+      expect(await provider.getTimeSeries('BTC', '1d', 1)).toEqual([
+        { time: 9 * DAY_SECONDS, price: 109, socialScore: 59, socialVolume: 90 }
+      ]);
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Normalized data contract shared by all providers
+ *
+ * Time series points: { time, price, volume, marketCap, galaxyScore, socialScore,
+ *   socialContributors, socialVolume, newsSentiment, articleCount }
+ * Ecosystem coins: { symbol, name, marketCap, volume, socialVolume }
+ * Social metrics: { sentiment, socialVolume, engagement }
+ *
+ * Field maps translate a provider's native keys to these names. Keys that are already
+ * normalized, or that a map does not mention, are passed through unchanged.
+ */
+
+/**
+ * LunarCrush time series keys
+ */
+const LUNARCRUSH_TIME_SERIES_FIELDS = {
+  gs: 'galaxyScore',
+  ss: 'socialScore',
+  sc: 'socialContributors',
+  sv: 'socialVolume',
+  p: 'price',
+  v: 'volume',
+  mc: 'marketCap',
+  ns: 'newsSentiment',
+  an: 'articleCount'
+};
+
+/**
+ * LunarCrush ecosystem coin keys (v2 short keys and v4 names)
+ */
+const LUNARCRUSH_COIN_FIELDS = {
+  s: 'symbol',
+  n: 'name',
+  mc: 'marketCap',
+  market_cap: 'marketCap',
+  v: 'volume',
+  volume_24h: 'volume',
+  sv: 'socialVolume',
+  social_volume_24h: 'socialVolume'
+};
+
+/**
+ * Rename a record's keys according to a field map
+ * @param {Object} record - Provider record
+ * @param {Object} [fieldMap] - Native key -> normalized key
+ * @returns {Object} - Normalized record
+ */
+function mapFields(record, fieldMap = {}) {
+  if (!record || typeof record !== 'object') return record;
+  
+  const mapped = {};
+  for (const [key, value] of Object.entries(record)) {
+    const name = fieldMap[key] || key;
+    
+    // A value under the normalized name wins over one under a native alias
+    if (name !== key && Object.prototype.hasOwnProperty.call(record, name)) continue;
+    mapped[name] = value;
+  }
+  return mapped;
+}
+
+module.exports = {
+  LUNARCRUSH_TIME_SERIES_FIELDS,
+  LUNARCRUSH_COIN_FIELDS,
+  mapFields
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const { LUNARCRUSH_TIME_SERIES_FIELDS, mapFields } = require('./fields');
+const { DataUnavailableError } = require('../errors');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Adapter serving recorded data instead of calling a live API
+ * Implements the same methods as the LunarCrush adapter so analyzers can replay history offline.
+ * Points may use LunarCrush keys (gs, p, ...) or normalized names (galaxyScore, price, ...).
+ *
+ * Fixture format:
+ *   {
+ *     assets: {
+ *       BTC: { timeSeries: [{ time, gs, ss, sc, p, v, ... }], metrics: { sentiment, ... }, news: [...] }
+ *     },
+ *     ecosystems: { solana: [{ s: 'SOL' }, ...] }
+ *   }
+ */
+class FixtureAdapter {
+  /**
+   * Create a new fixture adapter
+   * @param {Object} fixture - Recorded data (see class description)
+   */
+  constructor(fixture = {}) {
+    this.assets = fixture.assets || {};
+    this.ecosystems = fixture.ecosystems || {};
+  }
+  
+  /**
+   * Load a fixture adapter from a JSON file
+   * @param {string} filePath - Path to the fixture file
+   * @returns {FixtureAdapter} - Fixture adapter
+   */
+  static fromFile(filePath) {
+    return new FixtureAdapter(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+  
+  /**
+   * Get recorded social metrics, or derive them from the latest time series point
+   * @param {string} asset - Asset symbol
+   * @returns {Promise<Object>} - Social metrics
+   */
+  async getSocialMetrics(asset) {
+    const record = this._getAsset(asset);
+    if (record.metrics) return { ...record.metrics };
+    
+    // Recordings may use LunarCrush keys or normalized names
+    const series = record.timeSeries || [];
+    const latest = mapFields(series[series.length - 1] || {}, LUNARCRUSH_TIME_SERIES_FIELDS);
+    return {
+      sentiment: latest.socialScore || 0,
+      socialVolume: latest.socialVolume || 0,
+      engagement: 0
+    };
+  }
+  
+  /**
+   * Get the recorded time series, limited to the requested lookback when points carry timestamps
+   * The series is returned at the interval it was recorded at
+   * @param {string} asset - Asset symbol
+   * @param {string} interval - Requested interval (ignored)
+   * @param {number} days - Lookback in days
+   * @returns {Promise<Array<Object>>} - Time series points (oldest first)
+   */
+  async getTimeSeries(asset, interval, days) {
+    const series = this._getAsset(asset).timeSeries || [];
+    if (series.length === 0) return [];
+    
+    const latestTime = series[series.length - 1].time;
+    const filtered = typeof latestTime === 'number' && days > 0
+      ? series.filter(d => d.time > latestTime - days * DAY_SECONDS)
+      : series;
+    
+    return filtered.map(d => ({ ...d }));
+  }
+  
+  /**
+   * Get recorded ecosystem members
+   * @param {string} ecosystem - Ecosystem name
+   * @param {number} [limit] - Maximum number of assets
+   * @returns {Promise<Array<Object>>} - Ecosystem assets
+   */
+  async getEcosystemCoins(ecosystem, limit) {
+    const coins = this.ecosystems[ecosystem] || [];
+    return coins.slice(0, limit || coins.length);
+  }
+  
+  /**
+   * Get recorded news articles
+   * @param {string} asset - Asset symbol
+   * @returns {Promise<Array<Object>>} - Articles
+   */
+  async getNews(asset) {
+    return [...(this._getAsset(asset).news || [])];
+  }
+  
+  /**
+   * Look up a recorded asset
+   * @private
+   * @param {string} asset - Asset symbol
+   * @returns {Object} - Asset record
+   */
+  _getAsset(asset) {
+    const record = this.assets[asset];
+    if (!record) {
+      throw new DataUnavailableError(`No fixture data recorded for ${asset}`, { asset });
+    }
+    return record;
+  }
+}
+
+module.exports = { FixtureAdapter };
\ No newline at end of file
@@ -0,0 +1,19 @@
+const { FixtureAdapter } = require('./fixture-adapter');
+const { DataProvider, PROVIDER_METHODS } = require('./data-provider');
+const { ProviderChain, servingProvider } = require('./provider-chain');
+const { LUNARCRUSH_TIME_SERIES_FIELDS, LUNARCRUSH_COIN_FIELDS, mapFields } = require('./fields');
+const { createRateLimitedAdapter } = require('./rate-limited-adapter');
+const { createCoalescingAdapter } = require('./coalescing-adapter');
+
+module.exports = {
+  FixtureAdapter,
+  DataProvider,
+  PROVIDER_METHODS,
+  ProviderChain,
+  servingProvider,
+  LUNARCRUSH_TIME_SERIES_FIELDS,
+  LUNARCRUSH_COIN_FIELDS,
+  mapFields,
+  createRateLimitedAdapter,
+  createCoalescingAdapter
+};
\ No newline at end of file
@@ -0,0 +1,199 @@
+const {
+  AdapterMissingError,
+  DataUnavailableError,
+  RateLimitedError,
+  TimeoutError,
+  ERROR_CODES,
+  errorCode
+} = require('../errors');
+
+/**
+ * Error types used when every provider failed for the same reason
+ */
+const ERROR_TYPES = {
+  [ERROR_CODES.RATE_LIMITED]: RateLimitedError,
+  [ERROR_CODES.TIMEOUT]: TimeoutError
+};
+
+/**
+ * Serves the data provider contract from several providers with failover
+ *
+ * Providers are tried in priority order. A provider that throws is skipped, and one that
+ * returns no data gives way to the next; if every provider comes back empty the first
+ * empty result is returned. Providers that failed recently are tried after healthy ones
+ * until their cooldown expires. The provider that served each result is recorded and can
+ * be looked up with providerOf(result).
+ */
+class ProviderChain {
+  /**
+   * Create a new provider chain
+   * @param {Array<Object>} providers - Data providers in priority order
+   * @param {Object} [options] - Chain options
+   * @param {number} [options.cooldown=30000] - Milliseconds a failed provider is deprioritized
+   */
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 30000;
+    this.failures = new Map();
+    this.servedBy = new WeakMap();
+  }
+  
+  /**
+   * Names of all providers in priority order
+   * @type {Array<string>}
+   */
+  get names() {
+    return this.providers.map(provider => provider.name);
+  }
+  
+  /**
+   * Look up which provider served a result
+   * @param {Object} result - Result returned by this chain
+   * @returns {string|null} - Provider name, or null if unknown
+   */
+  providerOf(result) {
+    return result && typeof result === 'object' ? this.servedBy.get(result) || null : null;
+  }
+  
+  /**
+   * Record which provider served a result, e.g. when it is restored from a persistent cache
+   * @param {Object} result - Provider result
+   * @param {string} name - Provider name
+   */
+  attribute(result, name) {
+    if (result && typeof result === 'object') this.servedBy.set(result, name);
+  }
+  
+  /**
+   * Get current social metrics for an asset
+   * @param {string} asset - Asset symbol
+   * @param {number} days - Lookback in days
+   * @returns {Promise<Object>} - Normalized social metrics
+   */
+  getSocialMetrics(asset, days) {
+    return this._call('getSocialMetrics', [asset, days]);
+  }
+  
+  /**
+   * Get a time series for an asset
+   * @param {string} asset - Asset symbol
+   * @param {string} interval - Data interval
+   * @param {number} days - Lookback in days
+   * @returns {Promise<Array<Object>>} - Normalized time series points (oldest first)
+   */
+  getTimeSeries(asset, interval, days) {
+    return this._call('getTimeSeries', [asset, interval, days]);
+  }
+  
+  /**
+   * Get the top assets of an ecosystem
+   * @param {string} ecosystem - Ecosystem name
+   * @param {number} [limit] - Maximum number of assets
+   * @returns {Promise<Array<Object>>} - Normalized ecosystem coins
+   */
+  getEcosystemCoins(ecosystem, limit) {
+    return this._call('getEcosystemCoins', [ecosystem, limit]);
+  }
+  
+  /**
+   * Call a contract method on each provider in turn until one returns data
+   * @private
+   * @param {string} method - Contract method
+   * @param {Array} args - Method arguments
+   * @returns {Promise<*>} - First non-empty result
+   */
+  async _call(method, args) {
+    const candidates = this._ordered().filter(provider => provider.supports(method));
+    if (candidates.length === 0) {
+      throw new AdapterMissingError(`No data provider supports ${method}`, { method });
+    }
+    
+    const errors = [];
+    let empty = null;
+    
+    for (const provider of candidates) {
+      try {
+        const result = await provider[method](...args);
+        this.failures.delete(provider.name);
+        
+        if (this._isEmpty(result)) {
+          if (!empty) empty = { result, provider };
+          continue;
+        }
+        
+        return this._record(result, provider);
+      } catch (error) {
+        this.failures.set(provider.name, Date.now());
+        errors.push({ provider: provider.name, code: errorCode(error), message: error.message });
+      }
+    }
+    
+    if (empty) return this._record(empty.result, empty.provider);
+    
+    // Report a shared cause (e.g. every provider rate limited) with its own error type
+    const message = `All data providers failed for ${method}(${args[0]}): ` +
+      errors.map(error => `${error.provider}: ${error.message}`).join('; ');
+    const codes = new Set(errors.map(error => error.code));
+    const ErrorType = codes.size === 1 && ERROR_TYPES[errors[0].code] || DataUnavailableError;
+    throw new ErrorType(message, { method, errors });
+  }
+  
+  /**
+   * Providers in priority order, with recently failed ones moved to the end
+   * @private
+   * @returns {Array<Object>} - Ordered providers
+   */
+  _ordered() {
+    const now = Date.now();
+    const isCoolingDown = provider => {
+      const failedAt = this.failures.get(provider.name);
+      return failedAt !== undefined && now - failedAt < this.cooldown;
+    };
+    
+    return [
+      ...this.providers.filter(provider => !isCoolingDown(provider)),
+      ...this.providers.filter(isCoolingDown)
+    ];
+  }
+  
+  /**
+   * Check whether a result carries no data
+   * @private
+   * @param {*} result - Provider result
+   * @returns {boolean} - True for null, undefined and empty arrays
+   */
+  _isEmpty(result) {
+    return result === null || result === undefined || (Array.isArray(result) && result.length === 0);
+  }
+  
+  /**
+   * Remember which provider served a result
+   * @private
+   * @param {*} result - Provider result
+   * @param {Object} provider - Serving provider
+   * @returns {*} - The result
+   */
+  _record(result, provider) {
+    if (result && typeof result === 'object') {
+      this.servedBy.set(result, provider.name);
+    }
+    return result;
+  }
+}
+
+/**
+ * Look up the provider that served a result, for any data provider or raw adapter
+ * @param {Object} dataProvider - Provider chain, data provider or raw adapter
+ * @param {Object} result - Result returned by it
+ * @returns {string|null} - Provider name, or null if unknown
+ */
+function servingProvider(dataProvider, result) {
+  if (!dataProvider) return null;
+  if (typeof dataProvider.providerOf === 'function') return dataProvider.providerOf(result);
+  return typeof dataProvider.name === 'string' ? dataProvider.name : null;
+}
+
+module.exports = {
+  ProviderChain,
+  servingProvider
+};
\ No newline at end of file
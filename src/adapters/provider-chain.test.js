@@ -0,0 +1,111 @@
+const { ProviderChain, servingProvider } = require('./provider-chain');
+const { DataProvider } = require('./data-provider');
+const { DataUnavailableError, RateLimitedError, AdapterMissingError } = require('../errors');
+
+/**
+ * Provider whose getTimeSeries answers with each queued behaviour in turn, repeating the last
+ */
+function provider(name, ...behaviours) {
+  const getTimeSeries = jest.fn(async () => {
+    const behaviour = behaviours.length > 1 ? behaviours.shift() : behaviours[0];
+    if (behaviour instanceof Error) throw behaviour;
+    return behaviour;
+  });
+  return new DataProvider({ name, adapter: { getTimeSeries } });
+}
+
+const calls = p => p.adapter.getTimeSeries.mock.calls.length;
+
+describe('ProviderChain', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  it('serves from the first provider that returns data and records which one it was', async () => {
+    const primary = provider('primary', new Error('down'));
+    const backup = provider('backup', [{ time: 1, p: 10 }]);
+    const spare = provider('spare', [{ time: 1, p: 11 }]);
+    const chain = new ProviderChain([primary, backup, spare]);
+    
+    const series = await chain.getTimeSeries('BTC', '1d', 7);
+    
+    expect(series).toEqual([{ time: 1, price: 10 }]);
+    expect(chain.providerOf(series)).toBe('backup');
+    expect(servingProvider(chain, series)).toBe('backup');
+    expect(calls(spare)).toBe(0);
+    expect(backup.adapter.getTimeSeries).toHaveBeenCalledWith('BTC', '1d', 7);
+  });
+  
+  it('moves past empty results and falls back to the first of them when nothing has data', async () => {
+    const chain = new ProviderChain([provider('empty', []), provider('full', [{ time: 1 }])]);
+    expect(chain.providerOf(await chain.getTimeSeries('BTC'))).toBe('full');
+    
+    const emptyChain = new ProviderChain([provider('a', []), provider('b', new Error('down'))]);
+    const result = await emptyChain.getTimeSeries('BTC');
+    expect(result).toEqual([]);
+    expect(emptyChain.providerOf(result)).toBe('a');
+  });
+  
+  it('tries a failed provider last until its cooldown expires, then recovers it', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const primary = provider('primary', new Error('down'), [{ time: 1 }]);
+    const backup = provider('backup', [{ time: 2 }]);
+    const chain = new ProviderChain([primary, backup], { cooldown: 5000 });
+    
+    expect(chain.providerOf(await chain.getTimeSeries('BTC'))).toBe('backup');
+    
+    // Still cooling down: the backup is asked first and the primary not at all
+    now.mockReturnValue(5999);
+    expect(chain.providerOf(await chain.getTimeSeries('BTC'))).toBe('backup');
+    expect(calls(primary)).toBe(1);
+    
+    now.mockReturnValue(6000);
+    expect(chain.providerOf(await chain.getTimeSeries('BTC'))).toBe('primary');
+    expect(calls(primary)).toBe(2);
+    expect(chain.failures.has('primary')).toBe(false);
+  });
+  
+  it('still tries providers that are cooling down when no healthy one is left', async () => {
+    const primary = provider('primary', new Error('down'), [{ time: 1 }]);
+    const chain = new ProviderChain([primary]);
+    
+    await expect(chain.getTimeSeries('BTC')).rejects.toThrow('down');
+    expect(chain.providerOf(await chain.getTimeSeries('BTC'))).toBe('primary');
+  });
+  
+  it('reports every provider failing as unavailable data listing each error', async () => {
+    const chain = new ProviderChain([
+      provider('primary', new Error('down')),
+      provider('backup', new RateLimitedError('slow down'))
+    ]);
+    
+    const error = await chain.getTimeSeries('BTC').catch(e => e);
+    
+    expect(error).toBeInstanceOf(DataUnavailableError);
+    expect(error.code).toBe('DATA_UNAVAILABLE');
+    expect(error.message).toBe('All data providers failed for getTimeSeries(BTC): primary: down; backup: slow down');
+    expect(error.details).toEqual({
+      method: 'getTimeSeries',
+      errors: [
+        { provider: 'primary', code: 'UNKNOWN', message: 'down' },
+        { provider: 'backup', code: 'RATE_LIMITED', message: 'slow down' }
+      ]
+    });
+  });
+  
+  it('keeps a cause shared by every provider as the error type', async () => {
+    const chain = new ProviderChain([
+      provider('primary', new RateLimitedError('slow down')),
+      provider('backup', new RateLimitedError('too many requests'))
+    ]);
+    
+    await expect(chain.getTimeSeries('BTC')).rejects.toBeInstanceOf(RateLimitedError);
+  });
+  
+  it('rejects methods no provider supports', async () => {
+    const chain = new ProviderChain([provider('primary', [])]);
+    
+    await expect(chain.getEcosystemCoins('solana')).rejects.toBeInstanceOf(AdapterMissingError);
+    expect(chain.names).toEqual(['primary']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+const { withTimeout } = require('../utils/task-queue');
+const { PROVIDER_METHODS } = require('./data-provider');
+const { RateLimitedError, SentimentError, isRateLimitError } = require('../errors');
+
+/**
+ * Wrap an adapter so every data method call waits for the shared rate limiter
+ * and fails if it takes longer than the timeout
+ *
+ * Upstream rate limit rejections (HTTP 429 and similar) are rethrown as RateLimitedError,
+ * and timeouts as TimeoutError.
+ *
+ * The wrapper is a transparent proxy: properties and instanceof checks still see the
+ * underlying adapter, and the adapter's own internal calls are not limited twice.
+ * @param {Object} adapter - Data adapter
+ * @param {Object} [options] - Wrapper options
+ * @param {Object} [options.limiter] - Shared limiter exposing acquire() (e.g. a TokenBucket)
+ * @param {number} [options.timeout] - Per-call timeout in milliseconds (0 disables it)
+ * @param {Array<string>} [options.methods] - Methods to wrap (defaults to the provider contract and getNews)
+ * @returns {Object} - Rate-limited adapter
+ */
+function createRateLimitedAdapter(adapter, options = {}) {
+  const { limiter, timeout } = options;
+  const methods = new Set(options.methods || [...PROVIDER_METHODS, 'getNews']);
+  const wrapped = new Map();
+  
+  return new Proxy(adapter, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      
+      // Only data methods are wrapped; everything else passes straight through
+      if (typeof value !== 'function' || !methods.has(property)) {
+        return value;
+      }
+      
+      if (!wrapped.has(property)) {
+        wrapped.set(property, async (...args) => {
+          if (limiter) await limiter.acquire();
+          try {
+            return await withTimeout(
+              target[property](...args),
+              timeout,
+              `Adapter call ${property} timed out after ${timeout}ms`
+            );
+          } catch (error) {
+            if (!(error instanceof SentimentError) && isRateLimitError(error)) {
+              throw new RateLimitedError(`Adapter call ${property} was rate limited: ${error.message}`, {
+                method: property,
+                cause: error
+              });
+            }
+            throw error;
+          }
+        });
+      }
+      
+      return wrapped.get(property);
+    }
+  });
+}
+
+module.exports = { createRateLimitedAdapter };
\ No newline at end of file
@@ -0,0 +1,95 @@
+const { createRateLimitedAdapter } = require('./rate-limited-adapter');
+const { TokenBucket } = require('../utils/rate-limiter');
+const { DataUnavailableError, RateLimitedError, TimeoutError } = require('../errors');
+
+class StubAdapter {
+  constructor() {
+    this.name = 'stub';
+    this.getTimeSeries = jest.fn(async () => [{ time: 1 }]);
+  }
+  
+  async getSocialMetrics(asset) {
+    return { asset, series: await this.getTimeSeries(asset) };
+  }
+}
+
+describe('createRateLimitedAdapter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('fails calls that outlive the timeout with a TIMEOUT error', async () => {
+    const adapter = new StubAdapter();
+    adapter.getTimeSeries.mockReturnValue(new Promise(() => {}));
+    const limited = createRateLimitedAdapter(adapter, { timeout: 1000 });
+    
+    const call = limited.getTimeSeries('BTC', '1d', 7);
+    const result = expect(call).rejects.toMatchObject({
+      code: 'TIMEOUT',
+      message: 'Adapter call getTimeSeries timed out after 1000ms',
+      details: { timeout: 1000 }
+    });
+    
+    await jest.advanceTimersByTimeAsync(999);
+    expect(jest.getTimerCount()).toBe(1);
+    
+    await jest.advanceTimersByTimeAsync(1);
+    await result;
+    await expect(call).rejects.toBeInstanceOf(TimeoutError);
+  });
+  
+  it('returns results that arrive within the timeout', async () => {
+    const adapter = new StubAdapter();
+    const limited = createRateLimitedAdapter(adapter, { timeout: 1000 });
+    
+    expect(await limited.getTimeSeries('BTC', '1d', 7)).toEqual([{ time: 1 }]);
+    expect(adapter.getTimeSeries).toHaveBeenCalledWith('BTC', '1d', 7);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+  
+  it('waits for the shared limiter before each call', async () => {
+    const adapter = new StubAdapter();
+    const limiter = new TokenBucket({ rate: 1, capacity: 1 });
+    const limited = createRateLimitedAdapter(adapter, { limiter });
+    
+    const calls = [limited.getTimeSeries('BTC'), limited.getTimeSeries('ETH')];
+    await jest.advanceTimersByTimeAsync(0);
+    expect(adapter.getTimeSeries).toHaveBeenCalledTimes(1);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(adapter.getTimeSeries).toHaveBeenCalledTimes(2);
+    await Promise.all(calls);
+  });
+  
+  it('rethrows upstream rate limit rejections as RateLimitedError', async () => {
+    const adapter = new StubAdapter();
+    const upstream = Object.assign(new Error('Request failed'), { response: { status: 429 } });
+    adapter.getTimeSeries.mockRejectedValueOnce(upstream);
+    const limited = createRateLimitedAdapter(adapter);
+    
+    const error = await limited.getTimeSeries('BTC').catch(e => e);
+    expect(error).toBeInstanceOf(RateLimitedError);
+    expect(error).toMatchObject({ code: 'RATE_LIMITED', details: { method: 'getTimeSeries' }, cause: upstream });
+    
+    const typed = new DataUnavailableError('rate limit unknown for BTC');
+    adapter.getTimeSeries.mockRejectedValueOnce(typed);
+    await expect(limited.getTimeSeries('BTC')).rejects.toBe(typed);
+  });
+  
+  it('passes everything else through to the adapter without limiting internal calls twice', async () => {
+    const adapter = new StubAdapter();
+    const limiter = { acquire: jest.fn(async () => {}) };
+    const limited = createRateLimitedAdapter(adapter, { limiter });
+    
+    expect(limited.name).toBe('stub');
+    expect(limited).toBeInstanceOf(StubAdapter);
+    expect(limited.getTimeSeries).toBe(limited.getTimeSeries);
+    
+    expect(await limited.getSocialMetrics('BTC')).toEqual({ asset: 'BTC', series: [{ time: 1 }] });
+    expect(limiter.acquire).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
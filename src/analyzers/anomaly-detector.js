@@ -0,0 +1,328 @@
+const { EventEmitter } = require('events');
+const { mean, standardDeviation, median, medianAbsoluteDeviation } = require('../utils/statistics');
+const { TimeSeriesValidator } = require('../utils/data-quality');
+const { parseTimeframe, parseDuration, normalizeInterval, selectRange } = require('../utils/duration');
+const { AdapterMissingError, DataUnavailableError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Anomaly event types
+ */
+const ANOMALY_TYPES = {
+  Z_SCORE: 'zscore_spike',
+  MEDIAN_DEVIATION: 'median_deviation',
+  REGIME_BREAK: 'regime_break',
+  DIVERGENCE: 'sentiment_price_divergence'
+};
+
+/**
+ * Anomaly severity levels
+ */
+const SEVERITY = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+/**
+ * Time series fields monitored for anomalies
+ */
+const METRICS = {
+  galaxyScore: 'galaxyScore',
+  socialScore: 'socialScore',
+  socialVolume: 'socialVolume',
+  socialContributors: 'socialContributors',
+  volume: 'volume'
+};
+
+/**
+ * Default detector configuration
+ */
+const DEFAULT_CONFIG = {
+  lookback: 20, // Rolling baseline length in points
+  zThreshold: 2.5, // Z-score to flag a spike
+  madThreshold: 3.5, // Robust (median/MAD) z-score to flag a deviation
+  regimeWindow: 7, // Points on each side of a regime break
+  regimeThreshold: 2, // Mean shift in pooled standard deviations of both windows
+  divergenceWindow: 7, // Points over which price and sentiment changes are compared
+  divergencePriceChange: 0.05, // Minimum absolute price change (5%)
+  divergenceSentimentChange: 1 // Minimum sentiment change in baseline standard deviations
+};
+
+/**
+ * Detector for abnormal moves in sentiment and social activity
+ * Emits an 'anomaly' event for each detected anomaly
+ */
+class SentimentAnomalyDetector extends EventEmitter {
+  /**
+   * Create a new anomaly detector
+   * @param {Object} dataProvider - Data provider (provider chain or normalized adapter)
+   * @param {Object} [options] - Detector configuration (see DEFAULT_CONFIG)
+   * @param {Object} [options.validator] - Time series validator; the default one reports outliers
+   *   without repairing them, since they are what the detector looks for
+   * @param {Object} [options.logger] - Logger with an error method (defaults to console)
+   */
+  constructor(dataProvider, options = {}) {
+    super();
+    const { validator, logger, ...config } = options;
+    this.provider = dataProvider;
+    this.logger = logger || console;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.validator = validator || new TimeSeriesValidator({ outliers: 'keep' });
+  }
+  
+  /**
+   * Detect anomalies for an asset
+   * Points before the timeframe are fetched as a baseline for its first points, but only anomalies
+   * within the timeframe are reported
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} [options] - Detection options
+   * @param {string|Object} [options.timeframe='30d'] - Time window or { from, to } range
+   * @param {string} [options.interval] - Data interval (defaults to one suited to the timeframe)
+   * @param {boolean} [options.latestOnly=false] - Only report anomalies on the most recent point
+   * @returns {Promise<Array<Object>>} - Anomaly events
+   */
+  async detect(asset, options = {}) {
+    if (!this.provider) {
+      throw new AdapterMissingError('A data provider is required for anomaly detection');
+    }
+    
+    const range = parseTimeframe(options.timeframe || '30d');
+    const interval = options.interval ? normalizeInterval(options.interval) : range.interval;
+    const { lookback, regimeWindow, divergenceWindow } = this.config;
+    const warmup = Math.max(lookback, 2 * regimeWindow - 1, divergenceWindow) * parseDuration(interval);
+    
+    // Durations end now, so their start is only known once the request is made
+    const window = range.from !== null ? range : { ...range, from: Date.now() - range.ms, to: Infinity };
+    
+    try {
+      const timeSeriesData = await this.provider.getTimeSeries(asset, interval, range.days + warmup / DAY_MS);
+      
+      if (!timeSeriesData || timeSeriesData.length === 0) {
+        throw new DataUnavailableError(`No time series data available for ${asset}`, { asset });
+      }
+      
+      const { series } = this.validator.validate(selectRange(timeSeriesData, window, warmup));
+      let anomalies = selectRange(this.detectSeries(series, { asset }), window);
+      if (options.latestOnly) {
+        anomalies = anomalies.filter(a => a.index === series.length - 1);
+      }
+      
+      for (const anomaly of anomalies) {
+        this.emit('anomaly', anomaly);
+      }
+      
+      return anomalies;
+    } catch (error) {
+      this.logger.error(`Error detecting sentiment anomalies for ${asset}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Detect anomalies in a time series without emitting events
+   * @param {Array<Object>} timeSeriesData - Time series points (oldest first)
+   * @param {Object} [context] - Extra fields copied onto every event (e.g. { asset })
+   * @returns {Array<Object>} - Anomaly events ordered by time
+   */
+  detectSeries(timeSeriesData, context = {}) {
+    const anomalies = [];
+    
+    for (const [field, metric] of Object.entries(METRICS)) {
+      const values = timeSeriesData.map(d => d[field]);
+      if (values.every(v => typeof v !== 'number')) continue;
+      
+      const numeric = values.map(v => (typeof v === 'number' ? v : null));
+      anomalies.push(...this._detectSpikes(timeSeriesData, numeric, field, metric));
+      anomalies.push(...this._detectRegimeBreaks(timeSeriesData, numeric, field, metric));
+    }
+    
+    anomalies.push(...this._detectDivergences(timeSeriesData));
+    
+    return anomalies
+      .map(anomaly => ({ ...context, ...anomaly }))
+      .sort((a, b) => a.index - b.index);
+  }
+  
+  /**
+   * Flag z-score and rolling-median deviations against a trailing baseline
+   * @private
+   * @param {Array<Object>} data - Time series points
+   * @param {Array<number|null>} values - Metric values
+   * @param {string} field - Time series field
+   * @param {string} metric - Metric name
+   * @returns {Array<Object>} - Anomaly events
+   */
+  _detectSpikes(data, values, field, metric) {
+    const { lookback, zThreshold, madThreshold } = this.config;
+    const anomalies = [];
+    
+    for (let i = lookback; i < values.length; i++) {
+      const value = values[i];
+      if (value === null) continue;
+      
+      const baseline = values.slice(i - lookback, i).filter(v => v !== null);
+      if (baseline.length < Math.ceil(lookback / 2)) continue;
+      
+      const std = standardDeviation(baseline);
+      const avg = mean(baseline);
+      if (std > 0) {
+        const z = (value - avg) / std;
+        if (Math.abs(z) >= zThreshold) {
+          anomalies.push(this._event(ANOMALY_TYPES.Z_SCORE, data, i, {
+            metric, field, value, baseline: avg, magnitude: z,
+            severity: this._severity(Math.abs(z) / zThreshold),
+            message: `${metric} ${z > 0 ? 'spiked' : 'dropped'} ${Math.abs(z).toFixed(1)} standard deviations from its ${lookback}-point mean`
+          }));
+        }
+      }
+      
+      // Robust z-score (0.6745 scales MAD to a standard deviation for normal data)
+      const center = median(baseline);
+      const mad = medianAbsoluteDeviation(baseline);
+      if (mad > 0) {
+        const robustZ = 0.6745 * (value - center) / mad;
+        if (Math.abs(robustZ) >= madThreshold) {
+          anomalies.push(this._event(ANOMALY_TYPES.MEDIAN_DEVIATION, data, i, {
+            metric, field, value, baseline: center, magnitude: robustZ,
+            severity: this._severity(Math.abs(robustZ) / madThreshold),
+            message: `${metric} deviated ${Math.abs(robustZ).toFixed(1)} robust deviations from its ${lookback}-point median`
+          }));
+        }
+      }
+    }
+    
+    return anomalies;
+  }
+  
+  /**
+   * Flag shifts in the level of a metric between adjacent windows
+   * Only the first point of each break is reported
+   * @private
+   * @param {Array<Object>} data - Time series points
+   * @param {Array<number|null>} values - Metric values
+   * @param {string} field - Time series field
+   * @param {string} metric - Metric name
+   * @returns {Array<Object>} - Anomaly events
+   */
+  _detectRegimeBreaks(data, values, field, metric) {
+    const { regimeWindow, regimeThreshold } = this.config;
+    const anomalies = [];
+    let inBreak = false;
+    
+    for (let i = 2 * regimeWindow - 1; i < values.length; i++) {
+      const before = values.slice(i - 2 * regimeWindow + 1, i - regimeWindow + 1).filter(v => v !== null);
+      const after = values.slice(i - regimeWindow + 1, i + 1).filter(v => v !== null);
+      if (before.length < 2 || after.length < 2) continue;
+      
+      const std = Math.sqrt((Math.pow(standardDeviation(before), 2) + Math.pow(standardDeviation(after), 2)) / 2);
+      const shift = mean(after) - mean(before);
+      const magnitude = std > 0 ? shift / std : 0;
+      const isBreak = Math.abs(magnitude) >= regimeThreshold;
+      
+      if (isBreak && !inBreak) {
+        anomalies.push(this._event(ANOMALY_TYPES.REGIME_BREAK, data, i, {
+          metric, field, value: mean(after), baseline: mean(before), magnitude,
+          severity: this._severity(Math.abs(magnitude) / regimeThreshold),
+          message: `${metric} shifted to a ${shift > 0 ? 'higher' : 'lower'} regime over the last ${regimeWindow} points`
+        }));
+      }
+      inBreak = isBreak;
+    }
+    
+    return anomalies;
+  }
+  
+  /**
+   * Flag windows where Galaxy Score and price move in opposite directions
+   * @private
+   * @param {Array<Object>} data - Time series points
+   * @returns {Array<Object>} - Anomaly events
+   */
+  _detectDivergences(data) {
+    const { divergenceWindow, divergencePriceChange, divergenceSentimentChange, lookback } = this.config;
+    const anomalies = [];
+    let inDivergence = false;
+    
+    for (let i = divergenceWindow; i < data.length; i++) {
+      const start = data[i - divergenceWindow];
+      const end = data[i];
+      if (!(start.price > 0) || !(end.price > 0) ||
+          typeof start.galaxyScore !== 'number' || typeof end.galaxyScore !== 'number') {
+        inDivergence = false;
+        continue;
+      }
+      
+      const baseline = data.slice(Math.max(0, i - lookback), i)
+        .map(d => d.galaxyScore)
+        .filter(v => typeof v === 'number');
+      const std = standardDeviation(baseline);
+      
+      const priceChange = end.price / start.price - 1;
+      const sentimentChange = std > 0 ? (end.galaxyScore - start.galaxyScore) / std : 0;
+      
+      const isDivergence = Math.abs(priceChange) >= divergencePriceChange &&
+        Math.abs(sentimentChange) >= divergenceSentimentChange &&
+        Math.sign(priceChange) !== Math.sign(sentimentChange);
+      
+      if (isDivergence && !inDivergence) {
+        const bullish = sentimentChange > 0;
+        anomalies.push(this._event(ANOMALY_TYPES.DIVERGENCE, data, i, {
+          metric: 'galaxyScore',
+          field: 'galaxyScore',
+          value: end.galaxyScore,
+          baseline: start.galaxyScore,
+          magnitude: sentimentChange,
+          priceChange,
+          direction: bullish ? 'bullish' : 'bearish',
+          severity: this._severity(Math.min(
+            Math.abs(priceChange) / divergencePriceChange,
+            Math.abs(sentimentChange) / divergenceSentimentChange
+          )),
+          message: `Price ${priceChange > 0 ? 'rose' : 'fell'} ${(Math.abs(priceChange) * 100).toFixed(1)}% while sentiment ${bullish ? 'improved' : 'deteriorated'} over ${divergenceWindow} points`
+        }));
+      }
+      inDivergence = isDivergence;
+    }
+    
+    return anomalies;
+  }
+  
+  /**
+   * Build an anomaly event
+   * @private
+   * @param {string} type - Anomaly type
+   * @param {Array<Object>} data - Time series points
+   * @param {number} index - Index of the anomalous point
+   * @param {Object} details - Type-specific fields
+   * @returns {Object} - Anomaly event
+   */
+  _event(type, data, index, details) {
+    return {
+      type,
+      index,
+      time: data[index].time,
+      direction: details.magnitude > 0 ? 'up' : 'down',
+      ...details
+    };
+  }
+  
+  /**
+   * Map how far past its threshold an anomaly is to a severity level
+   * @private
+   * @param {number} ratio - Magnitude divided by threshold (>= 1)
+   * @returns {string} - Severity level
+   */
+  _severity(ratio) {
+    if (ratio >= 2) return SEVERITY.HIGH;
+    if (ratio >= 1.4) return SEVERITY.MEDIUM;
+    return SEVERITY.LOW;
+  }
+}
+
+module.exports = {
+  SentimentAnomalyDetector,
+  ANOMALY_TYPES,
+  SEVERITY
+};
\ No newline at end of file
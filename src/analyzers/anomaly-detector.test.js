@@ -0,0 +1,58 @@
+const { SentimentAnomalyDetector, ANOMALY_TYPES } = require('./anomaly-detector');
+
+const DAY_SECONDS = 24 * 60 * 60;
+const silentLogger = { error() {} };
+
+/**
+ * Provider serving 60 daily points ending yesterday, with Galaxy Score spikes `daysAgo` days back
+ */
+function createProvider(...daysAgo) {
+  const end = Math.floor(Date.now() / 1000 / DAY_SECONDS) * DAY_SECONDS;
+  const timeSeries = Array.from({ length: 60 }, (_, i) => ({
+    time: end - (59 - i) * DAY_SECONDS,
+    price: 100 + Math.sin(i * 0.7),
+    galaxyScore: 50 + 2 * Math.sin(i * 1.3) + (daysAgo.includes(59 - i) ? 30 : 0)
+  }));
+  return {
+    timeSeries,
+    getTimeSeries: jest.fn(async (asset, interval, days) => timeSeries.slice(-Math.ceil(days)))
+  };
+}
+
+const spikeTimes = anomalies => anomalies
+  .filter(anomaly => anomaly.type === ANOMALY_TYPES.Z_SCORE)
+  .map(anomaly => anomaly.time);
+
+describe('SentimentAnomalyDetector.detect', () => {
+  it('fetches a baseline before the timeframe so its first points can be flagged', async () => {
+    const provider = createProvider(5);
+    const detector = new SentimentAnomalyDetector(provider, { logger: silentLogger });
+    const anomalies = await detector.detect('AAA', { timeframe: '7d' });
+    
+    expect(provider.getTimeSeries).toHaveBeenCalledWith('AAA', '1d', 27);
+    expect(spikeTimes(anomalies)).toEqual([provider.timeSeries[54].time]);
+  });
+  
+  it('only reports anomalies within the timeframe', async () => {
+    const provider = createProvider(5, 25);
+    const detector = new SentimentAnomalyDetector(provider, { logger: silentLogger });
+    
+    const week = await detector.detect('AAA', { timeframe: '7d' });
+    const month = await detector.detect('AAA', { timeframe: '30d' });
+    expect(spikeTimes(week)).toEqual([provider.timeSeries[54].time]);
+    expect(spikeTimes(month)).toEqual([provider.timeSeries[34].time, provider.timeSeries[54].time]);
+    expect(month.every(anomaly => anomaly.time >= provider.timeSeries[30].time)).toBe(true);
+  });
+  
+  it('uses the points before an explicit range as its baseline', async () => {
+    const provider = createProvider(5, 25);
+    const detector = new SentimentAnomalyDetector(provider, { logger: silentLogger });
+    const anomalies = await detector.detect('AAA', {
+      timeframe: { from: provider.timeSeries[32].time, to: provider.timeSeries[40].time }
+    });
+    
+    expect(spikeTimes(anomalies)).toEqual([provider.timeSeries[34].time]);
+    expect(anomalies.every(anomaly => anomaly.time >= provider.timeSeries[32].time)).toBe(true);
+    expect(anomalies.every(anomaly => anomaly.time <= provider.timeSeries[40].time)).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,267 @@
+const { standardDeviation } = require('../utils/statistics');
+const { TimeSeriesValidator } = require('../utils/data-quality');
+const { parseTimeframe, normalizeInterval, selectRange } = require('../utils/duration');
+const { servingProvider } = require('../adapters/provider-chain');
+const { AdapterMissingError, DataUnavailableError } = require('../errors');
+
+/**
+ * Divergence types
+ */
+const DIVERGENCE_TYPES = {
+  BULLISH: 'bullish', // Price makes a lower low while sentiment makes a higher low
+  BEARISH: 'bearish' // Price makes a higher high while sentiment makes a lower high
+};
+
+/**
+ * Sentiment fields compared against price
+ */
+const METRICS = {
+  galaxyScore: 'galaxyScore',
+  socialScore: 'socialScore'
+};
+
+/**
+ * Default detector configuration
+ */
+const DEFAULT_CONFIG = {
+  pivotWindow: 3, // Points on each side a price pivot must dominate
+  minPivotDistance: 3, // Minimum points between the two pivots of a divergence
+  maxPivotDistance: 60, // Maximum points between the two pivots of a divergence
+  minPriceChange: 0.01, // Minimum relative price difference between pivots (1%)
+  minSentimentChange: 1, // Minimum sentiment difference between pivots (score points)
+  horizon: 7 // Points after confirmation over which the subsequent return is measured
+};
+
+/**
+ * Detector for price/sentiment divergences at price pivots
+ *
+ * Consecutive price swing lows (or highs) are compared with the sentiment readings at the
+ * same points. A divergence is confirmed `pivotWindow` points after its second pivot; its
+ * strength only uses data up to that confirmation and the subsequent return is measured from
+ * it, so neither contains look-ahead.
+ */
+class DivergenceDetector {
+  /**
+   * Create a new divergence detector
+   * @param {Object} dataProvider - Data provider (provider chain or normalized adapter)
+   * @param {Object} [options] - Detector configuration (see DEFAULT_CONFIG)
+   * @param {Object} [options.validator] - Time series validator (defaults to a TimeSeriesValidator)
+   * @param {Object} [options.logger] - Logger with an error method (defaults to console)
+   */
+  constructor(dataProvider, options = {}) {
+    const { validator, logger, ...config } = options;
+    this.provider = dataProvider;
+    this.logger = logger || console;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.validator = validator || new TimeSeriesValidator();
+  }
+  
+  /**
+   * Detect divergences for an asset
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} [options] - Detection options
+   * @param {string|Object} [options.timeframe='90d'] - Time window or { from, to } range
+   * @param {string} [options.interval] - Data interval (defaults to one suited to the timeframe)
+   * @returns {Promise<Object>} - { divergences, summary, dataQuality, provider }
+   */
+  async detect(asset, options = {}) {
+    if (!this.provider) {
+      throw new AdapterMissingError('A data provider is required for divergence detection');
+    }
+    
+    const range = parseTimeframe(options.timeframe || '90d');
+    const interval = options.interval ? normalizeInterval(options.interval) : range.interval;
+    
+    try {
+      const timeSeriesData = await this.provider.getTimeSeries(asset, interval, range.days);
+      
+      if (!timeSeriesData || timeSeriesData.length === 0) {
+        throw new DataUnavailableError(`No time series data available for ${asset}`, { asset });
+      }
+      
+      const { series, report } = this.validator.validate(selectRange(timeSeriesData, range));
+      return {
+        ...this.detectSeries(series),
+        dataQuality: report,
+        provider: servingProvider(this.provider, timeSeriesData)
+      };
+    } catch (error) {
+      this.logger.error(`Error detecting sentiment divergences for ${asset}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Detect divergences in a time series
+   * @param {Array<Object>} timeSeriesData - Time series points (oldest first)
+   * @returns {Object} - { divergences, summary }
+   */
+  detectSeries(timeSeriesData) {
+    const points = timeSeriesData.filter(d => d.price > 0);
+    const prices = points.map(d => d.price);
+    
+    const lows = this._pivots(prices, (a, b) => a < b);
+    const highs = this._pivots(prices, (a, b) => a > b);
+    
+    const divergences = [];
+    for (const [field, metric] of Object.entries(METRICS)) {
+      const values = points.map(d => (typeof d[field] === 'number' ? d[field] : null));
+      if (values.every(v => v === null)) continue;
+      
+      const context = { points, values, field, metric };
+      
+      divergences.push(...this._compare(lows, DIVERGENCE_TYPES.BULLISH, context));
+      divergences.push(...this._compare(highs, DIVERGENCE_TYPES.BEARISH, context));
+    }
+    
+    divergences.sort((a, b) => a.end.index - b.end.index || a.metric.localeCompare(b.metric));
+    
+    return {
+      divergences,
+      summary: this._summarize(divergences)
+    };
+  }
+  
+  /**
+   * Find confirmed price pivots
+   * @private
+   * @param {Array<number>} prices - Prices
+   * @param {Function} beats - Comparator returning true when the first price is more extreme
+   * @returns {Array<number>} - Pivot indices
+   */
+  _pivots(prices, beats) {
+    const { pivotWindow } = this.config;
+    const pivots = [];
+    
+    for (let i = pivotWindow; i + pivotWindow < prices.length; i++) {
+      let isPivot = true;
+      for (let j = i - pivotWindow; j <= i + pivotWindow && isPivot; j++) {
+        // Ties to the left are allowed so a flat bottom (or top) yields one pivot at its end
+        if (j < i && beats(prices[j], prices[i])) isPivot = false;
+        if (j > i && !beats(prices[i], prices[j])) isPivot = false;
+      }
+      if (isPivot) pivots.push(i);
+    }
+    
+    return pivots;
+  }
+  
+  /**
+   * Compare consecutive pivots for a divergence between price and sentiment
+   * @private
+   * @param {Array<number>} pivots - Pivot indices
+   * @param {string} type - Divergence type the pivots can produce
+   * @param {Object} context - Series context
+   * @returns {Array<Object>} - Divergence events
+   */
+  _compare(pivots, type, context) {
+    const { minPivotDistance, maxPivotDistance, minPriceChange, minSentimentChange } = this.config;
+    const { points, values } = context;
+    const divergences = [];
+    
+    for (let k = 1; k < pivots.length; k++) {
+      const first = pivots[k - 1];
+      const second = pivots[k];
+      const distance = second - first;
+      if (distance < minPivotDistance || distance > maxPivotDistance) continue;
+      if (values[first] === null || values[second] === null) continue;
+      
+      const priceChange = points[second].price / points[first].price - 1;
+      const sentimentChange = values[second] - values[first];
+      
+      const isDivergence = type === DIVERGENCE_TYPES.BULLISH
+        ? priceChange <= -minPriceChange && sentimentChange >= minSentimentChange
+        : priceChange >= minPriceChange && sentimentChange <= -minSentimentChange;
+      
+      if (isDivergence) {
+        divergences.push(this._event(type, first, second, priceChange, sentimentChange, context));
+      }
+    }
+    
+    return divergences;
+  }
+  
+  /**
+   * Create a divergence event
+   * @private
+   * @param {string} type - Divergence type
+   * @param {number} first - Index of the first pivot
+   * @param {number} second - Index of the second pivot
+   * @param {number} priceChange - Relative price change between pivots
+   * @param {number} sentimentChange - Sentiment change between pivots
+   * @param {Object} context - Series context
+   * @returns {Object} - Divergence event
+   */
+  _event(type, first, second, priceChange, sentimentChange, context) {
+    const { pivotWindow, horizon } = this.config;
+    const { points, values, field, metric } = context;
+    const confirmed = second + pivotWindow;
+    
+    // Volatilities of log returns and sentiment changes up to confirmation
+    const prices = points.slice(0, confirmed + 1).map(d => d.price);
+    const returnVolatility = standardDeviation(prices.slice(1).map((p, i) => Math.log(p / prices[i])));
+    const sentimentVolatility = standardDeviation(values.slice(1, confirmed + 1)
+      .map((v, i) => (v !== null && values[i] !== null ? v - values[i] : null))
+      .filter(v => v !== null));
+    
+    // Each leg's move in standard deviations of its own changes over the same distance;
+    // the geometric mean requires both legs to be meaningful
+    const scale = Math.sqrt(second - first);
+    const priceZ = returnVolatility > 0 ? Math.abs(Math.log(1 + priceChange)) / (returnVolatility * scale) : 0;
+    const sentimentZ = sentimentVolatility > 0 ? Math.abs(sentimentChange) / (sentimentVolatility * scale) : 0;
+    const strength = Math.round(Math.sqrt(priceZ * sentimentZ) * 100) / 100;
+    
+    const exit = confirmed + horizon;
+    const subsequentReturn = exit < points.length ? points[exit].price / points[confirmed].price - 1 : null;
+    
+    const point = index => ({ index, time: points[index].time, price: points[index].price, sentiment: values[index] });
+    
+    return {
+      type,
+      metric,
+      field,
+      start: point(first),
+      end: point(second),
+      confirmedAt: { index: confirmed, time: points[confirmed].time, price: points[confirmed].price },
+      priceChange,
+      sentimentChange,
+      strength,
+      grade: strength >= 1.5 ? 'strong' : strength >= 0.75 ? 'moderate' : 'weak',
+      horizon,
+      subsequentReturn
+    };
+  }
+  
+  /**
+   * Summarize how divergences played out
+   * @private
+   * @param {Array<Object>} divergences - Divergence events
+   * @returns {Object} - Counts and hit rates per type
+   */
+  _summarize(divergences) {
+    const summary = {};
+    
+    for (const type of Object.values(DIVERGENCE_TYPES)) {
+      const events = divergences.filter(d => d.type === type);
+      const resolved = events.filter(d => d.subsequentReturn !== null);
+      const direction = type === DIVERGENCE_TYPES.BULLISH ? 1 : -1;
+      const hits = resolved.filter(d => Math.sign(d.subsequentReturn) === direction).length;
+      
+      summary[type] = {
+        count: events.length,
+        resolved: resolved.length,
+        hitRate: resolved.length > 0 ? hits / resolved.length : null,
+        averageReturn: resolved.length > 0
+          ? resolved.reduce((sum, d) => sum + d.subsequentReturn, 0) / resolved.length
+          : null
+      };
+    }
+    
+    return summary;
+  }
+}
+
+module.exports = {
+  DivergenceDetector,
+  DIVERGENCE_TYPES
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+const { DivergenceDetector, DIVERGENCE_TYPES } = require('./divergence-detector');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Swing lows at 5 (90) and 15 (85, a lower low) around a single swing high at 10, then a rally
+const LOWER_LOWS = [
+  100, 98, 96, 94, 92, 90,
+  92, 94, 96, 98, 100,
+  97, 94, 91, 88, 85,
+  ...Array.from({ length: 14 }, (_, i) => 87 + 2 * i)
+];
+
+/**
+ * Daily points pairing each price with a galaxy score
+ */
+function fixture(prices, sentiment) {
+  return prices.map((price, i) => ({ time: i * DAY_SECONDS, price, galaxyScore: sentiment(i) }));
+}
+
+describe('DivergenceDetector', () => {
+  const detector = new DivergenceDetector(null);
+  
+  it('finds a bullish divergence where price makes a lower low on rising sentiment', () => {
+    const series = fixture(LOWER_LOWS, i => 38 + i * 0.8);
+    const { divergences, summary } = detector.detectSeries(series);
+    
+    expect(divergences).toHaveLength(1);
+    const [divergence] = divergences;
+    expect(divergence).toMatchObject({
+      type: DIVERGENCE_TYPES.BULLISH,
+      metric: 'galaxyScore',
+      start: { index: 5, price: 90, sentiment: 42 },
+      end: { index: 15, price: 85, sentiment: 50 },
+      confirmedAt: { index: 18, time: 18 * DAY_SECONDS, price: 91 },
+      horizon: 7
+    });
+    expect(divergence.priceChange).toBeCloseTo(85 / 90 - 1, 10);
+    expect(divergence.sentimentChange).toBeCloseTo(8, 10);
+    expect(divergence.subsequentReturn).toBeCloseTo(105 / 91 - 1, 10);
+    expect(summary.bullish).toMatchObject({ count: 1, resolved: 1, hitRate: 1 });
+    expect(summary.bearish).toMatchObject({ count: 0, hitRate: null });
+  });
+  
+  it('finds a bearish divergence where price makes a higher high on falling sentiment', () => {
+    const series = fixture(LOWER_LOWS.map(price => 200 - price), i => 62 - i * 0.8);
+    const { divergences, summary } = detector.detectSeries(series);
+    
+    expect(divergences).toHaveLength(1);
+    expect(divergences[0]).toMatchObject({
+      type: DIVERGENCE_TYPES.BEARISH,
+      start: { index: 5, price: 110, sentiment: 58 },
+      end: { index: 15, price: 115, sentiment: 50 },
+      confirmedAt: { index: 18, price: 109 }
+    });
+    expect(divergences[0].subsequentReturn).toBeCloseTo(95 / 109 - 1, 10);
+    expect(summary.bearish).toMatchObject({ count: 1, resolved: 1, hitRate: 1 });
+  });
+  
+  it('ignores pivots where sentiment confirms price', () => {
+    const series = fixture(LOWER_LOWS, i => 62 - i * 0.8);
+    
+    expect(detector.detectSeries(series).divergences).toEqual([]);
+  });
+  
+  it('only reports a divergence once the data confirming its pivot is available', () => {
+    const series = fixture(LOWER_LOWS, i => 38 + i * 0.8);
+    const [full] = detector.detectSeries(series).divergences;
+    
+    for (let length = 1; length <= series.length; length++) {
+      const { divergences } = detector.detectSeries(series.slice(0, length));
+      if (length <= full.confirmedAt.index) {
+        expect(divergences).toEqual([]);
+        continue;
+      }
+      
+      // Everything but the forward return is fixed at confirmation; later points cannot change it
+      const resolved = length > full.confirmedAt.index + full.horizon;
+      expect(divergences).toEqual([{ ...full, subsequentReturn: resolved ? full.subsequentReturn : null }]);
+    }
+  });
+  
+  it('finds nothing in monotone series', () => {
+    const rising = fixture(Array.from({ length: 40 }, (_, i) => 100 + i), i => 70 - i);
+    const falling = fixture(Array.from({ length: 40 }, (_, i) => 140 - i), i => 30 + i);
+    
+    for (const series of [rising, falling]) {
+      const { divergences, summary } = detector.detectSeries(series);
+      expect(divergences).toEqual([]);
+      expect(summary).toEqual({
+        bullish: { count: 0, resolved: 0, hitRate: null, averageReturn: null },
+        bearish: { count: 0, resolved: 0, hitRate: null, averageReturn: null }
+      });
+    }
+  });
+});
\ No newline at end of file
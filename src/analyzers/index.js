@@ -1,7 +1,16 @@
 const { SocialSentimentAnalyzer } = require('./social-sentiment');
 const { MarketSentimentAnalyzer } = require('./market-sentiment');
+const { NewsSentimentAnalyzer } = require('./news-sentiment');
+const { SentimentAnomalyDetector, ANOMALY_TYPES, SEVERITY } = require('./anomaly-detector');
+const { DivergenceDetector, DIVERGENCE_TYPES } = require('./divergence-detector');
 
 module.exports = {
   SocialSentimentAnalyzer,
-  MarketSentimentAnalyzer
+  MarketSentimentAnalyzer,
+  NewsSentimentAnalyzer,
+  SentimentAnomalyDetector,
+  ANOMALY_TYPES,
+  SEVERITY,
+  DivergenceDetector,
+  DIVERGENCE_TYPES
 };
\ No newline at end of file
@@ -0,0 +1,254 @@
+const { calculateTrend } = require('../utils/scoring');
+const { calculateIndicators } = require('../utils/indicators');
+const { TextSentimentScorer } = require('../text/text-scorer');
+const { servingProvider } = require('../adapters/provider-chain');
+const { TimeSeriesValidator } = require('../utils/data-quality');
+const { parseTimeframe, selectRange } = require('../utils/duration');
+const { standardDeviation } = require('../utils/statistics');
+const { AdapterMissingError, DataUnavailableError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Analyzer for news sentiment
+ * Scores article text from any adapter implementing getNews(asset, days), and falls back
+ * to provider-supplied news sentiment (`newsSentiment`) in the time series when no articles are available
+ */
+class NewsSentimentAnalyzer {
+  /**
+   * Create a new news sentiment analyzer
+   * @param {Array<Object>} newsAdapters - Adapters implementing getNews(asset, days)
+   * @param {Object} dataProvider - Data provider (time series fallback)
+   * @param {Object} cache - SentimentCache instance
+   * @param {Object} [options] - Analyzer options
+   * @param {Object} [options.scorer] - Text scorer (defaults to the built-in lexicon scorer)
+   * @param {Object} [options.validator] - Time series validator (defaults to a TimeSeriesValidator)
+   * @param {Object} [options.logger] - Logger with warn and error methods (defaults to console)
+   */
+  constructor(newsAdapters, dataProvider, cache, options = {}) {
+    this.newsAdapters = newsAdapters || [];
+    this.provider = dataProvider;
+    this.cache = cache;
+    this.scorer = options.scorer || new TextSentimentScorer();
+    this.validator = options.validator || new TimeSeriesValidator();
+    this.logger = options.logger || console;
+  }
+  
+  /**
+   * Check whether any news data source is configured
+   * @returns {boolean} - True if articles or a time series fallback can be fetched
+   */
+  isAvailable() {
+    return this.newsAdapters.length > 0 || Boolean(this.provider);
+  }
+  
+  /**
+   * Analyze news sentiment for an asset
+   * @param {string} asset - Asset symbol or name
+   * @param {string|Object} timeframe - Time window ('4h', '7d', etc.) or { from, to } range
+   * @returns {Promise<Object>} - News sentiment analysis
+   */
+  async analyze(asset, timeframe) {
+    if (!this.isAvailable()) {
+      throw new AdapterMissingError('A news adapter or data provider is required for news sentiment analysis');
+    }
+    
+    const range = parseTimeframe(timeframe);
+    const cacheKey = `news_sentiment_${asset}_${range.label}`;
+    return this.cache.wrap(cacheKey, async () => {
+      try {
+        const articles = this._selectArticles(await this._fetchArticles(asset, range.days), range);
+        
+        const result = articles.length > 0
+          ? this.analyzeArticles(articles)
+          : await this._analyzeTimeSeries(asset, range);
+        
+        return result;
+      } catch (error) {
+        this.logger.error(`Error analyzing news sentiment for ${asset}:`, error);
+        throw error;
+      }
+    }, { method: 'news', assets: [asset] });
+  }
+  
+  /**
+   * Score and aggregate a set of articles
+   * @param {Array<Object|string>} articles - Articles ({ title, description, body, publishedAt }) or raw text
+   * @returns {Object} - News sentiment analysis
+   */
+  analyzeArticles(articles) {
+    const texts = articles.map(article => ({
+      text: this._articleText(article),
+      time: this._articleTime(article)
+    })).filter(a => a.text);
+    
+    if (texts.length === 0) {
+      throw new DataUnavailableError('No article text available for news sentiment analysis');
+    }
+    
+    const aggregate = this.scorer.scoreMany(texts.map(a => a.text));
+    
+    // Build a daily series of average article scores to derive the trend
+    const dailyScores = new Map();
+    aggregate.scores.forEach((s, i) => {
+      if (texts[i].time === null) return;
+      const day = Math.floor(texts[i].time / DAY_MS);
+      const bucket = dailyScores.get(day) || [];
+      bucket.push(s.score);
+      dailyScores.set(day, bucket);
+    });
+    
+    const dailyAverages = Array.from(dailyScores.entries())
+      .sort((a, b) => b[0] - a[0]) // Newest first
+      .map(([, scores]) => scores.reduce((sum, val) => sum + val, 0) / scores.length);
+    
+    const times = texts.map(a => a.time).filter(time => time !== null);
+    
+    return {
+      score: aggregate.score,
+      normalized: aggregate.score / 100, // Normalize to 0-1
+      trend: calculateTrend(dailyAverages),
+      indicators: calculateIndicators([...dailyAverages].reverse()), // Oldest first
+      articleCount: aggregate.count,
+      sampleSize: aggregate.count,
+      standardError: aggregate.count > 1
+        ? standardDeviation(aggregate.scores.map(s => s.score)) / Math.sqrt(aggregate.count)
+        : undefined,
+      asOf: times.length > 0 ? Math.max(...times) : undefined,
+      distribution: {
+        positive: aggregate.positive,
+        negative: aggregate.negative,
+        neutral: aggregate.neutral
+      },
+      method: 'text',
+      source: 'news'
+    };
+  }
+  
+  /**
+   * Fetch articles from every configured news adapter
+   * @private
+   * @param {string} asset - Asset symbol or name
+   * @param {number} days - Lookback in days
+   * @returns {Promise<Array<Object>>} - Articles from all adapters that responded
+   */
+  async _fetchArticles(asset, days) {
+    const articles = [];
+    
+    for (const adapter of this.newsAdapters) {
+      try {
+        const result = await adapter.getNews(asset, days);
+        if (Array.isArray(result)) articles.push(...result);
+      } catch (error) {
+        this.logger.warn(`Error fetching news for ${asset}:`, error.message);
+      }
+    }
+    
+    return articles;
+  }
+  
+  /**
+   * Drop articles published outside an explicit range
+   * Articles without a publication time are kept
+   * @private
+   * @param {Array<Object|string>} articles - Articles
+   * @param {Object} range - Parsed timeframe
+   * @returns {Array<Object|string>} - Articles within the range
+   */
+  _selectArticles(articles, range) {
+    if (range.from === null) return articles;
+    
+    return articles.filter(article => {
+      const time = this._articleTime(article);
+      return time === null || (time >= range.from && time <= range.to);
+    });
+  }
+  
+  /**
+   * Derive news sentiment from provider-supplied `newsSentiment` values in the time series
+   * @private
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} range - Parsed timeframe
+   * @returns {Promise<Object>} - News sentiment analysis
+   */
+  async _analyzeTimeSeries(asset, range) {
+    if (!this.provider) {
+      throw new DataUnavailableError(`No news articles available for ${asset}`, { asset });
+    }
+    
+    const timeSeriesData = await this.provider.getTimeSeries(asset, range.interval, range.days);
+    const { series, report } = this.validator.validate(selectRange(timeSeriesData, range));
+    return {
+      ...this.analyzeSeries(series),
+      provider: servingProvider(this.provider, timeSeriesData),
+      dataQuality: report
+    };
+  }
+  
+  /**
+   * Compute news sentiment from provider-supplied `newsSentiment` values in a time series window
+   * @param {Array<Object>} timeSeriesData - Time series points (oldest first)
+   * @returns {Object} - News sentiment analysis
+   */
+  analyzeSeries(timeSeriesData) {
+    const newsSentiment = timeSeriesData
+      .filter(d => typeof d.newsSentiment === 'number')
+      .map(d => d.newsSentiment);
+    
+    if (newsSentiment.length === 0) {
+      throw new DataUnavailableError('No news sentiment data available in time series');
+    }
+    
+    // Calculate average news sentiment
+    const avgNewsSentiment = newsSentiment.reduce((sum, val) => sum + val, 0) / newsSentiment.length;
+    
+    return {
+      score: avgNewsSentiment,
+      normalized: avgNewsSentiment / 100, // Normalize to 0-1
+      trend: calculateTrend([...newsSentiment].reverse()), // Newest first
+      indicators: calculateIndicators(newsSentiment),
+      articleCount: timeSeriesData.reduce((sum, d) => sum + (d.articleCount || 0), 0), // Article count if available
+      sampleSize: newsSentiment.length,
+      standardError: newsSentiment.length > 1
+        ? standardDeviation(newsSentiment) / Math.sqrt(newsSentiment.length)
+        : undefined,
+      method: 'timeseries',
+      source: 'news'
+    };
+  }
+  
+  /**
+   * Extract scoreable text from an article
+   * @private
+   * @param {Object|string} article - Article object or raw text
+   * @returns {string} - Article text
+   */
+  _articleText(article) {
+    if (typeof article === 'string') return article;
+    if (!article) return '';
+    
+    const body = article.description || article.summary || article.body || article.text || '';
+    return [article.title || article.headline, body].filter(Boolean).join('. ');
+  }
+  
+  /**
+   * Extract a publication timestamp from an article
+   * @private
+   * @param {Object|string} article - Article object or raw text
+   * @returns {number|null} - Timestamp in milliseconds, or null if unknown
+   */
+  _articleTime(article) {
+    if (!article || typeof article !== 'object') return null;
+    
+    const value = article.publishedAt || article.published_at || article.time || article.date;
+    if (value === undefined || value === null) return null;
+    
+    // Numeric timestamps below 1e12 are treated as seconds
+    const time = typeof value === 'number'
+      ? (value < 1e12 ? value * 1000 : value)
+      : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+  }
+}
+
+module.exports = { NewsSentimentAnalyzer };
\ No newline at end of file
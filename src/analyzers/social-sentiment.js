@@ -1,4 +1,9 @@
 const { calculateTrend } = require('../utils/scoring');
+const { calculateIndicators } = require('../utils/indicators');
+const { servingProvider } = require('../adapters/provider-chain');
+const { TimeSeriesValidator } = require('../utils/data-quality');
+const { parseTimeframe, selectRange } = require('../utils/duration');
+const { AdapterMissingError, DataUnavailableError } = require('../errors');
 
 /**
  * Analyzer for social sentiment data
@@ -6,145 +11,100 @@ const { calculateTrend } = require('../utils/scoring');
 class SocialSentimentAnalyzer {
   /**
    * Create a new social sentiment analyzer
-   * @param {Object} lunarcrushAdapter - LunarCrush adapter instance
-   * @param {Object} cache - Cache instance
+   * @param {Object} dataProvider - Data provider (provider chain or normalized adapter)
+   * @param {Object} cache - SentimentCache instance
+   * @param {Object} [options] - Analyzer options
+   * @param {Object} [options.validator] - Time series validator (defaults to a TimeSeriesValidator)
+   * @param {Object} [options.logger] - Logger with warn and error methods (defaults to console)
    */
-  constructor(lunarcrushAdapter, cache) {
-    this.lunarcrush = lunarcrushAdapter;
+  constructor(dataProvider, cache, options = {}) {
+    this.provider = dataProvider;
     this.cache = cache;
+    this.validator = options.validator || new TimeSeriesValidator();
+    this.logger = options.logger || console;
   }
   
   /**
    * Analyze social sentiment for an asset
+   * Durations are scored from the current social metrics, explicit ranges from the last social
+   * score recorded within them
    * @param {string} asset - Asset symbol or name
-   * @param {string} timeframe - Time window ('1d', '7d', etc.)
+   * @param {string|Object} timeframe - Time window ('4h', '7d', etc.) or { from, to } range
    * @returns {Promise<Object>} - Social sentiment analysis
    */
   async analyze(asset, timeframe) {
-    if (!this.lunarcrush) {
-      throw new Error('LunarCrush adapter is required for social sentiment analysis');
+    if (!this.provider) {
+      throw new AdapterMissingError('A data provider is required for social sentiment analysis');
     }
     
-    const cacheKey = `social_sentiment_${asset}_${timeframe}`;
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult) return cachedResult;
-    
-    try {
-      // Get social metrics from LunarCrush
-      const metrics = await this.lunarcrush.getSocialMetrics(asset, this._periodToDays(timeframe));
-      
-      // Get historical time series to calculate trend
-      const timeSeriesData = await this.lunarcrush.getTimeSeries(
-        asset, 
-        '1d', 
-        this._periodToDays(timeframe)
-      );
-      
-      // Calculate sentiment score (0-100)
-      const sentimentScore = metrics.sentiment || 0;
-      
-      // Calculate engagement metrics
-      const engagement = {
-        volume: metrics.socialVolume || 0,
-        participants: timeSeriesData.reduce((sum, d) => sum + (d.sc || 0), 0),
-        intensity: metrics.engagement || 0
-      };
-      
-      // Calculate trend over time
-      const sentimentValues = timeSeriesData.map(d => d.gs || 0).reverse(); // Newest first
-      const trend = calculateTrend(sentimentValues);
-      
-      const result = {
-        score: sentimentScore,
-        normalized: sentimentScore / 100, // Normalize to 0-1
-        trend,
-        engagement,
-        source: 'social'
-      };
-      
-      this.cache.set(cacheKey, result);
-      return result;
-    } catch (error) {
-      console.error(`Error analyzing social sentiment for ${asset}:`, error);
-      throw error;
-    }
+    const range = parseTimeframe(timeframe);
+    const cacheKey = `social_sentiment_${asset}_${range.label}`;
+    return this.cache.wrap(cacheKey, async () => {
+      try {
+        // Get current social metrics; a past range is scored from its own series instead
+        const metrics = range.from === null ? await this.provider.getSocialMetrics(asset, range.days) : undefined;
+        
+        // Get historical time series to calculate trend
+        const timeSeriesData = await this.provider.getTimeSeries(asset, range.interval, range.days);
+        
+        const { series, report } = this.validator.validate(selectRange(timeSeriesData, range));
+        const result = {
+          ...this.analyzeSeries(series, metrics),
+          provider: servingProvider(this.provider, timeSeriesData),
+          dataQuality: report
+        };
+        
+        return result;
+      } catch (error) {
+        this.logger.error(`Error analyzing social sentiment for ${asset}:`, error);
+        throw error;
+      }
+    }, { method: 'social', assets: [asset] });
   }
   
   /**
-   * Analyze news sentiment for an asset
-   * @param {string} asset - Asset symbol or name
-   * @param {string} timeframe - Time window ('1d', '7d', etc.)
-   * @returns {Promise<Object>} - News sentiment analysis
+   * Compute social sentiment from a time series window
+   * @param {Array<Object>} timeSeriesData - Time series points (oldest first)
+   * @param {Object} [metrics] - Current social metrics; when omitted the latest point's social score is used
+   * @returns {Object} - Social sentiment analysis
    */
-  async analyzeNewsSentiment(asset, timeframe) {
-    if (!this.lunarcrush) {
-      throw new Error('LunarCrush adapter is required for news sentiment analysis');
-    }
-    
-    const cacheKey = `news_sentiment_${asset}_${timeframe}`;
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult) return cachedResult;
+  analyzeSeries(timeSeriesData, metrics) {
+    const current = metrics || {};
+    const latest = field => {
+      for (let i = timeSeriesData.length - 1; i >= 0; i--) {
+        if (typeof timeSeriesData[i][field] === 'number') return timeSeriesData[i][field];
+      }
+      return undefined;
+    };
     
-    try {
-      // Get time series data which includes news metrics
-      const timeSeriesData = await this.lunarcrush.getTimeSeries(
-        asset, 
-        '1d', 
-        this._periodToDays(timeframe)
-      );
-      
-      // Extract news sentiment from time series
-      // Note: LunarCrush doesn't provide direct news sentiment, so we approximate
-      // using available metrics or use mock data for this example
-      const newsSentiment = timeSeriesData.map(d => {
-        // Check if data has news metrics, otherwise use an approximation
-        const newsSentiment = d.ns || d.ss * 0.8 + Math.random() * 20; // Approx based on social score
-        return newsSentiment;
-      });
-      
-      // Calculate average news sentiment
-      const avgNewsSentiment = newsSentiment.reduce((sum, val) => sum + val, 0) / newsSentiment.length;
-      
-      // Calculate trend
-      const trend = calculateTrend(newsSentiment.reverse()); // Newest first
-      
-      const result = {
-        score: avgNewsSentiment,
-        normalized: avgNewsSentiment / 100, // Normalize to 0-1
-        trend,
-        articleCount: timeSeriesData.reduce((sum, d) => sum + (d.an || 0), 0), // Article count if available
-        source: 'news'
-      };
-      
-      this.cache.set(cacheKey, result);
-      return result;
-    } catch (error) {
-      console.error(`Error analyzing news sentiment for ${asset}:`, error);
-      throw error;
+    // Calculate sentiment score (0-100), falling back to the latest recorded social score
+    const sentimentScore = typeof current.sentiment === 'number' ? current.sentiment : latest('socialScore');
+    if (typeof sentimentScore !== 'number') {
+      throw new DataUnavailableError('No social sentiment data available');
     }
-  }
-  
-  /**
-   * Convert time period string to days
-   * @private
-   * @param {string} period - Time period (e.g., '1d', '7d', '30d')
-   * @returns {number} - Number of days
-   */
-  _periodToDays(period) {
-    const match = period.match(/^(\d+)([hdwmy])$/);
-    if (!match) return 7; // Default to 7 days
     
-    const [, value, unit] = match;
-    const numValue = parseInt(value, 10);
+    // Calculate engagement metrics
+    const engagement = {
+      volume: typeof current.socialVolume === 'number' ? current.socialVolume : latest('socialVolume') || 0,
+      participants: timeSeriesData.reduce((sum, d) => sum + (d.socialContributors || 0), 0),
+      intensity: current.engagement || 0
+    };
     
-    switch (unit) {
-      case 'h': return numValue / 24; // hours to days
-      case 'd': return numValue; // already days
-      case 'w': return numValue * 7; // weeks to days
-      case 'm': return numValue * 30; // months to days (approx)
-      case 'y': return numValue * 365; // years to days (approx)
-      default: return 7;
-    }
+    // Calculate trend over time, skipping points without a Galaxy Score rather than counting them as 0
+    const sentimentValues = timeSeriesData
+      .filter(d => typeof d.galaxyScore === 'number')
+      .map(d => d.galaxyScore);
+    const trend = calculateTrend([...sentimentValues].reverse()); // Newest first
+    
+    return {
+      score: sentimentScore,
+      normalized: sentimentScore / 100, // Normalize to 0-1
+      trend,
+      indicators: calculateIndicators(sentimentValues),
+      engagement,
+      sampleSize: sentimentValues.length,
+      source: 'social'
+    };
   }
 }
 
@@ -0,0 +1,49 @@
+const { SocialSentimentAnalyzer } = require('./social-sentiment');
+
+const DAY_SECONDS = 24 * 60 * 60;
+const passthroughCache = { wrap: (key, compute) => compute() };
+const silentLogger = { warn() {}, error() {} };
+
+/**
+ * Provider whose current social score differs from every score in its daily history
+ */
+function createProvider() {
+  const end = Math.floor(Date.now() / 1000 / DAY_SECONDS) * DAY_SECONDS;
+  const timeSeries = Array.from({ length: 60 }, (_, i) => ({
+    time: end - (60 - i) * DAY_SECONDS,
+    price: 100 + i,
+    galaxyScore: 40 + i * 0.5,
+    socialScore: 40 + i * 0.5,
+    socialVolume: 1000 + i
+  }));
+  return {
+    timeSeries,
+    getSocialMetrics: jest.fn(async () => ({ sentiment: 79.9, socialVolume: 5000, engagement: 0.8 })),
+    getTimeSeries: jest.fn(async () => timeSeries)
+  };
+}
+
+describe('SocialSentimentAnalyzer', () => {
+  it('scores durations ending now from the current social metrics', async () => {
+    const provider = createProvider();
+    const result = await new SocialSentimentAnalyzer(provider, passthroughCache, { logger: silentLogger })
+      .analyze('AAA', '7d');
+    
+    expect(result.score).toBe(79.9);
+    expect(result.engagement.volume).toBe(5000);
+    expect(provider.getSocialMetrics).toHaveBeenCalledWith('AAA', 7);
+  });
+  
+  it('scores a historical range from the last social score inside it', async () => {
+    const provider = createProvider();
+    const from = provider.timeSeries[10].time;
+    const to = provider.timeSeries[20].time;
+    const result = await new SocialSentimentAnalyzer(provider, passthroughCache, { logger: silentLogger })
+      .analyze('AAA', { from, to });
+    
+    expect(result.score).toBe(provider.timeSeries[20].socialScore);
+    expect(result.engagement.volume).toBe(provider.timeSeries[20].socialVolume);
+    expect(result.sampleSize).toBe(11);
+    expect(provider.getSocialMetrics).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
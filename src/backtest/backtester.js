@@ -0,0 +1,193 @@
+const SentimentAnalyzer = require('../index');
+const { getSignificance } = require('../utils/scoring');
+const { sharpeRatio, equityCurve, maxDrawdown, summarizeReturns } = require('./metrics');
+const { LUNARCRUSH_TIME_SERIES_FIELDS, mapFields } = require('../adapters/fields');
+
+/**
+ * Default backtest configuration
+ */
+const DEFAULT_CONFIG = {
+  timeframe: '180d',
+  interval: '1d',
+  window: '7d',
+  longThreshold: 60,
+  shortThreshold: 40,
+  confirmTrend: false,
+  allowShort: true,
+  horizon: 1,
+  fee: 0,
+  periodsPerYear: 365
+};
+
+/**
+ * Backtesting harness for sentiment-derived trading signals
+ * Replays historical time series through the same source analyzers and SentimentModel used live
+ */
+class SentimentBacktester {
+  /**
+   * Create a new backtester
+   * @param {Object} [options] - Backtester options
+   * @param {Object} [options.analyzer] - SentimentAnalyzer instance to evaluate
+   * @param {Object} [options.adapter] - Adapter (e.g. a FixtureAdapter) used when no analyzer is given
+   * @param {Object} [options.weights] - Source weights used when no analyzer is given
+   */
+  constructor(options = {}) {
+    this.analyzer = options.analyzer || new SentimentAnalyzer({
+      adapters: { lunarcrush: options.adapter },
+      weights: options.weights
+    });
+  }
+  
+  /**
+   * Run a backtest for an asset
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} [options] - Backtest options
+   * @param {Array<Object>} [options.series] - Recorded time series (oldest first, LunarCrush or normalized keys);
+   *   fetched from the adapter if omitted
+   * @param {string} [options.timeframe='180d'] - Backtest period
+   * @param {string} [options.interval='1d'] - Bar interval
+   * @param {string} [options.window='7d'] - Trailing window scored at each bar
+   * @param {number} [options.longThreshold=60] - Score at or above which the signal is long
+   * @param {number} [options.shortThreshold=40] - Score at or below which the signal is short
+   * @param {boolean} [options.confirmTrend=false] - Require a rising/falling trend to confirm long/short
+   * @param {boolean} [options.allowShort=true] - Allow short signals (otherwise flat)
+   * @param {number} [options.horizon=1] - Forward return horizon in bars
+   * @param {number} [options.fee=0] - Cost per unit of position change, as a fraction
+   * @param {number} [options.periodsPerYear=365] - Bars per year, for Sharpe annualization
+   * @returns {Promise<Object>} - Backtest report
+   */
+  async run(asset, options = {}) {
+    const config = { ...DEFAULT_CONFIG, ...options };
+    delete config.series;
+    
+    const historyOptions = {
+      timeframe: config.timeframe,
+      interval: config.interval,
+      window: config.window
+    };
+    
+    // Recorded series get the same field mapping and validation as fetched ones
+    const recorded = options.series
+      && this.analyzer.validator.validate(options.series.map(point => mapFields(point, LUNARCRUSH_TIME_SERIES_FIELDS)));
+    
+    const history = recorded
+      ? this.analyzer.buildSentimentHistory(recorded.series, historyOptions)
+      : await this.analyzer.getSentimentHistory(asset, historyOptions);
+    
+    return {
+      asset,
+      config,
+      sources: history.sources,
+      ...this.evaluate(history.series, config)
+    };
+  }
+  
+  /**
+   * Evaluate signals over a sentiment history
+   * @param {Array<Object>} points - History points with score, trend and price
+   * @param {Object} [options] - Signal and metric options (see run)
+   * @returns {Object} - { metrics, byBucket, byTrend, signals }
+   */
+  evaluate(points, options = {}) {
+    const config = { ...DEFAULT_CONFIG, ...options };
+    const bars = points.filter(p => typeof p.price === 'number' && p.price > 0);
+    
+    const signals = bars.map((bar, i) => {
+      const exit = bars[i + config.horizon];
+      return {
+        time: bar.time,
+        price: bar.price,
+        score: bar.score,
+        trend: bar.trend,
+        bucket: getSignificance(bar.score),
+        signal: this._signal(bar, config),
+        forwardReturn: exit ? exit.price / bar.price - 1 : null
+      };
+    });
+    
+    // Strategy returns: position taken at each bar's close, held for one bar
+    const strategyReturns = [];
+    let previousPosition = 0;
+    for (let i = 0; i < signals.length - 1; i++) {
+      const position = signals[i].signal;
+      const barReturn = signals[i + 1].price / signals[i].price - 1;
+      const cost = Math.abs(position - previousPosition) * config.fee;
+      strategyReturns.push(position * barReturn - cost);
+      previousPosition = position;
+    }
+    
+    const benchmarkReturns = signals.slice(1).map((s, i) => s.price / signals[i].price - 1);
+    
+    // Hit rate over directional signals with a known outcome
+    const directional = signals.filter(s => s.signal !== 0 && s.forwardReturn !== null);
+    const hits = directional.filter(s => Math.sign(s.forwardReturn) === s.signal).length;
+    
+    const curve = equityCurve(strategyReturns);
+    const benchmarkCurve = equityCurve(benchmarkReturns);
+    
+    return {
+      metrics: {
+        bars: signals.length,
+        signals: directional.length,
+        hitRate: directional.length > 0 ? hits / directional.length : null,
+        exposure: strategyReturns.length > 0
+          ? signals.slice(0, -1).filter(s => s.signal !== 0).length / strategyReturns.length
+          : 0,
+        totalReturn: curve.length > 0 ? curve[curve.length - 1] - 1 : 0,
+        benchmarkReturn: benchmarkCurve.length > 0 ? benchmarkCurve[benchmarkCurve.length - 1] - 1 : 0,
+        sharpe: sharpeRatio(strategyReturns, config.periodsPerYear),
+        benchmarkSharpe: sharpeRatio(benchmarkReturns, config.periodsPerYear),
+        maxDrawdown: maxDrawdown(strategyReturns),
+        benchmarkMaxDrawdown: maxDrawdown(benchmarkReturns)
+      },
+      byBucket: this._groupForwardReturns(signals, s => s.bucket,
+        ['very negative', 'negative', 'neutral', 'positive', 'very positive']),
+      byTrend: this._groupForwardReturns(signals, s => s.trend, ['falling', 'stable', 'rising']),
+      signals
+    };
+  }
+  
+  /**
+   * Derive a long (1), flat (0) or short (-1) signal from a history point
+   * @private
+   * @param {Object} point - History point
+   * @param {Object} config - Signal configuration
+   * @returns {number} - Signal
+   */
+  _signal(point, config) {
+    if (point.score >= config.longThreshold &&
+        (!config.confirmTrend || point.trend === 'rising')) {
+      return 1;
+    }
+    
+    if (config.allowShort && point.score <= config.shortThreshold &&
+        (!config.confirmTrend || point.trend === 'falling')) {
+      return -1;
+    }
+    
+    return 0;
+  }
+  
+  /**
+   * Summarize forward returns grouped by a label
+   * @private
+   * @param {Array<Object>} signals - Evaluated signals
+   * @param {Function} getLabel - Function returning the group label of a signal
+   * @param {Array<string>} labels - Groups to report, in order
+   * @returns {Object} - Forward return summaries keyed by label
+   */
+  _groupForwardReturns(signals, getLabel, labels) {
+    const groups = {};
+    for (const label of labels) {
+      groups[label] = summarizeReturns(signals
+        .filter(s => getLabel(s) === label && s.forwardReturn !== null)
+        .map(s => s.forwardReturn));
+    }
+    return groups;
+  }
+}
+
+module.exports = {
+  SentimentBacktester,
+  DEFAULT_CONFIG
+};
\ No newline at end of file
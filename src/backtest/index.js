@@ -0,0 +1,10 @@
+const { SentimentBacktester } = require('./backtester');
+const { sharpeRatio, equityCurve, maxDrawdown, summarizeReturns } = require('./metrics');
+
+module.exports = {
+  SentimentBacktester,
+  sharpeRatio,
+  equityCurve,
+  maxDrawdown,
+  summarizeReturns
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { mean, median } = require('../utils/statistics');
+
+/**
+ * Performance metrics for backtest return series
+ */
+
+/**
+ * Calculate the sample standard deviation of an array
+ * @private
+ * @param {Array<number>} values - Values
+ * @returns {number} - Standard deviation (0 for fewer than two values)
+ */
+function sampleStandardDeviation(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  const variance = values.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Calculate the annualized Sharpe ratio of periodic returns (risk-free rate of 0)
+ * @param {Array<number>} returns - Periodic returns
+ * @param {number} [periodsPerYear=365] - Number of periods per year
+ * @returns {number} - Annualized Sharpe ratio (0 when returns have no variance)
+ */
+function sharpeRatio(returns, periodsPerYear = 365) {
+  const std = sampleStandardDeviation(returns);
+  if (std === 0) return 0;
+  return (mean(returns) / std) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Build a compounded equity curve from periodic returns
+ * @param {Array<number>} returns - Periodic returns
+ * @param {number} [initial=1] - Starting equity
+ * @returns {Array<number>} - Equity after each period
+ */
+function equityCurve(returns, initial = 1) {
+  const curve = [];
+  let equity = initial;
+  for (const r of returns) {
+    equity *= 1 + r;
+    curve.push(equity);
+  }
+  return curve;
+}
+
+/**
+ * Calculate the maximum peak-to-trough drawdown of periodic returns
+ * @param {Array<number>} returns - Periodic returns
+ * @returns {number} - Maximum drawdown as a positive fraction (e.g. 0.25 for -25%)
+ */
+function maxDrawdown(returns) {
+  let peak = 1;
+  let worst = 0;
+  for (const equity of equityCurve(returns)) {
+    peak = Math.max(peak, equity);
+    worst = Math.max(worst, (peak - equity) / peak);
+  }
+  return worst;
+}
+
+/**
+ * Summarize a set of forward returns
+ * @param {Array<number>} returns - Forward returns
+ * @returns {Object} - { count, mean, median, positiveRate }
+ */
+function summarizeReturns(returns) {
+  if (returns.length === 0) {
+    return { count: 0, mean: null, median: null, positiveRate: null };
+  }
+  
+  return {
+    count: returns.length,
+    mean: mean(returns),
+    median: median(returns),
+    positiveRate: returns.filter(r => r > 0).length / returns.length
+  };
+}
+
+module.exports = {
+  sharpeRatio,
+  equityCurve,
+  maxDrawdown,
+  summarizeReturns
+};
\ No newline at end of file
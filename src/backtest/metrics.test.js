@@ -0,0 +1,64 @@
+const { sharpeRatio, equityCurve, maxDrawdown, summarizeReturns } = require('./metrics');
+
+describe('backtest metrics', () => {
+  describe('sharpeRatio', () => {
+    it('annualizes the mean over the sample standard deviation', () => {
+      // Mean 0.01; squared deviations sum to 0.0016 over 3 degrees of freedom
+      const returns = [0.03, -0.01, 0.03, -0.01];
+      
+      expect(sharpeRatio(returns, 4)).toBeCloseTo((0.01 / Math.sqrt(0.0016 / 3)) * 2, 10);
+      expect(sharpeRatio(returns)).toBeCloseTo((0.01 / Math.sqrt(0.0016 / 3)) * Math.sqrt(365), 10);
+    });
+    
+    it('is 0 without variance', () => {
+      expect(sharpeRatio([0.01, 0.01, 0.01])).toBe(0);
+      expect(sharpeRatio([0.05])).toBe(0);
+      expect(sharpeRatio([])).toBe(0);
+    });
+    
+    it('is negative for losing strategies', () => {
+      expect(sharpeRatio([-0.02, 0.01, -0.03])).toBeLessThan(0);
+    });
+  });
+  
+  describe('equityCurve', () => {
+    it('compounds returns from the initial equity', () => {
+      const curve = equityCurve([0.1, -0.5, 1], 100);
+      
+      expect(curve.map(value => Math.round(value * 1e6) / 1e6)).toEqual([110, 55, 110]);
+      expect(equityCurve([])).toEqual([]);
+    });
+  });
+  
+  describe('maxDrawdown', () => {
+    it('measures the worst fall from a running peak', () => {
+      // Equity 1.1, 0.55, 1.1, 1.21, 0.968: the 50% fall outweighs the later 20% one
+      expect(maxDrawdown([0.1, -0.5, 1, 0.1, -0.2])).toBeCloseTo(0.5, 10);
+      expect(maxDrawdown([0.1, 0.1, -0.2])).toBeCloseTo(0.2, 10);
+    });
+    
+    it('counts losses from the starting equity', () => {
+      expect(maxDrawdown([-0.1, -0.1])).toBeCloseTo(0.19, 10);
+    });
+    
+    it('is 0 for series that never fall', () => {
+      expect(maxDrawdown([0.01, 0, 0.02])).toBe(0);
+      expect(maxDrawdown([])).toBe(0);
+    });
+  });
+  
+  describe('summarizeReturns', () => {
+    it('reports the count, mean, median and share of positive returns', () => {
+      expect(summarizeReturns([0.04, -0.02, 0, 0.1])).toEqual({
+        count: 4,
+        mean: expect.closeTo(0.03, 10),
+        median: expect.closeTo(0.02, 10),
+        positiveRate: 0.5
+      });
+    });
+    
+    it('reports nulls for no returns', () => {
+      expect(summarizeReturns([])).toEqual({ count: 0, mean: null, median: null, positiveRate: null });
+    });
+  });
+});
\ No newline at end of file
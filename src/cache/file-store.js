@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Cache store keeping one JSON file per entry in a directory
+ * Entries survive restarts and can be shared by processes on the same machine. Writes go through
+ * a temporary file and a rename, so concurrent readers never see a partial entry.
+ * Values must be JSON-serializable.
+ */
+class FileStore {
+  /**
+   * Create a new file store
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding the cache files (created if missing)
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('FileStore requires a directory');
+    }
+    
+    this.directory = options.directory;
+    this.ready = null;
+  }
+  
+  /**
+   * Get a value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Stored value, or undefined if missing or expired
+   */
+  async get(key) {
+    const file = this._file(key);
+    const record = await this._read(file);
+    if (!record || record.key !== key) return undefined;
+    
+    if (record.expires !== null && record.expires <= Date.now()) {
+      await this._unlink(file);
+      return undefined;
+    }
+    return record.value;
+  }
+  
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} [options] - Entry options
+   * @param {number} [options.ttl=Infinity] - Milliseconds until the entry expires
+   * @param {Array<string>} [options.tags] - Tags for deleteTagged
+   * @returns {Promise<void>}
+   */
+  async set(key, value, options = {}) {
+    const ttl = options.ttl !== undefined ? options.ttl : Infinity;
+    const record = {
+      key,
+      value,
+      expires: Number.isFinite(ttl) ? Date.now() + ttl : null,
+      tags: options.tags || []
+    };
+    
+    if (!this.ready) {
+      this.ready = fs.promises.mkdir(this.directory, { recursive: true });
+    }
+    await this.ready;
+    
+    const file = this._file(key);
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(record));
+    await fs.promises.rename(temp, file);
+  }
+  
+  /**
+   * Delete a value
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} - True if an entry was removed
+   */
+  async delete(key) {
+    return this._unlink(this._file(key));
+  }
+  
+  /**
+   * Delete every value stored with a tag
+   * @param {string} tag - Tag
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async deleteTagged(tag) {
+    let removed = 0;
+    for (const file of await this._files()) {
+      const record = await this._read(file);
+      if (record && Array.isArray(record.tags) && record.tags.includes(tag) && await this._unlink(file)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+  
+  /**
+   * Delete every value
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    for (const file of await this._files()) {
+      await this._unlink(file);
+    }
+  }
+  
+  /**
+   * Path of the file holding a key
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} - File path
+   */
+  _file(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+  
+  /**
+   * List the cache files in the directory
+   * @private
+   * @returns {Promise<Array<string>>} - File paths
+   */
+  async _files() {
+    try {
+      const names = await fs.promises.readdir(this.directory);
+      return names.filter(name => name.endsWith('.json')).map(name => path.join(this.directory, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+  
+  /**
+   * Read a cache file
+   * @private
+   * @param {string} file - File path
+   * @returns {Promise<Object|null>} - Stored record, or null if missing or unreadable
+   */
+  async _read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      // Missing files are cache misses; corrupt ones are treated the same and overwritten later
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove a cache file
+   * @private
+   * @param {string} file - File path
+   * @returns {Promise<boolean>} - True if the file was removed
+   */
+  async _unlink(file) {
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = { FileStore };
\ No newline at end of file
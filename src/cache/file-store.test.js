@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('./file-store');
+
+describe('FileStore', () => {
+  let directory;
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  it('requires a directory', () => {
+    expect(() => new FileStore()).toThrow('directory');
+  });
+  
+  it('persists values across instances and creates the directory', async () => {
+    const nested = path.join(directory, 'cache');
+    await new FileStore({ directory: nested }).set('BTC_7d', { score: 64 });
+    
+    expect(await new FileStore({ directory: nested }).get('BTC_7d')).toEqual({ score: 64 });
+    expect(fs.readdirSync(nested).every(name => name.endsWith('.json'))).toBe(true);
+  });
+  
+  it('expires entries and removes their files', async () => {
+    const store = new FileStore({ directory });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    await store.set('a', 1, { ttl: 500 });
+    
+    expect(await store.get('a')).toBe(1);
+    now.mockReturnValue(1500);
+    expect(await store.get('a')).toBeUndefined();
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+  
+  it('treats missing and corrupt files as misses', async () => {
+    const store = new FileStore({ directory });
+    await store.set('a', 1);
+    fs.writeFileSync(store._file('a'), '{"key": "a", "val');
+    
+    expect(await store.get('a')).toBeUndefined();
+    expect(await store.get('never-written')).toBeUndefined();
+  });
+  
+  it('deletes single entries, tagged entries and everything', async () => {
+    const store = new FileStore({ directory });
+    await store.set('a', 1, { tags: ['asset:BTC'] });
+    await store.set('b', 2, { tags: ['asset:BTC', 'asset:ETH'] });
+    await store.set('c', 3, { tags: ['asset:ETH'] });
+    
+    expect(await store.delete('c')).toBe(true);
+    expect(await store.delete('c')).toBe(false);
+    expect(await store.deleteTagged('asset:BTC')).toBe(2);
+    expect(await store.get('a')).toBeUndefined();
+    
+    await store.set('d', 4);
+    await store.clear();
+    expect(fs.readdirSync(directory)).toEqual([]);
+    expect(await new FileStore({ directory: path.join(directory, 'missing') }).deleteTagged('asset:BTC')).toBe(0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,13 @@
+const { SentimentCache } = require('./sentiment-cache');
+const { MemoryStore } = require('./memory-store');
+const { FileStore } = require('./file-store');
+const { RedisStore } = require('./redis-store');
+const { LocalRedisClient } = require('./local-redis-client');
+
+module.exports = {
+  SentimentCache,
+  MemoryStore,
+  FileStore,
+  RedisStore,
+  LocalRedisClient
+};
\ No newline at end of file
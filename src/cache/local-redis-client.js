@@ -0,0 +1,211 @@
+/**
+ * In-process stand-in for a Redis client
+ * Implements the subset of ioredis commands used by RedisStore with the same semantics, so the
+ * Redis-backed cache can be exercised without a server. Data is not shared between processes.
+ */
+class LocalRedisClient {
+  constructor() {
+    this.data = new Map();
+    
+    // Keys are numbered as they are written so SCAN cursors survive deletions
+    this.sequence = 0;
+  }
+  
+  /**
+   * GET key
+   * @param {string} key - Key
+   * @returns {Promise<string|null>} - String value, or null if missing
+   */
+  async get(key) {
+    const entry = this._entry(key);
+    if (!entry) return null;
+    if (typeof entry.value !== 'string') throw this._wrongType();
+    return entry.value;
+  }
+  
+  /**
+   * SET key value [PX milliseconds]
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @param {...*} args - Optional 'PX', milliseconds
+   * @returns {Promise<string>} - 'OK'
+   */
+  async set(key, value, ...args) {
+    let expires = null;
+    const px = args.findIndex(arg => String(arg).toUpperCase() === 'PX');
+    if (px !== -1) {
+      const ms = Number(args[px + 1]);
+      if (!(ms > 0)) throw new Error('ERR invalid expire time in \'set\' command');
+      expires = Date.now() + ms;
+    }
+    
+    this.data.set(key, { value: String(value), expires, id: ++this.sequence });
+    return 'OK';
+  }
+  
+  /**
+   * DEL key [key ...]
+   * @param {...string} keys - Keys
+   * @returns {Promise<number>} - Number of keys removed
+   */
+  async del(...keys) {
+    return keys.filter(key => this._entry(key) && this.data.delete(key)).length;
+  }
+  
+  /**
+   * SADD key member [member ...]
+   * @param {string} key - Set key
+   * @param {...string} members - Members
+   * @returns {Promise<number>} - Number of members added
+   */
+  async sadd(key, ...members) {
+    let entry = this._entry(key);
+    if (!entry) {
+      entry = { value: new Set(), expires: null, id: ++this.sequence };
+      this.data.set(key, entry);
+    }
+    if (!(entry.value instanceof Set)) throw this._wrongType();
+    
+    const size = entry.value.size;
+    members.forEach(member => entry.value.add(String(member)));
+    return entry.value.size - size;
+  }
+  
+  /**
+   * SMEMBERS key
+   * @param {string} key - Set key
+   * @returns {Promise<Array<string>>} - Members (empty if the set does not exist)
+   */
+  async smembers(key) {
+    const entry = this._entry(key);
+    if (!entry) return [];
+    if (!(entry.value instanceof Set)) throw this._wrongType();
+    return Array.from(entry.value);
+  }
+  
+  /**
+   * PTTL key
+   * @param {string} key - Key
+   * @returns {Promise<number>} - Remaining milliseconds, -1 without expiry, -2 if missing
+   */
+  async pttl(key) {
+    const entry = this._entry(key);
+    if (!entry) return -2;
+    return entry.expires === null ? -1 : entry.expires - Date.now();
+  }
+  
+  /**
+   * PEXPIRE key milliseconds
+   * @param {string} key - Key
+   * @param {number} ms - Milliseconds until the key expires
+   * @returns {Promise<number>} - 1 if the expiry was set, 0 if the key is missing
+   */
+  async pexpire(key, ms) {
+    const entry = this._entry(key);
+    if (!entry) return 0;
+    entry.expires = Date.now() + Number(ms);
+    return 1;
+  }
+  
+  /**
+   * PERSIST key
+   * @param {string} key - Key
+   * @returns {Promise<number>} - 1 if an expiry was removed, otherwise 0
+   */
+  async persist(key) {
+    const entry = this._entry(key);
+    if (!entry || entry.expires === null) return 0;
+    entry.expires = null;
+    return 1;
+  }
+  
+  /**
+   * SCAN cursor [MATCH pattern] [COUNT count]
+   * @param {string|number} cursor - Cursor from the previous call ('0' to start)
+   * @param {...*} args - Optional 'MATCH', pattern, 'COUNT', count
+   * @returns {Promise<Array>} - [next cursor ('0' when done), keys]
+   */
+  async scan(cursor, ...args) {
+    const option = name => {
+      const i = args.findIndex(arg => String(arg).toUpperCase() === name);
+      return i === -1 ? undefined : args[i + 1];
+    };
+    const pattern = option('MATCH');
+    const count = Number(option('COUNT')) || 10;
+    const matcher = pattern !== undefined ? this._globToRegExp(String(pattern)) : null;
+    
+    // The cursor is the last key number returned, so deleting scanned keys skips nothing
+    const start = Number(cursor) || 0;
+    const remaining = Array.from(this.data.keys())
+      .filter(key => this._entry(key) && this.data.get(key).id > start)
+      .sort((a, b) => this.data.get(a).id - this.data.get(b).id);
+    const page = remaining.slice(0, count);
+    const next = remaining.length > count ? String(this.data.get(page[page.length - 1]).id) : '0';
+    return [next, page.filter(key => !matcher || matcher.test(key))];
+  }
+  
+  /**
+   * Close the client (no-op, for interface compatibility)
+   * @returns {Promise<string>} - 'OK'
+   */
+  async quit() {
+    return 'OK';
+  }
+  
+  /**
+   * Get a live entry, dropping it if expired
+   * @private
+   * @param {string} key - Key
+   * @returns {Object|undefined} - { value, expires }
+   */
+  _entry(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expires !== null && entry.expires <= Date.now()) {
+      this.data.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+  
+  /**
+   * Convert a Redis glob pattern to a regular expression
+   * @private
+   * @param {string} pattern - Glob pattern (*, ?, [...] and backslash escapes)
+   * @returns {RegExp} - Equivalent regular expression
+   */
+  _globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '\\' && i + 1 < pattern.length) {
+        source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      } else if (char === '*') {
+        source += '.*';
+      } else if (char === '?') {
+        source += '.';
+      } else if (char === '[') {
+        const end = pattern.indexOf(']', i + 1);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          source += `[${pattern.slice(i + 1, end).replace(/\\/g, '\\\\')}]`;
+          i = end;
+        }
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${source}$`, 's');
+  }
+  
+  /**
+   * Error raised when a command is used on a key holding the wrong kind of value
+   * @private
+   * @returns {Error} - WRONGTYPE error
+   */
+  _wrongType() {
+    return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+  }
+}
+
+module.exports = { LocalRedisClient };
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * In-memory cache store with least-recently-used eviction
+ * Values are kept by reference, so cached results must not be mutated
+ */
+class MemoryStore {
+  /**
+   * Create a new memory store
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxEntries=1000] - Entries kept before the least recently used are evicted
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+  
+  /**
+   * Get a value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Stored value, or undefined if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    
+    if (entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    
+    // Re-insert to mark the entry as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+  
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   * @param {Object} [options] - Entry options
+   * @param {number} [options.ttl=Infinity] - Milliseconds until the entry expires
+   * @param {Array<string>} [options.tags] - Tags for deleteTagged
+   * @returns {Promise<void>}
+   */
+  async set(key, value, options = {}) {
+    const ttl = options.ttl !== undefined ? options.ttl : Infinity;
+    
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: Date.now() + ttl, tags: options.tags || [] });
+    
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+  
+  /**
+   * Delete a value
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} - True if an entry was removed
+   */
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+  
+  /**
+   * Delete every value stored with a tag
+   * @param {string} tag - Tag
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async deleteTagged(tag) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.tags.includes(tag)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+  
+  /**
+   * Delete every value
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = { MemoryStore };
\ No newline at end of file
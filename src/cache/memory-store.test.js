@@ -0,0 +1,48 @@
+const { MemoryStore } = require('./memory-store');
+
+describe('MemoryStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('stores values until they expire', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const store = new MemoryStore();
+    await store.set('a', { score: 1 }, { ttl: 1000 });
+    await store.set('b', 'kept');
+    
+    expect(await store.get('a')).toEqual({ score: 1 });
+    jest.setSystemTime(1000);
+    expect(await store.get('a')).toBeUndefined();
+    expect(await store.get('b')).toBe('kept');
+    expect(store.entries.has('a')).toBe(false);
+  });
+  
+  it('evicts the least recently used entries', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+    
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('c')).toBe(3);
+  });
+  
+  it('deletes single entries, tagged entries and everything', async () => {
+    const store = new MemoryStore();
+    await store.set('a', 1, { tags: ['asset:BTC'] });
+    await store.set('b', 2, { tags: ['asset:BTC', 'asset:ETH'] });
+    await store.set('c', 3, { tags: ['asset:ETH'] });
+    await store.set('d', 4);
+    
+    expect(await store.delete('d')).toBe(true);
+    expect(await store.delete('d')).toBe(false);
+    expect(await store.deleteTagged('asset:BTC')).toBe(2);
+    expect(await store.get('c')).toBe(3);
+    
+    await store.clear();
+    expect(await store.get('c')).toBeUndefined();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Cache store backed by a Redis-compatible server, shared by every process using the same prefix
+ *
+ * The client must expose promise-returning, ioredis-style commands: get, set (with 'PX'), del,
+ * sadd, smembers, pttl, pexpire, persist and scan. Tags are kept in Redis sets, so every process sees
+ * the same tags and invalidation in one process removes entries written by the others. Commands are
+ * not batched in a transaction: an entry written while its tag is being invalidated can survive the
+ * invalidation. Values must be JSON-serializable.
+ */
+class RedisStore {
+  /**
+   * Create a new Redis store
+   * @param {Object} options - Store options
+   * @param {Object} options.client - Redis client (e.g. ioredis, or LocalRedisClient for tests)
+   * @param {string} [options.prefix='sentiment:'] - Prefix for every key written by this store
+   */
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('RedisStore requires a client');
+    }
+    
+    this.client = options.client;
+    this.prefix = options.prefix !== undefined ? options.prefix : 'sentiment:';
+  }
+  
+  /**
+   * Get a value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Stored value, or undefined if missing or expired
+   */
+  async get(key) {
+    const raw = await this.client.get(this._key(key));
+    return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+  }
+  
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} [options] - Entry options
+   * @param {number} [options.ttl=Infinity] - Milliseconds until the entry expires
+   * @param {Array<string>} [options.tags] - Tags for deleteTagged
+   * @returns {Promise<void>}
+   */
+  async set(key, value, options = {}) {
+    const ttl = options.ttl !== undefined ? Math.ceil(options.ttl) : Infinity;
+    const raw = JSON.stringify(value);
+    
+    if (Number.isFinite(ttl)) {
+      await this.client.set(this._key(key), raw, 'PX', Math.max(1, ttl));
+    } else {
+      await this.client.set(this._key(key), raw);
+    }
+    
+    // Tag sets live as long as their longest-lived member
+    for (const tag of options.tags || []) {
+      const tagKey = this._tagKey(tag);
+      const remaining = await this.client.pttl(tagKey); // -2: no set yet, -1: no expiry
+      await this.client.sadd(tagKey, key);
+      
+      if (!Number.isFinite(ttl)) {
+        await this.client.persist(tagKey);
+      } else if (remaining === -2 || (remaining >= 0 && remaining < ttl)) {
+        await this.client.pexpire(tagKey, ttl);
+      }
+    }
+  }
+  
+  /**
+   * Delete a value
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} - True if an entry was removed
+   */
+  async delete(key) {
+    return (await this.client.del(this._key(key))) > 0;
+  }
+  
+  /**
+   * Delete every value stored with a tag
+   * @param {string} tag - Tag
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async deleteTagged(tag) {
+    const tagKey = this._tagKey(tag);
+    const keys = await this.client.smembers(tagKey);
+    
+    const removed = keys.length > 0 ? await this.client.del(...keys.map(key => this._key(key))) : 0;
+    await this.client.del(tagKey);
+    return removed;
+  }
+  
+  /**
+   * Delete every value written under this store's prefix
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${this._escape(this.prefix)}*`, 'COUNT', 100);
+      if (keys.length > 0) await this.client.del(...keys);
+      cursor = String(next);
+    } while (cursor !== '0');
+  }
+  
+  /**
+   * Redis key for a cache key
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} - Prefixed key
+   */
+  _key(key) {
+    return `${this.prefix}entry:${key}`;
+  }
+  
+  /**
+   * Redis key of the set listing the entries stored with a tag
+   * @private
+   * @param {string} tag - Tag
+   * @returns {string} - Prefixed key
+   */
+  _tagKey(tag) {
+    return `${this.prefix}tag:${tag}`;
+  }
+  
+  /**
+   * Escape glob characters for a SCAN MATCH pattern
+   * @private
+   * @param {string} text - Literal text
+   * @returns {string} - Pattern matching the text literally
+   */
+  _escape(text) {
+    return text.replace(/[*?[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = { RedisStore };
\ No newline at end of file
@@ -0,0 +1,73 @@
+const { RedisStore } = require('./redis-store');
+const { LocalRedisClient } = require('./local-redis-client');
+
+describe('RedisStore', () => {
+  let client;
+  let store;
+  
+  beforeEach(() => {
+    client = new LocalRedisClient();
+    store = new RedisStore({ client, prefix: 'test:' });
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('requires a client', () => {
+    expect(() => new RedisStore()).toThrow('client');
+  });
+  
+  it('stores JSON values under the prefix until they expire', async () => {
+    jest.useFakeTimers({ now: 0 });
+    await store.set('a', { score: 1 }, { ttl: 1000 });
+    await store.set('b', [1, 2]);
+    
+    expect(await client.get('test:entry:a')).toBe('{"score":1}');
+    expect(await client.pttl('test:entry:a')).toBe(1000);
+    expect(await client.pttl('test:entry:b')).toBe(-1);
+    expect(await store.get('a')).toEqual({ score: 1 });
+    
+    jest.setSystemTime(1000);
+    expect(await store.get('a')).toBeUndefined();
+    expect(await store.get('b')).toEqual([1, 2]);
+  });
+  
+  it('keeps tag sets as long as their longest-lived member', async () => {
+    jest.useFakeTimers({ now: 0 });
+    await store.set('a', 1, { ttl: 1000, tags: ['asset:BTC'] });
+    await store.set('b', 2, { ttl: 5000, tags: ['asset:BTC'] });
+    await store.set('c', 3, { ttl: 2000, tags: ['asset:BTC'] });
+    expect(await client.pttl('test:tag:asset:BTC')).toBe(5000);
+    
+    await store.set('d', 4, { tags: ['asset:BTC'] });
+    expect(await client.pttl('test:tag:asset:BTC')).toBe(-1);
+  });
+  
+  it('deletes single entries and tagged entries shared by other stores on the client', async () => {
+    const other = new RedisStore({ client, prefix: 'test:' });
+    await store.set('a', 1, { tags: ['asset:BTC'] });
+    await other.set('b', 2, { tags: ['asset:BTC', 'asset:ETH'] });
+    await other.set('c', 3, { tags: ['asset:ETH'] });
+    
+    expect(await store.delete('c')).toBe(true);
+    expect(await store.delete('c')).toBe(false);
+    expect(await store.deleteTagged('asset:BTC')).toBe(2);
+    expect(await other.get('b')).toBeUndefined();
+    expect(await client.smembers('test:tag:asset:BTC')).toEqual([]);
+    expect(await store.deleteTagged('asset:SOL')).toBe(0);
+  });
+  
+  it('clears only keys under its own prefix', async () => {
+    const other = new RedisStore({ client, prefix: 'other*' });
+    for (let i = 0; i < 150; i++) {
+      await store.set(`key${i}`, i, { tags: ['asset:BTC'] });
+    }
+    await other.set('kept', true);
+    await client.set('unrelated', 'x');
+    
+    await store.clear();
+    
+    expect(Array.from(client.data.keys()).sort()).toEqual(['other*entry:kept', 'unrelated']);
+  });
+});
\ No newline at end of file
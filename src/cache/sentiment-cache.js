@@ -0,0 +1,256 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { MemoryStore } = require('./memory-store');
+
+/**
+ * Cache for analysis results on top of a pluggable store
+ *
+ * A store is any object with get(key), set(key, value, { ttl, tags }), delete(key) and clear(),
+ * returning values or promises; deleteTagged(tag) is needed for invalidation by asset.
+ * MemoryStore, FileStore and RedisStore are provided.
+ *
+ * Entries are fresh for their method's TTL. With stale-while-revalidate, an entry past its TTL
+ * is still returned for up to `staleWhileRevalidate` milliseconds while it is recomputed in the
+ * background. Entries are tagged with the assets they depend on so they can be invalidated
+ * together.
+ *
+ * Results are often built from other cached results (an analysis from provider data, an ecosystem
+ * from analyses). Stale entries are only served to callers outside a computation: a refresh
+ * recomputes the stale entries it depends on, so a result is never older than one TTL plus the
+ * stale window. Store failures are logged and treated as misses, so a broken store only costs
+ * recomputation.
+ */
+class SentimentCache {
+  /**
+   * Create a new sentiment cache
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.store] - Backing store (defaults to a MemoryStore)
+   * @param {number} [options.ttl=300000] - Default time in milliseconds an entry stays fresh
+   * @param {Object} [options.ttls] - Fresh TTLs keyed by method, overriding the default (e.g. sentiment,
+   *   history, leadLag, ecosystem, comparison, correlation, social, market, news, provider)
+   * @param {number} [options.staleWhileRevalidate=0] - Milliseconds a stale entry is served while it is refreshed
+   * @param {Object} [options.logger] - Logger with a warn method for failed background refreshes and store
+   *   errors (defaults to console)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.ttl = options.ttl !== undefined ? options.ttl : 5 * 60 * 1000;
+    this.ttls = { ...options.ttls };
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    this.logger = options.logger || console;
+    this.pending = new Map();
+    
+    // Computations in progress, so nested reads can tell they are part of a refresh
+    this.computing = new AsyncLocalStorage();
+    
+    // Sequence numbers of invalidations by tag, so refreshes started earlier do not write back;
+    // only needed while computations are running
+    this.running = 0;
+    this.sequence = 0;
+    this.invalidated = new Map();
+  }
+  
+  /**
+   * Get the fresh TTL for a method
+   * @param {string} [method] - Method name
+   * @returns {number} - TTL in milliseconds
+   */
+  ttlFor(method) {
+    return method && this.ttls[method] !== undefined ? this.ttls[method] : this.ttl;
+  }
+  
+  /**
+   * Get a cached value, fresh or stale
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Cached value, or undefined if missing
+   */
+  async get(key) {
+    const entry = await this._read(key);
+    return entry ? entry.value : undefined;
+  }
+  
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value (JSON-serializable for persistent stores)
+   * @param {Object} [options] - Entry options
+   * @param {string} [options.method] - Method that produced the value, selecting its TTL
+   * @param {number} [options.ttl] - Fresh TTL in milliseconds, overriding the method TTL
+   * @param {Array<string>} [options.assets] - Assets the value depends on, for invalidate(asset)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, options = {}) {
+    const ttl = options.ttl !== undefined ? options.ttl : this.ttlFor(options.method);
+    const entry = { value, freshUntil: Date.now() + ttl };
+    
+    await this.store.set(key, entry, {
+      ttl: ttl + this.staleWhileRevalidate,
+      tags: (options.assets || []).map(asset => this._tag(asset))
+    });
+  }
+  
+  /**
+   * Get a value from the cache, computing and storing it on a miss
+   * Stale entries are returned immediately and refreshed in the background, except within another
+   * computation, which waits for the refresh. Concurrent misses for the same key share one computation.
+   * @param {string} key - Cache key
+   * @param {Function} compute - Async function producing the value
+   * @param {Object} [options] - Entry options (see set)
+   * @param {Function} [options.assets] - Assets the value depends on, or a function deriving them from the value
+   * @param {Function} [options.cacheable] - Predicate deciding whether a computed value is stored (defaults to
+   *   storing every value other than undefined and null)
+   * @returns {Promise<*>} - Cached or computed value
+   */
+  async wrap(key, compute, options = {}) {
+    const entry = await this._read(key);
+    
+    if (entry && Date.now() < entry.freshUntil) {
+      return entry.value;
+    }
+    
+    if (entry && !this.computing.getStore()) {
+      this._refresh(key, compute, options).catch(error => {
+        this.logger.warn(`Error refreshing stale cache entry ${key}:`, error.message);
+      });
+      return entry.value;
+    }
+    
+    return this._refresh(key, compute, options);
+  }
+  
+  /**
+   * Remove a value
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} - True if an entry was removed
+   */
+  async delete(key) {
+    return Boolean(await this.store.delete(key));
+  }
+  
+  /**
+   * Remove every value that depends on an asset, including ecosystem results it contributes to
+   * Computations already in progress still resolve for their callers, but their results are not
+   * stored if they depend on the asset, and later calls start a new computation.
+   * @param {string} asset - Asset symbol (case-insensitive)
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async invalidate(asset) {
+    if (typeof this.store.deleteTagged !== 'function') {
+      throw new Error('The cache store does not support invalidation by asset');
+    }
+    
+    if (this.running > 0) {
+      this.invalidated.set(this._tag(asset), ++this.sequence);
+      this.pending.clear();
+    }
+    return this.store.deleteTagged(this._tag(asset));
+  }
+  
+  /**
+   * Remove every value
+   * Results of computations already in progress are not stored.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    if (this.running > 0) {
+      this.invalidated.set('*', ++this.sequence);
+      this.pending.clear();
+    }
+    await this.store.clear();
+  }
+  
+  /**
+   * Compute a value and store it, sharing the computation with concurrent callers
+   * @private
+   * @param {string} key - Cache key
+   * @param {Function} compute - Async function producing the value
+   * @param {Object} options - Entry options
+   * @returns {Promise<*>} - Computed value
+   */
+  _refresh(key, compute, options) {
+    if (this.pending.has(key)) return this.pending.get(key);
+    
+    const started = this.sequence;
+    this.running++;
+    
+    const request = this.computing.run(true, () => Promise.resolve().then(compute))
+      .then(async value => {
+        const cacheable = options.cacheable
+          ? options.cacheable(value)
+          : value !== undefined && value !== null;
+        
+        if (cacheable) {
+          const assets = typeof options.assets === 'function' ? options.assets(value) : options.assets;
+          if (!this._invalidatedSince(started, assets || [])) {
+            await this._write(key, value, { ...options, assets });
+          }
+        }
+        return value;
+      })
+      .finally(() => {
+        if (this.pending.get(key) === request) this.pending.delete(key);
+        if (--this.running === 0) this.invalidated.clear();
+      });
+    
+    this.pending.set(key, request);
+    return request;
+  }
+  
+  /**
+   * Check whether a computation's result was invalidated after it started
+   * @private
+   * @param {number} started - Invalidation sequence number when the computation started
+   * @param {Array<string>} assets - Assets the result depends on
+   * @returns {boolean} - True if the result must not be stored
+   */
+  _invalidatedSince(started, assets) {
+    const tags = ['*', ...assets.map(asset => this._tag(asset))];
+    return tags.some(tag => this.invalidated.get(tag) > started);
+  }
+  
+  /**
+   * Read an entry, ignoring values not written by a SentimentCache
+   * A failing store is logged and treated as a miss.
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} - { value, freshUntil }
+   */
+  async _read(key) {
+    let entry;
+    try {
+      entry = await this.store.get(key);
+    } catch (error) {
+      this.logger.warn(`Error reading cache entry ${key}:`, error.message);
+      return undefined;
+    }
+    return entry && typeof entry === 'object' && 'freshUntil' in entry ? entry : undefined;
+  }
+  
+  /**
+   * Store a computed value
+   * A failing store is logged; the value is still returned to callers.
+   * @private
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   * @param {Object} options - Entry options (see set)
+   * @returns {Promise<void>}
+   */
+  async _write(key, value, options) {
+    try {
+      await this.set(key, value, options);
+    } catch (error) {
+      this.logger.warn(`Error writing cache entry ${key}:`, error.message);
+    }
+  }
+  
+  /**
+   * Tag for an asset
+   * @private
+   * @param {string} asset - Asset symbol
+   * @returns {string} - Tag
+   */
+  _tag(asset) {
+    return `asset:${String(asset).toUpperCase()}`;
+  }
+}
+
+module.exports = { SentimentCache };
\ No newline at end of file
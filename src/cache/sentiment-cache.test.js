@@ -0,0 +1,160 @@
+const { SentimentCache } = require('./sentiment-cache');
+const { MemoryStore } = require('./memory-store');
+
+const silentLogger = { warn: jest.fn() };
+
+/**
+ * Promise with its resolve function exposed
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+describe('SentimentCache', () => {
+  let now;
+  
+  beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    silentLogger.warn.mockClear();
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  it('uses per-method TTLs over the default', async () => {
+    const cache = new SentimentCache({ ttl: 1000, ttls: { history: 5000 } });
+    await cache.set('a', 1, { method: 'history' });
+    await cache.set('b', 2, { method: 'sentiment' });
+    
+    expect(cache.ttlFor('history')).toBe(5000);
+    expect(cache.ttlFor('sentiment')).toBe(1000);
+    now.mockReturnValue(1000);
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('b')).toBeUndefined();
+  });
+  
+  it('computes misses once for concurrent callers and skips uncacheable values', async () => {
+    const cache = new SentimentCache();
+    const compute = jest.fn().mockResolvedValue({ score: 50 });
+    
+    const results = await Promise.all([cache.wrap('a', compute), cache.wrap('a', compute)]);
+    expect(results).toEqual([{ score: 50 }, { score: 50 }]);
+    expect(await cache.wrap('a', compute)).toEqual({ score: 50 });
+    expect(compute).toHaveBeenCalledTimes(1);
+    
+    const empty = jest.fn().mockResolvedValue(null);
+    await cache.wrap('b', empty);
+    await cache.wrap('b', empty);
+    expect(empty).toHaveBeenCalledTimes(2);
+  });
+  
+  it('serves stale entries while refreshing them in the background', async () => {
+    const cache = new SentimentCache({ ttl: 1000, staleWhileRevalidate: 1000 });
+    await cache.set('a', 'old');
+    now.mockReturnValue(1500);
+    
+    const refresh = deferred();
+    expect(await cache.wrap('a', () => refresh.promise)).toBe('old');
+    refresh.resolve('new');
+    await cache.pending.get('a');
+    expect(await cache.get('a')).toBe('new');
+    
+    now.mockReturnValue(4000);
+    expect(await cache.wrap('a', async () => 'newest')).toBe('newest');
+  });
+  
+  it('refreshes stale dependencies inside a computation instead of serving them', async () => {
+    const cache = new SentimentCache({ ttl: 1000, staleWhileRevalidate: 5000 });
+    const inner = jest.fn().mockResolvedValueOnce('inner v1').mockResolvedValue('inner v2');
+    const outer = () => cache.wrap('inner', inner).then(value => `outer(${value})`);
+    
+    expect(await cache.wrap('outer', outer)).toBe('outer(inner v1)');
+    now.mockReturnValue(1500);
+    
+    // The outer entry is served stale once while its refresh recomputes the inner entry
+    expect(await cache.wrap('outer', outer)).toBe('outer(inner v1)');
+    await cache.pending.get('outer');
+    expect(await cache.wrap('outer', outer)).toBe('outer(inner v2)');
+    expect(await cache.get('inner')).toBe('inner v2');
+  });
+  
+  it('invalidates entries by asset', async () => {
+    const cache = new SentimentCache();
+    await cache.wrap('btc', async () => 1, { assets: ['btc'] });
+    await cache.wrap('eco', async () => 2, { assets: value => (value ? ['BTC', 'ETH'] : []) });
+    await cache.wrap('eth', async () => 3, { assets: ['ETH'] });
+    
+    expect(await cache.invalidate('BTC')).toBe(2);
+    expect(await cache.get('btc')).toBeUndefined();
+    expect(await cache.get('eco')).toBeUndefined();
+    expect(await cache.get('eth')).toBe(3);
+  });
+  
+  it('does not store refreshes that were running when their asset was invalidated', async () => {
+    const cache = new SentimentCache();
+    const btc = deferred();
+    const eth = deferred();
+    const pendingBtc = cache.wrap('btc', () => btc.promise, { assets: ['BTC'] });
+    const pendingEth = cache.wrap('eth', () => eth.promise, { assets: ['ETH'] });
+    await new Promise(setImmediate);
+    
+    await cache.invalidate('BTC');
+    const fresh = jest.fn().mockResolvedValue('after');
+    const afterInvalidation = cache.wrap('btc', fresh, { assets: ['BTC'] });
+    
+    btc.resolve('before');
+    eth.resolve('unaffected');
+    expect(await pendingBtc).toBe('before');
+    expect(await pendingEth).toBe('unaffected');
+    expect(await afterInvalidation).toBe('after');
+    expect(fresh).toHaveBeenCalledTimes(1);
+    expect(await cache.get('btc')).toBe('after');
+    expect(await cache.get('eth')).toBe('unaffected');
+    expect(cache.invalidated.size).toBe(0);
+  });
+  
+  it('does not store refreshes that were running when the cache was cleared', async () => {
+    const cache = new SentimentCache();
+    const refresh = deferred();
+    const pending = cache.wrap('a', () => refresh.promise);
+    await new Promise(setImmediate);
+    
+    await cache.clear();
+    refresh.resolve('before');
+    
+    expect(await pending).toBe('before');
+    expect(await cache.get('a')).toBeUndefined();
+  });
+  
+  it('requires a store that supports tags to invalidate', async () => {
+    const store = new MemoryStore();
+    store.deleteTagged = undefined;
+    
+    await expect(new SentimentCache({ store }).invalidate('BTC')).rejects.toThrow('invalidation');
+  });
+  
+  it('treats store failures as misses', async () => {
+    const store = {
+      get: jest.fn().mockRejectedValue(new Error('EACCES: permission denied')),
+      set: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')),
+      delete: jest.fn(),
+      clear: jest.fn()
+    };
+    const cache = new SentimentCache({ store, logger: silentLogger });
+    
+    expect(await cache.get('a')).toBeUndefined();
+    expect(await cache.wrap('a', async () => 'computed')).toBe('computed');
+    expect(silentLogger.warn).toHaveBeenCalledWith('Error reading cache entry a:', 'EACCES: permission denied');
+    expect(silentLogger.warn).toHaveBeenCalledWith('Error writing cache entry a:', 'ECONNREFUSED');
+  });
+  
+  it('ignores values it did not write', async () => {
+    const store = new MemoryStore();
+    await store.set('a', { score: 1 });
+    
+    expect(await new SentimentCache({ store }).get('a')).toBeUndefined();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Error codes carried by SentimentError.code
+ */
+const ERROR_CODES = {
+  ADAPTER_MISSING: 'ADAPTER_MISSING', // No adapter or data provider is configured for the request
+  DATA_UNAVAILABLE: 'DATA_UNAVAILABLE', // The provider answered but had no usable data
+  RATE_LIMITED: 'RATE_LIMITED', // The provider rejected the call for exceeding its rate limit
+  INVALID_TIMEFRAME: 'INVALID_TIMEFRAME', // A timeframe, window or interval could not be parsed
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT', // Any other option or argument is malformed
+  TIMEOUT: 'TIMEOUT', // An adapter call took longer than the configured timeout
+  UNKNOWN: 'UNKNOWN' // Any other failure
+};
+
+/**
+ * Base class for errors raised by the sentiment analyzer
+ */
+class SentimentError extends Error {
+  /**
+   * Create a new sentiment error
+   * @param {string} message - Error message
+   * @param {string} [code='UNKNOWN'] - Error code (see ERROR_CODES)
+   * @param {Object} [details] - Additional context; `cause` is kept as the error's cause
+   */
+  constructor(message, code = ERROR_CODES.UNKNOWN, details = {}) {
+    const { cause, ...rest } = details;
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = rest;
+    if (cause !== undefined) this.cause = cause;
+  }
+  
+  /**
+   * Serializable form without stack trace
+   * @returns {Object} - { name, code, message, details }
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * No adapter or data provider is configured for the request
+ */
+class AdapterMissingError extends SentimentError {
+  constructor(message, details) {
+    super(message, ERROR_CODES.ADAPTER_MISSING, details);
+  }
+}
+
+/**
+ * The provider answered but had no usable data
+ */
+class DataUnavailableError extends SentimentError {
+  constructor(message, details) {
+    super(message, ERROR_CODES.DATA_UNAVAILABLE, details);
+  }
+}
+
+/**
+ * The provider rejected the call for exceeding its rate limit
+ */
+class RateLimitedError extends SentimentError {
+  constructor(message, details) {
+    super(message, ERROR_CODES.RATE_LIMITED, details);
+  }
+}
+
+/**
+ * A timeframe, window or interval could not be parsed
+ */
+class InvalidTimeframeError extends SentimentError {
+  constructor(message, details) {
+    super(message, ERROR_CODES.INVALID_TIMEFRAME, details);
+  }
+}
+
+/**
+ * An option or argument other than a timeframe is malformed
+ */
+class InvalidArgumentError extends SentimentError {
+  constructor(message, details) {
+    super(message, ERROR_CODES.INVALID_ARGUMENT, details);
+  }
+}
+
+/**
+ * An adapter call took longer than the configured timeout
+ */
+class TimeoutError extends SentimentError {
+  constructor(message, details) {
+    super(message, ERROR_CODES.TIMEOUT, details);
+  }
+}
+
+/**
+ * Check whether an upstream error reports a rate limit (HTTP 429 or a rate limit message)
+ * @param {Error} error - Error thrown by an adapter
+ * @returns {boolean} - True if the error is a rate limit rejection
+ */
+function isRateLimitError(error) {
+  if (!error) return false;
+  if (error.code === ERROR_CODES.RATE_LIMITED) return true;
+  
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  return status === 429 || /rate.?limit|too many requests/i.test(error.message || '');
+}
+
+/**
+ * Get the error code for any error, classifying untyped upstream errors
+ * @param {Error} error - Any error
+ * @returns {string} - Error code (see ERROR_CODES)
+ */
+function errorCode(error) {
+  if (error instanceof SentimentError) return error.code;
+  if (isRateLimitError(error)) return ERROR_CODES.RATE_LIMITED;
+  return ERROR_CODES.UNKNOWN;
+}
+
+module.exports = {
+  ERROR_CODES,
+  SentimentError,
+  AdapterMissingError,
+  DataUnavailableError,
+  RateLimitedError,
+  InvalidTimeframeError,
+  InvalidArgumentError,
+  TimeoutError,
+  isRateLimitError,
+  errorCode
+};
\ No newline at end of file
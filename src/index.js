@@ -1,7 +1,44 @@
-const { Cache } = require('@intue/core');
 const { SocialSentimentAnalyzer } = require('./analyzers/social-sentiment');
 const { MarketSentimentAnalyzer } = require('./analyzers/market-sentiment');
+const { NewsSentimentAnalyzer } = require('./analyzers/news-sentiment');
+const { SentimentAnomalyDetector } = require('./analyzers/anomaly-detector');
+const { DivergenceDetector } = require('./analyzers/divergence-detector');
 const SentimentModel = require('./models/sentiment-model');
+const WeightCalibrator = require('./models/weight-calibrator');
+const LeadLagAnalyzer = require('./models/lead-lag');
+const EcosystemIndex = require('./models/ecosystem-index');
+const EcosystemRotation = require('./models/ecosystem-rotation');
+const Screener = require('./models/screener');
+const RegimeClassifier = require('./models/regime-classifier');
+const FearGreedIndex = require('./models/fear-greed-index');
+const { SourceRegistry, createBuiltinSources } = require('./sources');
+const { SentimentCache } = require('./cache');
+const { SentimentWatcher } = require('./streaming/sentiment-watcher');
+const { createRateLimitedAdapter } = require('./adapters/rate-limited-adapter');
+const { createCoalescingAdapter } = require('./adapters/coalescing-adapter');
+const { DataProvider } = require('./adapters/data-provider');
+const { ProviderChain, servingProvider } = require('./adapters/provider-chain');
+const { TokenBucket } = require('./utils/rate-limiter');
+const { TaskQueue } = require('./utils/task-queue');
+const { calculateTrend } = require('./utils/scoring');
+const { calculateIndicators } = require('./utils/indicators');
+const { percentChanges } = require('./utils/statistics');
+const { TimeSeriesValidator } = require('./utils/data-quality');
+const {
+  parseDuration,
+  durationToDays,
+  formatInterval,
+  normalizeInterval,
+  parseTimeframe,
+  selectRange
+} = require('./utils/duration');
+const {
+  ERROR_CODES,
+  AdapterMissingError,
+  DataUnavailableError,
+  InvalidArgumentError,
+  errorCode
+} = require('./errors');
 
 /**
  * Main Sentiment Analysis Model Context Protocol (MCP)
@@ -11,277 +48,1472 @@ class SentimentAnalyzer {
   /**
    * Create a new Sentiment Analyzer
    * @param {Object} options - Configuration options
-   * @param {Object} options.adapters - Data adapters
-   * @param {Object} [options.weights] - Weights for different sentiment sources
-   * @param {Object} [options.cache] - Optional cache instance
-   * @param {number} [options.ttl] - Cache TTL in milliseconds
+   * @param {Object} options.adapters - Data adapters (any adapter implementing getNews(asset, days) is used for news;
+   *   adapters implementing getTimeSeries become data providers, in insertion order, unless providers are given)
+   * @param {Array<Object>} [options.providers] - Data providers in priority order (DataProvider instances or
+   *   { name, adapter, fields } options); later providers are used when earlier ones fail or return no data
+   * @param {number} [options.providerCooldown=30000] - Milliseconds a failed provider is tried after healthy ones
+   * @param {Object} [options.weights] - Weight overrides keyed by source name
+   * @param {Array<Object>} [options.sources] - Additional source providers to register
+   * @param {Object} [options.cache] - SentimentCache instance, or a cache store (MemoryStore, FileStore, RedisStore
+   *   or any object with get, set, delete and clear) to build one on (defaults to an in-memory LRU store)
+   * @param {number} [options.ttl=300000] - Time in milliseconds cached results stay fresh
+   * @param {Object} [options.cacheTtls] - Fresh TTLs keyed by method (sentiment, history, leadLag, ecosystem,
+   *   comparison, correlation, fearGreed, social, market, news, provider), overriding ttl
+   * @param {number} [options.staleWhileRevalidate=0] - Milliseconds an expired result is still served while it
+   *   is recomputed in the background
+   * @param {Object} [options.anomalies] - Anomaly detector configuration
+   * @param {Object} [options.divergences] - Divergence detector configuration
+   * @param {Object} [options.leadLag] - Lead/lag analyzer configuration
+   * @param {Object} [options.regimes] - Regime classifier configuration ({ cutoffs, minPoints })
+   * @param {Object} [options.fearGreed] - Default fear & greed index configuration (see FearGreedIndex)
+   * @param {Object} [options.rateLimit] - Token bucket shared by all adapter calls ({ rate, capacity })
+   * @param {number} [options.timeout=30000] - Per adapter call timeout in milliseconds (0 disables it)
+   * @param {number} [options.concurrency=4] - Maximum concurrent asset analyses in batch operations
+   * @param {Object} [options.dataQuality] - Time series validation and repair configuration
+   * @param {Object} [options.logger] - Logger with warn and error methods (defaults to console)
+   * @param {Object} [options.confidence] - Confidence model configuration, including per-source reliability
+   *   (see SentimentModel)
    */
   constructor(options = {}) {
-    this.adapters = options.adapters || {};
+    this.weightOverrides = { ...options.weights };
+    this.logger = options.logger || console;
     
-    // Set default weights if not provided
-    this.weights = options.weights || {
-      social: 0.6,
-      news: 0.3,
-      market: 0.1
-    };
+    // Initialize cache
+    this.cache = options.cache instanceof SentimentCache
+      ? options.cache
+      : new SentimentCache({
+        store: options.cache,
+        ttl: options.ttl,
+        ttls: options.cacheTtls,
+        staleWhileRevalidate: options.staleWhileRevalidate,
+        logger: this.logger
+      });
     
-    // Normalize weights to sum to 1
-    const weightSum = Object.values(this.weights).reduce((sum, w) => sum + w, 0);
-    for (const [key, value] of Object.entries(this.weights)) {
-      this.weights[key] = value / weightSum;
+    // Route every adapter call through the shared rate limiter and per-call timeout, and let
+    // identical calls share one request so analyzers reuse each other's fetches
+    this.limiter = options.rateLimit ? new TokenBucket(options.rateLimit) : null;
+    this.adapters = {};
+    for (const [name, adapter] of Object.entries(options.adapters || {})) {
+      if (!adapter) continue;
+      
+      const limited = createRateLimitedAdapter(adapter, {
+        limiter: this.limiter,
+        timeout: options.timeout !== undefined ? options.timeout : 30000
+      });
+      this.adapters[name] = createCoalescingAdapter(limited, { cache: this.cache, namespace: name });
     }
     
-    // Initialize cache
-    this.cache = options.cache || new Cache({ ttl: options.ttl });
+    // Social, market and time series data come through the normalized provider contract, with
+    // failover across providers in priority order
+    const providers = (options.providers || Object.entries(options.adapters || {})
+      .filter(([, adapter]) => adapter && typeof adapter.getTimeSeries === 'function')
+      .map(([name, adapter]) => ({ name, adapter })))
+      .map(provider => provider instanceof DataProvider ? provider : new DataProvider(provider))
+      .map(provider => createRateLimitedAdapter(provider, {
+        limiter: this.limiter,
+        timeout: options.timeout !== undefined ? options.timeout : 30000
+      }));
+    this.provider = providers.length > 0
+      ? createCoalescingAdapter(new ProviderChain(providers, { cooldown: options.providerCooldown }), {
+        cache: this.cache,
+        namespace: 'provider'
+      })
+      : null;
+    this.scheduler = new TaskQueue({ concurrency: options.concurrency });
+    
+    // Every time series is validated and repaired before analysis
+    this.validator = new TimeSeriesValidator(options.dataQuality);
     
     // Initialize analyzers
-    this.socialAnalyzer = new SocialSentimentAnalyzer(this.adapters.lunarcrush, this.cache);
-    this.marketAnalyzer = new MarketSentimentAnalyzer(this.adapters.lunarcrush, this.cache);
+    const analyzerOptions = { validator: this.validator, logger: this.logger };
+    this.socialAnalyzer = new SocialSentimentAnalyzer(this.provider, this.cache, analyzerOptions);
+    this.marketAnalyzer = new MarketSentimentAnalyzer(this.provider, this.cache, analyzerOptions);
+    this.newsAnalyzer = new NewsSentimentAnalyzer(
+      Object.values(this.adapters).filter(adapter => adapter && typeof adapter.getNews === 'function'),
+      this.provider,
+      this.cache,
+      analyzerOptions
+    );
+    this.anomalyDetector = new SentimentAnomalyDetector(this.provider, {
+      validator: new TimeSeriesValidator({ ...options.dataQuality, outliers: 'keep' }),
+      logger: this.logger,
+      ...options.anomalies
+    });
+    this.divergenceDetector = new DivergenceDetector(this.provider, {
+      ...analyzerOptions,
+      ...options.divergences
+    });
+    
+    // Register built-in sources followed by any custom ones
+    this.sources = new SourceRegistry(createBuiltinSources({
+      dataProvider: this.provider,
+      socialAnalyzer: this.socialAnalyzer,
+      newsAnalyzer: this.newsAnalyzer,
+      marketAnalyzer: this.marketAnalyzer
+    }));
+    for (const source of options.sources || []) {
+      this.sources.register(source);
+    }
     
     // Initialize sentiment model
-    this.model = new SentimentModel();
+    this.model = new SentimentModel(options.confidence);
+    this.leadLag = new LeadLagAnalyzer(options.leadLag);
+    this.regimeConfig = { ...options.regimes };
+    this.regimeClassifier = new RegimeClassifier(this.regimeConfig);
+    this.fearGreedConfig = { ...options.fearGreed };
+  }
+  
+  /**
+   * Weights for all registered sources, normalized to sum to 1
+   * @type {Object}
+   */
+  get weights() {
+    return this.sources.getWeights(this.weightOverrides);
+  }
+  
+  /**
+   * Register a sentiment source provider at runtime
+   * @param {Object} source - Source provider ({ name, analyze(asset, timeframe), weight })
+   * @param {number} [weight] - Weight override for this source
+   * @returns {SentimentAnalyzer} - This analyzer, for chaining
+   */
+  registerSource(source, weight) {
+    this.sources.register(source);
+    if (weight !== undefined) {
+      this.weightOverrides[source.name] = weight;
+    }
+    return this;
+  }
+  
+  /**
+   * Remove a sentiment source provider
+   * @param {string} name - Source name
+   * @returns {boolean} - True if a source was removed
+   */
+  unregisterSource(name) {
+    delete this.weightOverrides[name];
+    return this.sources.unregister(name);
   }
   
   /**
    * Analyze sentiment for a specific asset
    * @param {string} asset - Asset symbol or name
    * @param {Object} [options] - Analysis options
-   * @param {string} [options.timeframe='7d'] - Time window
-   * @param {Array<string>} [options.sources=['social', 'news', 'market']] - Data sources
-   * @returns {Promise<Object>} - Sentiment analysis results
+   * @param {string|Object} [options.timeframe='7d'] - Time window ('15min', '4h', '7d', '1M', 'P1W', ...)
+   *   or explicit { from, to } range
+   * @param {Array<string>} [options.sources] - Data sources (defaults to all registered sources)
+   * @returns {Promise<Object>} - Sentiment analysis results, with momentum `indicators` of the composite
+   *   score over the timeframe (null if its history could not be built) and `diagnostics` listing the
+   *   sources attempted, succeeded, skipped and failed
+   * @throws {InvalidTimeframeError} - If the timeframe cannot be parsed
+   * @throws {DataUnavailableError} - If no source returned data (details.diagnostics says why)
    */
   async analyzeSentiment(asset, options = {}) {
     const timeframe = options.timeframe || '7d';
-    const sources = options.sources || ['social', 'news', 'market'];
+    const sources = options.sources || this.sources.names();
+    const range = parseTimeframe(timeframe); // Reject invalid timeframes before querying any source
+    
+    const cacheKey = `sentiment_${asset}_${range.label}_${sources.join('_')}`;
+    return this.cache.wrap(cacheKey, async () => {
+      // Collect data from each requested source
+      const weights = this.weights;
+      const sentimentData = {};
+      let totalWeight = 0;
+      
+      const diagnostics = { attempted: [], succeeded: [], skipped: [], failed: [] };
+      const active = [];
+      for (const name of sources) {
+        const source = this.sources.get(name);
+        if (!source) {
+          diagnostics.skipped.push({ source: name, reason: 'Source is not registered' });
+        } else if (source.isAvailable && !source.isAvailable()) {
+          diagnostics.skipped.push({
+            source: name,
+            code: ERROR_CODES.ADAPTER_MISSING,
+            reason: 'No adapter or data provider is configured for this source'
+          });
+        } else {
+          active.push(source);
+          diagnostics.attempted.push(name);
+        }
+      }
+      
+      // Sources run concurrently; identical adapter calls between them are coalesced
+      const outcomes = await Promise.allSettled(
+        active.map(source => Promise.resolve().then(() => source.analyze(asset, timeframe)))
+      );
+      
+      outcomes.forEach((outcome, i) => {
+        const name = active[i].name;
+        if (outcome.status === 'fulfilled') {
+          sentimentData[name] = outcome.value;
+          totalWeight += weights[name];
+          diagnostics.succeeded.push(name);
+        } else {
+          diagnostics.failed.push(this._failure('source', name, outcome.reason));
+          this.logger.warn(`Error analyzing ${name} sentiment for ${asset}:`, outcome.reason.message);
+        }
+      });
+      
+      // A silent outage must not look like neutral sentiment
+      if (Object.keys(sentimentData).length === 0) {
+        throw new DataUnavailableError(`No sentiment data available for ${asset}`, { asset, diagnostics });
+      }
+      
+      // Process collected data through the sentiment model
+      const result = {
+        ...this.model.process(sentimentData, weights, totalWeight),
+        indicators: await this._compositeIndicators(asset, timeframe, sources, diagnostics),
+        diagnostics
+      };
+      
+      return result;
+    }, { method: 'sentiment', assets: [asset] });
+  }
+  
+  /**
+   * Analyze sentiment for several assets
+   * Assets are analyzed concurrently (up to the configured concurrency) and share adapter calls and
+   * cached results. Besides score, trend and confidence, each result can carry social volume, momentum
+   * (score change across the sentiment history over the timeframe) and the sentiment/price correlation.
+   * @param {Array<string>} assets - Asset symbols or names
+   * @param {Object} [options] - Analysis options
+   * @param {string|Object} [options.timeframe='7d'] - Time window or { from, to } range
+   * @param {Array<string>} [options.sources] - Data sources (defaults to all registered sources)
+   * @param {Array<string>} [options.metrics] - Additional metrics: 'socialVolume', 'momentum', 'correlation'
+   * @param {string} [options.window='7d'] - Trailing window of the history used for momentum
+   * @param {string|Object} [options.correlationTimeframe='90d'] - Time window for the correlation metric
+   * @returns {Promise<Object>} - { timeframe, results, failed, diagnostics }; each result is { asset, score,
+   *   trend, confidence, ...metrics, sentiment } with the full analysis in `sentiment`. Metrics that could
+   *   not be computed are null and listed in diagnostics.failed with their metric.
+   */
+  async analyzeMany(assets, options = {}) {
+    const timeframe = options.timeframe || '7d';
+    const metrics = options.metrics || [];
+    parseTimeframe(timeframe); // Reject invalid timeframes before analyzing any asset
+    
+    if (!Array.isArray(assets) || assets.length === 0) {
+      throw new InvalidArgumentError('At least one asset is required');
+    }
+    for (const metric of metrics) {
+      if (!Object.prototype.hasOwnProperty.call(Screener.SCREEN_METRICS, metric)) {
+        throw new InvalidArgumentError(`Unknown metric: ${metric}`, { metric });
+      }
+    }
+    
+    const extraMetrics = metrics.filter(metric => Screener.SCREEN_METRICS[metric] !== 'sentiment');
+    const metricFailures = [];
+    
+    const outcomes = await this.scheduler.map(assets, async asset => {
+      const sentiment = await this.analyzeSentiment(asset, { timeframe, sources: options.sources });
+      const result = {
+        asset,
+        score: sentiment.score,
+        trend: sentiment.trend,
+        confidence: sentiment.confidence
+      };
+      
+      for (const metric of extraMetrics) {
+        try {
+          result[metric] = await this._assetMetric(metric, asset, { ...options, timeframe });
+        } catch (error) {
+          result[metric] = null;
+          metricFailures.push({ ...this._failure('asset', asset, error), metric });
+        }
+      }
+      
+      return { ...result, sentiment };
+    });
     
-    const cacheKey = `sentiment_${asset}_${timeframe}_${sources.join('_')}`;
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult) return cachedResult;
+    const results = [];
+    const failed = [];
+    outcomes.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        failed.push({ asset: assets[i], error: outcome.reason.message, code: errorCode(outcome.reason) });
+      }
+    });
     
-    // Collect data from each requested source
-    const sentimentData = {};
-    let totalWeight = 0;
+    return {
+      timeframe,
+      results,
+      failed,
+      diagnostics: {
+        attempted: assets,
+        succeeded: results.map(result => result.asset),
+        skipped: [],
+        failed: [
+          ...failed.map(failure => ({ asset: failure.asset, code: failure.code, reason: failure.error })),
+          ...metricFailures
+        ]
+      }
+    };
+  }
+  
+  /**
+   * Filter and rank assets with a declarative screen
+   * Only the metrics the screen uses are computed. For example
+   * screen(assets, { where: { score: { gt: 70 }, trend: 'rising', confidence: { gt: 0.6 } }, sortBy: 'momentum' })
+   * @param {Array<string>} assets - Asset symbols or names to screen
+   * @param {Object} screen - Screen definition ({ where, sortBy, order, limit }, see Screener)
+   * @param {Object} [options] - Analysis options (see analyzeMany)
+   * @returns {Promise<Object>} - { screen, timeframe, screened, matches, failed, diagnostics }; matches are
+   *   ranked { rank, asset, score, trend, confidence, ...metrics }
+   */
+  async screen(assets, screen, options = {}) {
+    const screener = new Screener(screen);
+    const batch = await this.analyzeMany(assets, { ...options, metrics: screener.metrics });
+    
+    // Matches carry the screened metrics; full analyses stay in analyzeMany results
+    const rows = batch.results.map(result => {
+      const row = { ...result };
+      delete row.sentiment;
+      return row;
+    });
+    
+    return {
+      screen: screener.toJSON(),
+      timeframe: batch.timeframe,
+      screened: rows.length,
+      matches: screener.apply(rows),
+      failed: batch.failed,
+      diagnostics: batch.diagnostics
+    };
+  }
+  
+  /**
+   * Get a historical sentiment time series for an asset
+   * Each bucket is scored over a trailing window with the same source weighting as analyzeSentiment
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} [options] - History options
+   * @param {string|Object} [options.timeframe='30d'] - Period covered by the series, or { from, to } range
+   * @param {string} [options.interval] - Bucket size (defaults to one suited to the timeframe, '1d' from a day up)
+   * @param {string} [options.window='7d'] - Trailing window scored at each bucket
+   * @param {Array<string>} [options.sources] - Data sources (defaults to all registered sources)
+   * @returns {Promise<Object>} - Sentiment history
+   */
+  async getSentimentHistory(asset, options = {}) {
+    const timeframe = options.timeframe || '30d';
+    const range = parseTimeframe(timeframe);
+    const interval = normalizeInterval(options.interval || range.interval);
+    const window = options.window || '7d';
+    const windowMs = parseDuration(window);
+    const sources = options.sources || this.sources.names();
     
-    if (sources.includes('social') && this.adapters.lunarcrush) {
+    const cacheKey = `sentiment_history_${asset}_${range.label}_${interval}_${window}_${sources.join('_')}`;
+    return this.cache.wrap(cacheKey, async () => {
+      if (!this.provider) {
+        throw new AdapterMissingError('A data provider is required for sentiment history');
+      }
+      
       try {
-        sentimentData.social = await this.socialAnalyzer.analyze(asset, timeframe);
-        totalWeight += this.weights.social;
+        // Fetch enough history for the first bucket to have a full trailing window
+        const timeSeries = await this.provider.getTimeSeries(asset, interval, range.days + durationToDays(window));
+        
+        if (!timeSeries || timeSeries.length === 0) {
+          throw new DataUnavailableError(`No time series data available for ${asset}`, { asset });
+        }
+        
+        const { series, report } = this.validator.validate(selectRange(timeSeries, range, windowMs));
+        const history = this.buildSentimentHistory(series, { timeframe, interval, window, sources });
+        const result = {
+          asset,
+          ...history,
+          dataQuality: report,
+          diagnostics: { ...history.diagnostics, provider: servingProvider(this.provider, timeSeries) }
+        };
+        
+        return result;
       } catch (error) {
-        console.warn(`Error analyzing social sentiment for ${asset}:`, error.message);
+        this.logger.error(`Error building sentiment history for ${asset}:`, error);
+        throw error;
+      }
+    }, { method: 'history', assets: [asset] });
+  }
+  
+  /**
+   * Build a sentiment history from an already fetched time series
+   * Only sources implementing analyzeSeries(series) contribute to the history
+   * @param {Array<Object>} timeSeries - Time series points (oldest first)
+   * @param {Object} [options] - History options
+   * @param {string|Object} [options.timeframe='30d'] - Period covered by the series, or { from, to } range
+   * @param {string} [options.interval] - Bucket size of the time series (defaults to one suited to the timeframe)
+   * @param {string} [options.window='7d'] - Trailing window scored at each bucket
+   * @param {Array<string>} [options.sources] - Data sources (defaults to all registered sources)
+   * @returns {Object} - { timeframe, interval, window, sources, series, trend, summary, diagnostics }
+   * @throws {InvalidTimeframeError} - If the timeframe, interval or window cannot be parsed
+   */
+  buildSentimentHistory(timeSeries, options = {}) {
+    const timeframe = options.timeframe || '30d';
+    const range = parseTimeframe(timeframe);
+    const interval = normalizeInterval(options.interval || range.interval);
+    const window = options.window || '7d';
+    
+    const diagnostics = { attempted: [], succeeded: [], skipped: [], failed: [] };
+    const sources = [];
+    for (const name of options.sources || this.sources.names()) {
+      const source = this.sources.get(name);
+      if (!source) {
+        diagnostics.skipped.push({ source: name, reason: 'Source is not registered' });
+      } else if (typeof source.analyzeSeries !== 'function') {
+        diagnostics.skipped.push({ source: name, reason: 'Source does not support history' });
+      } else {
+        sources.push(source);
+        diagnostics.attempted.push(name);
       }
     }
+    const scored = new Set();
+    const failures = new Map();
     
-    if (sources.includes('news') && this.adapters.lunarcrush) {
-      try {
-        // News sentiment is currently derived from social data in this implementation
-        const newsData = await this.socialAnalyzer.analyzeNewsSentiment(asset, timeframe);
-        sentimentData.news = newsData;
-        totalWeight += this.weights.news;
-      } catch (error) {
-        console.warn(`Error analyzing news sentiment for ${asset}:`, error.message);
+    const intervalMs = parseDuration(interval);
+    const windowSize = Math.max(2, Math.round(parseDuration(window) / intervalMs));
+    const bucketCount = Math.max(1, Math.round(range.ms / intervalMs));
+    const weights = this.weights;
+    
+    const series = [];
+    for (let i = Math.max(0, timeSeries.length - bucketCount); i < timeSeries.length; i++) {
+      const windowData = timeSeries.slice(Math.max(0, i - windowSize + 1), i + 1);
+      
+      // Score every source over the trailing window
+      const sentimentData = {};
+      let totalWeight = 0;
+      
+      for (const source of sources) {
+        try {
+          sentimentData[source.name] = source.analyzeSeries(windowData);
+          totalWeight += weights[source.name];
+          scored.add(source.name);
+        } catch (error) {
+          // Sources without data for this bucket are left out, as in analyzeSentiment, and counted
+          const failure = failures.get(source.name) || { ...this._failure('source', source.name, error), buckets: 0 };
+          failure.buckets++;
+          failures.set(source.name, failure);
+        }
       }
+      
+      if (Object.keys(sentimentData).length === 0) continue;
+      
+      const point = this.model.process(sentimentData, weights, totalWeight);
+      series.push({
+        time: timeSeries[i].time,
+        price: timeSeries[i].price,
+        score: point.score,
+        trend: point.trend,
+        breakdown: point.breakdown,
+        confidence: point.confidence,
+        scoreInterval: point.scoreInterval
+      });
+    }
+    
+    const scores = series.map(point => point.score);
+    const first = scores[0];
+    const last = scores[scores.length - 1];
+    
+    // Sources failing only some buckets appear in both succeeded and failed
+    diagnostics.succeeded = diagnostics.attempted.filter(name => scored.has(name));
+    diagnostics.failed = Array.from(failures.values());
+    
+    return {
+      timeframe,
+      interval,
+      window,
+      sources: sources.map(source => source.name),
+      series,
+      trend: calculateTrend([...scores].reverse()), // Newest first
+      indicators: calculateIndicators(scores),
+      summary: scores.length > 0 ? {
+        first,
+        last,
+        change: Math.round((last - first) * 10) / 10,
+        min: Math.min(...scores),
+        max: Math.max(...scores),
+        average: Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length * 10) / 10
+      } : null,
+      diagnostics
+    };
+  }
+  
+  /**
+   * Calibrate source weights against historical forward returns
+   * The returned weights can be passed straight to the SentimentAnalyzer constructor
+   * @param {string|Array<string>} assets - Asset symbol(s) to calibrate on
+   * @param {Object} [options] - Calibration options
+   * @param {string} [options.timeframe='180d'] - History period
+   * @param {string} [options.interval='1d'] - History bucket size
+   * @param {string} [options.window='7d'] - Trailing window scored at each bucket
+   * @param {number} [options.horizon=1] - Forward return horizon in buckets
+   * @param {boolean} [options.perAsset=false] - Also fit weights for each asset separately
+   * @param {number} [options.step=0.1] - Weight grid resolution
+   * @param {number} [options.folds=4] - Walk-forward folds
+   * @returns {Promise<Object>} - { weights, diagnostics } or, with perAsset, { global, assets }
+   */
+  async calibrateWeights(assets, options = {}) {
+    const assetList = Array.isArray(assets) ? assets : [assets];
+    const calibrator = new WeightCalibrator({
+      step: options.step,
+      folds: options.folds,
+      model: this.model
+    });
+    
+    const observationsByAsset = {};
+    for (const asset of assetList) {
+      const history = await this.getSentimentHistory(asset, {
+        timeframe: options.timeframe || '180d',
+        interval: options.interval,
+        window: options.window
+      });
+      observationsByAsset[asset] = WeightCalibrator.observationsFromHistory(history.series, options.horizon || 1);
+    }
+    
+    const fitOptions = { baseline: this.weights };
+    
+    if (options.perAsset) {
+      return calibrator.calibrateByAsset(observationsByAsset, fitOptions);
     }
     
-    if (sources.includes('market') && this.adapters.lunarcrush) {
+    return calibrator.calibrate(WeightCalibrator.pool(observationsByAsset), fitOptions);
+  }
+  
+  /**
+   * Detect abnormal moves in sentiment, social volume and volume for an asset
+   * Detected anomalies are also emitted as 'anomaly' events on this.anomalyDetector
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} [options] - Detection options
+   * @param {string|Object} [options.timeframe='30d'] - Time window or { from, to } range
+   * @param {string} [options.interval] - Data interval (defaults to one suited to the timeframe)
+   * @param {boolean} [options.latestOnly=false] - Only report anomalies on the most recent point
+   * @returns {Promise<Object>} - { asset, timeframe, anomalies }
+   */
+  async detectAnomalies(asset, options = {}) {
+    const timeframe = options.timeframe || '30d';
+    parseTimeframe(timeframe); // Reject invalid timeframes before fetching
+    const anomalies = await this.anomalyDetector.detect(asset, { ...options, timeframe });
+    
+    return {
+      asset,
+      timeframe,
+      anomalies
+    };
+  }
+  
+  /**
+   * Find bullish and bearish divergences between price pivots and sentiment
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} [options] - Detection options
+   * @param {string|Object} [options.timeframe='90d'] - Time window or { from, to } range
+   * @param {string} [options.interval] - Data interval (defaults to one suited to the timeframe)
+   * @returns {Promise<Object>} - { asset, timeframe, interval, divergences, summary, dataQuality, diagnostics }
+   */
+  async detectDivergences(asset, options = {}) {
+    const timeframe = options.timeframe || '90d';
+    const interval = normalizeInterval(options.interval || parseTimeframe(timeframe).interval);
+    const { divergences, summary, dataQuality, provider } = await this.divergenceDetector.detect(asset, {
+      timeframe,
+      interval
+    });
+    
+    return {
+      asset,
+      timeframe,
+      interval,
+      divergences,
+      summary,
+      dataQuality,
+      diagnostics: { provider }
+    };
+  }
+  
+  /**
+   * Test which sentiment sources lead or follow price using Granger causality
+   * Source scores come from the sentiment history; each is differenced, social volume is converted
+   * to percentage changes, and all are tested against price returns in both directions.
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} [options] - Analysis options
+   * @param {string|Object} [options.timeframe='180d'] - History period, or { from, to } range
+   * @param {string} [options.interval] - History bucket size (defaults to one suited to the timeframe)
+   * @param {string} [options.window='7d'] - Trailing window scored at each bucket
+   * @param {number} [options.maxLag] - Maximum lag order (defaults to the lead/lag analyzer config)
+   * @param {Array<string>} [options.sources] - Data sources (defaults to all registered sources)
+   * @returns {Promise<Object>} - { asset, timeframe, interval, maxLag, observations, signals, leaders, dataQuality }
+   */
+  async analyzeLeadLag(asset, options = {}) {
+    const timeframe = options.timeframe || '180d';
+    const range = parseTimeframe(timeframe);
+    const interval = normalizeInterval(options.interval || range.interval);
+    const window = options.window || '7d';
+    const windowMs = parseDuration(window);
+    const maxLag = options.maxLag || this.leadLag.config.maxLag;
+    const sources = options.sources || this.sources.names();
+    
+    const cacheKey = `lead_lag_${asset}_${range.label}_${interval}_${window}_${maxLag}_${sources.join('_')}`;
+    return this.cache.wrap(cacheKey, async () => {
+      if (!this.provider) {
+        throw new AdapterMissingError('A data provider is required for lead/lag analysis');
+      }
+      
       try {
-        sentimentData.market = await this.marketAnalyzer.analyze(asset, timeframe);
-        totalWeight += this.weights.market;
+        const timeSeries = await this.provider.getTimeSeries(asset, interval, range.days + durationToDays(window));
+        
+        if (!timeSeries || timeSeries.length === 0) {
+          throw new DataUnavailableError(`No time series data available for ${asset}`, { asset });
+        }
+        
+        const { series, report } = this.validator.validate(selectRange(timeSeries, range, windowMs));
+        const history = this.buildSentimentHistory(series, { timeframe, interval, window, sources });
+        const { signals, returns } = this._leadLagSignals(history, series);
+        
+        const result = {
+          asset,
+          timeframe,
+          interval,
+          maxLag,
+          observations: returns.filter(Number.isFinite).length,
+          ...this.leadLag.analyze(signals, returns, { maxLag }),
+          dataQuality: report,
+          diagnostics: { ...history.diagnostics, provider: servingProvider(this.provider, timeSeries) }
+        };
+        
+        return result;
       } catch (error) {
-        console.warn(`Error analyzing market sentiment for ${asset}:`, error.message);
+        this.logger.error(`Error analyzing lead/lag for ${asset}:`, error);
+        throw error;
       }
-    }
+    }, { method: 'leadLag', assets: [asset] });
+  }
+  
+  /**
+   * Classify an asset's sentiment history into regimes (capitulation, fear, neutral, greed, euphoria)
+   * Regimes are percentiles of the asset's own history rather than fixed score cutoffs.
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} [options] - Classification options
+   * @param {string|Object} [options.timeframe='180d'] - History the percentiles are taken over, or { from, to } range
+   * @param {string} [options.interval] - History bucket size (defaults to one suited to the timeframe)
+   * @param {string} [options.window='7d'] - Trailing window scored at each bucket
+   * @param {Array<string>} [options.sources] - Data sources (defaults to all registered sources)
+   * @param {Array<number>} [options.cutoffs] - Regime percentile cutoffs (defaults to the classifier config)
+   * @returns {Promise<Object>} - { asset, timeframe, interval, window, cutoffs, current, lastChange, thresholds,
+   *   durations, transitions, series, dataQuality, diagnostics }
+   */
+  async classifyRegime(asset, options = {}) {
+    const timeframe = options.timeframe || '180d';
+    const classifier = this._regimeClassifierFor(options);
     
-    // If no data could be collected, return null
-    if (Object.keys(sentimentData).length === 0) {
-      return null;
-    }
+    const history = await this.getSentimentHistory(asset, {
+      timeframe,
+      interval: options.interval,
+      window: options.window,
+      sources: options.sources
+    });
+    
+    const settings = { timeframe, interval: history.interval, window: history.window };
+    
+    return {
+      asset,
+      ...this._classifyRegimes(classifier, history.series, settings, { asset }),
+      dataQuality: history.dataQuality,
+      diagnostics: history.diagnostics
+    };
+  }
+  
+  /**
+   * Classify an ecosystem's sentiment index history into regimes
+   * The index is rebuilt over the timeframe from its constituents' histories at their current weights,
+   * as in compareEcosystems.
+   * @param {string} ecosystem - Ecosystem name
+   * @param {Object} [options] - Classification options
+   * @param {string|Object} [options.timeframe='180d'] - History the percentiles are taken over, or { from, to } range
+   * @param {string} [options.interval] - History bucket size (defaults to one suited to the timeframe)
+   * @param {string} [options.window='7d'] - Trailing window scored at each bucket
+   * @param {number} [options.limit=10] - Number of assets in the index
+   * @param {string} [options.weighting='equal'] - Ecosystem weighting mode
+   * @param {Array<number>} [options.cutoffs] - Regime percentile cutoffs (defaults to the classifier config)
+   * @returns {Promise<Object>} - { ecosystem, timeframe, interval, window, cutoffs, current, lastChange,
+   *   thresholds, durations, transitions, series, constituents, diagnostics }
+   */
+  async classifyEcosystemRegime(ecosystem, options = {}) {
+    const timeframe = options.timeframe || '180d';
+    const window = options.window || '7d';
+    const range = parseTimeframe(timeframe);
+    const interval = normalizeInterval(options.interval || range.interval);
+    const classifier = this._regimeClassifierFor(options);
+    const index = new EcosystemIndex({
+      weighting: options.weighting,
+      trendThreshold: this.model.config.trendThreshold
+    });
     
-    // Process collected data through the sentiment model
-    const result = this.model.process(sentimentData, this.weights, totalWeight);
+    const snapshot = await this.analyzeEcosystemSentiment(ecosystem, {
+      timeframe: window,
+      limit: options.limit,
+      weighting: index.weighting
+    });
+    const assets = snapshot.contributions.map(contribution => contribution.asset);
+    
+    // Assets the ecosystem snapshot could not analyze are reported alongside missing histories
+    const diagnostics = {
+      attempted: snapshot.diagnostics.attempted,
+      succeeded: [],
+      skipped: [],
+      failed: [...snapshot.diagnostics.failed]
+    };
+    const histories = await this._constituentHistories(assets, { timeframe, interval, window }, diagnostics);
+    diagnostics.succeeded = assets.filter(asset => histories[asset]);
+    
+    const series = index.buildSeries(histories, snapshot.contributions);
+    
+    return {
+      ecosystem,
+      ...this._classifyRegimes(classifier, series, { timeframe, interval, window }, { ecosystem, diagnostics }),
+      constituents: assets,
+      diagnostics
+    };
+  }
+  
+  /**
+   * Build the market-wide fear & greed index with a component breakdown and daily history
+   * Social sentiment, volatility and volume come from the basket assets' time series through the social and
+   * market analyzers, and breadth from the constituents of the scanned ecosystems. The current reading is the
+   * latest daily point, so it can be reproduced from the history.
+   * @param {Object} [options] - Index options; configuration falls back to the analyzer's fearGreed options
+   * @param {string|Object} [options.timeframe='30d'] - Period covered by the daily history, or { from, to } range
+   * @param {Array<string>|Object} [options.basket] - Basket assets, or weights keyed by asset
+   * @param {Array<string>} [options.ecosystems] - Ecosystems scanned for breadth
+   * @param {number} [options.ecosystemLimit] - Number of assets per ecosystem
+   * @param {Object} [options.weights] - Component weights (social, volatility, volume, breadth)
+   * @param {string} [options.window] - Trailing window for social sentiment, volatility, volume and breadth
+   * @param {string} [options.baseline] - Trailing window recent volatility is compared with
+   * @returns {Promise<Object>} - { timeframe, score, label, asOf, components, regime, history, config,
+   *   constituents, diagnostics }
+   */
+  async getFearGreedIndex(options = {}) {
+    const timeframe = options.timeframe || '30d';
+    const range = parseTimeframe(timeframe);
+    const { basket, ecosystems, ecosystemLimit, weights, window, baseline } = options;
+    const overrides = { basket, ecosystems, ecosystemLimit, weights, window, baseline };
+    const index = new FearGreedIndex({
+      ...this.fearGreedConfig,
+      ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined))
+    });
+    const config = index.toJSON();
     
-    // Cache and return result
-    this.cache.set(cacheKey, result);
-    return result;
+    const cacheKey = `fear_greed_${range.label}_${JSON.stringify(config)}`;
+    return this.cache.wrap(cacheKey, async () => {
+      if (!this.provider) {
+        throw new AdapterMissingError('A data provider is required for the fear & greed index');
+      }
+      
+      try {
+        const basketAssets = Object.keys(index.basket);
+        const diagnostics = { attempted: [...basketAssets], succeeded: [], skipped: [], failed: [] };
+        
+        // Social, volatility and volume readings for every basket asset
+        const assetOutcomes = await this.scheduler.map(basketAssets, asset =>
+          this._fearGreedAssetSeries(asset, range, index));
+        const assetSeries = {};
+        assetOutcomes.forEach((outcome, i) => {
+          if (outcome.status === 'fulfilled') {
+            assetSeries[basketAssets[i]] = outcome.value;
+          } else {
+            diagnostics.failed.push(this._failure('asset', basketAssets[i], outcome.reason));
+          }
+        });
+        
+        // Breadth from the constituents of every scanned ecosystem
+        let constituents = [];
+        let breadth = [];
+        if (index.weights.breadth > 0) {
+          const snapshots = await Promise.allSettled(index.ecosystems.map(ecosystem =>
+            this.analyzeEcosystemSentiment(ecosystem, { timeframe: index.window, limit: index.ecosystemLimit })));
+          snapshots.forEach((snapshot, i) => {
+            diagnostics.attempted.push(index.ecosystems[i]);
+            if (snapshot.status === 'fulfilled') {
+              diagnostics.failed.push(...snapshot.value.diagnostics.failed);
+              constituents.push(...snapshot.value.contributions.map(contribution => contribution.asset));
+            } else {
+              diagnostics.failed.push(this._failure('ecosystem', index.ecosystems[i], snapshot.reason));
+            }
+          });
+          
+          constituents = Array.from(new Set(constituents));
+          const histories = await this._constituentHistories(constituents, {
+            timeframe,
+            interval: '1d',
+            window: index.window
+          }, diagnostics);
+          breadth = index.buildBreadth(histories);
+        } else {
+          diagnostics.skipped.push(...index.ecosystems.map(ecosystem => ({
+            ecosystem,
+            reason: 'Breadth has no weight'
+          })));
+        }
+        
+        const failedNames = new Set(diagnostics.failed.map(failure => failure.asset || failure.ecosystem));
+        diagnostics.succeeded = diagnostics.attempted.filter(name => !failedNames.has(name));
+        
+        const history = index.buildSeries(assetSeries, breadth);
+        if (history.length === 0) {
+          throw new DataUnavailableError('No data available to build the fear & greed index', { diagnostics });
+        }
+        
+        const latest = history[history.length - 1];
+        const regime = history.length >= this.regimeClassifier.minPoints
+          ? this.regimeClassifier.classify(history, { intervalMs: parseDuration('1d') }).current
+          : null;
+        
+        const result = {
+          timeframe,
+          score: latest.score,
+          label: latest.label,
+          asOf: latest.time,
+          components: latest.components,
+          regime,
+          history: history.map(point => ({
+            time: point.time,
+            score: point.score,
+            label: point.label,
+            components: Object.fromEntries(
+              Object.entries(point.components).map(([component, reading]) => [component, reading.score])
+            )
+          })),
+          config,
+          constituents,
+          diagnostics
+        };
+        
+        return result;
+      } catch (error) {
+        this.logger.error('Error building the fear & greed index:', error);
+        throw error;
+      }
+    }, {
+      method: 'fearGreed',
+      assets: result => [...Object.keys(result.config.basket), ...result.constituents],
+      // Partial results are not cached so failed assets and ecosystems are retried on the next call
+      cacheable: result => result.diagnostics.failed.length === 0
+    });
+  }
+  
+  /**
+   * Remove every cached result and provider response that depends on an asset, including
+   * ecosystem results it contributes to
+   * @param {string} asset - Asset symbol (case-insensitive)
+   * @returns {Promise<number>} - Number of cache entries removed
+   */
+  invalidate(asset) {
+    return this.cache.invalidate(asset);
+  }
+  
+  /**
+   * Create a watcher that pushes sentiment updates for a watchlist
+   * @param {Array<string>} assets - Initial watchlist
+   * @param {Object} [options] - SentimentWatcher options (interval, timeframe, sources)
+   * @returns {SentimentWatcher} - Watcher (call start() to begin refreshing)
+   */
+  watch(assets, options = {}) {
+    return new SentimentWatcher(this, { ...options, assets });
   }
   
   /**
    * Analyze sentiment across an ecosystem
    * @param {string} ecosystem - Ecosystem name
    * @param {Object} [options] - Analysis options
-   * @param {string} [options.timeframe='7d'] - Time window
+   * @param {string|Object} [options.timeframe='7d'] - Time window or { from, to } range
    * @param {number} [options.limit=10] - Number of assets to analyze
-   * @returns {Promise<Object>} - Ecosystem sentiment analysis
+   * @param {string} [options.weighting='equal'] - 'equal', 'marketCap', 'volume' or 'socialVolume'
+   * @returns {Promise<Object>} - Ecosystem sentiment index with dispersion and per-asset contributions;
+   *   assets that could not be analyzed are listed in `failed` and in `diagnostics`
    */
   async analyzeEcosystemSentiment(ecosystem, options = {}) {
     const timeframe = options.timeframe || '7d';
     const limit = options.limit || 10;
+    const index = new EcosystemIndex({
+      weighting: options.weighting,
+      trendThreshold: this.model.config.trendThreshold
+    });
+    const range = parseTimeframe(timeframe); // Reject invalid timeframes before fetching any asset
     
-    const cacheKey = `ecosystem_sentiment_${ecosystem}_${timeframe}_${limit}`;
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult) return cachedResult;
-    
-    try {
-      // Get top assets in the ecosystem
-      const ecosystemAssets = await this.adapters.lunarcrush.getEcosystemCoins(ecosystem, limit);
-      
-      if (!ecosystemAssets || ecosystemAssets.length === 0) {
-        throw new Error(`No assets found for ecosystem: ${ecosystem}`);
+    const cacheKey = `ecosystem_sentiment_${ecosystem}_${range.label}_${limit}_${index.weighting}`;
+    return this.cache.wrap(cacheKey, async () => {
+      if (!this.provider) {
+        throw new AdapterMissingError('A data provider is required for ecosystem sentiment');
       }
       
-      // Analyze sentiment for each asset
-      const assetSentiments = [];
-      let ecosystemScore = 0;
-      
-      for (const asset of ecosystemAssets) {
-        const assetSymbol = asset.s || asset.symbol || asset;
-        const sentiment = await this.analyzeSentiment(assetSymbol, {
-          timeframe,
-          sources: ['social', 'news', 'market']
-        });
+      try {
+        // Get top assets in the ecosystem
+        const ecosystemAssets = await this.provider.getEcosystemCoins(ecosystem, limit);
+        
+        if (!ecosystemAssets || ecosystemAssets.length === 0) {
+          throw new DataUnavailableError(`No assets found for ecosystem: ${ecosystem}`, { ecosystem });
+        }
         
-        if (sentiment) {
-          assetSentiments.push({
-            asset: assetSymbol,
+        // Analyze assets concurrently; failures are reported rather than dropped
+        const assetSymbols = ecosystemAssets.map(asset => asset.symbol || asset);
+        const outcomes = await this.scheduler.map(ecosystemAssets, async (coin, i) => {
+          const sentiment = await this.analyzeSentiment(assetSymbols[i], { timeframe });
+          
+          return {
+            asset: assetSymbols[i],
             score: sentiment.score,
-            trend: sentiment.trend
+            trend: sentiment.trend,
+            metrics: await this._ecosystemAssetMetrics(coin, assetSymbols[i], timeframe, index.weighting)
+          };
+        });
+        
+        const assetSentiments = [];
+        const failed = [];
+        
+        outcomes.forEach((outcome, i) => {
+          if (outcome.status === 'fulfilled') {
+            assetSentiments.push(outcome.value);
+          } else {
+            failed.push({ asset: assetSymbols[i], error: outcome.reason.message, code: errorCode(outcome.reason) });
+          }
+        });
+        
+        const diagnostics = {
+          provider: servingProvider(this.provider, ecosystemAssets),
+          attempted: assetSymbols,
+          succeeded: assetSentiments.map(entry => entry.asset),
+          skipped: [],
+          failed: failed.map(failure => ({ asset: failure.asset, code: failure.code, reason: failure.error }))
+        };
+        
+        if (assetSentiments.length === 0) {
+          throw new DataUnavailableError(`No assets could be analyzed for ecosystem: ${ecosystem}`, {
+            ecosystem,
+            diagnostics
           });
-          
-          ecosystemScore += sentiment.score;
         }
+        
+        const { score, trend, weighting, dispersion, contributions, unweighted } = index.build(assetSentiments);
+        
+        // Sort assets by sentiment score
+        const topAssets = assetSentiments
+          .map(entry => ({ asset: entry.asset, score: entry.score, trend: entry.trend }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, 5);
+        
+        const result = {
+          ecosystem,
+          score,
+          trend,
+          weighting,
+          topAssets,
+          assetCount: assetSentiments.length,
+          dispersion,
+          contributions,
+          unweighted,
+          failed,
+          diagnostics
+        };
+        
+        return result;
+      } catch (error) {
+        this.logger.error(`Error analyzing ecosystem sentiment for ${ecosystem}:`, error);
+        throw error;
       }
-      
-      // Calculate average ecosystem sentiment
-      const avgEcosystemScore = assetSentiments.length > 0 
-        ? ecosystemScore / assetSentiments.length 
-        : 0;
-      
-      // Sort assets by sentiment score
-      const topAssets = assetSentiments
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 5);
-      
-      // Determine overall trend
-      const positiveCount = assetSentiments.filter(s => s.trend === 'rising').length;
-      const negativeCount = assetSentiments.filter(s => s.trend === 'falling').length;
-      const trend = positiveCount > negativeCount ? 'rising' : 
-                   negativeCount > positiveCount ? 'falling' : 'stable';
-      
-      const result = {
-        ecosystem,
-        score: avgEcosystemScore,
-        trend,
-        topAssets,
-        assetCount: assetSentiments.length
-      };
-      
-      this.cache.set(cacheKey, result);
-      return result;
-    } catch (error) {
-      console.error(`Error analyzing ecosystem sentiment for ${ecosystem}:`, error);
-      throw error;
+    }, {
+      method: 'ecosystem',
+      assets: result => result.diagnostics.attempted,
+      // Partial results are not cached so failed assets are retried on the next call
+      cacheable: result => result.failed.length === 0
+    });
+  }
+  
+  /**
+   * Compare ecosystems to find where sentiment is strongest and where it is rotating
+   * Each ecosystem's index is rebuilt over the timeframe from its constituents' sentiment
+   * histories (at their current weights) to measure momentum and relative strength.
+   * @param {Array<string>} ecosystems - Ecosystem names (at least two)
+   * @param {Object} [options] - Comparison options
+   * @param {string|Object} [options.timeframe='30d'] - Period over which momentum and relative strength are
+   *   measured, or { from, to } range
+   * @param {string} [options.window='7d'] - Sentiment window for the current level and each history point
+   * @param {string} [options.interval] - History bucket size (defaults to one suited to the timeframe)
+   * @param {number} [options.limit=10] - Number of assets per ecosystem
+   * @param {string} [options.weighting='equal'] - Ecosystem weighting mode
+   * @param {number} [options.rotationThreshold=3] - Minimum momentum (score points) on both sides of a rotation
+   * @returns {Promise<Object>} - { timeframe, window, weighting, rankings, rotations, series, constituents,
+   *   failed, diagnostics }
+   */
+  async compareEcosystems(ecosystems, options = {}) {
+    const timeframe = options.timeframe || '30d';
+    const window = options.window || '7d';
+    const range = parseTimeframe(timeframe);
+    const interval = normalizeInterval(options.interval || range.interval);
+    const limit = options.limit || 10;
+    const index = new EcosystemIndex({
+      weighting: options.weighting,
+      trendThreshold: this.model.config.trendThreshold
+    });
+    const rotation = new EcosystemRotation({ rotationThreshold: options.rotationThreshold });
+    
+    if (!Array.isArray(ecosystems) || ecosystems.length < 2) {
+      throw new InvalidArgumentError('At least two ecosystems are required for comparison', { ecosystems });
     }
+    
+    const cacheKey = `ecosystem_comparison_${ecosystems.join('_')}_${range.label}_${window}_${interval}_` +
+      `${limit}_${index.weighting}_${rotation.rotationThreshold}`;
+    return this.cache.wrap(cacheKey, async () => {
+      try {
+        // Current level and constituents of every ecosystem
+        const snapshots = await Promise.allSettled(ecosystems.map(ecosystem =>
+          this.analyzeEcosystemSentiment(ecosystem, { timeframe: window, limit, weighting: index.weighting })));
+        
+        const failed = [];
+        const analyzed = [];
+        snapshots.forEach((snapshot, i) => {
+          if (snapshot.status === 'fulfilled') {
+            analyzed.push(snapshot.value);
+          } else {
+            failed.push({ ecosystem: ecosystems[i], error: snapshot.reason.message, code: errorCode(snapshot.reason) });
+          }
+        });
+        
+        const diagnostics = {
+          attempted: ecosystems,
+          succeeded: analyzed.map(snapshot => snapshot.ecosystem),
+          skipped: [],
+          failed: failed.map(failure => ({ ecosystem: failure.ecosystem, code: failure.code, reason: failure.error }))
+        };
+        
+        if (analyzed.length < 2) {
+          throw new DataUnavailableError('Fewer than two ecosystems could be analyzed for comparison', { diagnostics });
+        }
+        
+        // Constituent histories; assets shared between ecosystems are fetched once
+        const assets = Array.from(new Set(analyzed.flatMap(snapshot => snapshot.contributions.map(c => c.asset))));
+        const histories = await this._constituentHistories(assets, { timeframe, interval, window }, diagnostics);
+        
+        const entries = analyzed.map(snapshot => ({
+          ecosystem: snapshot.ecosystem,
+          score: snapshot.score,
+          trend: snapshot.trend,
+          series: index.buildSeries(histories, snapshot.contributions)
+        }));
+        
+        const result = {
+          timeframe,
+          window,
+          weighting: index.weighting,
+          ...rotation.compare(entries),
+          series: Object.fromEntries(entries.map(entry => [entry.ecosystem, entry.series])),
+          constituents: assets,
+          failed,
+          diagnostics
+        };
+        
+        return result;
+      } catch (error) {
+        this.logger.error('Error comparing ecosystems:', error);
+        throw error;
+      }
+    }, {
+      method: 'comparison',
+      assets: result => result.constituents,
+      // Partial results are not cached so failed ecosystems and histories are retried on the next call
+      cacheable: result => result.diagnostics.failed.length === 0
+    });
   }
   
   /**
    * Analyze correlation between sentiment and price
+   * By default sentiment changes are correlated with price returns, since correlating two trending
+   * levels produces spurious results.
    * @param {string} asset - Asset symbol or name
    * @param {Object} [options] - Analysis options
-   * @param {string} [options.timeframe='90d'] - Time window
-   * @param {string} [options.interval='1d'] - Data interval
+   * @param {string|Object} [options.timeframe='90d'] - Time window or { from, to } range
+   * @param {string} [options.interval] - Data interval (defaults to one suited to the timeframe)
+   * @param {string} [options.method='pearson'] - Correlation method ('pearson', 'spearman' or 'kendall')
+   * @param {string} [options.basis='returns'] - 'returns' (changes) or 'levels' (raw values)
+   * @param {number} [options.maxLag=7] - Maximum lag to test, in intervals
    * @returns {Promise<Object>} - Correlation analysis
    */
   async analyzeSentimentPriceCorrelation(asset, options = {}) {
     const timeframe = options.timeframe || '90d';
-    const interval = options.interval || '1d';
+    const range = parseTimeframe(timeframe);
+    const interval = normalizeInterval(options.interval || range.interval);
+    const method = options.method || 'pearson';
+    const basis = options.basis || 'returns';
+    const maxLag = options.maxLag !== undefined ? options.maxLag : 7;
     
-    const cacheKey = `correlation_${asset}_${timeframe}_${interval}`;
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult) return cachedResult;
+    if (basis !== 'returns' && basis !== 'levels') {
+      throw new InvalidArgumentError(`Unknown correlation basis: ${basis}`, { basis });
+    }
     
-    try {
-      // Get historical data
-      const timeSeries = await this.adapters.lunarcrush.getTimeSeries(
-        asset, 
-        interval,
-        this._periodToDays(timeframe)
-      );
-      
-      if (!timeSeries || timeSeries.length === 0) {
-        throw new Error(`No time series data available for ${asset}`);
+    const cacheKey = `correlation_${asset}_${range.label}_${interval}_${method}_${basis}_${maxLag}`;
+    return this.cache.wrap(cacheKey, async () => {
+      if (!this.provider) {
+        throw new AdapterMissingError('A data provider is required for correlation analysis');
       }
       
-      // Extract sentiment and price data
-      const sentimentData = timeSeries.map(d => d.gs || 0); // Galaxy Score as sentiment
-      const priceData = timeSeries.map(d => d.p || 0); // Price
-      
-      // Calculate correlations
-      const correlation = this.model.calculateCorrelation(sentimentData, priceData);
-      
-      // Calculate lag effect (how many days sentiment leads/lags price)
-      const lag = this.model.calculateOptimalLag(sentimentData, priceData, 7); // Max 7 days lag
-      
-      const result = {
-        asset,
-        coefficient: correlation,
-        lag,
-        significance: Math.abs(correlation) > 0.5 ? 'high' : 
-                     Math.abs(correlation) > 0.3 ? 'medium' : 'low',
-        interpretation: this._interpretCorrelation(correlation, lag)
-      };
-      
-      this.cache.set(cacheKey, result);
-      return result;
+      try {
+        // Get historical data
+        const timeSeries = await this.provider.getTimeSeries(asset, interval, range.days);
+        
+        if (!timeSeries || timeSeries.length === 0) {
+          throw new DataUnavailableError(`No time series data available for ${asset}`, { asset });
+        }
+        
+        // Extract sentiment (Galaxy Score) and price, skipping points missing either
+        const { series, report } = this.validator.validate(selectRange(timeSeries, range));
+        const points = series.filter(d => typeof d.galaxyScore === 'number' && d.price > 0);
+        let sentimentData = points.map(d => d.galaxyScore);
+        let priceData = points.map(d => d.price);
+        
+        const sentimentChanges = sentimentData.slice(1).map((value, i) => value - sentimentData[i]);
+        const priceReturns = percentChanges(priceData);
+        
+        if (basis === 'returns') {
+          sentimentData = sentimentChanges;
+          priceData = priceReturns;
+        }
+        
+        const correlation = this.model.calculateCorrelation(sentimentData, priceData, { method });
+        
+        // Calculate lag effect (how many intervals sentiment leads/lags price)
+        const lagAnalysis = this.model.calculateOptimalLag(sentimentData, priceData, maxLag, { method });
+        
+        // Granger tests on changes give the evidence for whether sentiment leads or follows price
+        const causality = this.leadLag.analyze({ sentiment: sentimentChanges }, priceReturns).signals.sentiment;
+        
+        const result = {
+          asset,
+          method,
+          basis,
+          coefficient: correlation.coefficient,
+          sampleSize: correlation.n,
+          pValue: correlation.pValue,
+          confidenceInterval: correlation.confidenceInterval,
+          significant: correlation.significant,
+          significance: this._significanceLevel(correlation.pValue),
+          lag: lagAnalysis.lag,
+          lagAnalysis,
+          causality,
+          interpretation: this._interpretCorrelation(correlation, causality, interval),
+          dataQuality: report,
+          diagnostics: { provider: servingProvider(this.provider, timeSeries) }
+        };
+        
+        return result;
+      } catch (error) {
+        this.logger.error(`Error analyzing sentiment-price correlation for ${asset}:`, error);
+        throw error;
+      }
+    }, { method: 'correlation', assets: [asset] });
+  }
+  
+  /**
+   * Describe a failure for result diagnostics
+   * @private
+   * @param {string} key - Name of the field identifying what failed ('source', 'asset', ...)
+   * @param {string} name - What failed
+   * @param {Error} error - Failure reason
+   * @returns {Object} - { [key]: name, code, reason }
+   */
+  _failure(key, name, error) {
+    return { [key]: name, code: errorCode(error), reason: error.message };
+  }
+  
+  /**
+   * Compute the momentum indicators of the composite sentiment score over a timeframe
+   * The score history is bucketed as in getSentimentHistory, but each bucket is scored over a
+   * trailing window no longer than the timeframe, so short timeframes do not fetch days of
+   * intraday data.
+   * @private
+   * @param {string} asset - Asset symbol or name
+   * @param {string|Object} timeframe - Time window or { from, to } range
+   * @param {Array<string>} sources - Data sources
+   * @param {Object} diagnostics - Analysis diagnostics, to which a failure is added
+   * @returns {Promise<Object|null>} - Indicator suite, or null if the history could not be built
+   */
+  async _compositeIndicators(asset, timeframe, sources, diagnostics) {
+    const { ms } = parseTimeframe(timeframe);
+    const minute = parseDuration('1m');
+    const window = ms >= parseDuration('7d') ? '7d' : formatInterval(Math.max(1, Math.round(ms / minute)) * minute);
+    
+    try {
+      const history = await this.getSentimentHistory(asset, { timeframe, window, sources });
+      return history.indicators;
     } catch (error) {
-      console.error(`Error analyzing sentiment-price correlation for ${asset}:`, error);
-      throw error;
+      diagnostics.failed.push(this._failure('metric', 'indicators', error));
+      return null;
+    }
+  }
+  
+  /**
+   * Compute a metric beyond the sentiment analysis for batch results and screens
+   * Social volume reuses the social analyzer's cached result for the same timeframe.
+   * @private
+   * @param {string} metric - 'socialVolume', 'momentum' or 'correlation'
+   * @param {string} asset - Asset symbol or name
+   * @param {Object} options - analyzeMany options
+   * @returns {Promise<number|null>} - Metric value
+   */
+  async _assetMetric(metric, asset, options) {
+    switch (metric) {
+      case 'socialVolume': {
+        const social = await this.socialAnalyzer.analyze(asset, options.timeframe);
+        return social.engagement.volume;
+      }
+      case 'momentum': {
+        const history = await this.getSentimentHistory(asset, {
+          timeframe: options.timeframe,
+          window: options.window,
+          sources: options.sources
+        });
+        const scores = history.series.map(point => point.score);
+        return scores.length > 1 ? Math.round((scores[scores.length - 1] - scores[0]) * 10) / 10 : null;
+      }
+      case 'correlation': {
+        const correlation = await this.analyzeSentimentPriceCorrelation(asset, {
+          timeframe: options.correlationTimeframe
+        });
+        return correlation.coefficient;
+      }
+      default:
+        throw new InvalidArgumentError(`Unknown metric: ${metric}`, { metric });
     }
   }
   
   /**
-   * Convert time period string to days
+   * Collect the metrics used to weight an asset in an ecosystem index
+   * Values from the ecosystem listing are preferred; the metric needed for the weighting falls back
+   * to the latest time series point (shared with the analyzers' fetch for the same timeframe).
    * @private
-   * @param {string} period - Time period (e.g., '1d', '7d', '30d')
-   * @returns {number} - Number of days
-   */
-  _periodToDays(period) {
-    const match = period.match(/^(\d+)([hdwmy])$/);
-    if (!match) return 7; // Default to 7 days
-    
-    const [, value, unit] = match;
-    const numValue = parseInt(value, 10);
-    
-    switch (unit) {
-      case 'h': return numValue / 24; // hours to days
-      case 'd': return numValue; // already days
-      case 'w': return numValue * 7; // weeks to days
-      case 'm': return numValue * 30; // months to days (approx)
-      case 'y': return numValue * 365; // years to days (approx)
-      default: return 7;
+   * @param {Object|string} coin - Ecosystem listing entry
+   * @param {string} asset - Asset symbol
+   * @param {string|Object} timeframe - Time window or { from, to } range
+   * @param {string} weighting - Ecosystem weighting mode
+   * @returns {Promise<Object>} - { marketCap, volume, socialVolume }
+   */
+  async _ecosystemAssetMetrics(coin, asset, timeframe, weighting) {
+    const pick = (...values) => values.find(value => typeof value === 'number');
+    const listing = coin && typeof coin === 'object' ? coin : {};
+    
+    const metrics = {
+      marketCap: pick(listing.marketCap),
+      volume: pick(listing.volume),
+      socialVolume: pick(listing.socialVolume)
+    };
+    
+    const metric = EcosystemIndex.WEIGHTING_MODES[weighting];
+    if (metric && metrics[metric] === undefined) {
+      const range = parseTimeframe(timeframe);
+      const timeSeries = await this.provider.getTimeSeries(asset, range.interval, range.days);
+      const points = [...(timeSeries || [])].reverse(); // Newest first
+      
+      const latest = field => pick(...points.map(point => point[field]));
+      metrics.marketCap = pick(metrics.marketCap, latest('marketCap'));
+      metrics.volume = pick(metrics.volume, latest('volume'));
+      metrics.socialVolume = pick(metrics.socialVolume, latest('socialVolume'), latest('socialContributors'));
     }
+    
+    return metrics;
+  }
+  
+  /**
+   * Fetch sentiment histories for index constituents
+   * Constituents without a history are left out and reported in the diagnostics.
+   * @private
+   * @param {Array<string>} assets - Constituent asset symbols
+   * @param {Object} options - History options ({ timeframe, interval, window })
+   * @param {Object} diagnostics - Diagnostics to record failures in
+   * @returns {Promise<Object>} - History series keyed by asset
+   */
+  async _constituentHistories(assets, options, diagnostics) {
+    const outcomes = await this.scheduler.map(assets, asset => this.getSentimentHistory(asset, options));
+    
+    const histories = {};
+    outcomes.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        histories[assets[i]] = outcome.value.series;
+      } else {
+        diagnostics.failed.push(this._failure('asset', assets[i], outcome.reason));
+      }
+    });
+    
+    return histories;
+  }
+  
+  /**
+   * Compute a basket asset's daily fear & greed component readings over trailing windows
+   * Days where an analyzer has no data leave that reading out rather than failing the asset.
+   * @private
+   * @param {string} asset - Asset symbol
+   * @param {Object} range - Parsed timeframe of the index history
+   * @param {FearGreedIndex} index - Fear & greed index
+   * @returns {Promise<Array<Object>>} - Component points ({ time, social, volatility, volume }), oldest first
+   */
+  async _fearGreedAssetSeries(asset, range, index) {
+    const dayMs = parseDuration('1d');
+    const windowMs = parseDuration(index.window);
+    const baselineMs = parseDuration(index.baseline);
+    const lookbackMs = Math.max(windowMs, baselineMs);
+    
+    const timeSeries = await this.provider.getTimeSeries(asset, '1d', range.days + lookbackMs / dayMs);
+    if (!timeSeries || timeSeries.length === 0) {
+      throw new DataUnavailableError(`No time series data available for ${asset}`, { asset });
+    }
+    
+    const { series } = this.validator.validate(selectRange(timeSeries, range, lookbackMs));
+    const trailing = (i, ms) => series.slice(Math.max(0, i - Math.max(2, Math.round(ms / dayMs)) + 1), i + 1);
+    const attempt = analyze => {
+      try {
+        return analyze();
+      } catch (error) {
+        return null;
+      }
+    };
+    
+    const points = [];
+    const bucketCount = Math.max(1, Math.round(range.ms / dayMs));
+    for (let i = Math.max(0, series.length - bucketCount); i < series.length; i++) {
+      points.push({
+        time: series[i].time,
+        ...index.assetComponents({
+          social: attempt(() => this.socialAnalyzer.analyzeSeries(trailing(i, windowMs))),
+          market: attempt(() => this.marketAnalyzer.analyzeSeries(trailing(i, windowMs))),
+          baseline: attempt(() => this.marketAnalyzer.analyzeSeries(trailing(i, baselineMs)))
+        })
+      });
+    }
+    
+    return points;
+  }
+  
+  /**
+   * Get the regime classifier for a call, honoring per-call cutoffs
+   * @private
+   * @param {Object} options - Classification options
+   * @returns {RegimeClassifier} - Regime classifier
+   */
+  _regimeClassifierFor(options) {
+    return options.cutoffs
+      ? new RegimeClassifier({ ...this.regimeConfig, cutoffs: options.cutoffs })
+      : this.regimeClassifier;
+  }
+  
+  /**
+   * Classify a sentiment series into regimes
+   * @private
+   * @param {RegimeClassifier} classifier - Regime classifier
+   * @param {Array<Object>} series - History points ({ time, score }, oldest first)
+   * @param {Object} settings - History settings ({ timeframe, interval, window })
+   * @param {Object} details - What was classified, attached to the error if the history is too short
+   * @returns {Object} - Settings followed by the classification
+   * @throws {DataUnavailableError} - If the history has fewer points than the classifier needs
+   */
+  _classifyRegimes(classifier, series, settings, details) {
+    if (series.length < classifier.minPoints) {
+      throw new DataUnavailableError(
+        `Not enough sentiment history to classify regimes: ${series.length} of ${classifier.minPoints} points`,
+        { ...details, points: series.length, minPoints: classifier.minPoints }
+      );
+    }
+    
+    return {
+      ...settings,
+      cutoffs: classifier.cutoffs,
+      ...classifier.classify(series, { intervalMs: parseDuration(settings.interval) })
+    };
+  }
+  
+  /**
+   * Build aligned, stationary signal series and price returns from a sentiment history
+   * Missing values are kept as null so every series stays aligned with the history buckets.
+   * @private
+   * @param {Object} history - Sentiment history from buildSentimentHistory
+   * @param {Array<Object>} timeSeries - Raw time series the history was built from
+   * @returns {Object} - { signals, returns }
+   */
+  _leadLagSignals(history, timeSeries) {
+    const rawByTime = new Map(timeSeries.map(d => [d.time, d]));
+    const points = history.series;
+    
+    const change = (values, relative) => values.map((value, i) => {
+      const previous = values[i - 1];
+      if (i === 0 || !Number.isFinite(value) || !Number.isFinite(previous)) return null;
+      if (!relative) return value - previous;
+      return previous > 0 ? value / previous - 1 : null;
+    });
+    
+    const signals = {};
+    for (const source of history.sources) {
+      signals[source] = change(points.map(point => point.breakdown[source] ? point.breakdown[source].score : null));
+    }
+    
+    signals.socialVolume = change(points.map(point => {
+      const raw = rawByTime.get(point.time) || {};
+      return typeof raw.socialVolume === 'number' ? raw.socialVolume : raw.socialContributors;
+    }), true);
+    
+    return {
+      signals,
+      returns: change(points.map(point => point.price), true)
+    };
+  }
+  
+  /**
+   * Label the strength of statistical evidence for a correlation
+   * @private
+   * @param {number|null} pValue - Two-sided p-value
+   * @returns {string} - 'high', 'medium' or 'low'
+   */
+  _significanceLevel(pValue) {
+    if (pValue === null) return 'low';
+    return pValue < 0.01 ? 'high' : pValue < 0.05 ? 'medium' : 'low';
   }
   
   /**
    * Interpret correlation results
    * @private
-   * @param {number} coefficient - Correlation coefficient
-   * @param {number} lag - Time lag in days
+   * @param {Object} correlation - Correlation result from the sentiment model
+   * @param {Object} causality - Granger-causality result for sentiment against returns
+   * @param {string} interval - Data interval
    * @returns {string} - Interpretation
    */
-  _interpretCorrelation(coefficient, lag) {
+  _interpretCorrelation(correlation, causality, interval) {
+    const { coefficient, n, pValue } = correlation;
+    
+    if (pValue === null) {
+      return `Not enough data to assess the correlation between sentiment and price (n=${n}).`;
+    }
+    
     const strength = Math.abs(coefficient) > 0.7 ? 'strong' : 
                      Math.abs(coefficient) > 0.5 ? 'moderate' : 
                      Math.abs(coefficient) > 0.3 ? 'weak' : 'very weak';
     
     const direction = coefficient > 0 ? 'positive' : 'negative';
+    const evidence = correlation.significant
+      ? `statistically significant (p=${pValue.toFixed(3)}, n=${n})`
+      : `not statistically significant (p=${pValue.toFixed(3)}, n=${n})`;
     
-    if (lag === 0) {
-      return `Sentiment shows a ${strength} ${direction} correlation with price movements, occurring simultaneously.`;
-    } else if (lag > 0) {
-      return `Sentiment shows a ${strength} ${direction} correlation with price movements, leading by ${lag} day(s).`;
-    } else {
-      return `Sentiment shows a ${strength} ${direction} correlation with price movements, lagging by ${Math.abs(lag)} day(s).`;
+    const unit = interval === '1d' ? 'day(s)' : `${interval} interval(s)`;
+    const describe = test => `${test.lag} ${unit} (F=${test.fStatistic.toFixed(2)}, p=${test.pValue.toFixed(3)})`;
+    
+    let timing;
+    switch (causality.relationship) {
+      case 'leads':
+        timing = ` Granger tests indicate sentiment leads price by ${describe(causality.leadsPrice)}.`;
+        break;
+      case 'follows':
+        timing = ` Granger tests indicate sentiment follows price by ${describe(causality.followsPrice)}.`;
+        break;
+      case 'feedback':
+        timing = ` Granger tests indicate feedback: sentiment leads price by ${describe(causality.leadsPrice)} ` +
+          `and follows it by ${describe(causality.followsPrice)}.`;
+        break;
+      case 'none':
+        timing = ' Granger tests find no evidence that sentiment leads or follows price.';
+        break;
+      default:
+        timing = ' Not enough data to test whether sentiment leads or follows price.';
     }
+    
+    return `Sentiment shows a ${strength} ${direction} correlation with price movements, ${evidence}.${timing}`;
   }
 }
 
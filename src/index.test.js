@@ -0,0 +1,184 @@
+const SentimentAnalyzer = require('./index');
+const { FixtureAdapter } = require('./adapters');
+
+const DAY_SECONDS = 24 * 60 * 60;
+const silentLogger = { warn() {}, error() {} };
+
+/**
+ * Daily points ending yesterday with sentiment drifting by `slope` per day
+ */
+function series(base, slope, days = 60) {
+  const end = Math.floor(Date.now() / 1000 / DAY_SECONDS) * DAY_SECONDS;
+  return Array.from({ length: days }, (_, i) => ({
+    time: end - (days - i) * DAY_SECONDS,
+    price: 100 + i * slope + Math.sin(i) * 2,
+    volume: 1e6 + (i % 5) * 1e4,
+    galaxyScore: base + i * slope * 0.2,
+    socialScore: base + i * slope * 0.2,
+    socialVolume: 1000 + i * base,
+    newsSentiment: base
+  }));
+}
+
+function createAnalyzer() {
+  const fixture = new FixtureAdapter({
+    assets: {
+      AAA: { timeSeries: series(60, 0.5) },
+      BBB: { timeSeries: series(45, -0.3) },
+      CCC: { timeSeries: series(75, 0.2) }
+    }
+  });
+  return new SentimentAnalyzer({ adapters: { fixture }, logger: silentLogger });
+}
+
+describe('SentimentAnalyzer batch analysis', () => {
+  it('analyzes several assets and reports failures without failing the batch', async () => {
+    const analyzer = createAnalyzer();
+    const batch = await analyzer.analyzeMany(['AAA', 'BBB', 'NOPE']);
+    
+    expect(batch.timeframe).toBe('7d');
+    expect(batch.results.map(result => result.asset)).toEqual(['AAA', 'BBB']);
+    for (const result of batch.results) {
+      expect(result.score).toBe(result.sentiment.score);
+      expect(result.trend).toBe(result.sentiment.trend);
+    }
+    expect(batch.failed).toEqual([
+      { asset: 'NOPE', error: expect.stringContaining('NOPE'), code: 'DATA_UNAVAILABLE' }
+    ]);
+    expect(batch.diagnostics.failed.map(failure => failure.asset)).toEqual(['NOPE']);
+  });
+  
+  it('adds requested metrics to every result', async () => {
+    const analyzer = createAnalyzer();
+    const batch = await analyzer.analyzeMany(['AAA', 'BBB'], { metrics: ['socialVolume', 'momentum'] });
+    const [aaa, bbb] = batch.results;
+    const history = await analyzer.getSentimentHistory('BBB', { timeframe: '7d' });
+    const scores = history.series.map(point => point.score);
+    
+    expect(aaa.socialVolume).toBe(1000 + 59 * 60);
+    expect(bbb.socialVolume).toBe(1000 + 59 * 45);
+    expect(bbb.momentum).toBe(Math.round((scores[scores.length - 1] - scores[0]) * 10) / 10);
+  });
+  
+  it('rejects unknown metrics and empty asset lists', async () => {
+    const analyzer = createAnalyzer();
+    
+    await expect(analyzer.analyzeMany([])).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(analyzer.analyzeMany(['AAA'], { metrics: ['hype'] })).rejects.toMatchObject({
+      code: 'INVALID_ARGUMENT',
+      message: 'Unknown metric: hype',
+      details: { metric: 'hype' }
+    });
+    await expect(analyzer._assetMetric('hype', 'AAA', {}))
+      .rejects.toMatchObject({ code: 'INVALID_ARGUMENT', details: { metric: 'hype' } });
+  });
+  
+  it('screens assets, ranks matches and drops the full analyses', async () => {
+    const analyzer = createAnalyzer();
+    const result = await analyzer.screen(['AAA', 'BBB', 'CCC', 'NOPE'], {
+      where: { score: { gt: 50 } },
+      sortBy: 'momentum'
+    });
+    
+    expect(result.screened).toBe(3);
+    expect(result.screen).toEqual({ where: { score: { gt: 50 } }, sortBy: 'momentum', order: 'desc' });
+    expect(result.matches.map(match => match.asset).sort()).toEqual(['AAA', 'CCC']);
+    expect(result.matches.map(match => match.rank)).toEqual([1, 2]);
+    expect(result.matches[0].momentum).toBeGreaterThanOrEqual(result.matches[1].momentum);
+    expect(result.matches[0].sentiment).toBeUndefined();
+    expect(result.failed.map(failure => failure.asset)).toEqual(['NOPE']);
+  });
+  
+  it('validates the screen before fetching anything', async () => {
+    const analyzer = createAnalyzer();
+    const spy = jest.spyOn(analyzer, 'analyzeSentiment');
+    
+    await expect(analyzer.screen(['AAA'], { where: { score: { over: 1 } } }))
+      .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
+
+describe('SentimentAnalyzer argument validation', () => {
+  it('rejects comparisons of fewer than two ecosystems', async () => {
+    const analyzer = createAnalyzer();
+    
+    await expect(analyzer.compareEcosystems(['solana'])).rejects.toMatchObject({
+      code: 'INVALID_ARGUMENT',
+      details: { ecosystems: ['solana'] }
+    });
+    await expect(analyzer.compareEcosystems()).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+  });
+  
+  it('rejects unknown correlation bases', async () => {
+    const analyzer = createAnalyzer();
+    
+    await expect(analyzer.analyzeSentimentPriceCorrelation('AAA', { basis: 'ratios' })).rejects.toMatchObject({
+      code: 'INVALID_ARGUMENT',
+      message: 'Unknown correlation basis: ratios',
+      details: { basis: 'ratios' }
+    });
+  });
+});
+
+describe('SentimentAnalyzer composite indicators', () => {
+  it('reports momentum indicators of the composite sentiment series next to its trend', async () => {
+    const analyzer = createAnalyzer();
+    const result = await analyzer.analyzeSentiment('AAA', { timeframe: '30d' });
+    const history = await analyzer.getSentimentHistory('AAA', { timeframe: '30d', window: '7d' });
+    
+    expect(result.trend).toBe('rising');
+    expect(result.indicators).toEqual(history.indicators);
+    expect(result.indicators.points).toBe(30);
+    expect(result.indicators.slope).toBeGreaterThan(0);
+    expect(result.indicators.rsi).toBeGreaterThan(50);
+    
+    const falling = await analyzer.analyzeSentiment('BBB', { timeframe: '30d' });
+    expect(falling.indicators.slope).toBeLessThan(0);
+  });
+  
+  it('caps the scoring window at short timeframes', async () => {
+    const analyzer = createAnalyzer();
+    const history = jest.spyOn(analyzer, 'getSentimentHistory');
+    
+    await analyzer.analyzeSentiment('AAA', { timeframe: '2d' });
+    
+    expect(history).toHaveBeenCalledWith('AAA', expect.objectContaining({ timeframe: '2d', window: '2d' }));
+  });
+  
+  it('keeps price indicators of the market source apart from sentiment indicators', async () => {
+    const analyzer = createAnalyzer();
+    const market = await analyzer.marketAnalyzer.analyze('AAA', '30d');
+    
+    expect(market.priceIndicators.points).toBeGreaterThan(0);
+    expect(market).not.toHaveProperty('indicators');
+  });
+});
+
+describe('SentimentAnalyzer regime classification', () => {
+  it('classifies the sentiment history of an asset', async () => {
+    const analyzer = createAnalyzer();
+    const result = await analyzer.classifyRegime('AAA', { timeframe: '50d', interval: '1d', window: '7d' });
+    
+    expect(result).toMatchObject({ asset: 'AAA', timeframe: '50d', interval: '1d', window: '7d' });
+    expect(result.cutoffs).toEqual([0.1, 0.3, 0.7, 0.9]);
+    expect(result.series.length).toBeGreaterThanOrEqual(20);
+    expect(result.current.regime).toBe(result.series[result.series.length - 1].regime);
+  });
+  
+  it('reports a history that is too short as unavailable data', async () => {
+    const analyzer = createAnalyzer();
+    
+    await expect(analyzer.classifyRegime('AAA', { timeframe: '10d', interval: '1d' }))
+      .rejects.toMatchObject({ code: 'DATA_UNAVAILABLE', details: expect.objectContaining({ asset: 'AAA' }) });
+  });
+  
+  it('rejects invalid cutoffs before fetching anything', async () => {
+    const analyzer = createAnalyzer();
+    const spy = jest.spyOn(analyzer, 'getSentimentHistory');
+    
+    await expect(analyzer.classifyRegime('AAA', { cutoffs: [0.9, 0.7, 0.3, 0.1] }))
+      .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,27 @@
+const { McpServer, ErrorCodes } = require('./server');
+const { StdioTransport } = require('./stdio-transport');
+const { createSentimentTools } = require('./tools');
+
+/**
+ * Create an MCP server exposing a SentimentAnalyzer's methods as tools
+ * @param {Object} analyzer - SentimentAnalyzer instance
+ * @param {Object} [options] - McpServer options
+ * @returns {McpServer} - Server with sentiment tools registered
+ */
+function createSentimentServer(analyzer, options = {}) {
+  const server = new McpServer(options);
+  
+  for (const tool of createSentimentTools(analyzer)) {
+    server.registerTool(tool);
+  }
+  
+  return server;
+}
+
+module.exports = {
+  McpServer,
+  StdioTransport,
+  ErrorCodes,
+  createSentimentTools,
+  createSentimentServer
+};
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * Minimal JSON Schema validator for MCP tool arguments
+ * Supports type (a name or a list of names), enum, const, minLength, maxLength, pattern, minimum,
+ * maximum, exclusiveMinimum, exclusiveMaximum, minItems, maxItems, uniqueItems, items, required,
+ * properties, additionalProperties (false or a schema), minProperties, maxProperties,
+ * propertyNames, anyOf, oneOf and not. Other keywords, such as description and default, are annotations.
+ */
+
+/**
+ * JSON Schema type names understood by the validator
+ */
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+
+/**
+ * Check whether a value matches a JSON Schema primitive type
+ * @private
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} - True if the value matches the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: throw new Error(`Unsupported JSON Schema type: ${type}`);
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema (type, enum, pattern, minimum, maximum, items, properties, ...)
+ * @param {*} value - Value to validate
+ * @param {string} [path='arguments'] - Path used in error messages
+ * @returns {Array<string>} - Validation error messages (empty when valid)
+ * @throws {Error} - If the schema uses an unsupported type name
+ */
+function validate(schema, value, path = 'arguments') {
+  if (!schema) return [];
+  
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const unsupported = types.find(type => !TYPES.includes(type));
+    if (unsupported !== undefined) {
+      throw new Error(`Unsupported JSON Schema type at ${path}: ${unsupported}`);
+    }
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be of type ${types.join(' or ')}`];
+    }
+  }
+  
+  const errors = [];
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} character(s) long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} character(s) long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match pattern ${schema.pattern}`);
+    }
+  }
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path} must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${path} must not contain duplicate items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+  
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(`${path} must have at least ${schema.minProperties} property(ies)`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push(`${path} must have at most ${schema.maxProperties} property(ies)`);
+    }
+    
+    const properties = schema.properties || {};
+    for (const [key, propValue] of Object.entries(value)) {
+      if (schema.propertyNames) {
+        const nameErrors = validate(schema.propertyNames, key, `${path} property name ${JSON.stringify(key)}`);
+        if (nameErrors.length > 0) {
+          errors.push(...nameErrors);
+          continue;
+        }
+      }
+      
+      if (properties[key]) {
+        errors.push(...validate(properties[key], propValue, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, propValue, `${path}.${key}`));
+      }
+    }
+  }
+  
+  if (schema.anyOf && !schema.anyOf.some(option => validate(option, value, path).length === 0)) {
+    errors.push(`${path} must match at least one of: ${describeOptions(schema.anyOf, value, path)}`);
+  }
+  
+  if (schema.oneOf) {
+    const matched = schema.oneOf.filter(option => validate(option, value, path).length === 0).length;
+    if (matched === 0) {
+      errors.push(`${path} must match one of: ${describeOptions(schema.oneOf, value, path)}`);
+    } else if (matched > 1) {
+      errors.push(`${path} must match exactly one allowed form, but matches ${matched}`);
+    }
+  }
+  
+  if (schema.not && validate(schema.not, value, path).length === 0) {
+    errors.push(`${path} must not match ${schema.not.description || 'the excluded form'}`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Describe why a value fails each alternative of anyOf or oneOf
+ * Alternatives with a description are named by it; others by their first error
+ * @private
+ * @param {Array<Object>} options - Alternative schemas
+ * @param {*} value - Value being validated
+ * @param {string} path - Path used in error messages
+ * @returns {string} - Alternatives separated by ' | '
+ */
+function describeOptions(options, value, path) {
+  return options
+    .map(option => option.description || validate(option, value, path)[0])
+    .join(' | ');
+}
+
+module.exports = {
+  validate
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { validate } = require('./schema');
+
+describe('validate', () => {
+  it('accepts values matching the schema', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        asset: { type: 'string', minLength: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 10 }
+      },
+      required: ['asset'],
+      additionalProperties: false
+    };
+    
+    expect(validate(schema, { asset: 'BTC', limit: 3 })).toEqual([]);
+  });
+  
+  it('reports type, required and additional property errors with paths', () => {
+    const schema = {
+      type: 'object',
+      properties: { asset: { type: 'string' } },
+      required: ['asset'],
+      additionalProperties: false
+    };
+    
+    expect(validate(schema, [])).toEqual(['arguments must be of type object']);
+    expect(validate(schema, { extra: 1 })).toEqual([
+      'arguments.asset is required',
+      'arguments.extra is not allowed'
+    ]);
+  });
+  
+  it('accepts any of a list of types', () => {
+    const schema = { type: ['number', 'string'] };
+    
+    expect(validate(schema, 5)).toEqual([]);
+    expect(validate(schema, 'rising')).toEqual([]);
+    expect(validate(schema, true)).toEqual(['arguments must be of type number or string']);
+  });
+  
+  it('throws on unsupported type names instead of accepting everything', () => {
+    expect(() => validate({ type: 'decimal' }, 1)).toThrow('Unsupported JSON Schema type at arguments: decimal');
+    expect(() => validate({ type: ['string', 'date'] }, 'x')).toThrow('date');
+  });
+  
+  it('enforces exclusive bounds', () => {
+    const schema = { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 };
+    
+    expect(validate(schema, 0.5)).toEqual([]);
+    expect(validate(schema, 0)).toEqual(['arguments must be > 0']);
+    expect(validate(schema, 1)).toEqual(['arguments must be < 1']);
+  });
+  
+  it('enforces item counts, uniqueness and item schemas', () => {
+    const schema = {
+      type: 'array',
+      items: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 },
+      minItems: 4,
+      maxItems: 4,
+      uniqueItems: true
+    };
+    
+    expect(validate(schema, [0.1, 0.3, 0.7, 0.9])).toEqual([]);
+    expect(validate(schema, [-1, 0.3, 0.7, 5, 9])).toEqual([
+      'arguments must contain at most 4 item(s)',
+      'arguments[0] must be > 0',
+      'arguments[3] must be < 1',
+      'arguments[4] must be < 1'
+    ]);
+    expect(validate(schema, [0.1, 0.1, 0.2, 0.3])).toEqual(['arguments must not contain duplicate items']);
+  });
+  
+  it('checks property counts, property names and additional property schemas', () => {
+    const schema = {
+      type: 'object',
+      propertyNames: { enum: ['gt', 'lt'] },
+      additionalProperties: { type: 'number' },
+      minProperties: 1,
+      maxProperties: 2
+    };
+    
+    expect(validate(schema, { gt: 1, lt: 5 })).toEqual([]);
+    expect(validate(schema, {})).toEqual(['arguments must have at least 1 property(ies)']);
+    expect(validate(schema, { over: 1 })).toEqual(['arguments property name "over" must be one of: gt, lt']);
+    expect(validate(schema, { gt: 'high' })).toEqual(['arguments.gt must be of type number']);
+  });
+  
+  it('requires exactly one oneOf alternative to match', () => {
+    const schema = {
+      type: 'object',
+      properties: { asset: { type: 'string' }, ecosystem: { type: 'string' } },
+      oneOf: [
+        { required: ['asset'], description: 'an asset' },
+        { required: ['ecosystem'], description: 'an ecosystem' }
+      ]
+    };
+    
+    expect(validate(schema, { asset: 'BTC' })).toEqual([]);
+    expect(validate(schema, { ecosystem: 'solana' })).toEqual([]);
+    expect(validate(schema, {})).toEqual(['arguments must match one of: an asset | an ecosystem']);
+    expect(validate(schema, { asset: 'BTC', ecosystem: 'solana' }))
+      .toEqual(['arguments must match exactly one allowed form, but matches 2']);
+  });
+  
+  it('names the first error of undescribed alternatives', () => {
+    const schema = { oneOf: [{ type: 'number' }, { type: 'array', minItems: 1 }] };
+    
+    expect(validate(schema, [])).toEqual([
+      'arguments must match one of: arguments must be of type number | arguments must contain at least 1 item(s)'
+    ]);
+  });
+  
+  it('supports anyOf, const and not', () => {
+    expect(validate({ anyOf: [{ const: 'a' }, { const: 'b' }] }, 'b')).toEqual([]);
+    expect(validate({ anyOf: [{ const: 'a' }, { const: 'b' }] }, 'c'))
+      .toEqual(['arguments must match at least one of: arguments must be "a" | arguments must be "b"']);
+    expect(validate({ not: { const: 0, description: 'zero' } }, 0)).toEqual(['arguments must not match zero']);
+    expect(validate({ not: { const: 0 } }, 1)).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,276 @@
+const { validate } = require('./schema');
+
+/**
+ * MCP protocol versions supported by this server, newest first
+ */
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/**
+ * Standard JSON-RPC 2.0 error codes
+ */
+const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+/**
+ * Model Context Protocol server
+ * Handles JSON-RPC messages and dispatches tool calls to registered handlers
+ */
+class McpServer {
+  /**
+   * Create a new MCP server
+   * @param {Object} [options] - Server options
+   * @param {string} [options.name='@intue/sentiment-analysis-mcp'] - Server name reported to clients
+   * @param {string} [options.version='0.1.0'] - Server version reported to clients
+   */
+  constructor(options = {}) {
+    this.serverInfo = {
+      name: options.name || '@intue/sentiment-analysis-mcp',
+      version: options.version || '0.1.0'
+    };
+    
+    this.tools = new Map();
+    this.transport = null;
+    this.pending = new Set();
+  }
+  
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Tool name
+   * @param {string} tool.description - Human readable description
+   * @param {Object|Function} tool.inputSchema - JSON Schema for the arguments, or a function returning one
+   * @param {Function} tool.handler - Async function receiving validated arguments
+   * @returns {McpServer} - This server, for chaining
+   */
+  registerTool(tool) {
+    if (!tool || !tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool must have a name and a handler function');
+    }
+    
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+  
+  /**
+   * List registered tools in MCP format
+   * @returns {Array<Object>} - Tool descriptors
+   */
+  listTools() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: this._resolveSchema(tool)
+    }));
+  }
+  
+  /**
+   * Connect the server to a transport and start handling messages
+   * @param {Object} transport - Transport emitting 'message' events and exposing send()
+   * @returns {McpServer} - This server, for chaining
+   */
+  connect(transport) {
+    this.transport = transport;
+    
+    transport.on('message', async message => {
+      const handling = this.handleMessage(message).then(response => {
+        if (response) transport.send(response);
+      });
+      
+      this.pending.add(handling);
+      try {
+        await handling;
+      } finally {
+        this.pending.delete(handling);
+      }
+    });
+    
+    transport.on('parseError', () => {
+      transport.send(this._errorResponse(null, ErrorCodes.PARSE_ERROR, 'Parse error'));
+    });
+    
+    if (typeof transport.start === 'function') {
+      transport.start();
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Wait until every message received so far has been answered and the answers have been
+   * written out, e.g. before exiting once the client has closed the connection
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    // Answering a message can take long enough for the transport to deliver more
+    while (this.pending.size > 0) {
+      await Promise.allSettled(Array.from(this.pending));
+    }
+    
+    if (this.transport && typeof this.transport.flush === 'function') {
+      await this.transport.flush();
+    }
+  }
+  
+  /**
+   * Handle a single JSON-RPC message
+   * @param {Object} message - Parsed JSON-RPC message
+   * @returns {Promise<Object|null>} - Response message, or null for notifications
+   */
+  async handleMessage(message) {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses from the client (we never send requests) are ignored
+      if (message && message.jsonrpc === '2.0' && message.method === undefined) return null;
+      return this._errorResponse(message && message.id !== undefined ? message.id : null,
+        ErrorCodes.INVALID_REQUEST, 'Invalid request');
+    }
+    
+    const isNotification = message.id === undefined;
+    
+    try {
+      const result = await this._dispatch(message.method, message.params || {});
+      if (isNotification) return null;
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      return this._errorResponse(
+        message.id,
+        error.rpcCode || ErrorCodes.INTERNAL_ERROR,
+        error.message,
+        error.data
+      );
+    }
+  }
+  
+  /**
+   * Dispatch a JSON-RPC method
+   * @private
+   * @param {string} method - Method name
+   * @param {Object} params - Method parameters
+   * @returns {Promise<Object>} - Method result
+   */
+  async _dispatch(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: this.serverInfo
+        };
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: this.listTools() };
+      case 'tools/call':
+        return this._callTool(params.name, params.arguments || {});
+      default:
+        if (method.startsWith('notifications/')) return {};
+        throw this._rpcError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+  
+  /**
+   * Validate arguments and invoke a tool handler
+   * @private
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} - MCP tool result
+   */
+  async _callTool(name, args) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw this._rpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    
+    const errors = validate(this._resolveSchema(tool), args);
+    if (errors.length > 0) {
+      throw this._rpcError(ErrorCodes.INVALID_PARAMS, `Invalid arguments for tool ${name}`, { errors });
+    }
+    
+    try {
+      const result = await tool.handler(args);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result === undefined ? null : result) }]
+      };
+    } catch (error) {
+      // Tool failures are reported in the result so the model can see them
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ error: this._serializeError(error) }) }],
+        isError: true
+      };
+    }
+  }
+  
+  /**
+   * Resolve a tool's input schema
+   * @private
+   * @param {Object} tool - Tool definition
+   * @returns {Object} - JSON Schema
+   */
+  _resolveSchema(tool) {
+    return typeof tool.inputSchema === 'function'
+      ? tool.inputSchema()
+      : tool.inputSchema || { type: 'object' };
+  }
+  
+  /**
+   * Convert an error into a plain object without stack traces
+   * @private
+   * @param {Error} error - Error thrown by a tool handler
+   * @returns {Object} - Serializable error description
+   */
+  _serializeError(error) {
+    const serialized = {
+      code: (error && error.code) || 'TOOL_ERROR',
+      message: (error && error.message) || String(error)
+    };
+    
+    // Typed errors carry context such as result diagnostics
+    if (error && error.details && Object.keys(error.details).length > 0) {
+      serialized.details = error.details;
+    }
+    return serialized;
+  }
+  
+  /**
+   * Create an error carrying a JSON-RPC error code
+   * @private
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {Object} [data] - Additional error data
+   * @returns {Error} - Error instance
+   */
+  _rpcError(code, message, data) {
+    const error = new Error(message);
+    error.rpcCode = code;
+    error.data = data;
+    return error;
+  }
+  
+  /**
+   * Build a JSON-RPC error response
+   * @private
+   * @param {string|number|null} id - Request ID
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {Object} [data] - Additional error data
+   * @returns {Object} - JSON-RPC error response
+   */
+  _errorResponse(id, code, message, data) {
+    const error = { code, message };
+    if (data !== undefined) error.data = data;
+    return { jsonrpc: '2.0', id, error };
+  }
+}
+
+module.exports = {
+  McpServer,
+  ErrorCodes,
+  SUPPORTED_PROTOCOL_VERSIONS
+};
\ No newline at end of file
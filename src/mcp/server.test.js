@@ -0,0 +1,171 @@
+const { PassThrough, Writable } = require('stream');
+const { McpServer, ErrorCodes, SUPPORTED_PROTOCOL_VERSIONS } = require('./server');
+const { StdioTransport } = require('./stdio-transport');
+const { DataUnavailableError } = require('../errors');
+
+const request = (method, params, id = 1) => ({ jsonrpc: '2.0', id, method, params });
+
+function createServer() {
+  const server = new McpServer({ name: 'test-server', version: '1.2.3' });
+  server.registerTool({
+    name: 'echo',
+    description: 'Echo the arguments',
+    inputSchema: {
+      type: 'object',
+      properties: { text: { type: 'string', minLength: 1 }, times: { type: 'integer', minimum: 1 } },
+      required: ['text'],
+      additionalProperties: false
+    },
+    handler: async ({ text, times = 1 }) => ({ echoed: text.repeat(times) })
+  });
+  server.registerTool({
+    name: 'fail',
+    description: 'Always fails',
+    inputSchema: { type: 'object' },
+    handler: async () => {
+      throw new DataUnavailableError('Nothing recorded for XYZ', { asset: 'XYZ' });
+    }
+  });
+  return server;
+}
+
+describe('McpServer.handleMessage', () => {
+  let server;
+  
+  beforeEach(() => {
+    server = createServer();
+  });
+  
+  it('negotiates the protocol version on initialize', async () => {
+    const response = await server.handleMessage(request('initialize', { protocolVersion: '2025-03-26' }));
+    
+    expect(response).toEqual({
+      jsonrpc: '2.0',
+      id: 1,
+      result: {
+        protocolVersion: '2025-03-26',
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: 'test-server', version: '1.2.3' }
+      }
+    });
+    
+    const unknown = await server.handleMessage(request('initialize', { protocolVersion: '1999-01-01' }));
+    expect(unknown.result.protocolVersion).toBe(SUPPORTED_PROTOCOL_VERSIONS[0]);
+  });
+  
+  it('lists registered tools with their schemas', async () => {
+    const response = await server.handleMessage(request('tools/list'));
+    
+    expect(response.result.tools.map(tool => tool.name)).toEqual(['echo', 'fail']);
+    expect(response.result.tools[0].inputSchema.required).toEqual(['text']);
+  });
+  
+  it('calls a tool and returns its result as text content', async () => {
+    const response = await server.handleMessage(
+      request('tools/call', { name: 'echo', arguments: { text: 'ab', times: 2 } })
+    );
+    
+    expect(response.result).toEqual({ content: [{ type: 'text', text: '{"echoed":"abab"}' }] });
+  });
+  
+  it('rejects invalid arguments with INVALID_PARAMS and the validation errors', async () => {
+    const response = await server.handleMessage(request('tools/call', { name: 'echo', arguments: { times: 0 } }));
+    
+    expect(response.error.code).toBe(ErrorCodes.INVALID_PARAMS);
+    expect(response.error.message).toBe('Invalid arguments for tool echo');
+    expect(response.error.data.errors).toEqual(['arguments.text is required', 'arguments.times must be >= 1']);
+  });
+  
+  it('rejects unknown tools and methods', async () => {
+    const tool = await server.handleMessage(request('tools/call', { name: 'nope' }));
+    expect(tool.error).toEqual({ code: ErrorCodes.INVALID_PARAMS, message: 'Unknown tool: nope' });
+    
+    const method = await server.handleMessage(request('resources/list'));
+    expect(method.error.code).toBe(ErrorCodes.METHOD_NOT_FOUND);
+  });
+  
+  it('maps handler errors to an isError result with the error code and details', async () => {
+    const response = await server.handleMessage(request('tools/call', { name: 'fail', arguments: {} }));
+    
+    expect(response.result.isError).toBe(true);
+    expect(JSON.parse(response.result.content[0].text)).toEqual({
+      error: { code: 'DATA_UNAVAILABLE', message: 'Nothing recorded for XYZ', details: { asset: 'XYZ' } }
+    });
+  });
+  
+  it('answers invalid requests and ignores notifications and client responses', async () => {
+    expect(await server.handleMessage({ id: 7, method: 'ping' })).toEqual({
+      jsonrpc: '2.0',
+      id: 7,
+      error: { code: ErrorCodes.INVALID_REQUEST, message: 'Invalid request' }
+    });
+    expect(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+    expect(await server.handleMessage({ jsonrpc: '2.0', id: 3, result: {} })).toBeNull();
+  });
+});
+
+describe('McpServer.drain', () => {
+  /**
+   * Output stream that takes a while to accept each chunk, like a slow pipe
+   */
+  function slowOutput(lines) {
+    return new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        setTimeout(() => {
+          lines.push(...chunk.toString().split('\n').filter(Boolean).map(line => JSON.parse(line)));
+          callback();
+        }, 5);
+      }
+    });
+  }
+  
+  it('waits for requests in flight when the input closes and for their responses to be written', async () => {
+    const lines = [];
+    const input = new PassThrough();
+    const transport = new StdioTransport({ input, output: slowOutput(lines) });
+    const server = createServer();
+    let release;
+    server.registerTool({
+      name: 'slow',
+      description: 'Answers once released',
+      inputSchema: { type: 'object' },
+      handler: () => new Promise(resolve => {
+        release = () => resolve({ done: true });
+      })
+    });
+    server.connect(transport);
+    
+    const closed = new Promise(resolve => transport.on('close', resolve));
+    input.end([
+      JSON.stringify(request('tools/call', { name: 'slow', arguments: {} }, 1)),
+      JSON.stringify(request('tools/call', { name: 'echo', arguments: { text: 'hi' } }, 2)),
+      ''
+    ].join('\n'));
+    await closed;
+    
+    let drained = false;
+    const draining = server.drain().then(() => {
+      drained = true;
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(drained).toBe(false);
+    
+    release();
+    await draining;
+    expect(lines.map(line => line.id).sort()).toEqual([1, 2]);
+    expect(lines.find(line => line.id === 1).result.content[0].text).toBe('{"done":true}');
+    expect(server.pending.size).toBe(0);
+  });
+  
+  it('resolves straight away when idle or when the output is gone', async () => {
+    const output = new PassThrough();
+    const server = createServer().connect(new StdioTransport({ input: new PassThrough(), output }));
+    
+    await expect(server.drain()).resolves.toBeUndefined();
+    output.destroy();
+    await expect(server.drain()).resolves.toBeUndefined();
+    await expect(createServer().drain()).resolves.toBeUndefined();
+    server.transport.close();
+  });
+});
\ No newline at end of file
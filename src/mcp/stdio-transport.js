@@ -0,0 +1,77 @@
+const { EventEmitter } = require('events');
+const readline = require('readline');
+
+/**
+ * Newline-delimited JSON-RPC transport over stdio
+ * Emits 'message' for each parsed message and 'parseError' for malformed lines
+ */
+class StdioTransport extends EventEmitter {
+  /**
+   * Create a new stdio transport
+   * @param {Object} [options] - Transport options
+   * @param {Object} [options.input=process.stdin] - Readable stream
+   * @param {Object} [options.output=process.stdout] - Writable stream
+   */
+  constructor(options = {}) {
+    super();
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.reader = null;
+  }
+  
+  /**
+   * Start reading messages from the input stream
+   */
+  start() {
+    if (this.reader) return;
+    
+    this.reader = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+    
+    this.reader.on('line', line => {
+      if (!line.trim()) return;
+      
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        this.emit('parseError', error);
+        return;
+      }
+      
+      this.emit('message', message);
+    });
+    
+    this.reader.on('close', () => this.emit('close'));
+  }
+  
+  /**
+   * Send a message to the output stream
+   * @param {Object} message - JSON-RPC message
+   */
+  send(message) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+  
+  /**
+   * Wait for messages already sent to be flushed from the output stream
+   * @returns {Promise<void>} - Resolves once the output has drained, or if it can no longer be written
+   */
+  flush() {
+    if (this.output.writableEnded || this.output.destroyed) return Promise.resolve();
+    
+    // Writes complete in order, so an empty write completes after everything before it
+    return new Promise(resolve => this.output.write('', () => resolve()));
+  }
+  
+  /**
+   * Stop reading from the input stream
+   */
+  close() {
+    if (this.reader) {
+      this.reader.close();
+      this.reader = null;
+    }
+  }
+}
+
+module.exports = { StdioTransport };
\ No newline at end of file
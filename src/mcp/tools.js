@@ -0,0 +1,379 @@
+const { scoreTexts } = require('../text/text-scorer');
+const Screener = require('../models/screener');
+const FearGreedIndex = require('../models/fear-greed-index');
+
+/**
+ * JSON Schema for duration strings (e.g. '15min', '4h', '7d', '1M', 'PT4H')
+ */
+const PERIOD_SCHEMA = {
+  type: 'string',
+  pattern: '^(\\d+(\\.\\d+)?\\s*[A-Za-z]+|P[0-9.YMWDTHS]+)$'
+};
+
+/**
+ * JSON Schema for timeframes: a duration ending now or an ISO-8601 '<start>/<end>' range
+ */
+const TIMEFRAME_SCHEMA = {
+  type: 'string',
+  pattern: '^(\\d+(\\.\\d+)?\\s*[A-Za-z]+|P[0-9.YMWDTHS]+|[^/]+/[^/]+)$'
+};
+
+/**
+ * JSON Schema for a screen condition value: a number or a trend label
+ */
+const SCREEN_VALUE_SCHEMA = { type: ['number', 'string'] };
+
+/**
+ * JSON Schema for a screen condition: an exact value, a list of allowed values or an operator object
+ */
+const SCREEN_CONDITION_SCHEMA = {
+  oneOf: [
+    { ...SCREEN_VALUE_SCHEMA, description: 'a number or string' },
+    { type: 'array', items: SCREEN_VALUE_SCHEMA, minItems: 1, description: 'a non-empty list of values' },
+    {
+      type: 'object',
+      propertyNames: { enum: Screener.OPERATORS },
+      properties: {
+        gt: { type: 'number' },
+        gte: { type: 'number' },
+        lt: { type: 'number' },
+        lte: { type: 'number' },
+        eq: SCREEN_VALUE_SCHEMA,
+        ne: SCREEN_VALUE_SCHEMA,
+        in: { type: 'array', items: SCREEN_VALUE_SCHEMA, minItems: 1 },
+        between: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 }
+      },
+      minProperties: 1,
+      description: `an object of operators (${Screener.OPERATORS.join(', ')})`
+    }
+  ]
+};
+
+/**
+ * Create MCP tool definitions backed by a SentimentAnalyzer
+ * @param {Object} analyzer - SentimentAnalyzer instance
+ * @returns {Array<Object>} - Tool definitions for McpServer.registerTool
+ */
+function createSentimentTools(analyzer) {
+  return [
+    {
+      name: 'analyzeSentiment',
+      description: 'Analyze combined sentiment (social, news, market and any registered sources) for a crypto asset. ' +
+        'Returns a 0-100 score with a 95% score interval, trend, per-source breakdown and a 0-1 confidence ' +
+        'reflecting source coverage and agreement, sample size, data recency, source reliability and data quality.',
+      // Resolved on each tools/list so sources registered at runtime are advertised
+      inputSchema: () => ({
+        type: 'object',
+        properties: {
+          asset: { type: 'string', minLength: 1, description: 'Asset symbol or name (e.g. BTC)' },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '7d', description: 'Time window (e.g. 4h, 7d, 1M or start/end)' },
+          sources: {
+            type: 'array',
+            items: { type: 'string', enum: analyzer.sources.names() },
+            minItems: 1,
+            uniqueItems: true,
+            description: 'Sentiment sources to combine (defaults to all registered sources)'
+          }
+        },
+        required: ['asset'],
+        additionalProperties: false
+      }),
+      handler: ({ asset, ...options }) => analyzer.analyzeSentiment(asset, options)
+    },
+    {
+      name: 'getSentimentHistory',
+      description: 'Get a per-bucket sentiment time series for an asset with the composite score, ' +
+        'per-source breakdown and trend at each point.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          asset: { type: 'string', minLength: 1, description: 'Asset symbol or name (e.g. BTC)' },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '30d', description: 'Period covered by the series' },
+          interval: { ...PERIOD_SCHEMA, description: 'Bucket size (e.g. 15m, 1h, 1d; defaults to suit the timeframe)' },
+          window: { ...PERIOD_SCHEMA, default: '7d', description: 'Trailing window scored at each bucket' }
+        },
+        required: ['asset'],
+        additionalProperties: false
+      },
+      handler: ({ asset, ...options }) => analyzer.getSentimentHistory(asset, options)
+    },
+    {
+      name: 'detectSentimentAnomalies',
+      description: 'Detect abnormal moves in sentiment, social volume and volume for an asset: ' +
+        'z-score spikes, rolling-median deviations, regime breaks and sentiment/price divergences.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          asset: { type: 'string', minLength: 1, description: 'Asset symbol or name (e.g. BTC)' },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '30d', description: 'Time window (e.g. 30d, 90d)' },
+          latestOnly: { type: 'boolean', default: false, description: 'Only report anomalies on the latest point' }
+        },
+        required: ['asset'],
+        additionalProperties: false
+      },
+      handler: ({ asset, ...options }) => analyzer.detectAnomalies(asset, options)
+    },
+    {
+      name: 'detectSentimentDivergences',
+      description: 'Find bullish (price lower low, sentiment higher low) and bearish (price higher high, ' +
+        'sentiment lower high) divergences with their start/end, strength and subsequent return.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          asset: { type: 'string', minLength: 1, description: 'Asset symbol or name (e.g. BTC)' },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '90d', description: 'Time window (e.g. 90d, 180d)' },
+          interval: { ...PERIOD_SCHEMA, description: 'Data interval (e.g. 15m, 1h, 1d; defaults to suit the timeframe)' }
+        },
+        required: ['asset'],
+        additionalProperties: false
+      },
+      handler: ({ asset, ...options }) => analyzer.detectDivergences(asset, options)
+    },
+    {
+      name: 'analyzeEcosystemSentiment',
+      description: 'Analyze aggregate sentiment across the top assets of an ecosystem (e.g. solana, ethereum), ' +
+        'with equal, market-cap, volume or social-volume weighting, dispersion and per-asset contributions.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ecosystem: { type: 'string', minLength: 1, description: 'Ecosystem name' },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '7d', description: 'Time window (e.g. 4h, 7d, 1M or start/end)' },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            default: 10,
+            description: 'Number of assets to analyze'
+          },
+          weighting: {
+            type: 'string',
+            enum: ['equal', 'marketCap', 'volume', 'socialVolume'],
+            default: 'equal',
+            description: 'How assets are weighted in the ecosystem index'
+          }
+        },
+        required: ['ecosystem'],
+        additionalProperties: false
+      },
+      handler: ({ ecosystem, ...options }) => analyzer.analyzeEcosystemSentiment(ecosystem, options)
+    },
+    {
+      name: 'compareEcosystems',
+      description: 'Rank ecosystems by sentiment level and momentum, show relative-strength changes ' +
+        'and flag rotation where sentiment leaves one ecosystem while it rises in another.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ecosystems: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+            minItems: 2,
+            uniqueItems: true,
+            description: 'Ecosystem names (e.g. solana, ethereum, base)'
+          },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '30d', description: 'Period for momentum and relative strength' },
+          window: { ...PERIOD_SCHEMA, default: '7d', description: 'Sentiment window for each point' },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            default: 10,
+            description: 'Number of assets per ecosystem'
+          },
+          weighting: {
+            type: 'string',
+            enum: ['equal', 'marketCap', 'volume', 'socialVolume'],
+            default: 'equal',
+            description: 'How assets are weighted in each ecosystem index'
+          }
+        },
+        required: ['ecosystems'],
+        additionalProperties: false
+      },
+      handler: ({ ecosystems, ...options }) => analyzer.compareEcosystems(ecosystems, options)
+    },
+    {
+      name: 'screenAssets',
+      description: 'Analyze several assets and return those matching a screen, ranked by a metric. ' +
+        'Example: where { score: { gt: 70 }, trend: "rising", confidence: { gt: 0.6 } }, sortBy "momentum".',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          assets: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+            minItems: 1,
+            uniqueItems: true,
+            description: 'Asset symbols or names to screen'
+          },
+          where: {
+            type: 'object',
+            properties: Object.fromEntries(Object.keys(Screener.SCREEN_METRICS)
+              .map(metric => [metric, SCREEN_CONDITION_SCHEMA])),
+            additionalProperties: false,
+            description: `Conditions keyed by metric; operators: ${Screener.OPERATORS.join(', ')}`
+          },
+          sortBy: {
+            type: 'string',
+            enum: Object.keys(Screener.SCREEN_METRICS),
+            default: 'score',
+            description: 'Metric to rank matches by'
+          },
+          order: { type: 'string', enum: ['desc', 'asc'], default: 'desc', description: 'Ranking order' },
+          limit: { type: 'integer', minimum: 1, description: 'Maximum number of matches' },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '7d', description: 'Time window (e.g. 4h, 7d, 1M or start/end)' }
+        },
+        required: ['assets'],
+        additionalProperties: false
+      },
+      handler: ({ assets, where, sortBy, order, limit, ...options }) =>
+        analyzer.screen(assets, { where, sortBy, order, limit }, options)
+    },
+    {
+      name: 'analyzeSentimentPriceCorrelation',
+      description: 'Measure the correlation, its significance and the lead/lag relationship between sentiment and price for an asset.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          asset: { type: 'string', minLength: 1, description: 'Asset symbol or name (e.g. BTC)' },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '90d', description: 'Time window (e.g. 30d, 90d)' },
+          interval: { ...PERIOD_SCHEMA, description: 'Data interval (e.g. 15m, 1h, 1d; defaults to suit the timeframe)' },
+          method: {
+            type: 'string',
+            enum: ['pearson', 'spearman', 'kendall'],
+            default: 'pearson',
+            description: 'Correlation method'
+          },
+          basis: {
+            type: 'string',
+            enum: ['returns', 'levels'],
+            default: 'returns',
+            description: 'Correlate changes (returns) or raw levels'
+          },
+          maxLag: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 30,
+            default: 7,
+            description: 'Maximum lead/lag to test, in intervals'
+          }
+        },
+        required: ['asset'],
+        additionalProperties: false
+      },
+      handler: ({ asset, ...options }) => analyzer.analyzeSentimentPriceCorrelation(asset, options)
+    },
+    {
+      name: 'analyzeSentimentLeadLag',
+      description: 'Run Granger-causality tests in both directions between each sentiment source ' +
+        '(and social volume) and price returns, reporting which signals lead price, at what lag and how strongly.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          asset: { type: 'string', minLength: 1, description: 'Asset symbol or name (e.g. BTC)' },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '180d', description: 'History period' },
+          interval: { ...PERIOD_SCHEMA, description: 'Bucket size (e.g. 15m, 1h, 1d; defaults to suit the timeframe)' },
+          window: { ...PERIOD_SCHEMA, default: '7d', description: 'Trailing window scored at each bucket' },
+          maxLag: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 14,
+            default: 5,
+            description: 'Maximum lag order to test, in intervals'
+          }
+        },
+        required: ['asset'],
+        additionalProperties: false
+      },
+      handler: ({ asset, ...options }) => analyzer.analyzeLeadLag(asset, options)
+    },
+    {
+      name: 'classifySentimentRegime',
+      description: 'Classify the sentiment history of an asset or an ecosystem index into regimes ' +
+        '(capitulation, fear, neutral, greed, euphoria) using percentiles of its own history. ' +
+        'Reports the current regime and how long it has lasted, typical regime durations and transition probabilities.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          asset: { type: 'string', minLength: 1, description: 'Asset symbol or name (e.g. BTC)' },
+          ecosystem: { type: 'string', minLength: 1, description: 'Ecosystem name, instead of an asset' },
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '180d', description: 'History the percentiles are taken over' },
+          interval: { ...PERIOD_SCHEMA, description: 'Bucket size (e.g. 1h, 1d; defaults to suit the timeframe)' },
+          window: { ...PERIOD_SCHEMA, default: '7d', description: 'Trailing window scored at each bucket' },
+          cutoffs: {
+            type: 'array',
+            items: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 },
+            minItems: 4,
+            maxItems: 4,
+            description: 'Ascending percentiles separating the five regimes (default [0.1, 0.3, 0.7, 0.9])'
+          }
+        },
+        oneOf: [
+          { required: ['asset'], description: 'an asset' },
+          { required: ['ecosystem'], description: 'an ecosystem' }
+        ],
+        additionalProperties: false
+      },
+      handler: ({ asset, ecosystem, ...options }) => asset
+        ? analyzer.classifyRegime(asset, options)
+        : analyzer.classifyEcosystemRegime(ecosystem, options)
+    },
+    {
+      name: 'getFearGreedIndex',
+      description: 'Build a market-wide crypto fear & greed index (0-100) from social sentiment across a basket ' +
+        'of top assets, volatility against its baseline, volume trend and ecosystem breadth. Returns the ' +
+        'current reading with a per-component breakdown, the current regime and a daily history.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          timeframe: { ...TIMEFRAME_SCHEMA, default: '30d', description: 'Period covered by the daily history' },
+          basket: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+            minItems: 1,
+            uniqueItems: true,
+            description: 'Basket assets, equally weighted (default BTC, ETH, SOL, XRP, BNB)'
+          },
+          ecosystems: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+            uniqueItems: true,
+            description: 'Ecosystems scanned for breadth (default ethereum, solana)'
+          },
+          weights: {
+            type: 'object',
+            properties: Object.fromEntries(FearGreedIndex.COMPONENTS.map(component =>
+              [component, { type: 'number', minimum: 0 }])),
+            additionalProperties: false,
+            description: 'Component weights (defaults: social 0.4, volatility 0.2, volume 0.2, breadth 0.2)'
+          },
+          window: { ...PERIOD_SCHEMA, description: 'Trailing window for each component (default 7d)' }
+        },
+        additionalProperties: false
+      },
+      handler: options => analyzer.getFearGreedIndex(options)
+    },
+    {
+      name: 'scoreTextSentiment',
+      description: 'Score raw headlines or social posts with the offline crypto sentiment lexicon (0-100, 50 = neutral).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          texts: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'Headlines or posts to score'
+          }
+        },
+        required: ['texts'],
+        additionalProperties: false
+      },
+      handler: ({ texts }) => scoreTexts(texts)
+    }
+  ];
+}
+
+module.exports = {
+  createSentimentTools
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+const SentimentAnalyzer = require('../index');
+const { createSentimentServer, ErrorCodes } = require('./index');
+
+const callTool = (server, name, args) =>
+  server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } });
+
+describe('sentiment tools', () => {
+  let analyzer;
+  let server;
+  
+  beforeEach(() => {
+    analyzer = new SentimentAnalyzer({ logger: { warn() {}, error() {} } });
+    server = createSentimentServer(analyzer);
+  });
+  
+  describe('screenAssets', () => {
+    it.each([
+      [{ score: { bogus: 1 } }],
+      [{ score: {} }],
+      [{ score: { between: [1, 2, 3] } }],
+      [{ score: { gt: 'high' } }],
+      [{ trend: [] }],
+      [{ trend: true }],
+      [{ hype: 1 }]
+    ])('rejects the malformed condition %j before screening', async where => {
+      const response = await callTool(server, 'screenAssets', { assets: ['BTC'], where });
+      
+      expect(response.error.code).toBe(ErrorCodes.INVALID_PARAMS);
+      expect(response.error.data.errors.length).toBeGreaterThan(0);
+    });
+    
+    it('reports reversed between bounds as an invalid argument', async () => {
+      const where = { score: { between: [80, 10] } };
+      const response = await callTool(server, 'screenAssets', { assets: ['BTC'], where });
+      
+      expect(response.result.isError).toBe(true);
+      expect(JSON.parse(response.result.content[0].text).error).toMatchObject({
+        code: 'INVALID_ARGUMENT',
+        details: { metric: 'score', between: [80, 10] }
+      });
+    });
+    
+    it('accepts every condition form', async () => {
+      const screen = jest.spyOn(server.tools.get('screenAssets'), 'handler').mockResolvedValue({ matches: [] });
+      const where = {
+        score: { gt: 60, lte: 90 },
+        confidence: { between: [0.5, 1] },
+        trend: ['rising', 'stable'],
+        momentum: { ne: 0 },
+        correlation: 0.5
+      };
+      
+      const response = await callTool(server, 'screenAssets', { assets: ['BTC'], where });
+      
+      expect(response.result.isError).toBeUndefined();
+      expect(screen).toHaveBeenCalledWith({ assets: ['BTC'], where });
+    });
+  });
+  
+  describe('classifySentimentRegime', () => {
+    it.each([
+      [{}],
+      [{ asset: 'BTC', ecosystem: 'solana' }],
+      [{ asset: 'BTC', cutoffs: [0.1, 0.3, 0.7] }],
+      [{ asset: 'BTC', cutoffs: [0.1, 0.3, 0.7, 0.9, 0.95] }],
+      [{ asset: 'BTC', cutoffs: [-1, 5, 9, 12] }],
+      [{ asset: 'BTC', cutoffs: [0, 0.3, 0.7, 1] }]
+    ])('rejects %j before classifying', async args => {
+      const classify = jest.spyOn(server.tools.get('classifySentimentRegime'), 'handler');
+      const response = await callTool(server, 'classifySentimentRegime', args);
+      
+      expect(response.error.code).toBe(ErrorCodes.INVALID_PARAMS);
+      expect(classify).not.toHaveBeenCalled();
+    });
+    
+    it('reports cutoffs that are not ascending as an invalid argument', async () => {
+      const response = await callTool(server, 'classifySentimentRegime', {
+        asset: 'BTC',
+        cutoffs: [0.9, 0.7, 0.3, 0.1]
+      });
+      
+      expect(response.result.isError).toBe(true);
+      expect(JSON.parse(response.result.content[0].text).error).toMatchObject({ code: 'INVALID_ARGUMENT' });
+    });
+    
+    it('classifies either an asset or an ecosystem', async () => {
+      const asset = jest.spyOn(analyzer, 'classifyRegime').mockResolvedValue({ asset: 'BTC' });
+      const ecosystem = jest.spyOn(analyzer, 'classifyEcosystemRegime').mockResolvedValue({ ecosystem: 'solana' });
+      
+      await callTool(server, 'classifySentimentRegime', { asset: 'BTC', cutoffs: [0.2, 0.4, 0.6, 0.8] });
+      await callTool(server, 'classifySentimentRegime', { ecosystem: 'solana', timeframe: '90d' });
+      
+      expect(asset).toHaveBeenCalledWith('BTC', { cutoffs: [0.2, 0.4, 0.6, 0.8] });
+      expect(ecosystem).toHaveBeenCalledWith('solana', { timeframe: '90d' });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,169 @@
+const { mean, standardDeviation } = require('../utils/statistics');
+const { DataUnavailableError } = require('../errors');
+
+/**
+ * Supported ecosystem weighting modes and the asset metric each one weights by
+ */
+const WEIGHTING_MODES = {
+  equal: null,
+  marketCap: 'marketCap',
+  volume: 'volume',
+  socialVolume: 'socialVolume'
+};
+
+/**
+ * Aggregates per-asset sentiment into an ecosystem index
+ * Assets are weighted equally or by market cap, trading volume or social volume, and the
+ * index reports dispersion (spread, breadth, advance/decline) and each asset's contribution
+ */
+class EcosystemIndex {
+  /**
+   * Create a new ecosystem index
+   * @param {Object} [options] - Index options
+   * @param {string} [options.weighting='equal'] - Weighting mode (see WEIGHTING_MODES)
+   * @param {number} [options.trendThreshold=0.05] - Weighted net trend needed to call the index rising or falling
+   * @param {number} [options.neutralScore=50] - Score above which an asset counts as bullish for breadth
+   */
+  constructor(options = {}) {
+    this.weighting = options.weighting || 'equal';
+    this.trendThreshold = options.trendThreshold !== undefined ? options.trendThreshold : 0.05;
+    this.neutralScore = options.neutralScore !== undefined ? options.neutralScore : 50;
+    
+    if (!Object.prototype.hasOwnProperty.call(WEIGHTING_MODES, this.weighting)) {
+      throw new Error(`Unknown ecosystem weighting: ${this.weighting}`);
+    }
+  }
+  
+  /**
+   * Build the index from analyzed assets
+   * @param {Array<Object>} entries - Assets ({ asset, score, trend, metrics: { marketCap, volume, socialVolume } })
+   * @returns {Object} - { score, trend, weighting, dispersion, contributions, unweighted }
+   * @throws {DataUnavailableError} - If no asset has the weighting metric
+   */
+  build(entries) {
+    const metric = WEIGHTING_MODES[this.weighting];
+    
+    // Assets without the weighting metric cannot be placed in a weighted index
+    const unweighted = [];
+    const weighted = [];
+    for (const entry of entries) {
+      const weight = metric === null ? 1 : entry.metrics && entry.metrics[metric];
+      if (typeof weight === 'number' && weight > 0) {
+        weighted.push({ entry, weight });
+      } else {
+        unweighted.push(entry.asset);
+      }
+    }
+    
+    const totalWeight = weighted.reduce((sum, w) => sum + w.weight, 0);
+    if (totalWeight <= 0) {
+      throw new DataUnavailableError(
+        `No ${this.weighting} data available to weight the ecosystem`,
+        { weighting: this.weighting, unweighted }
+      );
+    }
+    
+    const contributions = weighted
+      .map(({ entry, weight }) => ({
+        asset: entry.asset,
+        score: entry.score,
+        trend: entry.trend,
+        weight: weight / totalWeight,
+        contribution: entry.score * weight / totalWeight
+      }))
+      .sort((a, b) => b.weight - a.weight);
+    
+    const score = contributions.reduce((sum, c) => sum + c.contribution, 0);
+    
+    // Weighted net direction of asset trends
+    const netTrend = contributions.reduce((sum, c) => sum + c.weight * this._direction(c.trend), 0);
+    const trend = netTrend > this.trendThreshold ? 'rising' :
+                  netTrend < -this.trendThreshold ? 'falling' : 'stable';
+    
+    return {
+      score: Math.round(score * 10) / 10,
+      trend,
+      weighting: this.weighting,
+      dispersion: this._dispersion(contributions, score),
+      contributions,
+      unweighted
+    };
+  }
+  
+  /**
+   * Combine constituent sentiment histories into an index series
+   * Constituents keep their current index weights; at each point the weights of assets
+   * with data are renormalized so late listings or gaps do not drag the index down.
+   * @param {Object} histories - History series keyed by asset ([{ time, score }], oldest first)
+   * @param {Array<Object>} contributions - Weighted assets from build()
+   * @returns {Array<Object>} - Index points ({ time, score, coverage }), oldest first
+   */
+  buildSeries(histories, contributions) {
+    const points = new Map();
+    
+    for (const { asset, weight } of contributions) {
+      for (const point of histories[asset] || []) {
+        const entry = points.get(point.time) || { weighted: 0, weight: 0 };
+        entry.weighted += point.score * weight;
+        entry.weight += weight;
+        points.set(point.time, entry);
+      }
+    }
+    
+    return Array.from(points.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([time, entry]) => ({
+        time,
+        score: Math.round(entry.weighted / entry.weight * 10) / 10,
+        coverage: Math.round(entry.weight * 100) / 100 // Share of index weight with data
+      }));
+  }
+  
+  /**
+   * Measure how widely asset sentiment is spread around the index
+   * @private
+   * @param {Array<Object>} contributions - Weighted assets
+   * @param {number} score - Index score
+   * @returns {Object} - Dispersion metrics
+   */
+  _dispersion(contributions, score) {
+    const scores = contributions.map(c => c.score);
+    const weightedVariance = contributions.reduce((sum, c) => sum + c.weight * Math.pow(c.score - score, 2), 0);
+    
+    const advancing = contributions.filter(c => c.trend === 'rising').length;
+    const declining = contributions.filter(c => c.trend === 'falling').length;
+    const bullish = contributions.filter(c => c.score > this.neutralScore).length;
+    
+    return {
+      standardDeviation: Math.round(standardDeviation(scores) * 100) / 100,
+      weightedStandardDeviation: Math.round(Math.sqrt(weightedVariance) * 100) / 100,
+      range: scores.length > 0 ? {
+        min: Math.min(...scores),
+        max: Math.max(...scores),
+        mean: Math.round(mean(scores) * 10) / 10
+      } : null,
+      breadth: Math.round(bullish / contributions.length * 1000) / 10, // % of assets above neutral
+      advanceDecline: {
+        advancing,
+        declining,
+        unchanged: contributions.length - advancing - declining,
+        net: advancing - declining,
+        ratio: declining > 0 ? Math.round(advancing / declining * 100) / 100 : null
+      }
+    };
+  }
+  
+  /**
+   * Map a trend label to a direction
+   * @private
+   * @param {string} trend - 'rising', 'falling' or 'stable'
+   * @returns {number} - 1, -1 or 0
+   */
+  _direction(trend) {
+    return trend === 'rising' ? 1 : trend === 'falling' ? -1 : 0;
+  }
+}
+
+EcosystemIndex.WEIGHTING_MODES = WEIGHTING_MODES;
+
+module.exports = EcosystemIndex;
\ No newline at end of file
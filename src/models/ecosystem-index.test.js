@@ -0,0 +1,41 @@
+const EcosystemIndex = require('./ecosystem-index');
+const { DataUnavailableError } = require('../errors');
+
+const entries = [
+  { asset: 'SOL', score: 70, trend: 'rising', metrics: { marketCap: 300, volume: 50 } },
+  { asset: 'JUP', score: 40, trend: 'falling', metrics: { marketCap: 100 } },
+  { asset: 'BONK', score: 55, trend: 'stable', metrics: {} }
+];
+
+describe('EcosystemIndex', () => {
+  it('weights assets by the weighting metric and reports those without it', () => {
+    const index = new EcosystemIndex({ weighting: 'marketCap' }).build(entries);
+    
+    expect(index.score).toBe(62.5);
+    expect(index.trend).toBe('rising');
+    expect(index.contributions.map(c => [c.asset, c.weight])).toEqual([['SOL', 0.75], ['JUP', 0.25]]);
+    expect(index.unweighted).toEqual(['BONK']);
+  });
+  
+  it('weights every asset equally by default', () => {
+    const index = new EcosystemIndex().build(entries);
+    
+    expect(index.score).toBe(55);
+    expect(index.trend).toBe('stable');
+    expect(index.unweighted).toEqual([]);
+  });
+  
+  it('reports missing weighting data as unavailable data', () => {
+    const index = new EcosystemIndex({ weighting: 'socialVolume' });
+    
+    expect(() => index.build(entries)).toThrow(DataUnavailableError);
+    expect(() => index.build(entries)).toThrow(expect.objectContaining({
+      code: 'DATA_UNAVAILABLE',
+      details: { weighting: 'socialVolume', unweighted: ['SOL', 'JUP', 'BONK'] }
+    }));
+  });
+  
+  it('rejects unknown weightings', () => {
+    expect(() => new EcosystemIndex({ weighting: 'hype' })).toThrow('Unknown ecosystem weighting: hype');
+  });
+});
\ No newline at end of file
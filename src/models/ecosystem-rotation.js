@@ -0,0 +1,134 @@
+const { mean } = require('../utils/statistics');
+
+/**
+ * Compares ecosystem sentiment indices to rank sectors and detect rotation
+ *
+ * Relative strength is an ecosystem's index score minus the average of all compared
+ * ecosystems at the same point in time. Rotation is flagged when one ecosystem's sentiment
+ * falls and loses relative strength while another's rises and gains it.
+ */
+class EcosystemRotation {
+  /**
+   * Create a new rotation model
+   * @param {Object} [options] - Model options
+   * @param {number} [options.rotationThreshold=3] - Minimum momentum (score points) on both sides of a rotation
+   */
+  constructor(options = {}) {
+    this.rotationThreshold = options.rotationThreshold !== undefined ? options.rotationThreshold : 3;
+  }
+  
+  /**
+   * Rank ecosystems and detect rotation between them
+   * @param {Array<Object>} ecosystems - Ecosystems ({ ecosystem, score, trend, series: [{ time, score }] })
+   * @returns {Object} - { rankings, rotations }
+   */
+  compare(ecosystems) {
+    const relativeStrength = this._relativeStrength(ecosystems);
+    
+    const rankings = ecosystems.map(entry => {
+      const scores = entry.series.map(point => point.score);
+      const strength = relativeStrength.get(entry.ecosystem);
+      
+      return {
+        ecosystem: entry.ecosystem,
+        score: entry.score,
+        trend: entry.trend,
+        momentum: scores.length > 1 ? Math.round((scores[scores.length - 1] - scores[0]) * 10) / 10 : 0,
+        relativeStrength: strength
+      };
+    });
+    
+    this._rank(rankings, 'score', 'levelRank');
+    this._rank(rankings, 'momentum', 'momentumRank');
+    
+    // Overall order: best average of level and momentum ranks, ties broken by level
+    rankings.sort((a, b) =>
+      (a.levelRank + a.momentumRank) - (b.levelRank + b.momentumRank) || a.levelRank - b.levelRank);
+    rankings.forEach((entry, i) => {
+      entry.rank = i + 1;
+    });
+    
+    return {
+      rankings,
+      rotations: this._detectRotations(rankings)
+    };
+  }
+  
+  /**
+   * Calculate each ecosystem's relative strength at the start and end of the common period
+   * @private
+   * @param {Array<Object>} ecosystems - Ecosystems with index series
+   * @returns {Map<string, Object>} - { start, end, change } keyed by ecosystem (null without overlap)
+   */
+  _relativeStrength(ecosystems) {
+    const byTime = ecosystems.map(entry => new Map(entry.series.map(point => [point.time, point.score])));
+    const commonTimes = ecosystems.length === 0 ? [] : Array.from(byTime[0].keys())
+      .filter(time => byTime.every(scores => scores.has(time)))
+      .sort((a, b) => a - b);
+    
+    const strength = new Map();
+    ecosystems.forEach((entry, i) => {
+      if (commonTimes.length === 0) {
+        strength.set(entry.ecosystem, null);
+        return;
+      }
+      
+      const at = time => byTime[i].get(time) - mean(byTime.map(scores => scores.get(time)));
+      const start = at(commonTimes[0]);
+      const end = at(commonTimes[commonTimes.length - 1]);
+      
+      strength.set(entry.ecosystem, {
+        start: Math.round(start * 10) / 10,
+        end: Math.round(end * 10) / 10,
+        change: Math.round((end - start) * 10) / 10
+      });
+    });
+    
+    return strength;
+  }
+  
+  /**
+   * Assign 1-based ranks by a field, highest first
+   * @private
+   * @param {Array<Object>} entries - Entries to rank (modified in place)
+   * @param {string} field - Field to rank by
+   * @param {string} rankField - Field to store the rank in
+   */
+  _rank(entries, field, rankField) {
+    [...entries]
+      .sort((a, b) => b[field] - a[field])
+      .forEach((entry, i) => {
+        entry[rankField] = i + 1;
+      });
+  }
+  
+  /**
+   * Pair ecosystems losing sentiment with ecosystems gaining it
+   * @private
+   * @param {Array<Object>} rankings - Ranked ecosystems
+   * @returns {Array<Object>} - Rotations ({ from, to, outflow, inflow, strength }), strongest first
+   */
+  _detectRotations(rankings) {
+    const isOutflow = entry => entry.momentum <= -this.rotationThreshold &&
+      (!entry.relativeStrength || entry.relativeStrength.change < 0);
+    const isInflow = entry => entry.momentum >= this.rotationThreshold &&
+      (!entry.relativeStrength || entry.relativeStrength.change > 0);
+    
+    const rotations = [];
+    for (const from of rankings.filter(isOutflow)) {
+      for (const to of rankings.filter(isInflow)) {
+        rotations.push({
+          from: from.ecosystem,
+          to: to.ecosystem,
+          outflow: from.momentum,
+          inflow: to.momentum,
+          strength: Math.round((to.momentum - from.momentum) * 10) / 10
+        });
+      }
+    }
+    
+    return rotations.sort((a, b) => b.strength - a.strength);
+  }
+}
+
+module.exports = EcosystemRotation;
\ No newline at end of file
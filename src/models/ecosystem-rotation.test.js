@@ -0,0 +1,103 @@
+const EcosystemRotation = require('./ecosystem-rotation');
+
+/**
+ * Ecosystem entry whose index series has the given scores at times 1, 2, ...
+ */
+function ecosystem(name, scores, trend = 'stable') {
+  return {
+    ecosystem: name,
+    score: scores[scores.length - 1],
+    trend,
+    series: scores.map((score, i) => ({ time: i + 1, score }))
+  };
+}
+
+describe('EcosystemRotation', () => {
+  const rotating = [
+    ecosystem('ethereum', [60, 55, 50], 'falling'),
+    ecosystem('solana', [50, 55, 60], 'rising'),
+    ecosystem('cosmos', [52, 53, 53])
+  ];
+  
+  it('ranks ecosystems by level and momentum', () => {
+    const { rankings } = new EcosystemRotation().compare(rotating);
+    
+    expect(rankings.map(entry => [entry.ecosystem, entry.rank, entry.levelRank, entry.momentumRank])).toEqual([
+      ['solana', 1, 1, 1],
+      ['cosmos', 2, 2, 2],
+      ['ethereum', 3, 3, 3]
+    ]);
+    expect(rankings.map(entry => entry.momentum)).toEqual([10, 1, -10]);
+  });
+  
+  it('breaks ties between rank sums by level', () => {
+    const { rankings } = new EcosystemRotation().compare([
+      ecosystem('momentum', [55, 60]),
+      ecosystem('level', [70, 70]),
+      ecosystem('laggard', [50, 45])
+    ]);
+    
+    expect(rankings.map(entry => entry.ecosystem)).toEqual(['level', 'momentum', 'laggard']);
+    expect(rankings[0].levelRank + rankings[0].momentumRank).toBe(rankings[1].levelRank + rankings[1].momentumRank);
+  });
+  
+  it('measures relative strength against the average of all ecosystems', () => {
+    const { rankings } = new EcosystemRotation().compare(rotating);
+    const strength = Object.fromEntries(rankings.map(entry => [entry.ecosystem, entry.relativeStrength]));
+    
+    // Averages are 54 at the start and 54.33 at the end
+    expect(strength).toEqual({
+      solana: { start: -4, end: 5.7, change: 9.7 },
+      cosmos: { start: -2, end: -1.3, change: 0.7 },
+      ethereum: { start: 6, end: -4.3, change: -10.3 }
+    });
+  });
+  
+  it('flags rotation from an outflow ecosystem to an inflow ecosystem', () => {
+    const { rotations } = new EcosystemRotation().compare(rotating);
+    
+    expect(rotations).toEqual([{ from: 'ethereum', to: 'solana', outflow: -10, inflow: 10, strength: 20 }]);
+  });
+  
+  it('pairs every outflow with every inflow, strongest first', () => {
+    const { rotations } = new EcosystemRotation().compare([
+      ecosystem('ethereum', [60, 50]),
+      ecosystem('cardano', [50, 46]),
+      ecosystem('solana', [50, 58]),
+      ecosystem('cosmos', [40, 44])
+    ]);
+    
+    expect(rotations.map(rotation => [rotation.from, rotation.to, rotation.strength])).toEqual([
+      ['ethereum', 'solana', 18],
+      ['ethereum', 'cosmos', 14],
+      ['cardano', 'solana', 12],
+      ['cardano', 'cosmos', 8]
+    ]);
+  });
+  
+  it('does not call a market-wide move a rotation', () => {
+    // Both fall; the smaller fall gains relative strength but is not an inflow
+    const { rankings, rotations } = new EcosystemRotation().compare([
+      ecosystem('ethereum', [70, 60], 'falling'),
+      ecosystem('solana', [50, 45], 'falling')
+    ]);
+    
+    expect(rankings.find(entry => entry.ecosystem === 'solana').relativeStrength.change).toBeGreaterThan(0);
+    expect(rotations).toEqual([]);
+  });
+  
+  it('requires momentum beyond the threshold on both sides', () => {
+    expect(new EcosystemRotation({ rotationThreshold: 10 }).compare(rotating).rotations).toHaveLength(1);
+    expect(new EcosystemRotation({ rotationThreshold: 10.1 }).compare(rotating).rotations).toEqual([]);
+  });
+  
+  it('classifies by momentum alone when the series share no points in time', () => {
+    const { rankings, rotations } = new EcosystemRotation().compare([
+      ecosystem('ethereum', [60, 50]),
+      { ...ecosystem('solana', [50, 60]), series: [{ time: 10, score: 50 }, { time: 11, score: 60 }] }
+    ]);
+    
+    expect(rankings.map(entry => entry.relativeStrength)).toEqual([null, null]);
+    expect(rotations).toEqual([{ from: 'ethereum', to: 'solana', outflow: -10, inflow: 10, strength: 20 }]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,271 @@
+/**
+ * Default basket of top assets whose social sentiment, volatility and volume feed the index
+ */
+const DEFAULT_BASKET = ['BTC', 'ETH', 'SOL', 'XRP', 'BNB'];
+
+/**
+ * Default ecosystems scanned for market breadth
+ */
+const DEFAULT_ECOSYSTEMS = ['ethereum', 'solana'];
+
+/**
+ * Default component weights; components without data are left out and the rest renormalized
+ */
+const DEFAULT_WEIGHTS = {
+  social: 0.4,
+  volatility: 0.2,
+  volume: 0.2,
+  breadth: 0.2
+};
+
+/**
+ * Index readings at or below each upper bound, from most fearful to most greedy
+ */
+const LABELS = [
+  [25, 'extreme fear'],
+  [45, 'fear'],
+  [55, 'neutral'],
+  [75, 'greed'],
+  [100, 'extreme greed']
+];
+
+/**
+ * Market-wide fear & greed index
+ *
+ * Every component is a 0-100 reading where higher means greedier:
+ *   - social: social sentiment across the basket
+ *   - volatility: 100 at no volatility, 50 when recent volatility matches its baseline and 0 at twice the baseline
+ *   - volume: volume change signed by price direction, so rising volume into a rally reads as greed and
+ *     rising volume into a selloff as fear
+ *   - breadth: share of ecosystem constituents with sentiment above neutral
+ * Asset readings are averaged with the basket weights and components combined with the component weights,
+ * in both cases renormalized over whatever has data at each point.
+ */
+class FearGreedIndex {
+  /**
+   * Create a new fear & greed index
+   * @param {Object} [options] - Index configuration
+   * @param {Array<string>|Object} [options.basket] - Basket assets, or weights keyed by asset (defaults to
+   *   BTC, ETH, SOL, XRP and BNB, equally weighted)
+   * @param {Array<string>} [options.ecosystems] - Ecosystems scanned for breadth (defaults to ethereum and solana)
+   * @param {number} [options.ecosystemLimit=10] - Number of assets per ecosystem
+   * @param {Object} [options.weights] - Component weights keyed by component, merged over the defaults
+   * @param {string} [options.window='7d'] - Trailing window for social sentiment, volatility and volume
+   * @param {string} [options.baseline='30d'] - Trailing window recent volatility is compared with
+   * @param {number} [options.neutralScore=50] - Sentiment above which a constituent counts towards breadth
+   */
+  constructor(options = {}) {
+    this.basket = this._basketWeights(options.basket || DEFAULT_BASKET);
+    this.ecosystems = options.ecosystems || DEFAULT_ECOSYSTEMS;
+    this.ecosystemLimit = options.ecosystemLimit || 10;
+    this.window = options.window || '7d';
+    this.baseline = options.baseline || '30d';
+    this.neutralScore = options.neutralScore !== undefined ? options.neutralScore : 50;
+    
+    const weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    for (const [component, weight] of Object.entries(weights)) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_WEIGHTS, component)) {
+        throw new Error(`Unknown fear & greed component: ${component}`);
+      }
+      if (!(weight >= 0)) {
+        throw new Error(`Fear & greed component ${component} has an invalid weight: ${weight}`);
+      }
+    }
+    const weightSum = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    if (weightSum <= 0) {
+      throw new Error('At least one fear & greed component needs a positive weight');
+    }
+    this.weights = Object.fromEntries(Object.entries(weights).map(([component, w]) => [component, w / weightSum]));
+  }
+  
+  /**
+   * Label an index reading
+   * @param {number} score - Index reading (0-100)
+   * @returns {string} - 'extreme fear', 'fear', 'neutral', 'greed' or 'extreme greed'
+   */
+  label(score) {
+    return LABELS.find(([upper]) => score <= upper)[1];
+  }
+  
+  /**
+   * Derive an asset's component readings for one point
+   * @param {Object} readings - Analyses over the trailing windows ending at the point
+   * @param {Object|null} readings.social - Social sentiment analysis over the window
+   * @param {Object|null} readings.market - Market sentiment analysis over the window
+   * @param {Object|null} readings.baseline - Market sentiment analysis over the baseline window
+   * @returns {Object} - { social, volatility, volume }, null where a reading is missing
+   */
+  assetComponents({ social, market, baseline }) {
+    let volatility = null;
+    if (market && baseline) {
+      volatility = baseline.volatility > 0
+        ? this._clamp(100 - 50 * market.volatility / baseline.volatility)
+        : (market.volatility > 0 ? 0 : 50);
+    }
+    
+    let volume = null;
+    const volumeChange = market && market.volumeIndicators && market.volumeIndicators.rateOfChange;
+    const priceChange = market && market.priceIndicators && market.priceIndicators.rateOfChange;
+    if (typeof volumeChange === 'number' && typeof priceChange === 'number') {
+      volume = 50 + 50 * Math.max(-1, Math.min(1, volumeChange / 100)) * Math.sign(priceChange);
+    }
+    
+    return {
+      social: social ? this._clamp(social.score) : null,
+      volatility,
+      volume
+    };
+  }
+  
+  /**
+   * Build a breadth series from constituent sentiment histories
+   * @param {Object} histories - History series keyed by asset ([{ time, score }], oldest first)
+   * @returns {Array<Object>} - Breadth points ({ time, breadth, bullish, constituents }), oldest first
+   */
+  buildBreadth(histories) {
+    const points = new Map();
+    
+    for (const series of Object.values(histories)) {
+      for (const point of series) {
+        const entry = points.get(point.time) || { bullish: 0, constituents: 0 };
+        if (point.score > this.neutralScore) entry.bullish++;
+        entry.constituents++;
+        points.set(point.time, entry);
+      }
+    }
+    
+    return Array.from(points.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([time, entry]) => ({ time, breadth: entry.bullish / entry.constituents * 100, ...entry }));
+  }
+  
+  /**
+   * Combine asset component series and breadth into the index series
+   * @param {Object} assetSeries - Component points keyed by asset ([{ time, social, volatility, volume }])
+   * @param {Array<Object>} breadth - Breadth points from buildBreadth
+   * @returns {Array<Object>} - Index points ({ time, score, label, components }), oldest first; each component
+   *   carries its reading, weight at that point, contribution and the readings it was built from
+   */
+  buildSeries(assetSeries, breadth) {
+    const times = new Set(breadth.map(point => point.time));
+    const byAsset = {};
+    for (const [asset, series] of Object.entries(assetSeries)) {
+      byAsset[asset] = new Map(series.map(point => [point.time, point]));
+      series.forEach(point => times.add(point.time));
+    }
+    const breadthByTime = new Map(breadth.map(point => [point.time, point]));
+    
+    const points = [];
+    for (const time of Array.from(times).sort((a, b) => a - b)) {
+      const readings = {};
+      for (const component of ['social', 'volatility', 'volume']) {
+        readings[component] = this._basketReading(byAsset, time, component);
+      }
+      const breadthPoint = breadthByTime.get(time);
+      readings.breadth = breadthPoint
+        ? { score: breadthPoint.breadth, bullish: breadthPoint.bullish, constituents: breadthPoint.constituents }
+        : null;
+      
+      const available = Object.keys(readings).filter(component => readings[component] && this.weights[component] > 0);
+      const totalWeight = available.reduce((sum, component) => sum + this.weights[component], 0);
+      if (totalWeight <= 0) continue;
+      
+      const components = {};
+      let score = 0;
+      for (const component of available) {
+        const weight = this.weights[component] / totalWeight;
+        const reading = readings[component];
+        score += reading.score * weight;
+        components[component] = {
+          ...reading,
+          score: Math.round(reading.score * 10) / 10,
+          weight: Math.round(weight * 1000) / 1000,
+          contribution: Math.round(reading.score * weight * 10) / 10
+        };
+      }
+      
+      const rounded = Math.round(score * 10) / 10;
+      points.push({ time, score: rounded, label: this.label(rounded), components });
+    }
+    
+    return points;
+  }
+  
+  /**
+   * Settings that identify an index configuration
+   * @returns {Object} - { basket, ecosystems, ecosystemLimit, weights, window, baseline, neutralScore }
+   */
+  toJSON() {
+    return {
+      basket: this.basket,
+      ecosystems: this.ecosystems,
+      ecosystemLimit: this.ecosystemLimit,
+      weights: this.weights,
+      window: this.window,
+      baseline: this.baseline,
+      neutralScore: this.neutralScore
+    };
+  }
+  
+  /**
+   * Basket-weighted average of one component at a point in time
+   * @private
+   * @param {Object} byAsset - Component points by time, keyed by asset
+   * @param {number} time - Point time
+   * @param {string} component - 'social', 'volatility' or 'volume'
+   * @returns {Object|null} - { score, assets } or null if no basket asset has a reading
+   */
+  _basketReading(byAsset, time, component) {
+    const assets = {};
+    let weighted = 0;
+    let totalWeight = 0;
+    
+    for (const [asset, points] of Object.entries(byAsset)) {
+      const point = points.get(time);
+      const value = point ? point[component] : null;
+      if (typeof value !== 'number') continue;
+      
+      assets[asset] = Math.round(value * 10) / 10;
+      weighted += value * this.basket[asset];
+      totalWeight += this.basket[asset];
+    }
+    
+    return totalWeight > 0 ? { score: weighted / totalWeight, assets } : null;
+  }
+  
+  /**
+   * Normalize basket weights to sum to 1
+   * @private
+   * @param {Array<string>|Object} basket - Basket assets, or weights keyed by asset
+   * @returns {Object} - Normalized weights keyed by asset
+   */
+  _basketWeights(basket) {
+    const entries = Array.isArray(basket) ? basket.map(asset => [asset, 1]) : Object.entries(basket);
+    if (entries.length === 0) {
+      throw new Error('The fear & greed basket needs at least one asset');
+    }
+    for (const [asset, weight] of entries) {
+      if (!(weight > 0)) {
+        throw new Error(`Fear & greed basket asset ${asset} has an invalid weight: ${weight}`);
+      }
+    }
+    
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    return Object.fromEntries(entries.map(([asset, weight]) => [asset, weight / total]));
+  }
+  
+  /**
+   * Clamp a reading to the 0-100 scale
+   * @private
+   * @param {number} value - Reading
+   * @returns {number} - Reading between 0 and 100
+   */
+  _clamp(value) {
+    return Math.max(0, Math.min(100, value));
+  }
+}
+
+FearGreedIndex.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+FearGreedIndex.COMPONENTS = Object.keys(DEFAULT_WEIGHTS);
+
+module.exports = FearGreedIndex;
\ No newline at end of file
@@ -0,0 +1,154 @@
+const FearGreedIndex = require('./fear-greed-index');
+
+/**
+ * Market analysis with the given volatility and volume and price rates of change
+ */
+function market(volatility, volumeChange = 0, priceChange = 0) {
+  return {
+    volatility,
+    volumeIndicators: { rateOfChange: volumeChange },
+    priceIndicators: { rateOfChange: priceChange }
+  };
+}
+
+describe('FearGreedIndex', () => {
+  describe('label', () => {
+    it.each([
+      [0, 'extreme fear'],
+      [25, 'extreme fear'],
+      [25.1, 'fear'],
+      [45, 'fear'],
+      [45.1, 'neutral'],
+      [55, 'neutral'],
+      [55.1, 'greed'],
+      [75, 'greed'],
+      [75.1, 'extreme greed'],
+      [100, 'extreme greed']
+    ])('labels %d as %s', (score, label) => {
+      expect(new FearGreedIndex().label(score)).toBe(label);
+    });
+  });
+  
+  describe('assetComponents', () => {
+    const index = new FearGreedIndex();
+    
+    it('reads volatility against its baseline', () => {
+      const volatility = (recent, baseline) =>
+        index.assetComponents({ social: null, market: market(recent), baseline: market(baseline) }).volatility;
+      
+      expect(volatility(0, 4)).toBe(100);
+      expect(volatility(2, 4)).toBe(75);
+      expect(volatility(4, 4)).toBe(50);
+      expect(volatility(8, 4)).toBe(0);
+      expect(volatility(12, 4)).toBe(0);
+      expect(volatility(0, 0)).toBe(50);
+      expect(volatility(1, 0)).toBe(0);
+    });
+    
+    it('signs volume changes by the direction of price', () => {
+      const volume = (volumeChange, priceChange) =>
+        index.assetComponents({ social: null, market: market(1, volumeChange, priceChange), baseline: null }).volume;
+      
+      expect(volume(40, 5)).toBe(70);
+      expect(volume(40, -5)).toBe(30);
+      expect(volume(-40, 5)).toBe(30);
+      expect(volume(250, 5)).toBe(100);
+      expect(volume(40, 0)).toBe(50);
+    });
+    
+    it('clamps social sentiment and leaves missing readings null', () => {
+      expect(index.assetComponents({ social: { score: 104 }, market: null, baseline: null }))
+        .toEqual({ social: 100, volatility: null, volume: null });
+      expect(index.assetComponents({ social: null, market: { volatility: 1 }, baseline: null }))
+        .toEqual({ social: null, volatility: null, volume: null });
+    });
+  });
+  
+  describe('buildBreadth', () => {
+    it('counts the share of constituents above neutral at each point', () => {
+      const breadth = new FearGreedIndex().buildBreadth({
+        SOL: [{ time: 2, score: 60 }, { time: 1, score: 40 }],
+        JUP: [{ time: 1, score: 70 }, { time: 2, score: 50 }],
+        BONK: [{ time: 2, score: 80 }]
+      });
+      
+      expect(breadth).toEqual([
+        { time: 1, breadth: 50, bullish: 1, constituents: 2 },
+        { time: 2, breadth: 2 / 3 * 100, bullish: 2, constituents: 3 }
+      ]);
+    });
+  });
+  
+  describe('buildSeries', () => {
+    it('weights basket assets and then components', () => {
+      const index = new FearGreedIndex({ basket: { BTC: 3, ETH: 1 } });
+      const [point] = index.buildSeries(
+        {
+          BTC: [{ time: 1, social: 80, volatility: 40, volume: 60 }],
+          ETH: [{ time: 1, social: 40, volatility: 80, volume: 20 }]
+        },
+        [{ time: 1, breadth: 25, bullish: 1, constituents: 4 }]
+      );
+      
+      // social 70, volatility 50, volume 50, breadth 25
+      expect(point.score).toBe(0.4 * 70 + 0.2 * 50 + 0.2 * 50 + 0.2 * 25);
+      expect(point.label).toBe('neutral');
+      expect(point.components.social).toEqual({
+        score: 70,
+        assets: { BTC: 80, ETH: 40 },
+        weight: 0.4,
+        contribution: 28
+      });
+      expect(point.components.breadth).toEqual({
+        score: 25, bullish: 1, constituents: 4, weight: 0.2, contribution: 5
+      });
+    });
+    
+    it('renormalizes over the components and assets with data at each point', () => {
+      const index = new FearGreedIndex({ basket: ['BTC', 'ETH'] });
+      const series = index.buildSeries(
+        {
+          BTC: [{ time: 1, social: 90, volatility: null, volume: null }, { time: 2, social: 20 }],
+          ETH: [{ time: 2, social: 40, volatility: 10 }]
+        },
+        [{ time: 3, breadth: 100, bullish: 2, constituents: 2 }]
+      );
+      
+      expect(series.map(point => [point.time, point.score, point.label])).toEqual([
+        [1, 90, 'extreme greed'],
+        [2, (0.4 * 30 + 0.2 * 10) / 0.6, 'extreme fear'],
+        [3, 100, 'extreme greed']
+      ].map(([time, score, label]) => [time, Math.round(score * 10) / 10, label]));
+      expect(series[0].components).toEqual({ social: expect.objectContaining({ weight: 1 }) });
+      expect(series[1].components.volatility.assets).toEqual({ ETH: 10 });
+    });
+    
+    it('skips components with zero weight', () => {
+      const index = new FearGreedIndex({ weights: { social: 0 } });
+      const series = index.buildSeries({ BTC: [{ time: 1, social: 90 }, { time: 2, social: 90, volume: 30 }] }, []);
+      
+      expect(series).toEqual([
+        { time: 2, score: 30, label: 'fear', components: { volume: expect.objectContaining({ weight: 1 }) } }
+      ]);
+    });
+  });
+  
+  describe('configuration', () => {
+    it('normalizes component and basket weights', () => {
+      const index = new FearGreedIndex({ basket: { BTC: 2, ETH: 2 }, weights: { social: 0.2 } });
+      
+      expect(index.weights).toEqual({ social: 0.25, volatility: 0.25, volume: 0.25, breadth: 0.25 });
+      expect(index.toJSON()).toMatchObject({ basket: { BTC: 0.5, ETH: 0.5 }, window: '7d', baseline: '30d' });
+      expect(Object.keys(new FearGreedIndex().basket)).toEqual(['BTC', 'ETH', 'SOL', 'XRP', 'BNB']);
+    });
+    
+    it('rejects unknown components and invalid weights', () => {
+      expect(() => new FearGreedIndex({ weights: { hype: 1 } })).toThrow('Unknown fear & greed component: hype');
+      expect(() => new FearGreedIndex({ weights: { social: -1 } })).toThrow('invalid weight');
+      expect(() => new FearGreedIndex({ weights: { social: 0, volatility: 0, volume: 0, breadth: 0 } }))
+        .toThrow('needs a positive weight');
+      expect(() => new FearGreedIndex({ basket: [] })).toThrow('at least one asset');
+      expect(() => new FearGreedIndex({ basket: { BTC: 0 } })).toThrow('invalid weight');
+    });
+  });
+});
\ No newline at end of file
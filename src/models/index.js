@@ -1,5 +1,19 @@
 const SentimentModel = require('./sentiment-model');
+const WeightCalibrator = require('./weight-calibrator');
+const LeadLagAnalyzer = require('./lead-lag');
+const EcosystemIndex = require('./ecosystem-index');
+const EcosystemRotation = require('./ecosystem-rotation');
+const Screener = require('./screener');
+const RegimeClassifier = require('./regime-classifier');
+const FearGreedIndex = require('./fear-greed-index');
 
 module.exports = {
-  SentimentModel
+  SentimentModel,
+  WeightCalibrator,
+  LeadLagAnalyzer,
+  EcosystemIndex,
+  EcosystemRotation,
+  Screener,
+  RegimeClassifier,
+  FearGreedIndex
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+const { leastSquares, fTestPValue } = require('../utils/statistics');
+
+/**
+ * Granger-causality tests between sentiment signals and price returns
+ *
+ * A signal "Granger-causes" returns when its past values improve a forecast of returns
+ * beyond what past returns alone provide. Each signal is tested in both directions so a
+ * sentiment source that merely reacts to price is not mistaken for a leading indicator.
+ * Inputs should be stationary (e.g. score changes and percentage returns), oldest first;
+ * missing values may be given as null and the affected regression rows are skipped.
+ */
+class LeadLagAnalyzer {
+  /**
+   * Create a new lead/lag analyzer
+   * @param {Object} [options] - Analyzer options
+   * @param {number} [options.maxLag=5] - Maximum lag order to consider
+   * @param {number} [options.significanceLevel=0.05] - p-value below which a test is significant
+   * @param {number} [options.minObservations=20] - Minimum regression observations per test
+   */
+  constructor(options = {}) {
+    this.config = {
+      maxLag: 5,
+      significanceLevel: 0.05,
+      minObservations: 20,
+      ...options
+    };
+  }
+  
+  /**
+   * Run a Granger-causality F-test at a fixed lag order
+   * Compares effect ~ own lags (restricted) against effect ~ own lags + cause lags (unrestricted)
+   * @param {Array<number>} cause - Candidate leading series
+   * @param {Array<number|null>} effect - Series to forecast (same length and alignment as cause)
+   * @param {number} lag - Lag order
+   * @param {number} [start=lag] - First index of effect used as a regression target
+   * @returns {Object|null} - { lag, fStatistic, pValue, df1, df2, observations, significant, bic },
+   *   or null if there are too few observations or the regressors are collinear
+   */
+  grangerTest(cause, effect, lag, start = lag) {
+    const n = Math.min(cause.length, effect.length);
+    const restrictedRows = [];
+    const unrestrictedRows = [];
+    const targets = [];
+    
+    for (let t = start; t < n; t++) {
+      const ownLags = [];
+      const causeLags = [];
+      for (let k = 1; k <= lag; k++) {
+        ownLags.push(effect[t - k]);
+        causeLags.push(cause[t - k]);
+      }
+      
+      // Rows with a missing value anywhere in the regression are dropped
+      if (![effect[t], ...ownLags, ...causeLags].every(Number.isFinite)) continue;
+      
+      restrictedRows.push([1, ...ownLags]);
+      unrestrictedRows.push([1, ...ownLags, ...causeLags]);
+      targets.push(effect[t]);
+    }
+    
+    const observations = targets.length;
+    const df1 = lag;
+    const df2 = observations - 2 * lag - 1;
+    
+    if (observations < this.config.minObservations || df2 < 1) return null;
+    
+    const restricted = leastSquares(restrictedRows, targets);
+    const unrestricted = leastSquares(unrestrictedRows, targets);
+    if (!restricted || !unrestricted) return null;
+    
+    const rssRestricted = restricted.residualSumOfSquares;
+    const rssUnrestricted = unrestricted.residualSumOfSquares;
+    
+    const fStatistic = rssUnrestricted > 0
+      ? Math.max(0, (rssRestricted - rssUnrestricted) / df1) / (rssUnrestricted / df2)
+      : Infinity;
+    const pValue = fTestPValue(fStatistic, df1, df2);
+    
+    return {
+      lag,
+      fStatistic,
+      pValue,
+      df1,
+      df2,
+      observations,
+      significant: pValue < this.config.significanceLevel,
+      bic: observations * Math.log(Math.max(rssUnrestricted, 1e-300) / observations) +
+        (2 * lag + 1) * Math.log(observations)
+    };
+  }
+  
+  /**
+   * Test whether one series Granger-causes another, selecting the lag order by BIC
+   * Lag orders are compared on a common sample so their BIC values are comparable;
+   * the selected order is then re-estimated on all available observations.
+   * @param {Array<number>} cause - Candidate leading series
+   * @param {Array<number>} effect - Series to forecast
+   * @param {Object} [options] - Test options
+   * @param {number} [options.maxLag] - Maximum lag order (defaults to the analyzer config)
+   * @returns {Object|null} - Test at the selected lag plus a byLag list, or null if untestable
+   */
+  test(cause, effect, options = {}) {
+    const maxLag = options.maxLag || this.config.maxLag;
+    
+    const byLag = [];
+    for (let lag = 1; lag <= maxLag; lag++) {
+      const result = this.grangerTest(cause, effect, lag, maxLag);
+      if (result) byLag.push(result);
+    }
+    
+    if (byLag.length === 0) return null;
+    
+    const selected = byLag.reduce((best, result) => result.bic < best.bic ? result : best);
+    const result = this.grangerTest(cause, effect, selected.lag) || selected;
+    
+    return {
+      ...result,
+      byLag: byLag.map(({ lag, fStatistic, pValue }) => ({ lag, fStatistic, pValue }))
+    };
+  }
+  
+  /**
+   * Test every signal against returns in both directions
+   * @param {Object} signals - Signal series keyed by name (aligned with returns)
+   * @param {Array<number>} returns - Price returns
+   * @param {Object} [options] - Test options (see test)
+   * @returns {Object} - { signals, leaders }
+   */
+  analyze(signals, returns, options = {}) {
+    const results = {};
+    
+    for (const [name, series] of Object.entries(signals)) {
+      const leadsPrice = this.test(series, returns, options);
+      const followsPrice = this.test(returns, series, options);
+      
+      results[name] = {
+        leadsPrice,
+        followsPrice,
+        relationship: this._classify(leadsPrice, followsPrice)
+      };
+    }
+    
+    // Signals with significant predictive power for returns, strongest evidence first
+    const leaders = Object.entries(results)
+      .filter(([, result]) => result.leadsPrice && result.leadsPrice.significant)
+      .sort((a, b) => a[1].leadsPrice.pValue - b[1].leadsPrice.pValue)
+      .map(([name]) => name);
+    
+    return { signals: results, leaders };
+  }
+  
+  /**
+   * Classify the relationship between a signal and price from both test directions
+   * @private
+   * @param {Object|null} leadsPrice - Test of signal -> returns
+   * @param {Object|null} followsPrice - Test of returns -> signal
+   * @returns {string} - 'leads', 'follows', 'feedback', 'none' or 'insufficient_data'
+   */
+  _classify(leadsPrice, followsPrice) {
+    if (!leadsPrice && !followsPrice) return 'insufficient_data';
+    
+    const leads = Boolean(leadsPrice && leadsPrice.significant);
+    const follows = Boolean(followsPrice && followsPrice.significant);
+    
+    if (leads && follows) return 'feedback';
+    if (leads) return 'leads';
+    if (follows) return 'follows';
+    return 'none';
+  }
+}
+
+module.exports = LeadLagAnalyzer;
\ No newline at end of file
@@ -0,0 +1,96 @@
+const LeadLagAnalyzer = require('./lead-lag');
+const { leastSquares, fTestPValue } = require('../utils/statistics');
+
+/**
+ * Deterministic standard-normal-ish noise (linear congruential generator, Box-Muller)
+ */
+function noise(count, seed) {
+  let state = seed;
+  const uniform = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return (state + 1) / 4294967297;
+  };
+  return Array.from({ length: count }, () =>
+    Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform()));
+}
+
+/**
+ * A signal and returns that follow it two steps later
+ */
+function leadingPair(count = 200) {
+  const signal = noise(count, 7);
+  const shock = noise(count, 11);
+  const returns = signal.map((_, t) => (t >= 2 ? 0.8 * signal[t - 2] : 0) + 0.3 * shock[t]);
+  return { signal, returns };
+}
+
+describe('LeadLagAnalyzer', () => {
+  it('computes the Granger F statistic from restricted and unrestricted regressions', () => {
+    const { signal, returns } = leadingPair(60);
+    const result = new LeadLagAnalyzer().grangerTest(signal, returns, 2);
+    
+    const restricted = [];
+    const unrestricted = [];
+    const targets = [];
+    for (let t = 2; t < 60; t++) {
+      restricted.push([1, returns[t - 1], returns[t - 2]]);
+      unrestricted.push([1, returns[t - 1], returns[t - 2], signal[t - 1], signal[t - 2]]);
+      targets.push(returns[t]);
+    }
+    const rssRestricted = leastSquares(restricted, targets).residualSumOfSquares;
+    const rssUnrestricted = leastSquares(unrestricted, targets).residualSumOfSquares;
+    const f = ((rssRestricted - rssUnrestricted) / 2) / (rssUnrestricted / 53);
+    
+    expect(result).toMatchObject({ lag: 2, df1: 2, df2: 53, observations: 58, significant: true });
+    expect(result.fStatistic).toBeCloseTo(f, 8);
+    expect(result.pValue).toBeCloseTo(fTestPValue(f, 2, 53), 12);
+  });
+  
+  it('selects the true lag by BIC and re-estimates it on the full sample', () => {
+    const { signal, returns } = leadingPair();
+    const result = new LeadLagAnalyzer({ maxLag: 4 }).test(signal, returns);
+    
+    expect(result.lag).toBe(2);
+    expect(result.observations).toBe(198);
+    expect(result.significant).toBe(true);
+    expect(result.byLag.map(entry => entry.lag)).toEqual([1, 2, 3, 4]);
+  });
+  
+  it('tells leading signals from ones that follow price', () => {
+    const { signal, returns } = leadingPair();
+    const shock = noise(200, 19);
+    const follower = returns.map((_, t) => (t >= 1 ? returns[t - 1] : 0) + 0.3 * shock[t]);
+    const unrelated = noise(200, 23);
+    
+    const { signals, leaders } = new LeadLagAnalyzer({ maxLag: 3 }).analyze(
+      { social: signal, news: follower, market: unrelated },
+      returns
+    );
+    
+    expect(signals.social.relationship).toBe('leads');
+    expect(signals.news.relationship).toBe('follows');
+    expect(signals.market.relationship).toBe('none');
+    expect(leaders).toEqual(['social']);
+  });
+  
+  it('skips regression rows with missing values', () => {
+    const { signal, returns } = leadingPair(60);
+    const gappy = returns.map((value, t) => (t === 30 ? null : value));
+    const result = new LeadLagAnalyzer().grangerTest(signal, gappy, 1);
+    
+    // Index 30 is missing as a target and as the lag of index 31
+    expect(result.observations).toBe(57);
+  });
+  
+  it('reports untestable series', () => {
+    const analyzer = new LeadLagAnalyzer();
+    const short = noise(15, 3);
+    
+    expect(analyzer.grangerTest(short, short, 1)).toBeNull();
+    expect(analyzer.test(short, short)).toBeNull();
+    expect(analyzer.analyze({ social: short }, noise(15, 5)).signals.social.relationship).toBe('insufficient_data');
+    
+    // A constant cause is collinear with the intercept
+    expect(analyzer.grangerTest(new Array(40).fill(1), noise(40, 9), 1)).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,204 @@
+const { DataUnavailableError, InvalidArgumentError } = require('../errors');
+
+/**
+ * Sentiment regimes, from most bearish to most bullish
+ */
+const REGIMES = ['capitulation', 'fear', 'neutral', 'greed', 'euphoria'];
+
+/**
+ * Classifies a sentiment history into discrete regimes using percentiles of its own scores
+ *
+ * Fixed score cutoffs mean different things for different assets: a persistently hyped memecoin
+ * rarely leaves "very positive" while a large cap rarely reaches it. Ranking each point against
+ * the series' own distribution makes regimes comparable across assets. Percentiles are taken
+ * over the whole history, so the latest point reflects everything observed while earlier points
+ * are classified with hindsight.
+ */
+class RegimeClassifier {
+  /**
+   * Create a new regime classifier
+   * @param {Object} [options] - Classifier options
+   * @param {Array<number>} [options.cutoffs=[0.1, 0.3, 0.7, 0.9]] - Ascending percentiles (0-1) separating
+   *   capitulation, fear, neutral, greed and euphoria
+   * @param {number} [options.minPoints=20] - Minimum history points needed for meaningful percentiles
+   * @throws {InvalidArgumentError} - If the cutoffs are not ascending percentiles strictly between 0 and 1
+   */
+  constructor(options = {}) {
+    this.cutoffs = options.cutoffs || [0.1, 0.3, 0.7, 0.9];
+    this.minPoints = options.minPoints || 20;
+    
+    const valid = Array.isArray(this.cutoffs) && this.cutoffs.length === REGIMES.length - 1 &&
+      this.cutoffs.every((cutoff, i) => cutoff > 0 && cutoff < 1 && (i === 0 || cutoff > this.cutoffs[i - 1]));
+    if (!valid) {
+      throw new InvalidArgumentError(
+        `Regime cutoffs must be ${REGIMES.length - 1} ascending percentiles between 0 and 1`,
+        { cutoffs: this.cutoffs }
+      );
+    }
+  }
+  
+  /**
+   * Classify a sentiment history
+   * @param {Array<Object>} series - History points ({ time, score }, oldest first)
+   * @param {Object} [options] - Classification options
+   * @param {number} [options.intervalMs] - Spacing of the points in milliseconds, used to express durations in time
+   * @returns {Object} - { current, lastChange, thresholds, durations, transitions, series }
+   * @throws {DataUnavailableError} - If fewer than minPoints points have a numeric score
+   */
+  classify(series, options = {}) {
+    const points = series.filter(point => typeof point.score === 'number' && Number.isFinite(point.score));
+    if (points.length < this.minPoints) {
+      throw new DataUnavailableError(
+        `At least ${this.minPoints} history points are needed to classify regimes, got ${points.length}`,
+        { points: points.length, minPoints: this.minPoints }
+      );
+    }
+    
+    const sorted = points.map(point => point.score).sort((a, b) => a - b);
+    const classified = points.map(point => {
+      const percentile = this._percentileRank(sorted, point.score);
+      return { time: point.time, score: point.score, percentile, regime: this._regimeFor(percentile) };
+    });
+    
+    const episodes = this._episodes(classified);
+    const current = episodes[episodes.length - 1];
+    const previous = episodes[episodes.length - 2];
+    const toMs = count => options.intervalMs ? count * options.intervalMs : null;
+    const latest = classified[classified.length - 1];
+    
+    return {
+      current: {
+        regime: current.regime,
+        score: latest.score,
+        percentile: Math.round(latest.percentile * 1000) / 1000,
+        since: current.start,
+        points: current.points,
+        // Without an earlier change this is the length of the whole history, a lower bound
+        timeSinceChange: toMs(current.points)
+      },
+      lastChange: previous ? { time: current.start, from: previous.regime, to: current.regime } : null,
+      thresholds: this._thresholds(sorted),
+      durations: this._durations(episodes, toMs),
+      transitions: this._transitions(classified),
+      series: classified.map(point => ({ ...point, percentile: Math.round(point.percentile * 1000) / 1000 }))
+    };
+  }
+  
+  /**
+   * Mid-rank percentile of a score within sorted scores (ties count half)
+   * @private
+   * @param {Array<number>} sorted - Scores in ascending order
+   * @param {number} score - Score to rank
+   * @returns {number} - Percentile between 0 and 1
+   */
+  _percentileRank(sorted, score) {
+    let below = 0;
+    let equal = 0;
+    for (const value of sorted) {
+      if (value < score) below++;
+      else if (value === score) equal++;
+    }
+    return (below + equal / 2) / sorted.length;
+  }
+  
+  /**
+   * Map a percentile onto a regime
+   * @private
+   * @param {number} percentile - Percentile between 0 and 1
+   * @returns {string} - Regime name
+   */
+  _regimeFor(percentile) {
+    const index = this.cutoffs.findIndex(cutoff => percentile < cutoff);
+    return REGIMES[index === -1 ? REGIMES.length - 1 : index];
+  }
+  
+  /**
+   * Score boundaries of each regime for this history, interpolated at the cutoff percentiles
+   * @private
+   * @param {Array<number>} sorted - Scores in ascending order
+   * @returns {Object} - { min, max } score range keyed by regime
+   */
+  _thresholds(sorted) {
+    const quantile = p => {
+      const position = p * (sorted.length - 1);
+      const lower = Math.floor(position);
+      const upper = Math.min(lower + 1, sorted.length - 1);
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+    const bounds = [sorted[0], ...this.cutoffs.map(quantile), sorted[sorted.length - 1]]
+      .map(value => Math.round(value * 10) / 10);
+    
+    return Object.fromEntries(REGIMES.map((regime, i) => [regime, { min: bounds[i], max: bounds[i + 1] }]));
+  }
+  
+  /**
+   * Split classified points into consecutive runs of the same regime
+   * @private
+   * @param {Array<Object>} classified - Classified points
+   * @returns {Array<Object>} - Episodes ({ regime, start, points })
+   */
+  _episodes(classified) {
+    const episodes = [];
+    for (const point of classified) {
+      const last = episodes[episodes.length - 1];
+      if (last && last.regime === point.regime) {
+        last.points++;
+      } else {
+        episodes.push({ regime: point.regime, start: point.time, points: 1 });
+      }
+    }
+    return episodes;
+  }
+  
+  /**
+   * Summarize how long each regime lasts
+   * The first and last episodes are cut off by the history and count as observed
+   * @private
+   * @param {Array<Object>} episodes - Regime episodes
+   * @param {Function} toMs - Converts a point count to milliseconds (or null)
+   * @returns {Object} - { episodes, averagePoints, longestPoints, averageMs, share } keyed by regime
+   */
+  _durations(episodes, toMs) {
+    const total = episodes.reduce((sum, episode) => sum + episode.points, 0);
+    
+    return Object.fromEntries(REGIMES.map(regime => {
+      const runs = episodes.filter(episode => episode.regime === regime).map(episode => episode.points);
+      const points = runs.reduce((sum, n) => sum + n, 0);
+      const averagePoints = runs.length > 0 ? Math.round(points / runs.length * 10) / 10 : 0;
+      
+      return [regime, {
+        episodes: runs.length,
+        averagePoints,
+        longestPoints: runs.length > 0 ? Math.max(...runs) : 0,
+        averageMs: toMs(averagePoints),
+        share: Math.round(points / total * 1000) / 1000
+      }];
+    }));
+  }
+  
+  /**
+   * Estimate point-to-point transition probabilities between regimes
+   * @private
+   * @param {Array<Object>} classified - Classified points
+   * @returns {Object} - Probabilities keyed by regime then next regime (staying included); null for
+   *   regimes with no observed successor
+   */
+  _transitions(classified) {
+    const counts = Object.fromEntries(REGIMES.map(regime => [regime, Object.fromEntries(REGIMES.map(r => [r, 0]))]));
+    for (let i = 1; i < classified.length; i++) {
+      counts[classified[i - 1].regime][classified[i].regime]++;
+    }
+    
+    return Object.fromEntries(REGIMES.map(regime => {
+      const row = counts[regime];
+      const total = Object.values(row).reduce((sum, n) => sum + n, 0);
+      return [regime, total > 0
+        ? Object.fromEntries(REGIMES.map(next => [next, Math.round(row[next] / total * 1000) / 1000]))
+        : null];
+    }));
+  }
+}
+
+RegimeClassifier.REGIMES = REGIMES;
+
+module.exports = RegimeClassifier;
\ No newline at end of file
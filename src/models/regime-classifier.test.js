@@ -0,0 +1,77 @@
+const RegimeClassifier = require('./regime-classifier');
+const { DataUnavailableError, InvalidArgumentError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * One point per day with the given scores
+ */
+function history(scores) {
+  return scores.map((score, i) => ({ time: i * DAY_MS, score }));
+}
+
+describe('RegimeClassifier', () => {
+  it('classifies points by their percentile within the history', () => {
+    const classifier = new RegimeClassifier({ minPoints: 10 });
+    const result = classifier.classify(history([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]));
+    
+    expect(result.series.map(point => point.regime)).toEqual([
+      'capitulation', 'fear', 'fear', 'neutral', 'neutral', 'neutral', 'neutral', 'greed', 'greed', 'euphoria'
+    ]);
+    expect(result.series[0].percentile).toBe(0.05);
+    expect(result.current).toMatchObject({ regime: 'euphoria', score: 10, percentile: 0.95, since: 9 * DAY_MS });
+    expect(result.lastChange).toEqual({ time: 9 * DAY_MS, from: 'greed', to: 'euphoria' });
+    expect(result.thresholds.capitulation).toEqual({ min: 1, max: 1.9 });
+    expect(result.thresholds.euphoria).toEqual({ min: 9.1, max: 10 });
+  });
+  
+  it('reports regime durations and transition probabilities', () => {
+    const classifier = new RegimeClassifier({ minPoints: 10 });
+    const result = classifier.classify(history([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]), { intervalMs: DAY_MS });
+    
+    expect(result.durations.neutral).toEqual({
+      episodes: 1, averagePoints: 4, longestPoints: 4, averageMs: 4 * DAY_MS, share: 0.4
+    });
+    expect(result.current.timeSinceChange).toBe(DAY_MS);
+    expect(result.transitions.fear).toEqual({ capitulation: 0, fear: 0.5, neutral: 0.5, greed: 0, euphoria: 0 });
+    expect(result.transitions.euphoria).toBeNull();
+  });
+  
+  it('ranks tied scores at their mid-rank', () => {
+    const classifier = new RegimeClassifier({ minPoints: 4 });
+    const result = classifier.classify(history([5, 5, 5, 5]));
+    
+    expect(result.series.every(point => point.percentile === 0.5 && point.regime === 'neutral')).toBe(true);
+    expect(result.lastChange).toBeNull();
+  });
+  
+  it('honours custom cutoffs', () => {
+    const classifier = new RegimeClassifier({ cutoffs: [0.2, 0.4, 0.6, 0.8], minPoints: 5 });
+    const result = classifier.classify(history([1, 2, 3, 4, 5]));
+    
+    expect(result.series.map(point => point.regime)).toEqual(['capitulation', 'fear', 'neutral', 'greed', 'euphoria']);
+  });
+  
+  it.each([
+    [[0.1, 0.3, 0.7]],
+    [[0.1, 0.3, 0.7, 0.9, 0.95]],
+    [[0, 0.3, 0.7, 0.9]],
+    [[0.1, 0.3, 0.7, 1]],
+    [[0.3, 0.1, 0.7, 0.9]],
+    [[0.1, 0.3, 0.3, 0.9]],
+    ['0.1,0.3,0.7,0.9']
+  ])('rejects the cutoffs %j', cutoffs => {
+    expect(() => new RegimeClassifier({ cutoffs })).toThrow(InvalidArgumentError);
+  });
+  
+  it('needs enough numeric scores to classify', () => {
+    const classifier = new RegimeClassifier({ minPoints: 5 });
+    const points = history([1, 2, null, 4, NaN, 6]);
+    
+    expect(() => classifier.classify(points)).toThrow(DataUnavailableError);
+    expect(() => classifier.classify(points)).toThrow(expect.objectContaining({
+      code: 'DATA_UNAVAILABLE',
+      details: { points: 4, minPoints: 5 }
+    }));
+  });
+});
\ No newline at end of file
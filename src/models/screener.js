@@ -0,0 +1,186 @@
+const { InvalidArgumentError } = require('../errors');
+
+/**
+ * Metrics a screen can filter and sort on, and what producing each one requires
+ * (sentiment comes with every analysis; history and correlation need extra requests)
+ */
+const SCREEN_METRICS = {
+  score: 'sentiment',
+  trend: 'sentiment',
+  confidence: 'sentiment',
+  socialVolume: 'social',
+  momentum: 'history',
+  correlation: 'correlation'
+};
+
+/**
+ * Comparison operators available in screen conditions
+ */
+const OPERATORS = {
+  gt: (value, target) => value > target,
+  gte: (value, target) => value >= target,
+  lt: (value, target) => value < target,
+  lte: (value, target) => value <= target,
+  eq: (value, target) => value === target,
+  ne: (value, target) => value !== target,
+  in: (value, target) => target.includes(value),
+  between: (value, [low, high]) => value >= low && value <= high
+};
+
+/**
+ * Filters and ranks analyzed assets with a declarative screen
+ *
+ * A screen is { where, sortBy, order, limit }. `where` maps metric names to conditions: an
+ * operator object ({ gt: 70 }, { gte: 0.6, lt: 0.9 }, { between: [40, 60] }, { in: [...] }),
+ * a list of allowed values or a value that must match exactly. For example
+ * { where: { score: { gt: 70 }, trend: 'rising', confidence: { gt: 0.6 } }, sortBy: 'momentum' }
+ * selects bullish, rising, well-supported assets with the strongest momentum first.
+ * Assets missing a metric fail every condition on it and sort last.
+ */
+class Screener {
+  /**
+   * Create a new screener
+   * @param {Object} [screen] - Screen definition
+   * @param {Object} [screen.where] - Conditions keyed by metric (all must hold)
+   * @param {string} [screen.sortBy='score'] - Metric to rank by
+   * @param {string} [screen.order='desc'] - 'desc' or 'asc'
+   * @param {number} [screen.limit] - Maximum number of matches returned
+   */
+  constructor(screen = {}) {
+    this.where = this._normalizeConditions(screen.where || {});
+    this.sortBy = screen.sortBy || 'score';
+    this.order = screen.order || 'desc';
+    this.limit = screen.limit;
+    
+    this._checkMetric(this.sortBy);
+    if (this.order !== 'desc' && this.order !== 'asc') {
+      throw new InvalidArgumentError(`Unknown screen order: ${this.order}`);
+    }
+    if (this.limit !== undefined && !(Number.isInteger(this.limit) && this.limit > 0)) {
+      throw new InvalidArgumentError(`Screen limit must be a positive integer, got ${this.limit}`);
+    }
+  }
+  
+  /**
+   * Metrics the screen filters or sorts on
+   * @type {Array<string>}
+   */
+  get metrics() {
+    return Array.from(new Set([...Object.keys(this.where), this.sortBy]));
+  }
+  
+  /**
+   * Check whether an asset passes every condition
+   * @param {Object} row - Asset metrics ({ asset, score, trend, ... })
+   * @returns {boolean} - True if the asset matches
+   */
+  matches(row) {
+    return Object.entries(this.where).every(([metric, conditions]) => {
+      const value = row[metric];
+      if (value === undefined || value === null) return false;
+      return conditions.every(({ operator, target }) => OPERATORS[operator](value, target));
+    });
+  }
+  
+  /**
+   * Filter and rank assets
+   * @param {Array<Object>} rows - Asset metrics ({ asset, score, trend, ... })
+   * @returns {Array<Object>} - Matching rows, ranked and limited, each with a 1-based `rank`
+   */
+  apply(rows) {
+    const direction = this.order === 'asc' ? 1 : -1;
+    const sortValue = row => {
+      const value = row[this.sortBy];
+      // Trends rank rising above stable above falling
+      if (this.sortBy === 'trend') return { rising: 1, stable: 0, falling: -1 }[value];
+      return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+    };
+    
+    const ranked = rows
+      .filter(row => this.matches(row))
+      .sort((a, b) => {
+        const x = sortValue(a);
+        const y = sortValue(b);
+        if (x === undefined || y === undefined) return (x === undefined) - (y === undefined);
+        return direction * (x - y) || direction * ((a.score || 0) - (b.score || 0));
+      });
+    
+    return ranked
+      .slice(0, this.limit !== undefined ? this.limit : ranked.length)
+      .map((row, i) => ({ ...row, rank: i + 1 }));
+  }
+  
+  /**
+   * Describe the screen
+   * @returns {Object} - { where, sortBy, order, limit } with conditions in operator form
+   */
+  toJSON() {
+    const where = {};
+    for (const [metric, conditions] of Object.entries(this.where)) {
+      where[metric] = Object.fromEntries(conditions.map(({ operator, target }) => [operator, target]));
+    }
+    return { where, sortBy: this.sortBy, order: this.order, limit: this.limit };
+  }
+  
+  /**
+   * Convert `where` into lists of { operator, target } conditions per metric
+   * @private
+   * @param {Object} where - Conditions keyed by metric
+   * @returns {Object} - Normalized conditions keyed by metric
+   */
+  _normalizeConditions(where) {
+    const normalized = {};
+    
+    for (const [metric, condition] of Object.entries(where)) {
+      this._checkMetric(metric);
+      
+      if (Array.isArray(condition)) {
+        normalized[metric] = [{ operator: 'in', target: condition }];
+      } else if (condition && typeof condition === 'object') {
+        if (Object.keys(condition).length === 0) {
+          throw new InvalidArgumentError(`Screen condition for ${metric} needs at least one operator`);
+        }
+        normalized[metric] = Object.entries(condition).map(([operator, target]) => {
+          if (!OPERATORS[operator]) {
+            throw new InvalidArgumentError(`Unknown screen operator for ${metric}: ${operator}`);
+          }
+          if ((operator === 'in' && !Array.isArray(target)) ||
+              (operator === 'between' && !(Array.isArray(target) && target.length === 2))) {
+            const expected = operator === 'in' ? 'a list' : '[low, high]';
+            throw new InvalidArgumentError(`Screen operator ${operator} for ${metric} needs ${expected}`);
+          }
+          if (operator === 'between' &&
+              !(typeof target[0] === 'number' && typeof target[1] === 'number' && target[0] <= target[1])) {
+            const bounds = JSON.stringify(target);
+            throw new InvalidArgumentError(
+              `Screen operator between for ${metric} needs numeric bounds with low <= high, got ${bounds}`,
+              { metric, between: target }
+            );
+          }
+          return { operator, target };
+        });
+      } else {
+        normalized[metric] = [{ operator: 'eq', target: condition }];
+      }
+    }
+    
+    return normalized;
+  }
+  
+  /**
+   * Reject metrics the screener cannot produce
+   * @private
+   * @param {string} metric - Metric name
+   */
+  _checkMetric(metric) {
+    if (!Object.prototype.hasOwnProperty.call(SCREEN_METRICS, metric)) {
+      const expected = Object.keys(SCREEN_METRICS).join(', ');
+      throw new InvalidArgumentError(`Unknown screen metric: ${metric} (expected one of ${expected})`);
+    }
+  }
+}
+
+Screener.SCREEN_METRICS = SCREEN_METRICS;
+Screener.OPERATORS = Object.keys(OPERATORS);
+
+module.exports = Screener;
\ No newline at end of file
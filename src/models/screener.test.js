@@ -0,0 +1,69 @@
+const Screener = require('./screener');
+const { InvalidArgumentError } = require('../errors');
+
+const rows = [
+  { asset: 'AAA', score: 72, trend: 'rising', confidence: 0.8, momentum: 4.2 },
+  { asset: 'BBB', score: 55, trend: 'stable', confidence: 0.5, momentum: 9.1 },
+  { asset: 'CCC', score: 81, trend: 'falling', confidence: 0.9, momentum: -3 },
+  { asset: 'DDD', score: 64, trend: 'rising', confidence: 0.7, momentum: null }
+];
+
+describe('Screener', () => {
+  it('applies operator, list and exact-value conditions together', () => {
+    const screener = new Screener({
+      where: { score: { gte: 60, lt: 80 }, trend: ['rising', 'stable'], confidence: { gt: 0.6 } }
+    });
+    
+    expect(screener.apply(rows).map(row => row.asset)).toEqual(['AAA', 'DDD']);
+    expect(new Screener({ where: { trend: 'falling' } }).apply(rows).map(row => row.asset)).toEqual(['CCC']);
+    expect(new Screener({ where: { score: { between: [55, 64] } } }).apply(rows).map(row => row.asset))
+      .toEqual(['DDD', 'BBB']);
+  });
+  
+  it('ranks by the sort metric, puts missing values last and applies the limit', () => {
+    const ranked = new Screener({ sortBy: 'momentum' }).apply(rows);
+    
+    expect(ranked.map(row => [row.rank, row.asset])).toEqual([[1, 'BBB'], [2, 'AAA'], [3, 'CCC'], [4, 'DDD']]);
+    expect(new Screener({ sortBy: 'momentum', order: 'asc', limit: 2 }).apply(rows).map(row => row.asset))
+      .toEqual(['CCC', 'AAA']);
+  });
+  
+  it('orders trends rising, stable, falling and breaks ties by score', () => {
+    const ranked = new Screener({ sortBy: 'trend' }).apply(rows);
+    
+    expect(ranked.map(row => row.asset)).toEqual(['AAA', 'DDD', 'BBB', 'CCC']);
+  });
+  
+  it('fails conditions on metrics an asset does not have', () => {
+    expect(new Screener({ where: { momentum: { gt: -100 } } }).apply(rows).map(row => row.asset))
+      .toEqual(['CCC', 'AAA', 'BBB']);
+  });
+  
+  it('lists the metrics it needs and describes itself in operator form', () => {
+    const screener = new Screener({ where: { score: { gt: 70 }, trend: 'rising' }, sortBy: 'momentum', limit: 5 });
+    
+    expect(screener.metrics).toEqual(['score', 'trend', 'momentum']);
+    expect(screener.toJSON()).toEqual({
+      where: { score: { gt: 70 }, trend: { eq: 'rising' } },
+      sortBy: 'momentum',
+      order: 'desc',
+      limit: 5
+    });
+  });
+  
+  it.each([
+    [{ where: { hype: { gt: 1 } } }, 'Unknown screen metric: hype'],
+    [{ where: { score: { over: 3 } } }, 'Unknown screen operator for score: over'],
+    [{ where: { score: {} } }, 'Screen condition for score needs at least one operator'],
+    [{ where: { score: { between: [1] } } }, 'Screen operator between for score needs [low, high]'],
+    [{ where: { score: { between: [80, 10] } } }, 'needs numeric bounds with low <= high, got [80,10]'],
+    [{ where: { score: { between: ['10', 80] } } }, 'needs numeric bounds with low <= high, got ["10",80]'],
+    [{ where: { trend: { in: 'rising' } } }, 'Screen operator in for trend needs a list'],
+    [{ sortBy: 'hype' }, 'Unknown screen metric: hype'],
+    [{ order: 'up' }, 'Unknown screen order: up'],
+    [{ limit: 0 }, 'Screen limit must be a positive integer, got 0']
+  ])('rejects the malformed screen %j', (screen, message) => {
+    expect(() => new Screener(screen)).toThrow(InvalidArgumentError);
+    expect(() => new Screener(screen)).toThrow(message);
+  });
+});
\ No newline at end of file
@@ -1,25 +1,55 @@
+const { correlationTest, normalQuantile } = require('../utils/statistics');
+const { combineQualityReports } = require('../utils/data-quality');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Model for processing and combining sentiment data from various sources
  * Core component of the Model Context Protocol (MCP)
  */
 class SentimentModel {
-  constructor() {
+  /**
+   * Create a new sentiment model
+   * @param {Object} [options] - Configuration overrides
+   * @param {number} [options.sampleSizeHalfSaturation=10] - Data points at which a source's sample size factor is 0.5
+   * @param {number} [options.maxDispersion=25] - Cross-source score standard deviation at which agreement is 0
+   * @param {number} [options.recencyHalfLife] - Data age in milliseconds at which the recency factor is 0.5 (2 days)
+   * @param {number} [options.sourceError=10] - Standard error (score points) of a source backed by
+   *   sampleSizeHalfSaturation points, for sources that do not report one
+   * @param {Object} [options.reliability] - Historical reliability (0-1, e.g. directional hit rate) keyed by source
+   */
+  constructor(options = {}) {
     // Model configuration
     this.config = {
       minDataPoints: 3,
       defaultScore: 50,
-      trendThreshold: 0.05 // 5% change to detect trend
+      trendThreshold: 0.05, // 5% change to detect trend
+      significanceLevel: 0.05, // p-value below which a correlation is significant
+      confidenceLevel: 0.95, // Confidence level for correlation and score intervals
+      sampleSizeHalfSaturation: 10,
+      maxDispersion: 25,
+      recencyHalfLife: 2 * DAY_MS,
+      sourceError: 10,
+      reliability: {},
+      ...options
     };
   }
   
   /**
    * Process sentiment data from multiple sources
+   *
+   * Confidence is the average of source coverage and agreement (trend agreement and score
+   * dispersion), discounted by the sample size, recency, historical reliability and data quality
+   * behind each source. Sources report these through optional `sampleSize`, `asOf`,
+   * `standardError` and `dataQuality` fields; factors with no reporting source are left at 1.
    * @param {Object} sentimentData - Sentiment data from different analyzers
-   * @param {Object} weights - Weights for different data sources
+   * @param {Object} weights - Normalized weights for all registered data sources
    * @param {number} totalWeight - Sum of weights for used sources
+   * @param {Object} [options] - Processing options
+   * @param {number} [options.now=Date.now()] - Reference time in milliseconds for data recency
    * @returns {Object} - Processed sentiment model output
    */
-  process(sentimentData, weights, totalWeight) {
+  process(sentimentData, weights, totalWeight, options = {}) {
     // If no total weight, return default score
     if (totalWeight <= 0) {
       return {
@@ -27,7 +57,8 @@ class SentimentModel {
         normalized: this.config.defaultScore / 100,
         trend: 'stable',
         breakdown: {},
-        confidence: 0
+        confidence: 0,
+        scoreInterval: { lower: 0, upper: 100, margin: 50, level: this.config.confidenceLevel }
       };
     }
     
@@ -53,6 +84,8 @@ class SentimentModel {
         contribution: data.score * sourceWeight,
         trend: data.trend
       };
+      if (data.indicators) breakdown[source].indicators = data.indicators;
+      if (data.provider) breakdown[source].provider = data.provider;
     }
     
     // Determine overall trend
@@ -66,99 +99,252 @@ class SentimentModel {
                        avgTrend < -this.config.trendThreshold ? 'falling' : 'stable';
     }
     
-    // Calculate confidence based on data sources and agreement
+    // Calculate confidence based on source coverage and agreement
     const numSources = Object.keys(sentimentData).length;
+    const registeredSources = Math.max(numSources, Object.keys(weights).length);
     const trendAgreement = trendValues.filter(v => 
       (trendDirection === 'rising' && v > 0) || 
       (trendDirection === 'falling' && v < 0) || 
       (trendDirection === 'stable' && v === 0)
     ).length / Math.max(1, trendValues.length);
     
-    const confidence = (numSources / 3) * 0.5 + trendAgreement * 0.5;
+    const dataQuality = combineQualityReports(
+      Object.fromEntries(Object.entries(sentimentData).map(([source, data]) => [source, data.dataQuality])),
+      normalizedWeights
+    );
     
-    return {
+    const dispersion = this._dispersion(sentimentData, normalizedWeights, weightedScore);
+    const factors = {
+      coverage: numSources / registeredSources,
+      agreement: (trendAgreement + Math.max(0, 1 - dispersion / this.config.maxDispersion)) / 2,
+      ...this._confidenceFactors(sentimentData, normalizedWeights, options.now || Date.now()),
+      dataQuality: dataQuality ? dataQuality.score : 1
+    };
+    
+    const confidence = (factors.coverage * 0.5 + factors.agreement * 0.5) *
+      factors.sampleSize * factors.recency * factors.reliability * factors.dataQuality;
+    
+    const result = {
       score: Math.round(weightedScore * 10) / 10, // Round to 1 decimal place
       normalized: weightedScore / 100,
       trend: trendDirection,
       breakdown,
-      confidence: Math.round(confidence * 100) / 100
+      confidence: Math.round(confidence * 100) / 100,
+      confidenceFactors: Object.fromEntries(
+        Object.entries(factors).map(([name, value]) => [name, Math.round(value * 100) / 100])
+      ),
+      scoreInterval: this._scoreInterval(sentimentData, normalizedWeights, weightedScore, dispersion)
     };
+    if (dataQuality) result.dataQuality = dataQuality;
+    
+    return result;
   }
   
   /**
-   * Calculate Pearson correlation coefficient
+   * Weighted standard deviation of source scores around the composite score
+   * @private
+   * @param {Object} sentimentData - Sentiment data keyed by source
+   * @param {Object} weights - Normalized weights of the sources used
+   * @param {number} score - Composite score
+   * @returns {number} - Cross-source dispersion in score points
+   */
+  _dispersion(sentimentData, weights, score) {
+    const variance = Object.entries(sentimentData)
+      .reduce((sum, [source, data]) => sum + (weights[source] || 0) * Math.pow(data.score - score, 2), 0);
+    return Math.sqrt(variance);
+  }
+  
+  /**
+   * Sample size, recency and reliability factors, each a weighted average over reporting sources
+   * @private
+   * @param {Object} sentimentData - Sentiment data keyed by source
+   * @param {Object} weights - Normalized weights of the sources used
+   * @param {number} now - Reference time in milliseconds
+   * @returns {Object} - { sampleSize, recency, reliability } between 0 and 1
+   */
+  _confidenceFactors(sentimentData, weights, now) {
+    const { sampleSizeHalfSaturation, recencyHalfLife, reliability } = this.config;
+    const average = valueOf => {
+      let sum = 0;
+      let total = 0;
+      for (const [source, data] of Object.entries(sentimentData)) {
+        const value = valueOf(source, data);
+        if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+        sum += value * (weights[source] || 0);
+        total += weights[source] || 0;
+      }
+      return total > 0 ? sum / total : 1;
+    };
+    
+    return {
+      sampleSize: average((source, data) => {
+        const n = this._sampleSize(data);
+        return n !== null ? n / (n + sampleSizeHalfSaturation) : null;
+      }),
+      recency: average((source, data) => {
+        const asOf = this._asOf(data);
+        return asOf !== null ? Math.pow(0.5, Math.max(0, now - asOf) / recencyHalfLife) : null;
+      }),
+      reliability: average(source => reliability[source])
+    };
+  }
+  
+  /**
+   * Interval around the composite score
+   * Each source contributes its standard error (reported, or scaled from sourceError by its sample
+   * size), and disagreement between sources is added as a between-source variance component.
+   * @private
+   * @param {Object} sentimentData - Sentiment data keyed by source
+   * @param {Object} weights - Normalized weights of the sources used
+   * @param {number} score - Composite score
+   * @param {number} dispersion - Cross-source dispersion
+   * @returns {Object} - { lower, upper, margin, level }
+   */
+  _scoreInterval(sentimentData, weights, score, dispersion) {
+    const { sourceError, sampleSizeHalfSaturation, confidenceLevel } = this.config;
+    
+    let variance = 0;
+    for (const [source, data] of Object.entries(sentimentData)) {
+      const weight = weights[source] || 0;
+      const n = this._sampleSize(data);
+      const error = typeof data.standardError === 'number'
+        ? data.standardError
+        : sourceError * (n !== null ? Math.sqrt(sampleSizeHalfSaturation / Math.max(1, n)) : 1);
+      variance += weight * weight * (error * error + dispersion * dispersion);
+    }
+    
+    const margin = normalQuantile(1 - (1 - confidenceLevel) / 2) * Math.sqrt(variance);
+    return {
+      lower: Math.round(Math.max(0, score - margin) * 10) / 10,
+      upper: Math.round(Math.min(100, score + margin) * 10) / 10,
+      margin: Math.round(margin * 10) / 10,
+      level: confidenceLevel
+    };
+  }
+  
+  /**
+   * Number of observations behind a source result
+   * @private
+   * @param {Object} data - Source result
+   * @returns {number|null} - Sample size, or null if not reported
+   */
+  _sampleSize(data) {
+    if (typeof data.sampleSize === 'number') return data.sampleSize;
+    return data.dataQuality ? data.dataQuality.validPoints : null;
+  }
+  
+  /**
+   * Time of the most recent data behind a source result
+   * @private
+   * @param {Object} data - Source result
+   * @returns {number|null} - Timestamp in milliseconds, or null if not reported
+   */
+  _asOf(data) {
+    const value = data.asOf !== undefined ? data.asOf : data.dataQuality && data.dataQuality.end;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    
+    // Numeric timestamps below 1e12 are treated as seconds
+    return value < 1e12 ? value * 1000 : value;
+  }
+  
+  /**
+   * Calculate a correlation coefficient with its significance
    * @param {Array<number>} xValues - First array of values
    * @param {Array<number>} yValues - Second array of values
-   * @returns {number} - Correlation coefficient (-1 to 1)
+   * @param {Object} [options] - Correlation options
+   * @param {string} [options.method='pearson'] - 'pearson', 'spearman' or 'kendall'
+   * @param {number} [options.confidence=0.95] - Confidence level of the interval
+   * @returns {Object} - { method, coefficient, n, pValue, confidenceInterval, significant }
    */
-  calculateCorrelation(xValues, yValues) {
+  calculateCorrelation(xValues, yValues, options = {}) {
+    const method = options.method || 'pearson';
     const n = Math.min(xValues.length, yValues.length);
-    if (n < this.config.minDataPoints) return 0;
-    
-    // Calculate means
-    const xMean = xValues.slice(0, n).reduce((sum, val) => sum + val, 0) / n;
-    const yMean = yValues.slice(0, n).reduce((sum, val) => sum + val, 0) / n;
-    
-    // Calculate sums for correlation formula
-    let numerator = 0;
-    let xVariance = 0;
-    let yVariance = 0;
     
-    for (let i = 0; i < n; i++) {
-      const xDiff = xValues[i] - xMean;
-      const yDiff = yValues[i] - yMean;
-      
-      numerator += xDiff * yDiff;
-      xVariance += xDiff * xDiff;
-      yVariance += yDiff * yDiff;
+    if (n < this.config.minDataPoints) {
+      return {
+        method,
+        coefficient: 0,
+        n,
+        pValue: null,
+        confidenceInterval: null,
+        significant: false
+      };
     }
     
-    // Prevent division by zero
-    if (xVariance === 0 || yVariance === 0) return 0;
+    const result = correlationTest(xValues, yValues, {
+      method,
+      confidence: options.confidence || this.config.confidenceLevel
+    });
     
-    return numerator / Math.sqrt(xVariance * yVariance);
+    return {
+      ...result,
+      significant: result.pValue !== null && result.pValue < this.config.significanceLevel
+    };
   }
   
   /**
    * Calculate optimal lag between two time series
+   * The p-value of the chosen lag is Bonferroni-adjusted for the number of lags tested.
    * @param {Array<number>} series1 - First time series
    * @param {Array<number>} series2 - Second time series
    * @param {number} maxLag - Maximum lag to test
-   * @returns {number} - Optimal lag (positive means series1 leads series2)
+   * @param {Object} [options] - Correlation options (see calculateCorrelation)
+   * @returns {Object} - { lag, coefficient, n, pValue, adjustedPValue, confidenceInterval, lagsTested, significant }
+   *   (positive lag means series1 leads series2)
    */
-  calculateOptimalLag(series1, series2, maxLag = 7) {
-    if (series1.length < this.config.minDataPoints || series2.length < this.config.minDataPoints) {
-      return 0;
-    }
-    
-    let bestLag = 0;
-    let bestCorrelation = 0;
+  calculateOptimalLag(series1, series2, maxLag = 7, options = {}) {
+    let best = null;
+    let lagsTested = 0;
     
     // Test different lags
     for (let lag = -maxLag; lag <= maxLag; lag++) {
-      const pairs = [];
+      const x = [];
+      const y = [];
       
       // Create paired observations with the current lag
       for (let i = 0; i < series1.length; i++) {
         const j = i + lag;
         if (j >= 0 && j < series2.length) {
-          pairs.push([series1[i], series2[j]]);
+          x.push(series1[i]);
+          y.push(series2[j]);
         }
       }
       
-      if (pairs.length >= this.config.minDataPoints) {
-        const x = pairs.map(p => p[0]);
-        const y = pairs.map(p => p[1]);
-        const correlation = Math.abs(this.calculateCorrelation(x, y));
+      if (x.length >= this.config.minDataPoints) {
+        const correlation = this.calculateCorrelation(x, y, options);
+        lagsTested++;
         
-        if (correlation > bestCorrelation) {
-          bestCorrelation = correlation;
-          bestLag = lag;
+        if (!best || Math.abs(correlation.coefficient) > Math.abs(best.coefficient)) {
+          best = { lag, ...correlation };
         }
       }
     }
     
-    return bestLag;
+    if (!best) {
+      return {
+        lag: 0,
+        coefficient: 0,
+        n: 0,
+        pValue: null,
+        adjustedPValue: null,
+        confidenceInterval: null,
+        lagsTested: 0,
+        significant: false
+      };
+    }
+    
+    const adjustedPValue = best.pValue !== null ? Math.min(1, best.pValue * lagsTested) : null;
+    
+    return {
+      lag: best.lag,
+      coefficient: best.coefficient,
+      n: best.n,
+      pValue: best.pValue,
+      adjustedPValue,
+      confidenceInterval: best.confidenceInterval,
+      lagsTested,
+      significant: adjustedPValue !== null && adjustedPValue < this.config.significanceLevel
+    };
   }
 }
 
@@ -0,0 +1,143 @@
+const SentimentModel = require('./sentiment-model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-01-10T00:00:00Z');
+const WEIGHTS = { social: 0.4, news: 0.3, market: 0.3 };
+
+/**
+ * Source result with a fresh, well-sampled default backing
+ */
+function source(score, trend = 'rising', extra = {}) {
+  return { score, trend, sampleSize: 90, asOf: NOW, ...extra };
+}
+
+/**
+ * Process source results with every registered source weighted as in WEIGHTS
+ */
+function processSources(sentimentData, model = new SentimentModel()) {
+  const totalWeight = Object.keys(sentimentData).reduce((sum, name) => sum + WEIGHTS[name], 0);
+  return model.process(sentimentData, WEIGHTS, totalWeight, { now: NOW });
+}
+
+describe('SentimentModel', () => {
+  describe('confidence factors', () => {
+    it('reports full coverage and agreement when every source agrees', () => {
+      const result = processSources({ social: source(70), news: source(70), market: source(70) });
+      
+      expect(result.score).toBe(70);
+      expect(result.trend).toBe('rising');
+      expect(result.confidenceFactors).toEqual({
+        coverage: 1,
+        agreement: 1,
+        sampleSize: 0.9,
+        recency: 1,
+        reliability: 1,
+        dataQuality: 1
+      });
+      expect(result.confidence).toBe(0.9);
+    });
+    
+    it('lowers coverage for registered sources without data', () => {
+      const result = processSources({ social: source(70), news: source(70) });
+      
+      expect(result.confidenceFactors.coverage).toBe(0.67);
+      expect(result.confidence).toBeCloseTo((2 / 3 * 0.5 + 0.5) * 0.9, 2);
+    });
+    
+    it('loses confidence when sources disagree on trend or score', () => {
+      const agreeing = processSources({ social: source(60), news: source(60), market: source(60) });
+      const splitTrends = processSources({
+        social: source(60, 'rising'),
+        news: source(60, 'falling'),
+        market: source(60, 'stable')
+      });
+      const spreadScores = processSources({ social: source(90), news: source(40), market: source(30) });
+      
+      expect(splitTrends.confidenceFactors.agreement).toBeLessThan(agreeing.confidenceFactors.agreement);
+      expect(splitTrends.confidence).toBeLessThan(agreeing.confidence);
+      expect(spreadScores.confidenceFactors.agreement).toBeLessThan(agreeing.confidenceFactors.agreement);
+      expect(spreadScores.confidence).toBeLessThan(agreeing.confidence);
+    });
+    
+    it('saturates the sample size factor at the configured half point', () => {
+      const result = n => processSources({ social: source(70, 'rising', { sampleSize: n }) }).confidenceFactors;
+      
+      expect(result(10).sampleSize).toBe(0.5);
+      expect(result(30).sampleSize).toBe(0.75);
+      expect(processSources({ social: source(70, 'rising', { sampleSize: undefined }) }).confidenceFactors.sampleSize)
+        .toBe(1);
+    });
+    
+    it('halves the recency factor every half-life of data age', () => {
+      const recency = asOf => processSources({ social: source(70, 'rising', { asOf }) }).confidenceFactors.recency;
+      
+      expect(recency(NOW)).toBe(1);
+      expect(recency(NOW - 2 * DAY_MS)).toBe(0.5);
+      expect(recency(NOW - 4 * DAY_MS)).toBe(0.25);
+      expect(recency((NOW - 2 * DAY_MS) / 1000)).toBe(0.5);
+      
+      const fresh = processSources({ social: source(70), news: source(70), market: source(70) });
+      const stale = processSources({
+        social: source(70, 'rising', { asOf: NOW - 6 * DAY_MS }),
+        news: source(70, 'rising', { asOf: NOW - 6 * DAY_MS }),
+        market: source(70)
+      });
+      expect(stale.confidence).toBeLessThan(fresh.confidence);
+    });
+    
+    it('reads sample size and recency from data quality reports when not reported directly', () => {
+      const dataQuality = { score: 0.8, validPoints: 10, end: NOW - 2 * DAY_MS };
+      const result = processSources({ social: { score: 70, trend: 'rising', dataQuality } });
+      
+      expect(result.confidenceFactors).toMatchObject({ sampleSize: 0.5, recency: 0.5, dataQuality: 0.8 });
+      expect(result.confidence).toBeCloseTo((1 / 3 * 0.5 + 0.5) * 0.5 * 0.5 * 0.8, 2);
+      expect(result.dataQuality).toEqual({ score: 0.8, sources: { social: dataQuality } });
+    });
+    
+    it('weights configured reliability over the sources it covers', () => {
+      const model = new SentimentModel({ reliability: { social: 0.5, news: 0.8 } });
+      const result = processSources({ social: source(70), news: source(70), market: source(70) }, model);
+      
+      expect(result.confidenceFactors.reliability).toBeCloseTo((0.4 * 0.5 + 0.3 * 0.8) / 0.7, 2);
+    });
+  });
+  
+  describe('score interval', () => {
+    const margin = result => result.scoreInterval.margin;
+    
+    it('spans the configured level around the score from source standard errors', () => {
+      // One source backed by sampleSizeHalfSaturation points has the default error of 10
+      const result = processSources({ social: source(50, 'rising', { sampleSize: 10 }) });
+      
+      expect(result.scoreInterval).toEqual({ lower: 30.4, upper: 69.6, margin: 19.6, level: 0.95 });
+      expect(margin(processSources({ social: source(50, 'rising', { standardError: 5 }) }))).toBe(9.8);
+    });
+    
+    it('widens with fewer samples', () => {
+      const widths = [90, 40, 10, 2.5]
+        .map(n => margin(processSources({ social: source(50, 'rising', { sampleSize: n }) })));
+      
+      expect(widths).toEqual([...widths].sort((a, b) => a - b));
+      expect(new Set(widths).size).toBe(4);
+      expect(widths[3]).toBe(2 * widths[2]);
+    });
+    
+    it('widens when sources disagree and is clipped to the score scale', () => {
+      const agreeing = processSources({ social: source(60), news: source(60), market: source(60) });
+      const spread = processSources({ social: source(90), news: source(40), market: source(30) });
+      
+      expect(margin(spread)).toBeGreaterThan(margin(agreeing));
+      
+      const extreme = processSources({ social: source(98, 'rising', { sampleSize: 1 }) });
+      expect(extreme.scoreInterval.upper).toBe(100);
+    });
+    
+    it('is the whole scale when no source has weight', () => {
+      expect(new SentimentModel().process({}, WEIGHTS, 0)).toMatchObject({
+        score: 50,
+        confidence: 0,
+        scoreInterval: { lower: 0, upper: 100, margin: 50, level: 0.95 }
+      });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,350 @@
+const SentimentModel = require('./sentiment-model');
+const { InvalidArgumentError } = require('../errors');
+
+/**
+ * Calibrates source weights from historical sentiment breakdowns and subsequent price returns
+ * Searches the weight simplex on a grid, scoring each candidate by the correlation between the
+ * composite score (computed by SentimentModel.process) and forward returns, with walk-forward validation.
+ * The returned weights average the weights chosen in each walk-forward fold, so they come from the
+ * procedure whose out-of-sample scores are reported; without enough data for folds they are fitted
+ * on all observations and labelled in-sample.
+ */
+class WeightCalibrator {
+  /**
+   * Create a new weight calibrator
+   * @param {Object} [options] - Calibrator options
+   * @param {number} [options.step=0.1] - Grid resolution for each weight
+   * @param {number} [options.folds=4] - Number of walk-forward test folds
+   * @param {number} [options.minObservations=20] - Minimum observations required to calibrate
+   * @param {number} [options.maxCandidates=20000] - Largest weight grid searched; finer steps or more
+   *   sources are rejected rather than enumerated
+   * @param {Object} [options.model] - SentimentModel instance
+   */
+  constructor(options = {}) {
+    this.step = options.step || 0.1;
+    this.folds = options.folds || 4;
+    this.minObservations = options.minObservations || 20;
+    this.maxCandidates = options.maxCandidates || 20000;
+    this.model = options.model || new SentimentModel();
+  }
+  
+  /**
+   * Build calibration observations from a sentiment history series
+   * @param {Array<Object>} series - History points with breakdown and price (oldest first)
+   * @param {number} [horizon=1] - Forward return horizon in points
+   * @returns {Array<Object>} - Observations ({ time, breakdown, forwardReturn })
+   */
+  static observationsFromHistory(series, horizon = 1) {
+    const observations = [];
+    for (let i = 0; i + horizon < series.length; i++) {
+      const entry = series[i].price;
+      const exit = series[i + horizon].price;
+      if (!(entry > 0) || !(exit > 0)) continue;
+      
+      observations.push({
+        time: series[i].time,
+        breakdown: series[i].breakdown,
+        forwardReturn: exit / entry - 1
+      });
+    }
+    return observations;
+  }
+  
+  /**
+   * Pool observations from several assets into one chronological set
+   * @param {Object} observationsByAsset - Observations keyed by asset symbol
+   * @returns {Array<Object>} - Observations sorted by time (original order when untimed)
+   */
+  static pool(observationsByAsset) {
+    return Object.values(observationsByAsset)
+      .reduce((all, obs) => all.concat(obs), [])
+      .map((observation, index) => ({ observation, index }))
+      .sort((a, b) => ((a.observation.time || 0) - (b.observation.time || 0)) || a.index - b.index)
+      .map(entry => entry.observation);
+  }
+  
+  /**
+   * Fit global weights
+   * @param {Array<Object>} observations - Chronological observations ({ breakdown, forwardReturn })
+   * @param {Object} [options] - Fit options
+   * @param {Array<string>} [options.sources] - Sources to weight (defaults to all sources seen)
+   * @param {Object} [options.baseline] - Weights to compare against (e.g. the analyzer's current weights)
+   * @returns {Object} - { weights, diagnostics }; diagnostics.selection is 'walk-forward' when the weights
+   *   average the fold weights and 'in-sample' when they were fitted on every observation
+   * @throws {InvalidArgumentError} - If the weight grid would exceed maxCandidates
+   */
+  calibrate(observations, options = {}) {
+    if (!observations || observations.length < this.minObservations) {
+      throw new Error(`At least ${this.minObservations} observations are required for calibration`);
+    }
+    
+    const sources = options.sources || this._collectSources(observations);
+    if (sources.length === 0) {
+      throw new Error('Observations contain no source breakdowns');
+    }
+    
+    const candidates = this._weightGrid(sources);
+    
+    // Walk-forward validation: expanding training window, next segment as test set
+    const segmentSize = Math.floor(observations.length / (this.folds + 1));
+    const folds = [];
+    
+    if (segmentSize >= this.model.config.minDataPoints) {
+      for (let k = 1; k <= this.folds; k++) {
+        const train = observations.slice(0, k * segmentSize);
+        const test = observations.slice(k * segmentSize, k === this.folds ? observations.length : (k + 1) * segmentSize);
+        const foldFit = this._fit(train, candidates);
+        
+        folds.push({
+          train: train.length,
+          test: test.length,
+          weights: foldFit.weights,
+          inSample: foldFit.objective,
+          outOfSample: this.evaluate(test, foldFit.weights)
+        });
+      }
+    }
+    
+    const outOfSample = folds.map(f => f.outOfSample);
+    const weights = folds.length > 0
+      ? this._averageWeights(folds.map(f => f.weights), sources)
+      : this._fit(observations, candidates).weights;
+    
+    return {
+      weights,
+      diagnostics: {
+        objective: 'information coefficient (correlation of composite score with forward return)',
+        selection: folds.length > 0 ? 'walk-forward' : 'in-sample',
+        observations: observations.length,
+        sources,
+        candidates: candidates.length,
+        inSample: this.evaluate(observations, weights),
+        baseline: options.baseline ? this.evaluate(observations, options.baseline) : null,
+        reliability: this.reliability(observations, sources),
+        walkForward: {
+          folds,
+          meanOutOfSample: outOfSample.length > 0
+            ? outOfSample.reduce((sum, v) => sum + v, 0) / outOfSample.length
+            : null,
+          weightStability: this._weightStability(folds.map(f => f.weights), sources)
+        }
+      }
+    };
+  }
+  
+  /**
+   * Fit weights separately for each asset, plus pooled global weights
+   * @param {Object} observationsByAsset - Observations keyed by asset symbol
+   * @param {Object} [options] - Fit options (see calibrate)
+   * @returns {Object} - { global, assets: { [asset]: { weights, diagnostics } | { error } } }
+   */
+  calibrateByAsset(observationsByAsset, options = {}) {
+    const assets = {};
+    for (const [asset, observations] of Object.entries(observationsByAsset)) {
+      try {
+        assets[asset] = this.calibrate(observations, options);
+      } catch (error) {
+        assets[asset] = { error: error.message };
+      }
+    }
+    
+    return {
+      global: this.calibrate(WeightCalibrator.pool(observationsByAsset), options),
+      assets
+    };
+  }
+  
+  /**
+   * Score a set of weights on observations
+   * @param {Array<Object>} observations - Observations ({ breakdown, forwardReturn })
+   * @param {Object} weights - Source weights
+   * @returns {number} - Correlation between composite score and forward return
+   */
+  evaluate(observations, weights) {
+    const scores = [];
+    const returns = [];
+    
+    for (const observation of observations) {
+      const score = this._compositeScore(observation.breakdown, weights);
+      if (score === null) continue;
+      scores.push(score);
+      returns.push(observation.forwardReturn);
+    }
+    
+    return this.model.calculateCorrelation(scores, returns).coefficient;
+  }
+  
+  /**
+   * Directional hit rate of each source: how often its score was on the same side of neutral as
+   * the forward return. The result can be passed to SentimentModel as `reliability`.
+   * @param {Array<Object>} observations - Observations ({ breakdown, forwardReturn })
+   * @param {Array<string>} [sources] - Sources to score (defaults to all sources seen)
+   * @returns {Object} - Hit rate (0-1) keyed by source, null for sources without directional calls
+   */
+  reliability(observations, sources = this._collectSources(observations)) {
+    const neutral = this.model.config.defaultScore;
+    const reliability = {};
+    
+    for (const source of sources) {
+      let calls = 0;
+      let hits = 0;
+      for (const observation of observations) {
+        const entry = observation.breakdown && observation.breakdown[source];
+        if (!entry || entry.score === neutral || observation.forwardReturn === 0) continue;
+        
+        calls++;
+        if (Math.sign(entry.score - neutral) === Math.sign(observation.forwardReturn)) hits++;
+      }
+      reliability[source] = calls > 0 ? Math.round(hits / calls * 1000) / 1000 : null;
+    }
+    
+    return reliability;
+  }
+  
+  /**
+   * Find the best candidate weights on a set of observations
+   * @private
+   * @param {Array<Object>} observations - Observations
+   * @param {Array<Object>} candidates - Candidate weight sets
+   * @returns {Object} - { weights, objective }
+   */
+  _fit(observations, candidates) {
+    let best = { weights: candidates[0], objective: -Infinity };
+    
+    for (const weights of candidates) {
+      const objective = this.evaluate(observations, weights);
+      if (objective > best.objective) {
+        best = { weights, objective };
+      }
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Recompute the composite score of a breakdown under different weights
+   * @private
+   * @param {Object} breakdown - Source breakdown from SentimentModel.process
+   * @param {Object} weights - Source weights
+   * @returns {number|null} - Composite score, or null if no weighted source is present
+   */
+  _compositeScore(breakdown, weights) {
+    const sentimentData = {};
+    let totalWeight = 0;
+    
+    for (const [source, data] of Object.entries(breakdown || {})) {
+      if (!weights[source]) continue;
+      sentimentData[source] = { score: data.score, trend: data.trend };
+      totalWeight += weights[source];
+    }
+    
+    if (totalWeight <= 0) return null;
+    return this.model.process(sentimentData, weights, totalWeight).score;
+  }
+  
+  /**
+   * Enumerate weight combinations on the simplex at the configured step
+   * @private
+   * @param {Array<string>} sources - Source names
+   * @returns {Array<Object>} - Candidate weight sets summing to 1
+   * @throws {InvalidArgumentError} - If the grid would exceed maxCandidates
+   */
+  _weightGrid(sources) {
+    const units = Math.round(1 / this.step);
+    
+    // The grid has C(units + sources - 1, sources - 1) points and grows quickly with finer steps
+    let size = 1;
+    for (let k = 1; k < sources.length; k++) {
+      size = size * (units + k) / k;
+    }
+    if (!(units >= 1) || Math.round(size) > this.maxCandidates) {
+      throw new InvalidArgumentError(
+        `A weight step of ${this.step} over ${sources.length} sources gives ${Math.round(size)} candidates; ` +
+        `use a coarser step (at most ${this.maxCandidates} candidates are searched)`,
+        { step: this.step, sources, candidates: Math.round(size), maxCandidates: this.maxCandidates }
+      );
+    }
+    
+    const candidates = [];
+    
+    const assign = (index, remaining, current) => {
+      if (index === sources.length - 1) {
+        candidates.push(this._toWeights(sources, [...current, remaining], units));
+        return;
+      }
+      for (let u = 0; u <= remaining; u++) {
+        assign(index + 1, remaining - u, [...current, u]);
+      }
+    };
+    
+    assign(0, units, []);
+    return candidates;
+  }
+  
+  /**
+   * Convert grid units into a weights object
+   * @private
+   * @param {Array<string>} sources - Source names
+   * @param {Array<number>} counts - Grid units per source
+   * @param {number} units - Total grid units
+   * @returns {Object} - Weights keyed by source name
+   */
+  _toWeights(sources, counts, units) {
+    const weights = {};
+    sources.forEach((source, i) => {
+      weights[source] = Math.round((counts[i] / units) * 1000) / 1000;
+    });
+    return weights;
+  }
+  
+  /**
+   * Average the weights chosen in each walk-forward fold
+   * @private
+   * @param {Array<Object>} foldWeights - Weights chosen in each fold
+   * @param {Array<string>} sources - Source names
+   * @returns {Object} - Weights keyed by source name, summing to 1 up to rounding
+   */
+  _averageWeights(foldWeights, sources) {
+    const weights = {};
+    for (const source of sources) {
+      const total = foldWeights.reduce((sum, w) => sum + (w[source] || 0), 0);
+      weights[source] = Math.round(total / foldWeights.length * 1000) / 1000;
+    }
+    return weights;
+  }
+  
+  /**
+   * Collect the sources present in observation breakdowns
+   * @private
+   * @param {Array<Object>} observations - Observations
+   * @returns {Array<string>} - Source names
+   */
+  _collectSources(observations) {
+    const sources = new Set();
+    for (const observation of observations) {
+      Object.keys(observation.breakdown || {}).forEach(source => sources.add(source));
+    }
+    return Array.from(sources);
+  }
+  
+  /**
+   * Standard deviation of each source weight across walk-forward folds
+   * @private
+   * @param {Array<Object>} foldWeights - Weights chosen in each fold
+   * @param {Array<string>} sources - Source names
+   * @returns {Object|null} - Standard deviation keyed by source, or null without folds
+   */
+  _weightStability(foldWeights, sources) {
+    if (foldWeights.length === 0) return null;
+    
+    const stability = {};
+    for (const source of sources) {
+      const values = foldWeights.map(w => w[source] || 0);
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      stability[source] = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length);
+    }
+    return stability;
+  }
+}
+
+module.exports = WeightCalibrator;
\ No newline at end of file
@@ -0,0 +1,117 @@
+const WeightCalibrator = require('./weight-calibrator');
+const { InvalidArgumentError } = require('../errors');
+
+/**
+ * Daily observations where social sentiment predicts the forward return and news is noise
+ */
+function observations(count = 100) {
+  return Array.from({ length: count }, (_, i) => {
+    const social = 50 + 30 * Math.sin(i * 0.37);
+    const news = 50 + 20 * Math.sin(i * 1.7 + 1);
+    return {
+      time: i * 86400,
+      breakdown: {
+        social: { score: social, trend: 'stable' },
+        news: { score: news, trend: 'stable' }
+      },
+      forwardReturn: (social - 50) / 1000
+    };
+  });
+}
+
+describe('WeightCalibrator', () => {
+  it('builds observations from a history with forward returns over the horizon', () => {
+    const series = [
+      { time: 1, price: 100, breakdown: { social: { score: 60 } } },
+      { time: 2, price: 110, breakdown: { social: { score: 65 } } },
+      { time: 3, price: null, breakdown: { social: { score: 70 } } },
+      { time: 4, price: 99, breakdown: { social: { score: 40 } } }
+    ];
+    
+    const oneStep = WeightCalibrator.observationsFromHistory(series);
+    expect(oneStep.map(o => o.time)).toEqual([1]);
+    expect(oneStep[0].forwardReturn).toBeCloseTo(0.1, 10);
+    
+    const twoStep = WeightCalibrator.observationsFromHistory(series, 2);
+    expect(twoStep.map(o => o.time)).toEqual([2]);
+    expect(twoStep[0].forwardReturn).toBeCloseTo(-0.1, 10);
+  });
+  
+  it('pools assets chronologically, keeping the original order for ties', () => {
+    const pooled = WeightCalibrator.pool({
+      BTC: [{ time: 1, id: 'btc-1' }, { time: 3, id: 'btc-3' }],
+      ETH: [{ time: 1, id: 'eth-1' }, { time: 2, id: 'eth-2' }]
+    });
+    
+    expect(pooled.map(o => o.id)).toEqual(['btc-1', 'eth-1', 'eth-2', 'btc-3']);
+  });
+  
+  it('takes the weights from the walk-forward folds', () => {
+    const calibrator = new WeightCalibrator({ folds: 4 });
+    const result = calibrator.calibrate(observations(), { baseline: { social: 0.5, news: 0.5 } });
+    const { walkForward } = result.diagnostics;
+    
+    expect(result.diagnostics.selection).toBe('walk-forward');
+    expect(result.diagnostics.candidates).toBe(11);
+    expect(walkForward.folds).toHaveLength(4);
+    expect(walkForward.folds.map(f => f.train)).toEqual([20, 40, 60, 80]);
+    expect(walkForward.folds.map(f => f.test)).toEqual([20, 20, 20, 20]);
+    
+    const averaged = walkForward.folds.reduce((sum, f) => sum + f.weights.social, 0) / 4;
+    expect(result.weights.social).toBeCloseTo(averaged, 3);
+    expect(result.weights.social).toBeGreaterThan(result.weights.news);
+    expect(result.weights.social + result.weights.news).toBeCloseTo(1, 2);
+    expect(result.diagnostics.inSample).toBeCloseTo(calibrator.evaluate(observations(), result.weights), 10);
+    expect(result.diagnostics.inSample).toBeGreaterThan(result.diagnostics.baseline);
+    expect(walkForward.meanOutOfSample).toBeGreaterThan(0.9);
+  });
+  
+  it('labels weights fitted without walk-forward folds as in-sample', () => {
+    const calibrator = new WeightCalibrator({ folds: 10 });
+    const result = calibrator.calibrate(observations(20));
+    
+    expect(result.diagnostics.selection).toBe('in-sample');
+    expect(result.diagnostics.walkForward.folds).toEqual([]);
+    expect(result.diagnostics.walkForward.weightStability).toBeNull();
+    expect(result.weights).toEqual({ social: 1, news: 0 });
+  });
+  
+  it('scores directional reliability of each source', () => {
+    const calibrator = new WeightCalibrator();
+    const reliability = calibrator.reliability(observations());
+    
+    expect(reliability.social).toBe(1);
+    expect(reliability.news).toBeLessThan(0.8);
+  });
+  
+  it('rejects weight grids beyond the candidate cap before enumerating them', () => {
+    const sources = ['social', 'news', 'market', 'onchain', 'derivatives'];
+    const calibrator = new WeightCalibrator({ step: 0.01 });
+    const grid = jest.spyOn(calibrator, '_toWeights');
+    
+    expect(() => calibrator.calibrate(observations(), { sources })).toThrow(InvalidArgumentError);
+    expect(() => calibrator.calibrate(observations(), { sources })).toThrow(expect.objectContaining({
+      details: expect.objectContaining({ candidates: 4598126, maxCandidates: 20000 })
+    }));
+    expect(grid).not.toHaveBeenCalled();
+    expect(new WeightCalibrator({ step: 0.01, maxCandidates: 200 }).calibrate(observations()).weights.social)
+      .toBeGreaterThan(0.5);
+  });
+  
+  it('needs enough observations with source breakdowns', () => {
+    const calibrator = new WeightCalibrator();
+    
+    expect(() => calibrator.calibrate(observations(10))).toThrow('At least 20 observations');
+    expect(() => calibrator.calibrate(observations().map(o => ({ ...o, breakdown: {} }))))
+      .toThrow('no source breakdowns');
+  });
+  
+  it('reports per-asset failures without failing the global fit', () => {
+    const calibrator = new WeightCalibrator();
+    const result = calibrator.calibrateByAsset({ BTC: observations(), ETH: observations(5) });
+    
+    expect(result.assets.BTC.weights.social).toBeGreaterThan(0.5);
+    expect(result.assets.ETH).toEqual({ error: expect.stringContaining('At least 20 observations') });
+    expect(result.global.diagnostics.observations).toBe(105);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Create the built-in social, news and market source providers
+ * @param {Object} options - Source dependencies
+ * @param {Object} options.dataProvider - Data provider serving social and market data
+ * @param {Object} options.socialAnalyzer - SocialSentimentAnalyzer instance
+ * @param {Object} options.newsAnalyzer - NewsSentimentAnalyzer instance
+ * @param {Object} options.marketAnalyzer - MarketSentimentAnalyzer instance
+ * @returns {Array<Object>} - Source providers
+ */
+function createBuiltinSources({ dataProvider, socialAnalyzer, newsAnalyzer, marketAnalyzer }) {
+  const isAvailable = () => Boolean(dataProvider);
+  
+  return [
+    {
+      name: 'social',
+      weight: 0.6,
+      isAvailable,
+      analyze: (asset, timeframe) => socialAnalyzer.analyze(asset, timeframe),
+      analyzeSeries: series => socialAnalyzer.analyzeSeries(series)
+    },
+    {
+      name: 'news',
+      weight: 0.3,
+      isAvailable: () => newsAnalyzer.isAvailable(),
+      analyze: (asset, timeframe) => newsAnalyzer.analyze(asset, timeframe),
+      analyzeSeries: series => newsAnalyzer.analyzeSeries(series)
+    },
+    {
+      name: 'market',
+      weight: 0.1,
+      isAvailable,
+      analyze: (asset, timeframe) => marketAnalyzer.analyze(asset, timeframe),
+      analyzeSeries: series => marketAnalyzer.analyzeSeries(series)
+    }
+  ];
+}
+
+module.exports = { createBuiltinSources };
\ No newline at end of file
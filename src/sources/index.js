@@ -0,0 +1,7 @@
+const { SourceRegistry } = require('./source-registry');
+const { createBuiltinSources } = require('./builtin-sources');
+
+module.exports = {
+  SourceRegistry,
+  createBuiltinSources
+};
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Registry of sentiment source providers
+ *
+ * A source provider is an object with:
+ *   - name {string} - Unique source name (e.g. 'social', 'onchain')
+ *   - analyze(asset, timeframe) {Function} - Async function returning { score, trend, ... }
+ *   - weight {number} - Default weight used when combining sources (defaults to 1)
+ *   - isAvailable() {Function} - Optional check; unavailable sources are skipped
+ *   - analyzeSeries(series) {Function} - Optional synchronous scoring of a time series window
+ *     (oldest first); sources implementing it are included in sentiment history
+ */
+class SourceRegistry {
+  /**
+   * Create a new source registry
+   * @param {Array<Object>} [sources] - Source providers to register
+   */
+  constructor(sources = []) {
+    this.sources = new Map();
+    
+    for (const source of sources) {
+      this.register(source);
+    }
+  }
+  
+  /**
+   * Register a source provider, replacing any existing source with the same name
+   * @param {Object} source - Source provider
+   * @returns {SourceRegistry} - This registry, for chaining
+   */
+  register(source) {
+    if (!source || typeof source.name !== 'string' || !source.name) {
+      throw new Error('Sentiment source must have a name');
+    }
+    if (typeof source.analyze !== 'function') {
+      throw new Error(`Sentiment source "${source.name}" must implement analyze(asset, timeframe)`);
+    }
+    if (source.weight !== undefined && !(source.weight >= 0)) {
+      throw new Error(`Sentiment source "${source.name}" has an invalid weight: ${source.weight}`);
+    }
+    
+    this.sources.set(source.name, source);
+    return this;
+  }
+  
+  /**
+   * Remove a source provider
+   * @param {string} name - Source name
+   * @returns {boolean} - True if a source was removed
+   */
+  unregister(name) {
+    return this.sources.delete(name);
+  }
+  
+  /**
+   * Get a source provider by name
+   * @param {string} name - Source name
+   * @returns {Object|undefined} - Source provider
+   */
+  get(name) {
+    return this.sources.get(name);
+  }
+  
+  /**
+   * Check whether a source is registered
+   * @param {string} name - Source name
+   * @returns {boolean} - True if registered
+   */
+  has(name) {
+    return this.sources.has(name);
+  }
+  
+  /**
+   * Get the names of all registered sources
+   * @returns {Array<string>} - Source names in registration order
+   */
+  names() {
+    return Array.from(this.sources.keys());
+  }
+  
+  /**
+   * Get weights for all registered sources, normalized to sum to 1
+   * @param {Object} [overrides] - Weights keyed by source name, taking precedence over source defaults
+   * @returns {Object} - Normalized weights keyed by source name
+   */
+  getWeights(overrides = {}) {
+    const weights = {};
+    for (const [name, source] of this.sources) {
+      const weight = overrides[name] !== undefined ? overrides[name] : source.weight;
+      weights[name] = weight !== undefined ? weight : 1;
+    }
+    
+    // Normalize weights to sum to 1
+    const weightSum = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    for (const [name, weight] of Object.entries(weights)) {
+      weights[name] = weightSum > 0 ? weight / weightSum : 0;
+    }
+    
+    return weights;
+  }
+}
+
+module.exports = { SourceRegistry };
\ No newline at end of file
@@ -0,0 +1,5 @@
+const { SentimentWatcher } = require('./sentiment-watcher');
+
+module.exports = {
+  SentimentWatcher
+};
\ No newline at end of file
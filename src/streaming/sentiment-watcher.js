@@ -0,0 +1,247 @@
+const { EventEmitter } = require('events');
+const { isDeepStrictEqual } = require('util');
+const { getSignificance } = require('../utils/scoring');
+
+const DEFAULT_INTERVAL = 60 * 1000;
+
+/**
+ * Watches a list of assets and pushes sentiment changes as events
+ *
+ * Events:
+ *   - 'update' ({ asset, result, previous }) - A fresh analysis differs from the last one seen
+ *   - 'trendChange' ({ asset, from, to, result }) - The overall trend flipped
+ *   - 'thresholdCrossed' ({ asset, from, to, direction, score, previousScore, result }) - The score
+ *     moved into a different significance band (see getSignificance)
+ *   - 'error' ({ asset, error }) - A refresh failed, including when no source returned data, or a listener
+ *     threw (logged with the analyzer's logger when there is no listener)
+ *
+ * A failing refresh or listener never stops the watcher; the next tick is always scheduled.
+ */
+class SentimentWatcher extends EventEmitter {
+  /**
+   * Create a new sentiment watcher
+   * @param {Object} analyzer - SentimentAnalyzer instance
+   * @param {Object} [options] - Watcher options
+   * @param {Array<string>} [options.assets] - Initial watchlist
+   * @param {number} [options.interval] - Refresh interval in milliseconds (never shorter than the cached sentiment TTL)
+   * @param {string} [options.timeframe='7d'] - Time window passed to analyzeSentiment
+   * @param {Array<string>} [options.sources] - Sources passed to analyzeSentiment
+   */
+  constructor(analyzer, options = {}) {
+    super();
+    this.analyzer = analyzer;
+    this.timeframe = options.timeframe || '7d';
+    this.sources = options.sources;
+    
+    // Refreshing faster than the sentiment TTL would only return cached results
+    const ttl = analyzer.cache && typeof analyzer.cache.ttlFor === 'function' ? analyzer.cache.ttlFor('sentiment') : 0;
+    this.interval = Math.max(options.interval || ttl || DEFAULT_INTERVAL, ttl);
+    
+    this.watchlist = new Map();
+    this.timer = null;
+    this.running = false;
+    
+    for (const asset of options.assets || []) {
+      this.subscribe(asset);
+    }
+  }
+  
+  /**
+   * Add an asset to the watchlist
+   * @param {string} asset - Asset symbol or name
+   * @returns {SentimentWatcher} - This watcher, for chaining
+   */
+  subscribe(asset) {
+    if (this.watchlist.has(asset)) return this;
+    
+    this.watchlist.set(asset, { result: null });
+    
+    // Pick up new assets immediately rather than on the next tick
+    if (this.running) {
+      this._refreshSafely(asset);
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Remove an asset from the watchlist
+   * @param {string} asset - Asset symbol or name
+   * @returns {boolean} - True if the asset was being watched
+   */
+  unsubscribe(asset) {
+    return this.watchlist.delete(asset);
+  }
+  
+  /**
+   * Get the watched assets
+   * @returns {Array<string>} - Asset symbols
+   */
+  getWatchlist() {
+    return Array.from(this.watchlist.keys());
+  }
+  
+  /**
+   * Get the latest analysis seen for an asset
+   * @param {string} asset - Asset symbol or name
+   * @returns {Object|null} - Latest sentiment result
+   */
+  getLatest(asset) {
+    const state = this.watchlist.get(asset);
+    return state ? state.result : null;
+  }
+  
+  /**
+   * Start refreshing the watchlist on the configured interval
+   * The first refresh runs immediately
+   * @returns {SentimentWatcher} - This watcher, for chaining
+   */
+  start() {
+    if (this.running) return this;
+    
+    this.running = true;
+    this._tick();
+    return this;
+  }
+  
+  /**
+   * Stop refreshing
+   * @returns {SentimentWatcher} - This watcher, for chaining
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return this;
+  }
+  
+  /**
+   * Refresh every watched asset once
+   * @returns {Promise<Object>} - Latest results keyed by asset
+   */
+  async refresh() {
+    const assets = this.getWatchlist();
+    await Promise.all(assets.map(asset => this._refreshSafely(asset)));
+    
+    const results = {};
+    for (const asset of assets) {
+      results[asset] = this.getLatest(asset);
+    }
+    return results;
+  }
+  
+  /**
+   * Refresh the watchlist and schedule the next tick
+   * @private
+   */
+  async _tick() {
+    try {
+      await this.refresh();
+    } finally {
+      // A restart while this tick was running has scheduled its own timer
+      if (this.running) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this._tick(), this.interval);
+      }
+    }
+  }
+  
+  /**
+   * Refresh a single asset, reporting any failure as an error
+   * @private
+   * @param {string} asset - Asset symbol or name
+   * @returns {Promise<void>} - Never rejects
+   */
+  _refreshSafely(asset) {
+    return this._refreshAsset(asset).catch(error => this._emitError(asset, error));
+  }
+  
+  /**
+   * Refresh a single asset and emit change events
+   * @private
+   * @param {string} asset - Asset symbol or name
+   * @returns {Promise<void>}
+   */
+  async _refreshAsset(asset) {
+    let result;
+    try {
+      result = await this.analyzer.analyzeSentiment(asset, {
+        timeframe: this.timeframe,
+        sources: this.sources
+      });
+    } catch (error) {
+      this._emitError(asset, error);
+      return;
+    }
+    
+    const state = this.watchlist.get(asset);
+    
+    // Skip assets unsubscribed mid-refresh, missing data and unchanged results; cached results
+    // restored from a persistent store are equal but not identical
+    if (!state || !result || isDeepStrictEqual(result, state.result)) return;
+    
+    const previous = state.result;
+    state.result = result;
+    
+    this._emitSafely(asset, 'update', { asset, result, previous });
+    
+    if (!previous) return;
+    
+    if (previous.trend !== result.trend) {
+      this._emitSafely(asset, 'trendChange', { asset, from: previous.trend, to: result.trend, result });
+    }
+    
+    const previousBand = getSignificance(previous.score);
+    const band = getSignificance(result.score);
+    if (previousBand !== band) {
+      this._emitSafely(asset, 'thresholdCrossed', {
+        asset,
+        from: previousBand,
+        to: band,
+        direction: result.score > previous.score ? 'up' : 'down',
+        score: result.score,
+        previousScore: previous.score,
+        result
+      });
+    }
+  }
+  
+  /**
+   * Emit a change event, reporting a throwing listener as an error instead of failing the refresh
+   * @private
+   * @param {string} asset - Asset symbol or name
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  _emitSafely(asset, event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      this._emitError(asset, error);
+    }
+  }
+  
+  /**
+   * Report a refresh failure
+   * @private
+   * @param {string} asset - Asset symbol or name
+   * @param {Error} error - Refresh error
+   */
+  _emitError(asset, error) {
+    const logger = this.analyzer.logger || console;
+    
+    if (this.listenerCount('error') > 0) {
+      try {
+        this.emit('error', { asset, error });
+      } catch (listenerError) {
+        logger.warn(`Error in sentiment watcher error listener for ${asset}:`, listenerError.message);
+      }
+    } else {
+      logger.warn(`Error refreshing sentiment for ${asset}:`, error.message);
+    }
+  }
+}
+
+module.exports = { SentimentWatcher };
\ No newline at end of file
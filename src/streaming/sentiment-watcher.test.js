@@ -0,0 +1,159 @@
+const { SentimentWatcher } = require('./sentiment-watcher');
+const { SentimentCache } = require('../cache');
+
+/**
+ * Analyzer stub returning queued results per asset (the last one repeats)
+ */
+function createAnalyzer(results = {}) {
+  const queues = Object.fromEntries(Object.entries(results).map(([asset, list]) => [asset, [...list]]));
+  return {
+    logger: { warn: jest.fn() },
+    analyzeSentiment: jest.fn(async asset => {
+      const queue = queues[asset];
+      if (!queue) throw new Error(`No data for ${asset}`);
+      const next = queue.length > 1 ? queue.shift() : queue[0];
+      if (next instanceof Error) throw next;
+      return next;
+    })
+  };
+}
+
+describe('SentimentWatcher', () => {
+  let watcher;
+  
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    if (watcher) watcher.stop();
+    jest.useRealTimers();
+  });
+  
+  it('never polls faster than the cached sentiment TTL', () => {
+    const analyzer = createAnalyzer();
+    analyzer.cache = new SentimentCache({ ttl: 1000, ttls: { sentiment: 120000 } });
+    
+    expect(new SentimentWatcher(analyzer, { interval: 30000 }).interval).toBe(120000);
+    expect(new SentimentWatcher(analyzer, { interval: 300000 }).interval).toBe(300000);
+    expect(new SentimentWatcher(createAnalyzer()).interval).toBe(60000);
+  });
+  
+  it('refreshes on every interval and emits change events', async () => {
+    const analyzer = createAnalyzer({
+      BTC: [
+        { score: 55, trend: 'stable' },
+        { score: 55, trend: 'stable' },
+        { score: 65, trend: 'rising' }
+      ]
+    });
+    watcher = new SentimentWatcher(analyzer, { assets: ['BTC'], interval: 1000 });
+    const updates = jest.fn();
+    const trendChanges = jest.fn();
+    const crossings = jest.fn();
+    watcher.on('update', updates).on('trendChange', trendChanges).on('thresholdCrossed', crossings);
+    
+    watcher.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(updates).toHaveBeenCalledTimes(1);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(updates).toHaveBeenCalledTimes(1);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(analyzer.analyzeSentiment).toHaveBeenCalledTimes(3);
+    expect(updates).toHaveBeenCalledTimes(2);
+    expect(trendChanges).toHaveBeenCalledWith(expect.objectContaining({ asset: 'BTC', from: 'stable', to: 'rising' }));
+    expect(crossings).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'neutral', to: 'positive', direction: 'up', score: 65, previousScore: 55
+    }));
+    expect(watcher.getLatest('BTC')).toEqual({ score: 65, trend: 'rising' });
+  });
+  
+  it('keeps ticking when a refresh fails', async () => {
+    const analyzer = createAnalyzer({ BTC: [new Error('Rate limited'), { score: 50, trend: 'stable' }] });
+    watcher = new SentimentWatcher(analyzer, { assets: ['BTC'], interval: 1000 });
+    const errors = jest.fn();
+    watcher.on('error', errors);
+    
+    watcher.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(errors).toHaveBeenCalledWith({ asset: 'BTC', error: expect.objectContaining({ message: 'Rate limited' }) });
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(watcher.getLatest('BTC')).toEqual({ score: 50, trend: 'stable' });
+  });
+  
+  it('reports throwing listeners as errors and keeps ticking', async () => {
+    const analyzer = createAnalyzer({ BTC: [{ score: 50, trend: 'stable' }, { score: 70, trend: 'rising' }] });
+    watcher = new SentimentWatcher(analyzer, { assets: ['BTC'], interval: 1000 });
+    const listenerError = new Error('listener failed');
+    const errors = jest.fn();
+    watcher.on('update', () => { throw listenerError; }).on('error', errors);
+    const trendChanges = jest.fn();
+    watcher.on('trendChange', trendChanges);
+    
+    watcher.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(errors).toHaveBeenCalledWith({ asset: 'BTC', error: listenerError });
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(errors).toHaveBeenCalledTimes(2);
+    expect(trendChanges).toHaveBeenCalledTimes(1);
+    expect(jest.getTimerCount()).toBe(1);
+  });
+  
+  it('logs failures when nothing listens for errors, including failing error listeners', async () => {
+    const analyzer = createAnalyzer({ BTC: [new Error('Rate limited')] });
+    watcher = new SentimentWatcher(analyzer, { assets: ['BTC'], interval: 1000 });
+    
+    await watcher.refresh();
+    expect(analyzer.logger.warn).toHaveBeenCalledWith('Error refreshing sentiment for BTC:', 'Rate limited');
+    
+    watcher.on('error', () => { throw new Error('error listener failed'); });
+    await watcher.refresh();
+    expect(analyzer.logger.warn).toHaveBeenLastCalledWith(
+      'Error in sentiment watcher error listener for BTC:', 'error listener failed'
+    );
+  });
+  
+  it('refreshes assets subscribed while running without unhandled rejections', async () => {
+    const analyzer = createAnalyzer({ BTC: [{ score: 50, trend: 'stable' }], ETH: [{ score: 40, trend: 'stable' }] });
+    watcher = new SentimentWatcher(analyzer, { assets: ['BTC'], interval: 1000 });
+    const errors = jest.fn();
+    watcher.on('error', errors);
+    jest.spyOn(watcher, '_refreshAsset').mockRejectedValueOnce(new Error('unexpected'));
+    
+    watcher.start();
+    await jest.advanceTimersByTimeAsync(0);
+    watcher.subscribe('ETH');
+    watcher.subscribe('SOL');
+    await jest.advanceTimersByTimeAsync(0);
+    
+    expect(errors).toHaveBeenCalledWith({ asset: 'BTC', error: expect.objectContaining({ message: 'unexpected' }) });
+    expect(errors).toHaveBeenCalledWith({
+      asset: 'SOL',
+      error: expect.objectContaining({ message: 'No data for SOL' })
+    });
+    expect(watcher.getLatest('ETH')).toEqual({ score: 40, trend: 'stable' });
+  });
+  
+  it('stops and restarts without doubling the schedule', async () => {
+    const analyzer = createAnalyzer({ BTC: [{ score: 50, trend: 'stable' }] });
+    watcher = new SentimentWatcher(analyzer, { assets: ['BTC'], interval: 1000 });
+    
+    watcher.start();
+    watcher.stop();
+    watcher.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(jest.getTimerCount()).toBe(1);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(analyzer.analyzeSentiment).toHaveBeenCalledTimes(3);
+    
+    watcher.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(analyzer.analyzeSentiment).toHaveBeenCalledTimes(3);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
\ No newline at end of file
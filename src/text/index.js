@@ -0,0 +1,12 @@
+const { TextSentimentScorer, scoreText, scoreTexts } = require('./text-scorer');
+const { LEXICON, PHRASES, NEGATIONS, INTENSIFIERS } = require('./lexicon');
+
+module.exports = {
+  TextSentimentScorer,
+  scoreText,
+  scoreTexts,
+  LEXICON,
+  PHRASES,
+  NEGATIONS,
+  INTENSIFIERS
+};
\ No newline at end of file
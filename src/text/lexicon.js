@@ -0,0 +1,116 @@
+/**
+ * Sentiment lexicon for crypto headlines and social posts
+ * Valences range from -4 (extremely negative) to +4 (extremely positive)
+ */
+const LEXICON = {
+  // General positive
+  good: 1.9, great: 3.1, excellent: 3.2, amazing: 2.8, awesome: 3.1, best: 3.2, better: 1.9,
+  positive: 2.3, optimistic: 2.2, confident: 2.2, strong: 2.3, stronger: 2.1, strongest: 2.5,
+  gain: 2.0, gains: 2.0, gained: 1.9, win: 2.8, wins: 2.7, winning: 2.4, success: 2.7,
+  successful: 2.8, growth: 2.0, grow: 1.6, growing: 1.6, boost: 1.7, boosted: 1.7, improve: 1.9,
+  improved: 2.0, improvement: 2.0, record: 1.2, profit: 1.9, profits: 1.9, profitable: 2.2,
+  upgrade: 1.6, upgraded: 1.6, launch: 1.0, launched: 1.0, partnership: 1.8, partners: 1.3,
+  adoption: 1.8, approve: 1.9, approved: 2.1, approval: 2.0, support: 1.3, supported: 1.3,
+  recover: 1.8, recovery: 1.8, recovered: 1.8, rebound: 1.9, rebounds: 1.9, rebounded: 1.9,
+  rally: 2.3, rallies: 2.3, rallied: 2.3, surge: 2.2, surges: 2.2, surged: 2.2, soar: 2.6,
+  soars: 2.6, soared: 2.6, jump: 1.4, jumps: 1.4, jumped: 1.4, climb: 1.5, climbs: 1.5,
+  climbed: 1.5, rise: 1.3, rises: 1.3, rising: 1.3, rose: 1.3, up: 0.8, higher: 1.2, high: 0.6,
+  breakout: 2.2, outperform: 2.0, outperforms: 2.0, inflows: 1.6, inflow: 1.6, accumulate: 1.4,
+  accumulation: 1.4, milestone: 1.8, listing: 1.4, listed: 1.2, integration: 1.2, secure: 1.4,
+  love: 3.2, happy: 2.7, excited: 2.4, exciting: 2.6, impressive: 2.7, huge: 1.2,
+  innovative: 2.1, legit: 1.6, undervalued: 1.8, opportunity: 1.8, safe: 1.9,
+  
+  // General negative
+  bad: -2.5, worse: -2.1, worst: -3.1, terrible: -3.0, awful: -3.1, poor: -2.1, weak: -1.9,
+  weaker: -1.9, weakness: -1.9, negative: -2.3, pessimistic: -2.0, fear: -2.2, fears: -2.2,
+  afraid: -2.0, worry: -1.9, worried: -1.8, worries: -1.9, concern: -1.4, concerns: -1.4,
+  risk: -1.1, risky: -1.6, loss: -2.1, losses: -2.1, lose: -2.1, losing: -2.0, lost: -1.9,
+  fail: -2.5, fails: -2.5, failed: -2.3, failure: -2.5, decline: -1.6, declines: -1.6,
+  declined: -1.6, drop: -1.5, drops: -1.5, dropped: -1.5, fall: -1.5, falls: -1.5, fell: -1.5,
+  falling: -1.5, down: -0.8, lower: -1.1, low: -0.6, slump: -2.1, slumps: -2.1, slumped: -2.1,
+  plunge: -2.5, plunges: -2.5, plunged: -2.5, tumble: -2.0, tumbles: -2.0, tumbled: -2.0,
+  sink: -1.7, sinks: -1.7, sank: -1.7, crash: -2.9, crashes: -2.9, crashed: -2.9, collapse: -3.0,
+  collapsed: -3.0, selloff: -2.1, outflows: -1.6, outflow: -1.6, underperform: -1.8, volatile: -0.8,
+  hack: -3.0, hacked: -3.1, exploit: -2.8, exploited: -2.9, breach: -2.6, stolen: -2.9, theft: -2.9,
+  attack: -2.4, vulnerability: -2.0, bug: -1.3, outage: -2.1, halt: -1.9, halted: -2.0,
+  suspend: -1.8, suspended: -1.9, ban: -2.6, bans: -2.6, banned: -2.6, crackdown: -2.4,
+  lawsuit: -2.2, sued: -2.2, sues: -2.2, fined: -2.0, charges: -1.6, charged: -1.8,
+  investigation: -1.6, probe: -1.4, fraud: -3.3, scam: -3.2, scams: -3.2, scammer: -3.2,
+  ponzi: -3.3, bankrupt: -3.3, bankruptcy: -3.3, insolvent: -3.1, insolvency: -3.1,
+  delist: -2.4, delisted: -2.5, delisting: -2.4, reject: -2.0, rejected: -2.1, rejection: -2.0,
+  warning: -1.5, warns: -1.5, panic: -2.7, hate: -2.7, angry: -2.3, sad: -2.1, disappointing: -2.2,
+  overvalued: -1.6, bubble: -1.8, dead: -2.9, death: -2.9, liquidated: -2.6, liquidation: -2.2,
+  liquidations: -2.2, manipulation: -2.3, manipulated: -2.4, dilution: -1.6, unlock: -0.6,
+  
+  // Crypto slang
+  bullish: 2.6, bull: 1.6, bulls: 1.6, bearish: -2.6, bear: -1.6, bears: -1.6,
+  moon: 2.7, mooning: 3.0, moonshot: 2.6, pump: 1.5, pumping: 1.8, pumped: 1.5,
+  dump: -2.1, dumping: -2.3, dumped: -2.1, rekt: -3.0, rug: -3.2, rugged: -3.4, rugpull: -3.5,
+  hodl: 1.4, hodling: 1.4, fud: -2.0, fomo: 0.6, wagmi: 2.5, ngmi: -2.5, lfg: 2.4, gm: 0.5,
+  ath: 2.5, btfd: 1.6, diamond: 1.2, bagholder: -2.0, bagholders: -2.0, shill: -1.6,
+  shilling: -1.6, capitulation: -2.7, capitulate: -2.5, degen: -0.3, based: 1.4, gem: 2.0,
+  gems: 2.0, ape: 0.6, aped: 0.6, paperhands: -1.5, flippening: 1.5, honeypot: -3.2,
+  depeg: -2.9, depegged: -3.0, bullrun: 2.6, altseason: 2.2, bloodbath: -3.0, exitscam: -3.5,
+  
+  // Emoji
+  '🚀': 2.9, '🌕': 2.2, '🌙': 1.6, '📈': 2.0, '💎': 1.8, '🙌': 1.5, '🔥': 1.9, '🐂': 2.0,
+  '💰': 1.6, '🤑': 2.0, '💪': 1.8, '🎉': 2.6, '✅': 1.2, '👍': 1.8, '😀': 2.0, '😁': 2.1,
+  '😃': 2.0, '😍': 2.8, '🥳': 2.6, '😎': 1.7, '🟢': 1.4, '🐻': -2.0, '📉': -2.0, '💀': -2.1,
+  '😭': -2.0, '😢': -2.1, '😡': -2.9, '🤬': -3.1, '🤡': -2.0, '🩸': -2.2, '❌': -1.4,
+  '⚠️': -1.4, '🚨': -1.7, '👎': -1.9, '😱': -2.3, '🔴': -1.4, '💩': -2.5, '😬': -1.2
+};
+
+/**
+ * Multi-word expressions, matched against token sequences (punctuation and hyphens ignored)
+ */
+const PHRASES = {
+  'all time high': 2.8,
+  'to the moon': 3.0,
+  'buy the dip': 1.8,
+  'bull market': 2.2,
+  'bull run': 2.6,
+  'golden cross': 2.2,
+  'short squeeze': 1.4,
+  'higher highs': 1.8,
+  'higher lows': 1.5,
+  'diamond hands': 2.0,
+  'rug pull': -3.5,
+  'bear market': -2.2,
+  'death cross': -2.4,
+  'lower lows': -1.8,
+  'lower highs': -1.5,
+  'paper hands': -1.5,
+  'sell off': -2.1,
+  'exit scam': -3.5,
+  'debt default': -2.2,
+  'loan default': -2.2,
+  'not financial advice': 0
+};
+
+/**
+ * Words that flip the valence of the following sentiment-bearing words
+ */
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without',
+  'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent',
+  'wont', 'wouldnt', 'shouldnt', 'couldnt', 'aint', 'hardly', 'barely', 'lack', 'lacks'
+]);
+
+/**
+ * Words that scale the valence of the following sentiment-bearing word
+ * Positive values amplify, negative values dampen
+ */
+const INTENSIFIERS = {
+  very: 0.293, extremely: 0.293, super: 0.293, really: 0.293, so: 0.293, totally: 0.293,
+  absolutely: 0.293, incredibly: 0.293, hugely: 0.293, massively: 0.293, highly: 0.293,
+  insanely: 0.293, most: 0.293, more: 0.293, mega: 0.293, ultra: 0.293, seriously: 0.293,
+  slightly: -0.293, somewhat: -0.293, kinda: -0.293, marginally: -0.293, little: -0.293,
+  partly: -0.293, modestly: -0.293, less: -0.293, mildly: -0.293
+};
+
+module.exports = {
+  LEXICON,
+  PHRASES,
+  NEGATIONS,
+  INTENSIFIERS
+};
\ No newline at end of file
@@ -0,0 +1,200 @@
+const { LEXICON, PHRASES, NEGATIONS, INTENSIFIERS } = require('./lexicon');
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+|\p{Extended_Pictographic}/gu;
+const NEGATION_SCALAR = -0.74;
+const CAPS_EMPHASIS = 0.733;
+const EXCLAMATION_BOOST = 0.292;
+const NORMALIZATION_ALPHA = 15;
+
+/**
+ * Split text into tokens, keeping the original casing
+ * @private
+ * @param {string} text - Raw text
+ * @returns {Array<string>} - Word and emoji tokens
+ */
+function tokenize(text) {
+  return String(text)
+    .replace(/['’]/g, '') // "don't" -> "dont"
+    .replace(/\uFE0F/g, '') // Emoji variation selectors
+    .match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Offline lexicon-based sentiment scorer for headlines and social posts
+ * Scores text on the same 0-100 scale as the sentiment analyzers (50 = neutral)
+ */
+class TextSentimentScorer {
+  /**
+   * Create a new text sentiment scorer
+   * @param {Object} [options] - Scorer options
+   * @param {Object} [options.lexicon] - Additional or overriding word valences (-4 to +4)
+   * @param {Object} [options.phrases] - Additional or overriding phrase valences (-4 to +4)
+   */
+  constructor(options = {}) {
+    this.lexicon = new Map();
+    for (const [term, valence] of Object.entries({ ...LEXICON, ...options.lexicon })) {
+      const [token] = tokenize(term);
+      if (token) this.lexicon.set(token.toLowerCase(), valence);
+    }
+    
+    // Index phrases by their first token for fast lookup, longest first
+    this.phrases = new Map();
+    for (const [phrase, valence] of Object.entries({ ...PHRASES, ...options.phrases })) {
+      const tokens = tokenize(phrase.toLowerCase());
+      if (tokens.length === 0) continue;
+      const candidates = this.phrases.get(tokens[0]) || [];
+      candidates.push({ tokens, valence });
+      candidates.sort((a, b) => b.tokens.length - a.tokens.length);
+      this.phrases.set(tokens[0], candidates);
+    }
+  }
+  
+  /**
+   * Score a single piece of text
+   * @param {string} text - Headline, article or post text
+   * @returns {Object} - { score, normalized, compound, positive, negative, matches, tokens }
+   */
+  score(text) {
+    const original = tokenize(text || '');
+    const tokens = original.map(t => t.toLowerCase());
+    const isShouting = original.length > 0 && original.every(t => t === t.toUpperCase());
+    
+    let sum = 0;
+    let positive = 0;
+    let negative = 0;
+    
+    for (let i = 0; i < tokens.length; i++) {
+      const match = this._matchAt(tokens, i);
+      if (!match || match.valence === 0) {
+        if (match) i += match.length - 1;
+        continue;
+      }
+      
+      let valence = match.valence;
+      
+      // Emphasis through capitalization (e.g. "BULLISH"), unless the whole text is upper case
+      if (!isShouting && match.length === 1 && /\p{L}{2,}/u.test(original[i]) &&
+          original[i] === original[i].toUpperCase()) {
+        valence += Math.sign(valence) * CAPS_EMPHASIS;
+      }
+      
+      // Intensifiers and dampeners directly before the term
+      const modifier = INTENSIFIERS[tokens[i - 1]];
+      if (modifier !== undefined) {
+        valence += Math.sign(valence) * modifier;
+      }
+      
+      // Negation within the three preceding tokens flips and softens the valence
+      for (let j = Math.max(0, i - 3); j < i; j++) {
+        if (NEGATIONS.has(tokens[j])) {
+          valence *= NEGATION_SCALAR;
+          break;
+        }
+      }
+      
+      sum += valence;
+      if (valence > 0) positive++;
+      else if (valence < 0) negative++;
+      
+      i += match.length - 1;
+    }
+    
+    // Exclamation marks amplify whichever direction the text already leans
+    const exclamations = Math.min(4, (String(text || '').match(/!/g) || []).length);
+    if (sum !== 0) {
+      sum += Math.sign(sum) * exclamations * EXCLAMATION_BOOST;
+    }
+    
+    const compound = sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+    const score = Math.round((compound + 1) * 50 * 10) / 10;
+    
+    return {
+      score,
+      normalized: score / 100,
+      compound,
+      positive,
+      negative,
+      matches: positive + negative,
+      tokens: tokens.length
+    };
+  }
+  
+  /**
+   * Score and aggregate many texts
+   * @param {Array<string|Object>} texts - Strings or { text, weight } objects
+   * @returns {Object} - { score, normalized, compound, count, positive, negative, neutral, scores }
+   */
+  scoreMany(texts) {
+    const scores = [];
+    let weightedCompound = 0;
+    let totalWeight = 0;
+    
+    for (const item of texts || []) {
+      const text = typeof item === 'string' ? item : item && item.text;
+      const weight = item && typeof item === 'object' && item.weight !== undefined ? item.weight : 1;
+      if (!text || weight <= 0) continue;
+      
+      const result = this.score(text);
+      scores.push(result);
+      weightedCompound += result.compound * weight;
+      totalWeight += weight;
+    }
+    
+    const compound = totalWeight > 0 ? weightedCompound / totalWeight : 0;
+    const score = Math.round((compound + 1) * 50 * 10) / 10;
+    
+    return {
+      score,
+      normalized: score / 100,
+      compound,
+      count: scores.length,
+      positive: scores.filter(s => s.compound > 0.05).length,
+      negative: scores.filter(s => s.compound < -0.05).length,
+      neutral: scores.filter(s => Math.abs(s.compound) <= 0.05).length,
+      scores
+    };
+  }
+  
+  /**
+   * Find the lexicon term or phrase starting at a token position
+   * @private
+   * @param {Array<string>} tokens - Lower-cased tokens
+   * @param {number} index - Token position
+   * @returns {Object|null} - { valence, length } or null if nothing matches
+   */
+  _matchAt(tokens, index) {
+    for (const phrase of this.phrases.get(tokens[index]) || []) {
+      const matches = phrase.tokens.every((t, k) => tokens[index + k] === t);
+      if (matches) return { valence: phrase.valence, length: phrase.tokens.length };
+    }
+    
+    const valence = this.lexicon.get(tokens[index]);
+    return valence !== undefined ? { valence, length: 1 } : null;
+  }
+}
+
+const defaultScorer = new TextSentimentScorer();
+
+/**
+ * Score a single piece of text with the default lexicon
+ * @param {string} text - Headline, article or post text
+ * @returns {Object} - Text sentiment score (0-100)
+ */
+function scoreText(text) {
+  return defaultScorer.score(text);
+}
+
+/**
+ * Score and aggregate many texts with the default lexicon
+ * @param {Array<string|Object>} texts - Strings or { text, weight } objects
+ * @returns {Object} - Aggregated text sentiment score (0-100)
+ */
+function scoreTexts(texts) {
+  return defaultScorer.scoreMany(texts);
+}
+
+module.exports = {
+  TextSentimentScorer,
+  scoreText,
+  scoreTexts
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { TextSentimentScorer, scoreText, scoreTexts } = require('./text-scorer');
+const { LEXICON } = require('./lexicon');
+
+/**
+ * Compound score of a valence sum (normalized with alpha = 15)
+ */
+const compound = sum => sum / Math.sqrt(sum * sum + 15);
+
+describe('TextSentimentScorer', () => {
+  it('scores lexicon terms on a 0-100 scale with 50 as neutral', () => {
+    const result = scoreText('Bitcoin is bullish');
+    
+    expect(result.compound).toBeCloseTo(compound(LEXICON.bullish), 10);
+    expect(result.score).toBe(77.9);
+    expect(result).toMatchObject({ positive: 1, negative: 0, matches: 1, tokens: 3 });
+    expect(scoreText('Bitcoin trades sideways')).toMatchObject({ score: 50, compound: 0, matches: 0 });
+    expect(scoreText('')).toMatchObject({ score: 50, tokens: 0 });
+  });
+  
+  it('flips and softens terms after a negation within three tokens', () => {
+    expect(scoreText('Bitcoin is not bullish').compound).toBeCloseTo(compound(LEXICON.bullish * -0.74), 10);
+    expect(scoreText("Whales won't dump").compound).toBeCloseTo(compound(LEXICON.dump * -0.74), 10);
+    expect(scoreText('No sign of crash').compound).toBeGreaterThan(0);
+    expect(scoreText('No sign of a crash').compound).toBeCloseTo(compound(LEXICON.crash), 10);
+  });
+  
+  it('amplifies terms after intensifiers and dampens them after dampeners', () => {
+    expect(scoreText('very bullish').compound).toBeCloseTo(compound(LEXICON.bullish + 0.293), 10);
+    expect(scoreText('slightly bullish').compound).toBeCloseTo(compound(LEXICON.bullish - 0.293), 10);
+    expect(scoreText('very bearish').compound).toBeCloseTo(compound(LEXICON.bearish - 0.293), 10);
+  });
+  
+  it('emphasizes capitalized terms unless the whole text is upper case', () => {
+    expect(scoreText('Bitcoin is BULLISH').compound).toBeCloseTo(compound(LEXICON.bullish + 0.733), 10);
+    expect(scoreText('BITCOIN IS BULLISH').compound).toBeCloseTo(compound(LEXICON.bullish), 10);
+  });
+  
+  it('boosts the leaning direction with up to four exclamation marks', () => {
+    expect(scoreText('bullish!!').compound).toBeCloseTo(compound(LEXICON.bullish + 2 * 0.292), 10);
+    expect(scoreText('bullish!!!!!!').compound).toBeCloseTo(compound(LEXICON.bullish + 4 * 0.292), 10);
+    expect(scoreText('Hello!!!').compound).toBe(0);
+  });
+  
+  it('scores emoji, with or without variation selectors', () => {
+    expect(scoreText('🚀').compound).toBeCloseTo(compound(LEXICON['🚀']), 10);
+    expect(scoreText('ETH🚀🚀')).toMatchObject({ positive: 2, tokens: 3 });
+    expect(scoreText('⚠️ withdrawals').compound).toBeLessThan(0);
+    expect(scoreText('⚠ withdrawals').compound).toBe(scoreText('⚠️ withdrawals').compound);
+  });
+  
+  it('matches the longest phrase instead of its words', () => {
+    // 'high' alone is mildly positive; the phrase replaces it rather than adding to it
+    expect(scoreText('New all time high').compound).toBeCloseTo(compound(2.8), 10);
+    expect(scoreText('Another rug-pull').compound).toBeCloseTo(compound(-3.5), 10);
+    expect(scoreText('to the moon 🚀')).toMatchObject({ positive: 2, matches: 2 });
+    expect(scoreText('Not financial advice').matches).toBe(0);
+  });
+  
+  it('only treats default as negative in debt and loan defaults', () => {
+    expect(scoreText('Staking is enabled by default').compound).toBe(0);
+    expect(scoreText('Lender hit by a loan default').compound).toBeCloseTo(compound(-2.2), 10);
+    expect(scoreText('Fears of a debt default').negative).toBe(2);
+  });
+  
+  it('accepts extra and overriding terms and phrases', () => {
+    const scorer = new TextSentimentScorer({ lexicon: { bullish: -1, wen: 0.5 }, phrases: { 'wen lambo': 2.5 } });
+    
+    expect(scorer.score('bullish').compound).toBeCloseTo(compound(-1), 10);
+    expect(scorer.score('wen').compound).toBeCloseTo(compound(0.5), 10);
+    expect(scorer.score('wen lambo').compound).toBeCloseTo(compound(2.5), 10);
+  });
+  
+  it('aggregates weighted texts and skips empty or zero-weight ones', () => {
+    const result = scoreTexts([
+      'Bitcoin is bullish',
+      { text: 'crash', weight: 3 },
+      { text: 'moon', weight: 0 },
+      '',
+      null
+    ]);
+    const expected = (compound(LEXICON.bullish) + 3 * compound(LEXICON.crash)) / 4;
+    
+    expect(result.compound).toBeCloseTo(expected, 10);
+    expect(result.score).toBe(Math.round((expected + 1) * 500) / 10);
+    expect(result).toMatchObject({ count: 2, positive: 1, negative: 1, neutral: 0 });
+    expect(scoreTexts([])).toMatchObject({ score: 50, count: 0 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,331 @@
+const { mean, median } = require('./statistics');
+
+/**
+ * Time series fields validated when present, and whether zero or negative values are invalid
+ */
+const QUALITY_FIELDS = {
+  price: { positive: true },
+  volume: { positive: true },
+  marketCap: { positive: true },
+  galaxyScore: { positive: false },
+  socialScore: { positive: false },
+  socialVolume: { positive: false },
+  socialContributors: { positive: false },
+  newsSentiment: { positive: false },
+  articleCount: { positive: false }
+};
+
+/**
+ * Default validator configuration
+ */
+const DEFAULT_CONFIG = {
+  fields: QUALITY_FIELDS, // Fields to validate ({ name: { positive } })
+  missing: 'forwardFill', // Missing or invalid values: 'forwardFill', 'drop' or 'keep'
+  outliers: 'winsorize', // Outliers: 'winsorize', 'drop' or 'keep'
+  outlierWindow: 7, // Points in the centered rolling median used to detect outliers
+  outlierThreshold: 6, // Deviation from the rolling median, in robust standard deviations
+  gapTolerance: 1.5 // Spacing, in typical intervals, above which points are considered missing
+};
+
+/**
+ * Validator and repairer for provider time series
+ *
+ * Detects invalid and out-of-order timestamps, duplicate points, gaps, zero or missing values
+ * and outliers. Points are sorted and de-duplicated (the later of two points with the same time
+ * wins), missing values are forward-filled or their points dropped, and outliers are winsorized
+ * or dropped. Input points are never modified; repaired points are copies.
+ */
+class TimeSeriesValidator {
+  /**
+   * Create a new time series validator
+   * @param {Object} [options] - Validator configuration (see DEFAULT_CONFIG)
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    
+    if (!['forwardFill', 'drop', 'keep'].includes(this.config.missing)) {
+      throw new Error(`Unknown missing value repair: ${this.config.missing}`);
+    }
+    if (!['winsorize', 'drop', 'keep'].includes(this.config.outliers)) {
+      throw new Error(`Unknown outlier repair: ${this.config.outliers}`);
+    }
+  }
+  
+  /**
+   * Validate and repair a time series
+   * @param {Array<Object>} series - Time series points (oldest first)
+   * @returns {Object} - { series, report } with the repaired series and its data quality report
+   */
+  validate(series) {
+    const input = Array.isArray(series) ? series : [];
+    const issues = {
+      invalidTimestamps: 0,
+      outOfOrder: 0,
+      duplicates: 0,
+      gaps: 0,
+      missingPoints: 0,
+      zeros: 0,
+      missingValues: 0,
+      outliers: 0
+    };
+    const repairs = { sorted: false, dropped: 0, forwardFilled: 0, winsorized: 0 };
+    
+    let points = input.filter(point => point && typeof point === 'object');
+    repairs.dropped += input.length - points.length;
+    
+    // Timestamps are only checked when the series carries them
+    const timed = points.some(point => Number.isFinite(point.time));
+    if (timed) {
+      const valid = points.filter(point => Number.isFinite(point.time));
+      issues.invalidTimestamps = points.length - valid.length;
+      repairs.dropped += issues.invalidTimestamps;
+      points = this._order(valid, issues, repairs);
+    }
+    
+    const gaps = timed ? this._gaps(points, issues) : { interval: null, list: [] };
+    const fields = Object.keys(this.config.fields)
+      .filter(field => points.some(point => typeof point[field] === 'number'));
+    
+    // Work on copies so cached provider data is never modified
+    points = points.map(point => ({ ...point }));
+    const drop = new Set();
+    let unfilled = 0;
+    
+    for (const field of fields) {
+      unfilled += this._repairMissing(points, field, issues, repairs, drop);
+      this._repairOutliers(points, field, issues, repairs, drop);
+    }
+    
+    if (drop.size > 0) {
+      points = points.filter((point, i) => !drop.has(i));
+      repairs.dropped += drop.size;
+    }
+    
+    return {
+      series: points,
+      report: {
+        score: this._score(input.length, points.length, fields.length, issues, repairs, unfilled),
+        points: input.length,
+        validPoints: points.length,
+        start: timed && points.length > 0 ? points[0].time : null,
+        end: timed && points.length > 0 ? points[points.length - 1].time : null,
+        interval: gaps.interval,
+        fields,
+        issues,
+        gaps: gaps.list,
+        repairs
+      }
+    };
+  }
+  
+  /**
+   * Sort points by time and drop duplicate timestamps
+   * @private
+   * @param {Array<Object>} points - Points with valid timestamps
+   * @param {Object} issues - Issue counters
+   * @param {Object} repairs - Repair counters
+   * @returns {Array<Object>} - Ordered, unique points
+   */
+  _order(points, issues, repairs) {
+    let latest = -Infinity;
+    for (const point of points) {
+      if (point.time < latest) issues.outOfOrder++;
+      latest = Math.max(latest, point.time);
+    }
+    
+    // Array sort is stable, so points sharing a time keep their arrival order
+    const sorted = issues.outOfOrder > 0 ? [...points].sort((a, b) => a.time - b.time) : points;
+    repairs.sorted = issues.outOfOrder > 0;
+    
+    const unique = [];
+    for (const point of sorted) {
+      if (unique.length > 0 && unique[unique.length - 1].time === point.time) {
+        unique[unique.length - 1] = point;
+        issues.duplicates++;
+      } else {
+        unique.push(point);
+      }
+    }
+    repairs.dropped += issues.duplicates;
+    
+    return unique;
+  }
+  
+  /**
+   * Find gaps wider than the typical spacing of the series
+   * @private
+   * @param {Array<Object>} points - Ordered, unique points
+   * @param {Object} issues - Issue counters
+   * @returns {Object} - { interval, list } with the typical spacing and the gaps found
+   */
+  _gaps(points, issues) {
+    const spacing = points.slice(1).map((point, i) => point.time - points[i].time);
+    if (spacing.length === 0) return { interval: null, list: [] };
+    
+    const interval = median(spacing);
+    const list = [];
+    spacing.forEach((distance, i) => {
+      if (distance <= interval * this.config.gapTolerance) return;
+      
+      const missing = Math.max(1, Math.round(distance / interval) - 1);
+      list.push({ from: points[i].time, to: points[i + 1].time, missing });
+      issues.missingPoints += missing;
+    });
+    issues.gaps = list.length;
+    
+    return { interval, list };
+  }
+  
+  /**
+   * Repair missing, zero and negative values of a field
+   * @private
+   * @param {Array<Object>} points - Point copies, modified in place
+   * @param {string} field - Field name
+   * @param {Object} issues - Issue counters
+   * @param {Object} repairs - Repair counters
+   * @param {Set<number>} drop - Indices of points to drop
+   * @returns {number} - Values left missing
+   */
+  _repairMissing(points, field, issues, repairs, drop) {
+    const { positive } = this.config.fields[field];
+    let previous;
+    let unfilled = 0;
+    
+    points.forEach((point, i) => {
+      const value = point[field];
+      const isNumber = typeof value === 'number' && Number.isFinite(value);
+      
+      if (isNumber && (!positive || value > 0)) {
+        previous = value;
+        return;
+      }
+      
+      if (isNumber) issues.zeros++;
+      else issues.missingValues++;
+      
+      if (this.config.missing === 'drop') {
+        drop.add(i);
+      } else if (this.config.missing === 'forwardFill' && previous !== undefined) {
+        point[field] = previous;
+        repairs.forwardFilled++;
+      } else {
+        // Leading values have nothing to fill from; invalid numbers are removed rather than kept
+        if (this.config.missing === 'forwardFill') delete point[field];
+        unfilled++;
+      }
+    });
+    
+    return unfilled;
+  }
+  
+  /**
+   * Detect and repair outliers of a field with a Hampel filter
+   * Each value is compared with the median of a centered window, scaled by the robust standard
+   * deviation of all such residuals, so trends and level shifts are not flagged. Windows at the
+   * ends of the series cannot be centered, so their median is carried out to the point along the
+   * window's median step.
+   * @private
+   * @param {Array<Object>} points - Point copies, modified in place
+   * @param {string} field - Field name
+   * @param {Object} issues - Issue counters
+   * @param {Object} repairs - Repair counters
+   * @param {Set<number>} drop - Indices of points to drop
+   */
+  _repairOutliers(points, field, issues, repairs, drop) {
+    const { outlierWindow, outlierThreshold } = this.config;
+    const half = Math.floor(outlierWindow / 2);
+    const indices = points.map((point, i) => i).filter(i => typeof points[i][field] === 'number');
+    if (indices.length < 2 * half + 1) return;
+    
+    const values = indices.map(i => points[i][field]);
+    const centers = values.map((value, k) => {
+      const start = Math.min(Math.max(0, k - half), values.length - (2 * half + 1));
+      const window = values.slice(start, start + 2 * half + 1);
+      const offset = k - (start + half);
+      if (offset === 0) return median(window);
+      
+      // Otherwise the first and last points of a trending series would sit far from the median
+      const steps = window.slice(1).map((v, i) => v - window[i]);
+      return median(window) + median(steps) * offset;
+    });
+    const residuals = values.map((value, k) => value - centers[k]);
+    const residualMedian = median(residuals);
+    const deviations = residuals.map(r => Math.abs(r - residualMedian));
+    
+    // Fall back to the mean absolute deviation when most residuals are exactly zero (e.g. a clean trend)
+    const scale = 1.4826 * median(deviations) || 1.2533 * mean(deviations);
+    if (scale === 0) return;
+    
+    const outliers = new Set(residuals.map((r, k) => k).filter(k => deviations[k] > outlierThreshold * scale));
+    if (outliers.size === 0) return;
+    
+    // Clamp to bounds from the remaining residuals so outliers do not widen their own bounds
+    const inliers = deviations.filter((d, k) => !outliers.has(k));
+    const bound = outlierThreshold * (1.4826 * median(inliers) || 1.2533 * mean(inliers));
+    
+    for (const k of outliers) {
+      issues.outliers++;
+      if (this.config.outliers === 'winsorize') {
+        points[indices[k]][field] = centers[k] + Math.sign(residuals[k]) * bound;
+        repairs.winsorized++;
+      } else if (this.config.outliers === 'drop') {
+        drop.add(indices[k]);
+      }
+    }
+  }
+  
+  /**
+   * Score data quality from 0 (unusable) to 1 (clean)
+   * Missing and dropped points count against the expected number of points; repaired and
+   * unfilled values count against the number of values.
+   * @private
+   * @param {number} received - Points received
+   * @param {number} kept - Points after repair
+   * @param {number} fieldCount - Fields validated
+   * @param {Object} issues - Issue counters
+   * @param {Object} repairs - Repair counters
+   * @param {number} unfilled - Values left missing
+   * @returns {number} - Quality score
+   */
+  _score(received, kept, fieldCount, issues, repairs, unfilled) {
+    if (received === 0 || kept === 0) return 0;
+    
+    const expected = received - issues.duplicates + issues.missingPoints;
+    const pointLoss = (issues.missingPoints + repairs.dropped - issues.duplicates) / Math.max(1, expected);
+    const valueLoss = fieldCount > 0
+      ? (repairs.forwardFilled + repairs.winsorized + unfilled) / (kept * fieldCount)
+      : 0;
+    
+    return Math.round(Math.max(0, 1 - pointLoss - valueLoss) * 100) / 100;
+  }
+}
+
+/**
+ * Combine per-source data quality reports into an overall summary
+ * @param {Object} reports - Data quality reports keyed by source name
+ * @param {Object} [weights] - Source weights; sources are weighted equally when omitted
+ * @returns {Object|null} - { score, sources }, or null when there are no reports
+ */
+function combineQualityReports(reports, weights = {}) {
+  const entries = Object.entries(reports).filter(([, report]) => report);
+  if (entries.length === 0) return null;
+  
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, report] of entries) {
+    const weight = weights[name] !== undefined ? weights[name] : 1;
+    weighted += report.score * weight;
+    totalWeight += weight;
+  }
+  
+  return {
+    score: totalWeight > 0 ? Math.round(weighted / totalWeight * 100) / 100 : 0,
+    sources: Object.fromEntries(entries)
+  };
+}
+
+module.exports = {
+  TimeSeriesValidator,
+  combineQualityReports,
+  QUALITY_FIELDS
+};
\ No newline at end of file
@@ -0,0 +1,162 @@
+const { TimeSeriesValidator, combineQualityReports } = require('./data-quality');
+
+const DAY = 86400;
+const wobble = [3, -4, 2, 0, -2, 4, -1];
+
+/**
+ * Daily points with a rising, slightly noisy price and a steady volume
+ */
+function series(count = 30) {
+  return Array.from({ length: count }, (_, i) => ({
+    time: i * DAY,
+    price: 100 + 2 * i + wobble[i % wobble.length],
+    volume: 1000 + (i % 3) * 10
+  }));
+}
+
+describe('TimeSeriesValidator', () => {
+  it('passes clean series through unchanged', () => {
+    const input = series();
+    const { series: output, report } = new TimeSeriesValidator().validate(input);
+    
+    expect(output).toEqual(input);
+    expect(report).toMatchObject({ score: 1, points: 30, validPoints: 30, start: 0, end: 29 * DAY, interval: DAY });
+    expect(report.fields).toEqual(['price', 'volume']);
+    expect(Object.values(report.issues).every(count => count === 0)).toBe(true);
+  });
+  
+  it('does not flag the ends of a clean trend as outliers', () => {
+    const noise = [1.5, -1, 0.5, -2, 1];
+    const trend = Array.from({ length: 20 }, (_, i) => ({
+      time: i * DAY,
+      price: 100 + 2 * i + noise[i % noise.length]
+    }));
+    
+    expect(new TimeSeriesValidator().validate(trend).report.issues.outliers).toBe(0);
+  });
+  
+  it('catches spikes at the ends of a trending series', () => {
+    const input = series().map((point, i) => (i === 29 ? { ...point, price: 300 } : point));
+    const { series: output, report } = new TimeSeriesValidator().validate(input);
+    
+    expect(report.issues.outliers).toBe(1);
+    expect(output[29].price).toBeGreaterThan(154);
+    expect(output[29].price).toBeLessThan(180);
+  });
+  
+  describe('Hampel outlier filter', () => {
+    const spiked = () => series().map((point, i) => (i === 10 ? { ...point, price: 500 } : point));
+    
+    it('winsorizes spikes towards the rolling median without touching their neighbours', () => {
+      const input = spiked();
+      const { series: output, report } = new TimeSeriesValidator().validate(input);
+      
+      expect(report.issues.outliers).toBe(1);
+      expect(report.repairs.winsorized).toBe(1);
+      expect(output[10].price).toBeGreaterThan(120);
+      expect(output[10].price).toBeLessThan(145);
+      expect(output.filter((point, i) => i !== 10)).toEqual(input.filter((point, i) => i !== 10));
+      expect(input[10].price).toBe(500);
+      expect(report.score).toBeLessThan(1);
+    });
+    
+    it('clamps downward spikes below the median', () => {
+      const input = series().map((point, i) => (i === 15 ? { ...point, price: 1 } : point));
+      const { series: output } = new TimeSeriesValidator().validate(input);
+      
+      expect(output[15].price).toBeLessThan(126);
+      expect(output[15].price).toBeGreaterThan(110);
+    });
+    
+    it('drops or keeps outliers when configured', () => {
+      const dropped = new TimeSeriesValidator({ outliers: 'drop' }).validate(spiked());
+      const kept = new TimeSeriesValidator({ outliers: 'keep' }).validate(spiked());
+      
+      expect(dropped.series).toHaveLength(29);
+      expect(dropped.series.some(point => point.time === 10 * DAY)).toBe(false);
+      expect(kept.series[10].price).toBe(500);
+      expect(kept.report.issues.outliers).toBe(1);
+    });
+  });
+  
+  describe('missing values', () => {
+    const holed = () => series(10).map((point, i) => {
+      if (i === 0) return { ...point, volume: null };
+      if (i === 3) return { ...point, price: 0 };
+      if (i === 6) return { ...point, volume: NaN };
+      return point;
+    });
+    
+    it('forward-fills missing and non-positive values and removes leading ones', () => {
+      const { series: output, report } = new TimeSeriesValidator().validate(holed());
+      
+      expect(output[3].price).toBe(output[2].price);
+      expect(output[6].volume).toBe(output[5].volume);
+      expect('volume' in output[0]).toBe(false);
+      expect(report.issues).toMatchObject({ zeros: 1, missingValues: 2 });
+      expect(report.repairs.forwardFilled).toBe(2);
+    });
+    
+    it('allows zero for fields that can be zero', () => {
+      const input = series(10).map(point => ({ ...point, socialVolume: 0 }));
+      
+      expect(new TimeSeriesValidator().validate(input).report.issues.zeros).toBe(0);
+    });
+    
+    it('drops or keeps affected points when configured', () => {
+      const dropped = new TimeSeriesValidator({ missing: 'drop' }).validate(holed());
+      const kept = new TimeSeriesValidator({ missing: 'keep', outliers: 'keep' }).validate(holed());
+      
+      expect(dropped.series.map(point => point.time / DAY)).toEqual([1, 2, 4, 5, 7, 8, 9]);
+      expect(kept.series[3].price).toBe(0);
+      expect(kept.series[0].volume).toBeNull();
+    });
+  });
+  
+  it('sorts points, keeps the later of duplicates and drops invalid timestamps', () => {
+    const [a, b, c, d] = series(4);
+    const { series: output, report } = new TimeSeriesValidator().validate([
+      b, a, { ...c, price: 1 }, { ...c, price: 103.1 }, d, { time: 'soon', price: 1 }, null
+    ]);
+    
+    expect(output.map(point => point.time)).toEqual([0, DAY, 2 * DAY, 3 * DAY]);
+    expect(output[2].price).toBe(103.1);
+    expect(report.issues).toMatchObject({ outOfOrder: 1, duplicates: 1, invalidTimestamps: 1 });
+    expect(report.repairs).toMatchObject({ sorted: true, dropped: 3 });
+  });
+  
+  it('reports gaps and the points missing from them', () => {
+    const input = series(20).filter((point, i) => i < 8 || i > 10);
+    const { report } = new TimeSeriesValidator().validate(input);
+    
+    expect(report.gaps).toEqual([{ from: 7 * DAY, to: 11 * DAY, missing: 3 }]);
+    expect(report.issues).toMatchObject({ gaps: 1, missingPoints: 3 });
+    expect(report.score).toBe(0.85);
+  });
+  
+  it('handles empty and untimed series', () => {
+    expect(new TimeSeriesValidator().validate(undefined).report).toMatchObject({ score: 0, points: 0, start: null });
+    
+    const untimed = new TimeSeriesValidator().validate([{ price: 1 }, { price: 0 }, { price: 2 }]);
+    expect(untimed.series.map(point => point.price)).toEqual([1, 1, 2]);
+    expect(untimed.report.interval).toBeNull();
+  });
+  
+  it('rejects unknown repair modes', () => {
+    expect(() => new TimeSeriesValidator({ missing: 'interpolate' })).toThrow('interpolate');
+    expect(() => new TimeSeriesValidator({ outliers: 'clip' })).toThrow('clip');
+  });
+});
+
+describe('combineQualityReports', () => {
+  it('averages source scores by weight and skips missing reports', () => {
+    const reports = { social: { score: 1 }, market: { score: 0.5 }, news: null };
+    
+    expect(combineQualityReports(reports)).toEqual({
+      score: 0.75,
+      sources: { social: { score: 1 }, market: { score: 0.5 } }
+    });
+    expect(combineQualityReports(reports, { social: 0.2, market: 0.8 }).score).toBe(0.6);
+    expect(combineQualityReports({ news: null })).toBeNull();
+  });
+});
\ No newline at end of file
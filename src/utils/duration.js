@@ -0,0 +1,199 @@
+const { InvalidTimeframeError } = require('../errors');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Unit lengths in milliseconds; months count as 30 days and years as 365
+ * Single-letter units are case-sensitive ('m' is minutes, 'M' months), longer names are not
+ */
+const UNITS = {
+  m: MINUTE_MS, min: MINUTE_MS, mins: MINUTE_MS, minute: MINUTE_MS, minutes: MINUTE_MS,
+  h: HOUR_MS, hr: HOUR_MS, hrs: HOUR_MS, hour: HOUR_MS, hours: HOUR_MS,
+  d: DAY_MS, day: DAY_MS, days: DAY_MS,
+  w: 7 * DAY_MS, wk: 7 * DAY_MS, wks: 7 * DAY_MS, week: 7 * DAY_MS, weeks: 7 * DAY_MS,
+  M: 30 * DAY_MS, mo: 30 * DAY_MS, mon: 30 * DAY_MS, month: 30 * DAY_MS, months: 30 * DAY_MS,
+  y: 365 * DAY_MS, yr: 365 * DAY_MS, yrs: 365 * DAY_MS, year: 365 * DAY_MS, years: 365 * DAY_MS
+};
+
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)\s*([a-zA-Z]+)$/;
+const ISO_NUMBER = '(\\d+(?:\\.\\d+)?)';
+const ISO_PATTERN = new RegExp(
+  `^P(?:${ISO_NUMBER}Y)?(?:${ISO_NUMBER}M)?(?:${ISO_NUMBER}W)?(?:${ISO_NUMBER}D)?` +
+  `(?:T(?:${ISO_NUMBER}H)?(?:${ISO_NUMBER}M)?(?:${ISO_NUMBER}S)?)?$`,
+  'i'
+);
+const ISO_UNITS = [UNITS.y, UNITS.M, UNITS.w, UNITS.d, UNITS.h, UNITS.m, 1000];
+
+// Candidate intraday intervals, largest first, and the points a default interval should yield
+const INTRADAY_INTERVALS = [HOUR_MS, 15 * MINUTE_MS, 5 * MINUTE_MS, MINUTE_MS];
+const MIN_POINTS = 12;
+
+/**
+ * Parse a duration into milliseconds
+ * Accepts '<number><unit>' strings ('15min', '4h', '1.5d', '2w', '1M', '1y') and ISO-8601
+ * durations ('PT15M', 'P1W', 'P1DT12H')
+ * @param {string} value - Duration
+ * @returns {number} - Duration in milliseconds
+ * @throws {InvalidTimeframeError} - If the duration cannot be parsed or is not positive
+ */
+function parseDuration(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  let ms = NaN;
+  
+  const match = text.match(DURATION_PATTERN);
+  const iso = !match && text.match(ISO_PATTERN);
+  if (match) {
+    const [, amount, unit] = match;
+    const unitMs = UNITS[unit] || (unit.toLowerCase() !== 'm' && UNITS[unit.toLowerCase()]);
+    if (unitMs) ms = parseFloat(amount) * unitMs;
+  } else if (iso && /\d/.test(text) && !/T$/i.test(text)) {
+    ms = iso.slice(1).reduce((sum, amount, i) => sum + (amount ? parseFloat(amount) * ISO_UNITS[i] : 0), 0);
+  }
+  
+  if (!(ms > 0)) {
+    throw new InvalidTimeframeError(
+      `Invalid duration: ${JSON.stringify(value)} (expected e.g. '15min', '4h', '7d', '1M' or 'P1DT12H')`,
+      { value }
+    );
+  }
+  return ms;
+}
+
+/**
+ * Parse a duration into days
+ * @param {string} value - Duration
+ * @returns {number} - Duration in days (fractional for intraday durations)
+ * @throws {InvalidTimeframeError} - If the duration cannot be parsed
+ */
+function durationToDays(value) {
+  return parseDuration(value) / DAY_MS;
+}
+
+/**
+ * Format a duration as a data interval ('5m', '4h', '1d', ...)
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Interval in the largest of days, hours or minutes that divides it evenly
+ * @throws {InvalidTimeframeError} - If the duration is not a whole number of minutes
+ */
+function formatInterval(ms) {
+  if (!(ms >= MINUTE_MS) || ms % MINUTE_MS !== 0) {
+    throw new InvalidTimeframeError(`Intervals must be a whole number of minutes, got ${ms}ms`, { ms });
+  }
+  
+  if (ms % DAY_MS === 0) return `${ms / DAY_MS}d`;
+  if (ms % HOUR_MS === 0) return `${ms / HOUR_MS}h`;
+  return `${ms / MINUTE_MS}m`;
+}
+
+/**
+ * Normalize a data interval to the form passed to data providers
+ * @param {string} value - Interval (e.g. '15min', '60m', 'PT4H', '1d')
+ * @returns {string} - Normalized interval (e.g. '15m', '1h', '4h', '1d')
+ * @throws {InvalidTimeframeError} - If the interval cannot be parsed
+ */
+function normalizeInterval(value) {
+  return formatInterval(parseDuration(value));
+}
+
+/**
+ * Parse a point in time
+ * @private
+ * @param {Date|number|string} value - Date, timestamp (seconds below 1e12, else milliseconds) or date string
+ * @returns {number} - Timestamp in milliseconds, or NaN if invalid
+ */
+function toTimestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  if (typeof value === 'string' && value.trim()) return Date.parse(value);
+  return NaN;
+}
+
+/**
+ * Parse a timeframe
+ * A timeframe is either a duration ending now ('4h', '7d', 'P1M') or an explicit range, given
+ * as { from, to } (to defaults to now) or an ISO-8601 '<start>/<end>' string
+ * @param {string|Object} timeframe - Timeframe
+ * @param {Object} [options] - Parse options
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} - { label, ms, days, from, to, interval }: a label usable in cache keys, the
+ *   covered length, the lookback in days needed to reach its start, the range bounds in milliseconds
+ *   (null for durations) and a default data interval
+ * @throws {InvalidTimeframeError} - If the timeframe cannot be parsed
+ */
+function parseTimeframe(timeframe, options = {}) {
+  const now = options.now !== undefined ? options.now : Date.now();
+  
+  let bounds = null;
+  if (timeframe && typeof timeframe === 'object') {
+    bounds = timeframe;
+  } else if (typeof timeframe === 'string' && timeframe.includes('/')) {
+    const [from, to] = timeframe.split('/');
+    bounds = { from, to };
+  }
+  
+  if (!bounds) {
+    const ms = parseDuration(timeframe);
+    return { label: timeframe.trim(), ms, days: ms / DAY_MS, from: null, to: null, interval: defaultInterval(ms) };
+  }
+  
+  const from = toTimestamp(bounds.from);
+  const to = bounds.to === undefined || bounds.to === null ? now : toTimestamp(bounds.to);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    throw new InvalidTimeframeError(
+      `Invalid time range: from ${JSON.stringify(bounds.from)} to ${JSON.stringify(bounds.to)}`,
+      { from: bounds.from, to: bounds.to }
+    );
+  }
+  
+  return {
+    label: `${new Date(from).toISOString()}/${new Date(to).toISOString()}`,
+    ms: to - from,
+    days: Math.max(to, now) > from ? (Math.max(to, now) - from) / DAY_MS : 0,
+    from,
+    to,
+    interval: defaultInterval(to - from)
+  };
+}
+
+/**
+ * Choose a default data interval for a timeframe length
+ * Timeframes of a day or more use daily data; shorter ones use the largest intraday interval
+ * that still yields a dozen points
+ * @param {number} ms - Timeframe length in milliseconds
+ * @returns {string} - Data interval
+ */
+function defaultInterval(ms) {
+  if (ms >= DAY_MS) return '1d';
+  
+  const step = INTRADAY_INTERVALS.find(candidate => ms / candidate >= MIN_POINTS) || MINUTE_MS;
+  return formatInterval(step);
+}
+
+/**
+ * Restrict a time series to an explicit range
+ * Series fetched for a duration are returned unchanged, as are points without a timestamp
+ * @param {Array<Object>} series - Time series points with a `time` field (seconds or milliseconds)
+ * @param {Object} range - Parsed timeframe
+ * @param {number} [lookback=0] - Extra milliseconds to keep before the range start (e.g. for trailing windows)
+ * @returns {Array<Object>} - Points within the range
+ */
+function selectRange(series, range, lookback = 0) {
+  if (!Array.isArray(series) || range.from === null) return series;
+  
+  return series.filter(point => {
+    const time = point && typeof point.time === 'number' ? toTimestamp(point.time) : NaN;
+    return !Number.isFinite(time) || (time >= range.from - lookback && time <= range.to);
+  });
+}
+
+module.exports = {
+  parseDuration,
+  durationToDays,
+  formatInterval,
+  normalizeInterval,
+  parseTimeframe,
+  defaultInterval,
+  selectRange
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+const {
+  parseDuration,
+  durationToDays,
+  formatInterval,
+  normalizeInterval,
+  parseTimeframe,
+  defaultInterval,
+  selectRange
+} = require('./duration');
+const { InvalidTimeframeError } = require('../errors');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('duration', () => {
+  describe('parseDuration', () => {
+    it('parses every unit and its spellings', () => {
+      expect(parseDuration('15min')).toBe(15 * MINUTE);
+      expect(parseDuration('4h')).toBe(4 * HOUR);
+      expect(parseDuration('3 hours')).toBe(3 * HOUR);
+      expect(parseDuration('1.5d')).toBe(36 * HOUR);
+      expect(parseDuration('2w')).toBe(14 * DAY);
+      expect(parseDuration('6 Months')).toBe(180 * DAY);
+      expect(parseDuration('1y')).toBe(365 * DAY);
+      expect(parseDuration(' 7d ')).toBe(7 * DAY);
+    });
+    
+    it('reads m as minutes and M as months', () => {
+      expect(parseDuration('15m')).toBe(15 * MINUTE);
+      expect(parseDuration('1M')).toBe(30 * DAY);
+      expect(parseDuration('4H')).toBe(4 * HOUR);
+    });
+    
+    it('parses ISO-8601 durations', () => {
+      expect(parseDuration('PT15M')).toBe(15 * MINUTE);
+      expect(parseDuration('P1M')).toBe(30 * DAY);
+      expect(parseDuration('p1w')).toBe(7 * DAY);
+      expect(parseDuration('P1DT12H')).toBe(36 * HOUR);
+      expect(parseDuration('PT1H30M10S')).toBe(HOUR + 30 * MINUTE + 10000);
+    });
+    
+    it('rejects malformed, unknown and non-positive durations', () => {
+      for (const value of ['', '7', 'abc', '5 fortnights', '0d', '-1d', 'P', 'PT', 'P1DT', '1d2h', null, 7]) {
+        expect(() => parseDuration(value)).toThrow(InvalidTimeframeError);
+      }
+      expect(() => parseDuration('15mins ago')).toThrow(expect.objectContaining({
+        code: 'INVALID_TIMEFRAME',
+        message: expect.stringContaining('"15mins ago"'),
+        details: { value: '15mins ago' }
+      }));
+    });
+    
+    it('converts durations to days', () => {
+      expect(durationToDays('12h')).toBe(0.5);
+      expect(durationToDays('P1W')).toBe(7);
+    });
+  });
+  
+  describe('intervals', () => {
+    it('formats intervals in the largest unit that divides them', () => {
+      expect(formatInterval(DAY)).toBe('1d');
+      expect(formatInterval(36 * HOUR)).toBe('36h');
+      expect(formatInterval(90 * MINUTE)).toBe('90m');
+    });
+    
+    it('normalizes intervals for data providers', () => {
+      expect(normalizeInterval('60m')).toBe('1h');
+      expect(normalizeInterval('15min')).toBe('15m');
+      expect(normalizeInterval('PT4H')).toBe('4h');
+      expect(normalizeInterval('1w')).toBe('7d');
+    });
+    
+    it('rejects intervals that are not whole minutes', () => {
+      expect(() => normalizeInterval('PT30S')).toThrow(InvalidTimeframeError);
+      expect(() => formatInterval(1.5 * MINUTE)).toThrow('whole number of minutes');
+    });
+    
+    it('picks the largest default interval that yields a dozen points', () => {
+      expect(defaultInterval(7 * DAY)).toBe('1d');
+      expect(defaultInterval(DAY)).toBe('1d');
+      expect(defaultInterval(12 * HOUR)).toBe('1h');
+      expect(defaultInterval(4 * HOUR)).toBe('15m');
+      expect(defaultInterval(HOUR)).toBe('5m');
+      expect(defaultInterval(5 * MINUTE)).toBe('1m');
+    });
+  });
+  
+  describe('parseTimeframe', () => {
+    const now = Date.parse('2024-01-10T00:00:00Z');
+    
+    it('parses durations ending now', () => {
+      expect(parseTimeframe(' 4h ', { now })).toEqual({
+        label: '4h', ms: 4 * HOUR, days: 4 / 24, from: null, to: null, interval: '15m'
+      });
+      expect(parseTimeframe('P1M', { now })).toMatchObject({ days: 30, interval: '1d' });
+    });
+    
+    it('parses ISO-8601 ranges and looks back far enough to reach their start', () => {
+      const range = parseTimeframe('2024-01-01T00:00:00Z/2024-01-08T00:00:00Z', { now });
+      
+      expect(range).toEqual({
+        label: '2024-01-01T00:00:00.000Z/2024-01-08T00:00:00.000Z',
+        ms: 7 * DAY,
+        days: 9,
+        from: Date.parse('2024-01-01T00:00:00Z'),
+        to: Date.parse('2024-01-08T00:00:00Z'),
+        interval: '1d'
+      });
+    });
+    
+    it('accepts { from, to } with dates, second and millisecond timestamps, ending now by default', () => {
+      const range = parseTimeframe({ from: (now - 6 * HOUR) / 1000 }, { now });
+      
+      expect(range).toMatchObject({ from: now - 6 * HOUR, to: now, ms: 6 * HOUR, days: 0.25, interval: '15m' });
+      expect(parseTimeframe({ from: new Date(now - DAY), to: now }, { now })).toMatchObject({ ms: DAY, days: 1 });
+    });
+    
+    it('rejects empty, reversed and unparseable ranges', () => {
+      expect(() => parseTimeframe({ from: now, to: now - DAY }, { now })).toThrow(InvalidTimeframeError);
+      expect(() => parseTimeframe({ from: now, to: now }, { now })).toThrow('Invalid time range');
+      expect(() => parseTimeframe('yesterday/today', { now })).toThrow(InvalidTimeframeError);
+      expect(() => parseTimeframe({ to: now }, { now })).toThrow(expect.objectContaining({
+        details: { from: undefined, to: now }
+      }));
+      expect(() => parseTimeframe(undefined, { now })).toThrow(InvalidTimeframeError);
+    });
+  });
+  
+  describe('selectRange', () => {
+    const start = Date.parse('2024-01-01T00:00:00Z');
+    const series = [
+      { time: start / 1000 - 3600, value: 1 },
+      { time: start / 1000, value: 2 },
+      { time: start + HOUR, value: 3 },
+      { value: 4 },
+      { time: start / 1000 + 7200, value: 5 }
+    ];
+    
+    it('returns series fetched for a duration unchanged', () => {
+      expect(selectRange(series, parseTimeframe('7d'))).toBe(series);
+      expect(selectRange(null, { from: 0, to: 1 })).toBeNull();
+    });
+    
+    it('keeps points in the range, plus the lookback and untimed points', () => {
+      const range = { from: start, to: start + HOUR };
+      
+      expect(selectRange(series, range).map(point => point.value)).toEqual([2, 3, 4]);
+      expect(selectRange(series, range, HOUR).map(point => point.value)).toEqual([1, 2, 3, 4]);
+    });
+  });
+});
\ No newline at end of file
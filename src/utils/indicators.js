@@ -0,0 +1,187 @@
+const { leastSquares } = require('./statistics');
+
+/**
+ * Default indicator periods, counted in series points
+ */
+const DEFAULT_PERIODS = {
+  fast: 12,
+  slow: 26,
+  signal: 9,
+  rsi: 14
+};
+
+/**
+ * Percentage rate of change between the latest value and the value `period` points earlier
+ * @param {Array<number>} values - Series values (oldest first)
+ * @param {number} [period] - Lookback in points (defaults to the whole series)
+ * @returns {number|null} - Rate of change in percent, or null if it cannot be computed
+ */
+function rateOfChange(values, period = values.length - 1) {
+  if (period < 1 || values.length <= period) return null;
+  
+  const base = values[values.length - 1 - period];
+  if (base === 0) return null;
+  
+  // Divide by the magnitude of the base so negative values keep their direction
+  return (values[values.length - 1] - base) / Math.abs(base) * 100;
+}
+
+/**
+ * Exponential moving average, seeded with the first value
+ * @param {Array<number>} values - Series values (oldest first)
+ * @param {number} period - Smoothing period in points
+ * @returns {Array<number>} - Moving average for every point
+ */
+function exponentialMovingAverage(values, period) {
+  const alpha = 2 / (period + 1);
+  const averages = [];
+  
+  values.forEach((value, i) => {
+    averages.push(i === 0 ? value : alpha * value + (1 - alpha) * averages[i - 1]);
+  });
+  
+  return averages;
+}
+
+/**
+ * MACD-style crossover of a fast and a slow exponential moving average
+ * @param {Array<number>} values - Series values (oldest first)
+ * @param {Object} [options] - Indicator periods
+ * @param {number} [options.fast=12] - Fast EMA period
+ * @param {number} [options.slow=26] - Slow EMA period
+ * @param {number} [options.signal=9] - Signal line EMA period
+ * @returns {Object|null} - { fast, slow, macd, signal, histogram, crossover, pointsSinceCrossover },
+ *   or null for fewer than two values
+ */
+function macd(values, options = {}) {
+  if (values.length < 2) return null;
+  
+  const { fast, slow, signal } = { ...DEFAULT_PERIODS, ...options };
+  const fastEma = exponentialMovingAverage(values, fast);
+  const slowEma = exponentialMovingAverage(values, slow);
+  const line = fastEma.map((value, i) => value - slowEma[i]);
+  const signalLine = exponentialMovingAverage(line, signal);
+  const histogram = line.map((value, i) => value - signalLine[i]);
+  
+  // Most recent point where the MACD line crossed its signal line; both start at the first
+  // value, so moving away from the seed point is not a crossover
+  let crossover = 'none';
+  let pointsSinceCrossover = null;
+  for (let i = histogram.length - 1; i > 1; i--) {
+    if (Math.sign(histogram[i]) !== Math.sign(histogram[i - 1]) && histogram[i] !== 0) {
+      crossover = histogram[i] > 0 ? 'bullish' : 'bearish';
+      pointsSinceCrossover = histogram.length - 1 - i;
+      break;
+    }
+  }
+  
+  const last = values.length - 1;
+  return {
+    fast: fastEma[last],
+    slow: slowEma[last],
+    macd: line[last],
+    signal: signalLine[last],
+    histogram: histogram[last],
+    crossover,
+    pointsSinceCrossover
+  };
+}
+
+/**
+ * RSI-style oscillator using Wilder's smoothing of average gains and losses
+ * Shorter series use every available change
+ * @param {Array<number>} values - Series values (oldest first)
+ * @param {number} [period=14] - Smoothing period in points
+ * @returns {number|null} - Oscillator value (0-100), or null for fewer than two values
+ */
+function relativeStrengthIndex(values, period = DEFAULT_PERIODS.rsi) {
+  if (values.length < 2) return null;
+  
+  const changes = values.slice(1).map((value, i) => value - values[i]);
+  const seed = Math.min(period, changes.length);
+  
+  let averageGain = changes.slice(0, seed).reduce((sum, c) => sum + Math.max(c, 0), 0) / seed;
+  let averageLoss = changes.slice(0, seed).reduce((sum, c) => sum + Math.max(-c, 0), 0) / seed;
+  for (let i = seed; i < changes.length; i++) {
+    averageGain = (averageGain * (period - 1) + Math.max(changes[i], 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-changes[i], 0)) / period;
+  }
+  
+  if (averageGain === 0 && averageLoss === 0) return 50;
+  if (averageLoss === 0) return 100;
+  return 100 - 100 / (1 + averageGain / averageLoss);
+}
+
+/**
+ * Fit a straight line to a series against its point index
+ * @param {Array<number>} values - Series values (oldest first)
+ * @returns {Object|null} - { slope, intercept, rSquared }, or null for fewer than two values
+ */
+function linearRegression(values) {
+  if (values.length < 2) return null;
+  
+  const fit = leastSquares(values.map((_, i) => [1, i]), values);
+  if (!fit) return null;
+  
+  const [intercept, slope] = fit.coefficients;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const totalSumOfSquares = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0);
+  
+  return {
+    slope,
+    intercept,
+    // A flat series is fitted exactly by a flat line
+    rSquared: totalSumOfSquares > 0 ? Math.max(0, 1 - fit.residualSumOfSquares / totalSumOfSquares) : 1
+  };
+}
+
+/**
+ * Acceleration of a series: the second derivative of a least-squares quadratic fit
+ * Positive values mean the series is speeding up (or falling more slowly)
+ * @param {Array<number>} values - Series values (oldest first)
+ * @returns {number|null} - Change in slope per point, or null for fewer than three values
+ */
+function acceleration(values) {
+  if (values.length < 3) return null;
+  
+  const fit = leastSquares(values.map((_, i) => [1, i, i * i]), values);
+  return fit ? 2 * fit.coefficients[2] : null;
+}
+
+/**
+ * Compute the numeric momentum indicator suite for a series
+ * Magnitudes are in the series' own units per point (score points for sentiment, price for market)
+ * @param {Array<number>} values - Series values (oldest first)
+ * @param {Object} [options] - Indicator periods
+ * @param {number} [options.fast=12] - Fast EMA period
+ * @param {number} [options.slow=26] - Slow EMA period
+ * @param {number} [options.signal=9] - Signal line EMA period
+ * @param {number} [options.rsi=14] - Oscillator period
+ * @returns {Object} - { points, rateOfChange, slope, rSquared, acceleration, rsi, macd }
+ */
+function calculateIndicators(values, options = {}) {
+  const series = (values || []).filter(v => typeof v === 'number' && Number.isFinite(v));
+  const periods = { ...DEFAULT_PERIODS, ...options };
+  const regression = linearRegression(series);
+  
+  return {
+    points: series.length,
+    rateOfChange: rateOfChange(series),
+    slope: regression ? regression.slope : null,
+    rSquared: regression ? regression.rSquared : null,
+    acceleration: acceleration(series),
+    rsi: relativeStrengthIndex(series, periods.rsi),
+    macd: macd(series, periods)
+  };
+}
+
+module.exports = {
+  DEFAULT_PERIODS,
+  rateOfChange,
+  exponentialMovingAverage,
+  macd,
+  relativeStrengthIndex,
+  linearRegression,
+  acceleration,
+  calculateIndicators
+};
\ No newline at end of file
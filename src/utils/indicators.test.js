@@ -0,0 +1,130 @@
+const {
+  rateOfChange,
+  exponentialMovingAverage,
+  macd,
+  relativeStrengthIndex,
+  linearRegression,
+  acceleration,
+  calculateIndicators
+} = require('./indicators');
+
+// Closes and RSI(14) values from Wilder's worked example as published by StockCharts,
+// which rounds its intermediate averages to two decimals
+const WILDER_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+  46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+  43.42, 42.66, 43.13
+];
+const WILDER_RSI = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46, 41.87,
+  45.46, 37.30, 33.08, 37.77
+];
+
+describe('indicators', () => {
+  describe('rateOfChange', () => {
+    it('measures the percentage change over the whole series or a trailing period', () => {
+      expect(rateOfChange([100, 110, 99])).toBeCloseTo(-1, 10);
+      expect(rateOfChange([100, 110, 99], 1)).toBeCloseTo(-10, 10);
+      expect(rateOfChange([-10, -5])).toBeCloseTo(50, 10);
+    });
+    
+    it('is null without a usable base', () => {
+      expect(rateOfChange([0, 5])).toBeNull();
+      expect(rateOfChange([5])).toBeNull();
+      expect(rateOfChange([1, 2], 3)).toBeNull();
+    });
+  });
+  
+  describe('exponentialMovingAverage', () => {
+    it('seeds with the first value and smooths with 2 / (period + 1)', () => {
+      expect(exponentialMovingAverage([1, 2, 3], 3)).toEqual([1, 1.5, 2.25]);
+      expect(exponentialMovingAverage([4, 8], 1)).toEqual([4, 8]);
+      expect(exponentialMovingAverage([], 3)).toEqual([]);
+    });
+  });
+  
+  describe('macd', () => {
+    it('computes the MACD line, signal line and histogram', () => {
+      // fast EMA = values, slow EMA = [10, 11, 11], line = [0, 1, 0], signal = [0, 0.5, 0.25]
+      expect(macd([10, 12, 11], { fast: 1, slow: 3, signal: 3 })).toEqual({
+        fast: 11,
+        slow: 11,
+        macd: 0,
+        signal: 0.25,
+        histogram: -0.25,
+        crossover: 'bearish',
+        pointsSinceCrossover: 0
+      });
+    });
+    
+    it('dates the latest crossover and ignores moving away from the seed point', () => {
+      const falling = Array.from({ length: 20 }, (_, i) => 100 - i);
+      const reversal = [...falling, 90, 95, 100, 104, 107];
+      
+      expect(macd(falling).crossover).toBe('none');
+      expect(macd(falling).macd).toBeLessThan(0);
+      expect(macd(reversal)).toMatchObject({ crossover: 'bullish' });
+      expect(macd(reversal).pointsSinceCrossover).toBeLessThan(5);
+      expect(macd([...reversal, 107, 107]).pointsSinceCrossover).toBe(macd(reversal).pointsSinceCrossover + 2);
+    });
+    
+    it('is flat for constant values and null for fewer than two', () => {
+      expect(macd([5, 5, 5, 5])).toMatchObject({ macd: 0, signal: 0, histogram: 0, crossover: 'none' });
+      expect(macd([5])).toBeNull();
+    });
+  });
+  
+  describe('relativeStrengthIndex', () => {
+    it("matches Wilder's worked example", () => {
+      WILDER_RSI.forEach((expected, i) => {
+        const rsi = relativeStrengthIndex(WILDER_CLOSES.slice(0, 15 + i));
+        expect(Math.abs(rsi - expected)).toBeLessThan(0.1);
+      });
+    });
+    
+    it('seeds with the changes available when the series is shorter than the period', () => {
+      // gains 2 + 2, loss 1 over three changes: RS = 4 / 1
+      expect(relativeStrengthIndex([10, 12, 11, 13])).toBeCloseTo(80, 10);
+    });
+    
+    it('is 100 without losses, 50 when flat and null for fewer than two values', () => {
+      expect(relativeStrengthIndex([1, 2, 3, 4])).toBe(100);
+      expect(relativeStrengthIndex([3, 3, 3])).toBe(50);
+      expect(relativeStrengthIndex([3])).toBeNull();
+    });
+  });
+  
+  describe('linearRegression', () => {
+    it('fits the slope per point and how much of the variance it explains', () => {
+      expect(linearRegression([1, 3, 5, 7])).toEqual({ slope: 2, intercept: 1, rSquared: 1 });
+      expect(linearRegression([1, 3, 2])).toEqual({ slope: 0.5, intercept: 1.5, rSquared: 0.25 });
+      expect(linearRegression([4, 4, 4])).toEqual({ slope: 0, intercept: 4, rSquared: 1 });
+      expect(linearRegression([4])).toBeNull();
+    });
+  });
+  
+  describe('acceleration', () => {
+    it('is the second derivative of the fitted parabola', () => {
+      expect(acceleration([0, 1, 4, 9, 16])).toBeCloseTo(2, 10);
+      expect(acceleration([9, 7, 5, 3])).toBeCloseTo(0, 10);
+      expect(acceleration([1, 2])).toBeNull();
+    });
+  });
+  
+  describe('calculateIndicators', () => {
+    it('summarizes the finite values of a series', () => {
+      const values = [10, null, 12, NaN, 11, 13, undefined, 'x'];
+      
+      expect(calculateIndicators(values)).toEqual({
+        points: 4,
+        rateOfChange: 30,
+        slope: linearRegression([10, 12, 11, 13]).slope,
+        rSquared: linearRegression([10, 12, 11, 13]).rSquared,
+        acceleration: acceleration([10, 12, 11, 13]),
+        rsi: relativeStrengthIndex([10, 12, 11, 13]),
+        macd: macd([10, 12, 11, 13])
+      });
+      expect(calculateIndicators(null)).toMatchObject({ points: 0, slope: null, rsi: null, macd: null });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Token-bucket rate limiter
+ * Tokens refill continuously at `rate` per second up to `capacity`; callers wait for a token
+ * and are served in the order they asked.
+ */
+class TokenBucket {
+  /**
+   * Create a new token bucket
+   * @param {Object} options - Limiter options
+   * @param {number} options.rate - Tokens added per second
+   * @param {number} [options.capacity] - Maximum burst size (defaults to rate, at least 1)
+   */
+  constructor(options = {}) {
+    if (!(options.rate > 0)) {
+      throw new Error(`Rate limiter requires a positive rate, got ${options.rate}`);
+    }
+    
+    this.rate = options.rate;
+    this.capacity = Math.max(1, options.capacity || options.rate);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.pending = Promise.resolve();
+  }
+  
+  /**
+   * Wait until a token is available and take it
+   * @returns {Promise<void>} - Resolves once the caller may proceed
+   */
+  acquire() {
+    // Chain acquisitions so waiting callers are served first come, first served
+    const acquisition = this.pending.then(() => this._take());
+    this.pending = acquisition;
+    return acquisition;
+  }
+  
+  /**
+   * Take a token, sleeping until one has refilled if necessary
+   * @private
+   * @returns {Promise<void>} - Resolves once a token was taken
+   */
+  async _take() {
+    this._refill();
+    
+    if (this.tokens < 1) {
+      const waitMs = Math.ceil((1 - this.tokens) / this.rate * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      this._refill();
+    }
+    
+    this.tokens = Math.max(0, this.tokens - 1);
+  }
+  
+  /**
+   * Add the tokens accrued since the last update
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+  }
+}
+
+module.exports = { TokenBucket };
\ No newline at end of file
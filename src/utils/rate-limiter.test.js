@@ -0,0 +1,80 @@
+const { TokenBucket } = require('./rate-limiter');
+
+/**
+ * Record when a promise settles
+ */
+function track(promise) {
+  const state = { done: false };
+  promise.then(() => {
+    state.done = true;
+  });
+  return state;
+}
+
+describe('TokenBucket', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('serves a full burst immediately', async () => {
+    const bucket = new TokenBucket({ rate: 2, capacity: 3 });
+    const burst = [bucket.acquire(), bucket.acquire(), bucket.acquire()].map(track);
+    
+    await jest.advanceTimersByTimeAsync(0);
+    expect(burst.every(state => state.done)).toBe(true);
+  });
+  
+  it('makes callers wait for tokens to refill at the configured rate', async () => {
+    const bucket = new TokenBucket({ rate: 2 });
+    await bucket.acquire();
+    await bucket.acquire();
+    
+    const third = track(bucket.acquire());
+    const fourth = track(bucket.acquire());
+    
+    await jest.advanceTimersByTimeAsync(499);
+    expect(third.done).toBe(false);
+    
+    await jest.advanceTimersByTimeAsync(1);
+    expect(third.done).toBe(true);
+    expect(fourth.done).toBe(false);
+    
+    await jest.advanceTimersByTimeAsync(500);
+    expect(fourth.done).toBe(true);
+  });
+  
+  it('refills no further than its capacity while idle', async () => {
+    const bucket = new TokenBucket({ rate: 1, capacity: 2 });
+    await bucket.acquire();
+    await bucket.acquire();
+    await jest.advanceTimersByTimeAsync(10000);
+    
+    const acquisitions = [bucket.acquire(), bucket.acquire(), bucket.acquire()].map(track);
+    
+    await jest.advanceTimersByTimeAsync(0);
+    expect(acquisitions.map(state => state.done)).toEqual([true, true, false]);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(acquisitions[2].done).toBe(true);
+  });
+  
+  it('serves waiting callers in the order they asked', async () => {
+    const bucket = new TokenBucket({ rate: 10, capacity: 1 });
+    const order = [];
+    const acquisitions = [1, 2, 3, 4].map(n => bucket.acquire().then(() => order.push(n)));
+    
+    await jest.advanceTimersByTimeAsync(300);
+    await Promise.all(acquisitions);
+    expect(order).toEqual([1, 2, 3, 4]);
+  });
+  
+  it('requires a positive rate and holds at least one token', () => {
+    expect(() => new TokenBucket({ rate: 0 })).toThrow('positive rate, got 0');
+    expect(() => new TokenBucket()).toThrow('positive rate');
+    expect(new TokenBucket({ rate: 0.5 }).capacity).toBe(1);
+  });
+});
\ No newline at end of file
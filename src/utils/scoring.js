@@ -21,9 +21,12 @@ function calculateTrend(values, options = {}) {
   const olderValues = values.slice(values.length - recentCount);
   const olderAvg = olderValues.reduce((sum, val) => sum + val, 0) / recentCount;
   
-  // Calculate percent change
-  if (olderAvg === 0) return 'stable';
-  const percentChange = (recentAvg - olderAvg) / olderAvg;
+  // From a zero baseline any move is a trend; otherwise compare the change with the
+  // magnitude of the baseline so negative values keep their direction
+  if (olderAvg === 0) {
+    return recentAvg > 0 ? 'rising' : recentAvg < 0 ? 'falling' : 'stable';
+  }
+  const percentChange = (recentAvg - olderAvg) / Math.abs(olderAvg);
   
   // Determine trend direction
   if (percentChange > threshold) {
@@ -0,0 +1,495 @@
+/**
+ * Calculate the arithmetic mean of an array
+ * @param {Array<number>} values - Array of values
+ * @returns {number} - Mean (0 for an empty array)
+ */
+function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, val) => sum + val, 0) / values.length;
+}
+
+/**
+ * Calculate standard deviation of an array
+ * @param {Array<number>} values - Array of values
+ * @returns {number} - Population standard deviation
+ */
+function standardDeviation(values) {
+  const n = values.length;
+  if (n === 0) return 0;
+  
+  const avg = mean(values);
+  const squaredDiffs = values.map(val => Math.pow(val - avg, 2));
+  const variance = squaredDiffs.reduce((sum, val) => sum + val, 0) / n;
+  
+  return Math.sqrt(variance);
+}
+
+/**
+ * Calculate the median of an array
+ * @param {Array<number>} values - Array of values
+ * @returns {number} - Median (0 for an empty array)
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Calculate the median absolute deviation of an array
+ * @param {Array<number>} values - Array of values
+ * @returns {number} - Median absolute deviation from the median
+ */
+function medianAbsoluteDeviation(values) {
+  const center = median(values);
+  return median(values.map(val => Math.abs(val - center)));
+}
+
+/**
+ * Calculate correlation between two arrays
+ * @param {Array<number>} xValues - First array
+ * @param {Array<number>} yValues - Second array
+ * @returns {number} - Pearson correlation coefficient (-1 to 1)
+ */
+function pearsonCorrelation(xValues, yValues) {
+  const n = Math.min(xValues.length, yValues.length);
+  if (n < 2) return 0;
+  
+  // Calculate means
+  const xMean = mean(xValues.slice(0, n));
+  const yMean = mean(yValues.slice(0, n));
+  
+  // Calculate sums for correlation formula
+  let numerator = 0;
+  let xVariance = 0;
+  let yVariance = 0;
+  
+  for (let i = 0; i < n; i++) {
+    const xDiff = xValues[i] - xMean;
+    const yDiff = yValues[i] - yMean;
+    
+    numerator += xDiff * yDiff;
+    xVariance += xDiff * xDiff;
+    yVariance += yDiff * yDiff;
+  }
+  
+  // Prevent division by zero
+  if (xVariance === 0 || yVariance === 0) return 0;
+  
+  return numerator / Math.sqrt(xVariance * yVariance);
+}
+
+/**
+ * Calculate simple percentage changes between consecutive values
+ * Pairs with a non-positive or missing base value are skipped
+ * @param {Array<number>} values - Time-ordered values (oldest first)
+ * @returns {Array<number>} - Percentage changes as fractions
+ */
+function percentChanges(values) {
+  const changes = [];
+  for (let i = 1; i < values.length; i++) {
+    if (values[i - 1] > 0 && typeof values[i] === 'number') {
+      changes.push(values[i] / values[i - 1] - 1);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Assign average ranks to values (ties share the mean of their ranks)
+ * @param {Array<number>} values - Array of values
+ * @returns {Array<number>} - Ranks starting at 1
+ */
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      ranks[order[k].index] = averageRank;
+    }
+    i = j + 1;
+  }
+  
+  return ranks;
+}
+
+/**
+ * Calculate Spearman rank correlation between two arrays
+ * @param {Array<number>} xValues - First array
+ * @param {Array<number>} yValues - Second array
+ * @returns {number} - Spearman correlation coefficient (-1 to 1)
+ */
+function spearmanCorrelation(xValues, yValues) {
+  const n = Math.min(xValues.length, yValues.length);
+  return pearsonCorrelation(rank(xValues.slice(0, n)), rank(yValues.slice(0, n)));
+}
+
+/**
+ * Calculate Kendall's tau-b rank correlation between two arrays
+ * @param {Array<number>} xValues - First array
+ * @param {Array<number>} yValues - Second array
+ * @returns {number} - Kendall correlation coefficient (-1 to 1)
+ */
+function kendallTau(xValues, yValues) {
+  const n = Math.min(xValues.length, yValues.length);
+  if (n < 2) return 0;
+  
+  let concordant = 0;
+  let discordant = 0;
+  let xTies = 0;
+  let yTies = 0;
+  
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const dx = Math.sign(xValues[i] - xValues[j]);
+      const dy = Math.sign(yValues[i] - yValues[j]);
+      
+      if (dx === 0 && dy === 0) continue;
+      if (dx === 0) xTies++;
+      else if (dy === 0) yTies++;
+      else if (dx === dy) concordant++;
+      else discordant++;
+    }
+  }
+  
+  const denominator = Math.sqrt((concordant + discordant + xTies) * (concordant + discordant + yTies));
+  return denominator === 0 ? 0 : (concordant - discordant) / denominator;
+}
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @private
+ * @param {number} x - Positive value
+ * @returns {number} - ln(Gamma(x))
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.180091729471, -86.505320329417, 24.014098240831,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.00000000019;
+  for (const c of coefficients) {
+    series += c / ++y;
+  }
+  
+  return -tmp + Math.log(2.506628274631 * series / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz's method)
+ * @private
+ * @param {number} x - Value in [0, 1]
+ * @param {number} a - Alpha parameter
+ * @param {number} b - Beta parameter
+ * @returns {number} - Continued fraction value
+ */
+function betaContinuedFraction(x, a, b) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+  
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    
+    // Even step
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    
+    // Odd step
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Value in [0, 1]
+ * @param {number} a - Alpha parameter
+ * @param {number} b - Beta parameter
+ * @returns {number} - I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  
+  // Use the symmetry relation where the continued fraction converges faster
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Two-sided p-value of a Student's t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} - P(|T| >= |t|)
+ */
+function tTestPValue(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  if (df <= 0) return 1;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Upper-tail p-value of an F statistic
+ * @param {number} f - F statistic
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number} - P(F' >= f)
+ */
+function fTestPValue(f, df1, df2) {
+  if (!(f > 0)) return 1;
+  if (!Number.isFinite(f)) return 0;
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z - z value
+ * @returns {number} - P(Z <= z)
+ */
+function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26 approximation of erf
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+    t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse of the standard normal cumulative distribution function (Acklam's algorithm)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} - z such that P(Z <= z) = p
+ */
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+  const low = 0.02425;
+  
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Test a correlation coefficient for significance
+ * Pearson and Spearman use a t-test on r; Kendall uses its normal approximation.
+ * Confidence intervals use the Fisher z-transform (with Fieller's standard errors for rank methods).
+ * @param {Array<number>} xValues - First array
+ * @param {Array<number>} yValues - Second array
+ * @param {Object} [options] - Test options
+ * @param {string} [options.method='pearson'] - 'pearson', 'spearman' or 'kendall'
+ * @param {number} [options.confidence=0.95] - Confidence level of the interval
+ * @returns {Object} - { method, coefficient, n, pValue, confidenceInterval }
+ */
+function correlationTest(xValues, yValues, options = {}) {
+  const method = options.method || 'pearson';
+  const confidence = options.confidence || 0.95;
+  const n = Math.min(xValues.length, yValues.length);
+  const x = xValues.slice(0, n);
+  const y = yValues.slice(0, n);
+  
+  let coefficient;
+  let pValue = null;
+  let standardError = null;
+  
+  switch (method) {
+    case 'pearson':
+    case 'spearman': {
+      coefficient = method === 'pearson' ? pearsonCorrelation(x, y) : spearmanCorrelation(x, y);
+      if (n > 2) {
+        const t = Math.abs(coefficient) >= 1
+          ? Infinity
+          : coefficient * Math.sqrt((n - 2) / (1 - coefficient * coefficient));
+        pValue = tTestPValue(t, n - 2);
+      }
+      if (n > 3) {
+        standardError = Math.sqrt((method === 'pearson' ? 1 : 1.06) / (n - 3));
+      }
+      break;
+    }
+    case 'kendall': {
+      coefficient = kendallTau(x, y);
+      if (n > 2) {
+        const z = 3 * coefficient * Math.sqrt(n * (n - 1)) / Math.sqrt(2 * (2 * n + 5));
+        pValue = 2 * (1 - normalCdf(Math.abs(z)));
+      }
+      if (n > 4) {
+        standardError = Math.sqrt(0.437 / (n - 4));
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown correlation method: ${method}`);
+  }
+  
+  let confidenceInterval = null;
+  if (standardError !== null) {
+    const clamped = Math.max(-0.999999, Math.min(0.999999, coefficient));
+    const z = Math.atanh(clamped);
+    const margin = normalQuantile(1 - (1 - confidence) / 2) * standardError;
+    confidenceInterval = {
+      lower: Math.tanh(z - margin),
+      upper: Math.tanh(z + margin),
+      level: confidence
+    };
+  }
+  
+  return {
+    method,
+    coefficient,
+    n,
+    pValue,
+    confidenceInterval
+  };
+}
+
+/**
+ * Solve a linear system with Gaussian elimination and partial pivoting
+ * @private
+ * @param {Array<Array<number>>} matrix - Square coefficient matrix (copied, not modified)
+ * @param {Array<number>} vector - Right-hand side
+ * @returns {Array<number>|null} - Solution, or null if the matrix is singular
+ */
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])), 1e-300);
+  
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < scale * 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+  
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= a[row][k] * solution[k];
+    }
+    solution[row] = sum / a[row][row];
+  }
+  
+  return solution;
+}
+
+/**
+ * Fit an ordinary least squares regression
+ * @param {Array<Array<number>>} rows - Regressor rows (include a 1 for the intercept)
+ * @param {Array<number>} y - Dependent values
+ * @returns {Object|null} - { coefficients, residualSumOfSquares }, or null if the regressors are collinear
+ */
+function leastSquares(rows, y) {
+  if (rows.length === 0) return null;
+  
+  const k = rows[0].length;
+  const xtx = Array.from({ length: k }, () => new Array(k).fill(0));
+  const xty = new Array(k).fill(0);
+  
+  rows.forEach((row, i) => {
+    for (let a = 0; a < k; a++) {
+      xty[a] += row[a] * y[i];
+      for (let b = 0; b < k; b++) {
+        xtx[a][b] += row[a] * row[b];
+      }
+    }
+  });
+  
+  const coefficients = solveLinearSystem(xtx, xty);
+  if (!coefficients) return null;
+  
+  const residualSumOfSquares = rows.reduce((sum, row, i) => {
+    const fitted = row.reduce((acc, value, j) => acc + value * coefficients[j], 0);
+    return sum + Math.pow(y[i] - fitted, 2);
+  }, 0);
+  
+  return { coefficients, residualSumOfSquares };
+}
+
+module.exports = {
+  mean,
+  standardDeviation,
+  median,
+  medianAbsoluteDeviation,
+  percentChanges,
+  rank,
+  pearsonCorrelation,
+  spearmanCorrelation,
+  kendallTau,
+  incompleteBeta,
+  tTestPValue,
+  fTestPValue,
+  normalCdf,
+  normalQuantile,
+  correlationTest,
+  leastSquares
+};
\ No newline at end of file
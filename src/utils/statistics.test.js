@@ -0,0 +1,182 @@
+const {
+  pearsonCorrelation,
+  spearmanCorrelation,
+  kendallTau,
+  rank,
+  incompleteBeta,
+  tTestPValue,
+  fTestPValue,
+  normalCdf,
+  normalQuantile,
+  correlationTest,
+  leastSquares
+} = require('./statistics');
+
+describe('statistics', () => {
+  describe('incompleteBeta', () => {
+    it('matches closed forms', () => {
+      // I_x(1, 1) = x, I_x(a, 1) = x^a and I_x(2, 3) is a binomial tail
+      expect(incompleteBeta(0.3, 1, 1)).toBeCloseTo(0.3, 10);
+      expect(incompleteBeta(0.6, 3, 1)).toBeCloseTo(0.216, 10);
+      expect(incompleteBeta(0.3, 2, 3)).toBeCloseTo(0.3483, 10);
+      expect(incompleteBeta(0.8, 2, 3)).toBeCloseTo(0.9728, 10);
+    });
+    
+    it('is symmetric and bounded', () => {
+      expect(incompleteBeta(0.5, 7.5, 7.5)).toBeCloseTo(0.5, 10);
+      expect(incompleteBeta(0.2, 4, 9) + incompleteBeta(0.8, 9, 4)).toBeCloseTo(1, 10);
+      expect(incompleteBeta(0, 2, 3)).toBe(0);
+      expect(incompleteBeta(-1, 2, 3)).toBe(0);
+      expect(incompleteBeta(1, 2, 3)).toBe(1);
+    });
+  });
+  
+  describe('tTestPValue', () => {
+    it('matches Student t tables', () => {
+      expect(tTestPValue(2.228, 10)).toBeCloseTo(0.05, 4);
+      expect(tTestPValue(-2.228, 10)).toBeCloseTo(0.05, 4);
+      expect(tTestPValue(2.576, 1e6)).toBeCloseTo(0.01, 4);
+    });
+    
+    it('matches closed forms for one and two degrees of freedom', () => {
+      // df = 1 is the Cauchy distribution; df = 2 has P = 1 - t / sqrt(2 + t^2)
+      expect(tTestPValue(1, 1)).toBeCloseTo(0.5, 10);
+      expect(tTestPValue(2, 2)).toBeCloseTo(1 - 2 / Math.sqrt(6), 10);
+    });
+    
+    it('handles degenerate statistics', () => {
+      expect(tTestPValue(0, 5)).toBe(1);
+      expect(tTestPValue(Infinity, 5)).toBe(0);
+      expect(tTestPValue(3, 0)).toBe(1);
+    });
+  });
+  
+  describe('fTestPValue', () => {
+    it('matches closed forms', () => {
+      // F(1, df) is t squared; F(2, df) has P = (df / (df + 2f))^(df / 2)
+      expect(fTestPValue(4, 1, 2)).toBeCloseTo(tTestPValue(2, 2), 10);
+      expect(fTestPValue(3, 2, 10)).toBeCloseTo(Math.pow(10 / 16, 5), 10);
+    });
+    
+    it('matches F tables', () => {
+      expect(fTestPValue(3.33, 5, 10)).toBeCloseTo(0.05, 3);
+      expect(fTestPValue(5.64, 5, 10)).toBeCloseTo(0.01, 3);
+    });
+    
+    it('handles degenerate statistics', () => {
+      expect(fTestPValue(0, 2, 10)).toBe(1);
+      expect(fTestPValue(-1, 2, 10)).toBe(1);
+      expect(fTestPValue(NaN, 2, 10)).toBe(1);
+      expect(fTestPValue(Infinity, 2, 10)).toBe(0);
+    });
+  });
+  
+  describe('normal distribution', () => {
+    it('computes the cumulative distribution and its inverse', () => {
+      expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+      expect(normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+      expect(normalCdf(-1.644854)).toBeCloseTo(0.05, 6);
+      expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+      expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 5);
+      expect(normalQuantile(0.5)).toBeCloseTo(0, 10);
+      expect(normalQuantile(0)).toBe(-Infinity);
+      expect(normalQuantile(1)).toBe(Infinity);
+    });
+  });
+  
+  describe('rank correlations', () => {
+    it('ranks ties at their average rank', () => {
+      expect(rank([10, 30, 20, 30])).toEqual([1, 3.5, 2, 3.5]);
+    });
+    
+    it('measures monotonic rather than linear association', () => {
+      const x = [1, 2, 3, 4, 5, 6];
+      const y = x.map(v => Math.exp(v));
+      
+      expect(pearsonCorrelation(x, y)).toBeLessThan(0.95);
+      expect(spearmanCorrelation(x, y)).toBeCloseTo(1, 10);
+      expect(kendallTau(x, y)).toBe(1);
+      expect(kendallTau(x, [...y].reverse())).toBe(-1);
+    });
+    
+    it('computes tau-b with ties', () => {
+      // 4 concordant and 1 discordant pair, 1 tie in x only: (4 - 1) / sqrt(5 * 6)
+      expect(kendallTau([1, 2, 2, 3], [1, 2, 4, 3])).toBeCloseTo(3 / Math.sqrt(30), 10);
+    });
+  });
+  
+  describe('correlationTest', () => {
+    const x = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+    const y = [2.1, 1.9, 3.5, 3.2, 5.1, 4.4, 6.8, 6.1, 7.9, 9.2, 8.4, 10.5];
+    
+    it('tests Pearson correlations with a t statistic and a Fisher z interval', () => {
+      const r = pearsonCorrelation(x, y);
+      const result = correlationTest(x, y, { confidence: 0.9 });
+      const margin = normalQuantile(0.95) / Math.sqrt(x.length - 3);
+      
+      expect(result).toMatchObject({ method: 'pearson', coefficient: r, n: 12 });
+      expect(result.pValue).toBeCloseTo(tTestPValue(r * Math.sqrt(10 / (1 - r * r)), 10), 12);
+      expect(result.pValue).toBeLessThan(1e-6);
+      expect(result.confidenceInterval.lower).toBeCloseTo(Math.tanh(Math.atanh(r) - margin), 12);
+      expect(result.confidenceInterval.upper).toBeCloseTo(Math.tanh(Math.atanh(r) + margin), 12);
+      expect(result.confidenceInterval.level).toBe(0.9);
+    });
+    
+    it('widens the interval for rank methods', () => {
+      const pearson = correlationTest(x, y);
+      const spearman = correlationTest(x, y, { method: 'spearman' });
+      const kendall = correlationTest(x, y, { method: 'kendall' });
+      const width = result => Math.atanh(result.confidenceInterval.upper) - Math.atanh(result.confidenceInterval.lower);
+      
+      expect(width(spearman) / width(pearson)).toBeCloseTo(Math.sqrt(1.06), 10);
+      expect(width(kendall)).toBeCloseTo(2 * 1.959964 * Math.sqrt(0.437 / 8), 5);
+      expect(kendall.pValue).toBeLessThan(0.001);
+    });
+    
+    it('reports a zero p-value for perfect correlations and keeps the interval finite', () => {
+      const result = correlationTest(x, x.map(v => 2 * v + 1));
+      
+      expect(result.coefficient).toBeCloseTo(1, 12);
+      expect(result.pValue).toBe(0);
+      expect(result.confidenceInterval.upper).toBeLessThanOrEqual(1);
+      expect(result.confidenceInterval.lower).toBeGreaterThan(0.99);
+    });
+    
+    it('omits statistics the sample is too small for', () => {
+      expect(correlationTest([1, 2], [2, 1])).toMatchObject({ pValue: null, confidenceInterval: null });
+      expect(correlationTest([1, 2, 3], [1, 3, 2])).toMatchObject({ confidenceInterval: null });
+      expect(correlationTest([1, 2, 3], [1, 3, 2]).pValue).toBeCloseTo(tTestPValue(0.5 / Math.sqrt(0.75), 1), 10);
+    });
+    
+    it('rejects unknown methods', () => {
+      expect(() => correlationTest(x, y, { method: 'distance' })).toThrow('Unknown correlation method');
+    });
+  });
+  
+  describe('leastSquares', () => {
+    it('recovers exact coefficients with zero residuals', () => {
+      const rows = [[1, 0, 1], [1, 1, 0], [1, 2, 3], [1, 3, 1], [1, 4, 5]];
+      const y = rows.map(([, a, b]) => 2 + 3 * a - 0.5 * b);
+      const fit = leastSquares(rows, y);
+      
+      expect(fit.coefficients[0]).toBeCloseTo(2, 10);
+      expect(fit.coefficients[1]).toBeCloseTo(3, 10);
+      expect(fit.coefficients[2]).toBeCloseTo(-0.5, 10);
+      expect(fit.residualSumOfSquares).toBeCloseTo(0, 10);
+    });
+    
+    it('minimizes the residual sum of squares', () => {
+      // Line through (0, 1), (1, 3), (2, 2): slope 0.5, intercept 1.5
+      const fit = leastSquares([[1, 0], [1, 1], [1, 2]], [1, 3, 2]);
+      
+      expect(fit.coefficients[0]).toBeCloseTo(1.5, 10);
+      expect(fit.coefficients[1]).toBeCloseTo(0.5, 10);
+      expect(fit.residualSumOfSquares).toBeCloseTo(1.5, 10);
+    });
+    
+    it('returns null for collinear regressors and no rows', () => {
+      expect(leastSquares([[1, 1, 2], [1, 2, 4], [1, 3, 6], [1, 4, 8]], [1, 2, 3, 4])).toBeNull();
+      expect(leastSquares([], [])).toBeNull();
+    });
+  });
+});
\ No newline at end of file
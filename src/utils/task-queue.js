@@ -0,0 +1,90 @@
+const { TimeoutError } = require('../errors');
+
+/**
+ * Run async tasks with bounded concurrency
+ * Tasks beyond the concurrency limit wait in FIFO order.
+ */
+class TaskQueue {
+  /**
+   * Create a new task queue
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.concurrency=4] - Maximum number of tasks running at once
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.active = 0;
+    this.queue = [];
+  }
+  
+  /**
+   * Number of tasks waiting to start
+   * @type {number}
+   */
+  get size() {
+    return this.queue.length;
+  }
+  
+  /**
+   * Schedule a task
+   * @param {Function} task - Function returning a value or promise
+   * @returns {Promise<*>} - Settles with the task's result
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this._next();
+    });
+  }
+  
+  /**
+   * Run a task for every item and collect results in input order
+   * @param {Array<*>} items - Items to process
+   * @param {Function} task - Function called with (item, index)
+   * @returns {Promise<Array<Object>>} - { status: 'fulfilled', value } or { status: 'rejected', reason } per item
+   */
+  map(items, task) {
+    return Promise.allSettled(items.map((item, index) => this.run(() => task(item, index))));
+  }
+  
+  /**
+   * Start queued tasks while below the concurrency limit
+   * @private
+   */
+  _next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+      
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this._next();
+        });
+    }
+  }
+}
+
+/**
+ * Reject if a promise does not settle within a time limit
+ * @param {Promise<*>} promise - Promise to guard
+ * @param {number} ms - Time limit in milliseconds (0 or undefined disables the limit)
+ * @param {string} [message] - Error message on timeout
+ * @returns {Promise<*>} - Settles like the promise, or rejects on timeout
+ */
+function withTimeout(promise, ms, message) {
+  if (!ms) return Promise.resolve(promise);
+  
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message || `Timed out after ${ms}ms`, { timeout: ms })), ms);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  TaskQueue,
+  withTimeout
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { TaskQueue, withTimeout } = require('./task-queue');
+
+/**
+ * Promise resolving with a value after a delay
+ */
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('TaskQueue', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('never runs more tasks at once than its concurrency', async () => {
+    const queue = new TaskQueue({ concurrency: 2 });
+    const started = [];
+    let running = 0;
+    let maxRunning = 0;
+    const task = n => async () => {
+      started.push(n);
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(1000);
+      running--;
+      return n;
+    };
+    
+    const results = Promise.all([1, 2, 3, 4, 5].map(n => queue.run(task(n))));
+    
+    await jest.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([1, 2]);
+    expect(queue.active).toBe(2);
+    expect(queue.size).toBe(3);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(started).toEqual([1, 2, 3, 4]);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(started).toEqual([1, 2, 3, 4, 5]);
+    expect(queue.size).toBe(0);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(await results).toEqual([1, 2, 3, 4, 5]);
+    expect(maxRunning).toBe(2);
+    expect(queue.active).toBe(0);
+  });
+  
+  it('starts the next task as soon as one finishes, even if it failed', async () => {
+    const queue = new TaskQueue({ concurrency: 1 });
+    const failing = queue.run(async () => {
+      await delay(100);
+      throw new Error('boom');
+    });
+    const next = queue.run(() => 'next');
+    const failure = expect(failing).rejects.toThrow('boom');
+    
+    await jest.advanceTimersByTimeAsync(100);
+    await failure;
+    expect(await next).toBe('next');
+  });
+  
+  it('collects settled results of every item in input order', async () => {
+    const queue = new TaskQueue({ concurrency: 2 });
+    const results = queue.map([300, 100, 200], async (ms, i) => {
+      await delay(ms);
+      if (i === 1) throw new Error('second');
+      return ms;
+    });
+    
+    await jest.advanceTimersByTimeAsync(500);
+    expect(await results).toEqual([
+      { status: 'fulfilled', value: 300 },
+      { status: 'rejected', reason: new Error('second') },
+      { status: 'fulfilled', value: 200 }
+    ]);
+  });
+  
+  it('defaults to four tasks at a time and runs at least one', () => {
+    expect(new TaskQueue().concurrency).toBe(4);
+    expect(new TaskQueue({ concurrency: -1 }).concurrency).toBe(1);
+  });
+});
+
+describe('withTimeout', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('rejects with a timeout error once the limit passes', async () => {
+    const result = expect(withTimeout(delay(2000, 'late'), 1000, 'too slow')).rejects.toMatchObject({
+      code: 'TIMEOUT',
+      message: 'too slow',
+      details: { timeout: 1000 }
+    });
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    await result;
+  });
+  
+  it('settles like the promise within the limit and clears its timer', async () => {
+    const result = withTimeout(delay(500, 'on time'), 1000);
+    
+    await jest.advanceTimersByTimeAsync(500);
+    expect(await result).toBe('on time');
+    expect(jest.getTimerCount()).toBe(0);
+  });
+  
+  it('does not limit when the limit is 0', async () => {
+    const result = withTimeout(delay(60000, 'eventually'), 0);
+    
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(await result).toBe('eventually');
+  });
+});
\ No newline at end of file